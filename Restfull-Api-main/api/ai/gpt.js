@@ -1,4 +1,5 @@
 import GptService from "../../src/services/ai/gptService.js";
+import { errorBody } from "../../src/utils/responseSchemas.js";
 
 export default {
   name: "GPT Chat",
@@ -7,28 +8,22 @@ export default {
   methods: ["GET", "POST"],
   params: ["question", "prompt"],
   paramsSchema: {
-    question: { type: "string", required: true, minLength: 1 },
-    prompt: { type: "string", required: true, minLength: 1 },
+    question: { type: "string", required: true, minLength: 1, example: "Hello, who are you?" },
+    prompt: { type: "string", required: false, default: "gpt-4" },
+  },
+  responses: {
+    200: {
+      description: "Reply of the GPT upstream API",
+      schema: { type: "object", properties: { results: {} }, required: ["results"] },
+    },
+    502: { description: "Upstream request failed", schema: errorBody },
+    504: { description: "Upstream did not respond in time", schema: errorBody },
   },
   async run(req, res) {
-    try {
-      const { question, prompt } = req.method === "GET" ? req.query : req.body;
-
-      if (!question || typeof question !== "string") {
-        return res.status(400).json({
-          success: false,
-          error: "Parameter 'question' wajib diisi.",
-        });
-      }
+    const { question, prompt } = req.validated;
 
-      const results = await GptService.process(question, { prompt: prompt || "gpt-4" });
+    const results = await GptService.process(question, { prompt });
 
-      res.json({ results });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: error.message || "Internal server error",
-      });
-    }
+    res.json({ results });
   },
 };
\ No newline at end of file
@@ -1,4 +1,6 @@
 import axios from "axios";
+import { errorBody } from "../../src/utils/responseSchemas.js";
+import { UpstreamError } from "../../src/utils/errors.js";
 
 export default {
   name: "Writecream AI",
@@ -7,51 +9,48 @@ export default {
   methods: ["GET", "POST"],
   params: ["question", "logic"],
   paramsSchema: {
-    question: { type: "string", required: true, minLength: 1 },
-    logic: { type: "string", required: true, minLength: 1 },
+    question: { type: "string", required: true, minLength: 1, example: "What is an API?" },
+    logic: { type: "string", required: true, minLength: 1, example: "You are a helpful assistant." },
+  },
+  responses: {
+    200: {
+      description: "Cleaned up reply of the Writecream backend",
+      schema: { type: "object", properties: { results: { type: "string" } }, required: ["results"] },
+    },
+    502: { description: "Upstream request failed", schema: errorBody },
+    504: { description: "Upstream did not respond in time", schema: errorBody },
   },
   async run(req, res) {
-    try {
-      const question = req.method === "GET" ? req.query.question : req.body.question;
-      const logic = req.method === "GET" ? req.query.logic : req.body.logic;
-
-      if (!question || !logic) {
-        return res
-          .status(400)
-          .json({ error: 'Parameter "question" dan "logic" diperlukan' });
-      }
+    const { question, logic } = req.validated;
 
-      const url =
-        "https://8pe3nv3qha.execute-api.us-east-1.amazonaws.com/default/llm_chat";
-      const query = [
-        { role: "system", content: logic },
-        { role: "user", content: question },
-      ];
-      const params = new URLSearchParams({
-        query: JSON.stringify(query),
-        link: "writecream.com",
-      });
+    const url =
+      "https://8pe3nv3qha.execute-api.us-east-1.amazonaws.com/default/llm_chat";
+    const query = [
+      { role: "system", content: logic },
+      { role: "user", content: question },
+    ];
+    const params = new URLSearchParams({
+      query: JSON.stringify(query),
+      link: "writecream.com",
+    });
 
-      const response = await axios.get(`${url}?${params.toString()}`);
-      let raw =
-        response.data.response_content ||
-        response.data.reply ||
-        response.data.result ||
-        response.data.question ||
-        "";
-      let cleaned = raw
-        .replace(/\\n/g, "\n")
-        .replace(/\n{2,}/g, "\n\n")
-        .replace(/\*\*(.*?)\*\*/g, "*$1*")
-        .trim();
+    const response = await axios.get(`${url}?${params.toString()}`).catch((error) => {
+      throw UpstreamError.from(error, "Writecream");
+    });
+    let raw =
+      response.data.response_content ||
+      response.data.reply ||
+      response.data.result ||
+      response.data.question ||
+      "";
+    let cleaned = raw
+      .replace(/\\n/g, "\n")
+      .replace(/\n{2,}/g, "\n\n")
+      .replace(/\*\*(.*?)\*\*/g, "*$1*")
+      .trim();
 
-      return res.status(200).json({
-        results: cleaned,
-      });
-    } catch (error) {
-      return res.status(500).json({
-        error: `Gagal mengambil respons: ${error.message}`,
-      });
-    }
+    return res.status(200).json({
+      results: cleaned,
+    });
   },
 };
\ No newline at end of file
@@ -4,6 +4,8 @@ import fs from 'fs'
 import crypto from 'crypto'
 import { fileURLToPath } from 'url'
 import { dirname } from 'path'
+import { fileLink, errorBody } from '../../src/utils/responseSchemas.js'
+import { HttpError, ValidationError } from '../../src/utils/errors.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -55,9 +57,11 @@ function wrapText(ctx, text, maxWidth) {
 
 async function generateUstadzImage(text) {
   const words = text.trim().split(/\s+/)
-  if (words.length > MAX_WORDS) throw new Error(`Teks terlalu panjang! Maksimum ${MAX_WORDS} kata.`)
+  if (words.length > MAX_WORDS) {
+    throw new ValidationError([{ param: "text", message: `Text too long! Maximum ${MAX_WORDS} words, you entered ${words.length} words.` }])
+  }
 
-  if (!fs.existsSync(templatePath)) throw new Error(`Template image not found at: ${templatePath}`)
+  if (!fs.existsSync(templatePath)) throw new HttpError(500, "Template image not found", { code: "ASSET_MISSING" })
   const img = await loadImage(templatePath)
   const canvas = createCanvas(img.width, img.height)
   const ctx = canvas.getContext('2d')
@@ -94,47 +98,45 @@ export default {
   description: "Create Ustadz quote images based on image templates with automatically wrapped text.",
   category: "Canvas",
   methods: ["GET"],
+  render: true,
   params: ["text"],
   paramsSchema: {
-    text: { type: "string", required: true, minLength: 1 },
+    text: { type: "string", required: true, minLength: 1, example: "Sabar itu indah" },
+  },
+  responses: {
+    200: {
+      description: "Link to the generated JPEG image",
+      schema: {
+        type: "object",
+        properties: { results: fileLink("image/jpeg"), text: { type: "string" }, message: { type: "string" } },
+        required: ["results"],
+      },
+    },
+    400: { description: "Text longer than the template allows", schema: errorBody },
+    500: { description: "Generation failed", schema: errorBody },
   },
   async run(req, res) {
-    try {
-      const text = req.method === "GET" ? req.query.text : req.body.text;
-      if (!text) {
-        return res.status(400).json({ error: 'Parameter "text" is required' });
-      }
-
-      console.log(`Generating Ustadz image with text: "${text.substring(0, 30)}..."`);
-      
-      const words = text.trim().split(/\s+/)
-      if (words.length > MAX_WORDS) {
-        return res.status(400).json({ error: `Text too long! Maximum ${MAX_WORDS} words, you entered ${words.length} words.` });
-      }
-
-      const imageBuffer = await generateUstadzImage(text);
-
-      const uploadDir = path.join(process.cwd(), "files");
-      if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
-
-      const fileName = crypto.randomBytes(16).toString("hex") + ".jpeg";
-      const filePath = path.join(uploadDir, fileName);
-      fs.writeFileSync(filePath, imageBuffer);
-
-      res.json({
-        results: { 
-          url: `${req.protocol}://${req.get("host")}/files/${fileName}`, 
-          filename: fileName, 
-          mimetype: "image/jpeg" 
-        },
-        text,
-        message: "Ustadz quote image created successfully!"
-      });
-
-    } catch (err) {
-      console.error("Ustadz image generator error:", err);
-      const statusCode = err.message.includes('too long') || err.message.includes('not found') ? 400 : 500;
-      res.status(statusCode).json({ error: err.message });
-    }
+    const { text } = req.validated;
+
+    console.log(`Generating Ustadz image with text: "${text.substring(0, 30)}..."`);
+
+    const imageBuffer = await generateUstadzImage(text);
+
+    const uploadDir = path.join(process.cwd(), "files");
+    if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
+
+    const fileName = crypto.randomBytes(16).toString("hex") + ".jpeg";
+    const filePath = path.join(uploadDir, fileName);
+    fs.writeFileSync(filePath, imageBuffer);
+
+    res.json({
+      results: { 
+        url: `${req.protocol}://${req.get("host")}/files/${fileName}`, 
+        filename: fileName, 
+        mimetype: "image/jpeg" 
+      },
+      text,
+      message: "Ustadz quote image created successfully!"
+    });
   }
 };
@@ -1,4 +1,5 @@
 import WebMusicScraper from "../../src/services/class/webmusicscraper.js";
+import { errorBody } from "../../src/utils/responseSchemas.js";
 
 export default {
   name: "Web Music",
@@ -9,26 +10,35 @@ export default {
   paramsSchema: {
     url: { type: "string", required: true, minLength: 1 },
   },
+  responses: {
+    200: {
+      description: "Media details and download links, null when the page could not be scraped",
+      schema: {
+        type: "object",
+        properties: {
+          results: {
+            type: ["object", "null"],
+            properties: {
+              title: { type: "string" },
+              cover: { type: "string" },
+              info: { type: "object" },
+              downloads: { type: "array", items: { type: "object" } },
+            },
+          },
+        },
+        required: ["results"],
+      },
+    },
+    500: { description: "Scraping failed", schema: errorBody },
+  },
   async run(req, res) {
-    try {
-      const url = req.method === "GET" ? req.query.url : req.body.url;
-
-      if (!url) {
-        return res
-          .status(400)
-          .json({ error: 'The parameter "url" is required' });
-      }
+    const { url } = req.validated;
 
-      const scraper = new WebMusicScraper()
-      const results = await scraper.download(url);
+    const scraper = new WebMusicScraper()
+    const results = await scraper.download(url);
 
-      return res.status(200).json({
-        results,
-      });
-    } catch (error) {
-      return res.status(500).json({
-        error: `${error.message}`,
-      });
-    }
+    return res.status(200).json({
+      results,
+    });
   },
 };
\ No newline at end of file
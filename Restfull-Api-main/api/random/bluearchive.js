@@ -1,4 +1,6 @@
 import axios from "axios";
+import { errorBody } from "../../src/utils/responseSchemas.js";
+import { UpstreamError } from "../../src/utils/errors.js";
 
 export default {
   name: "Blue Archive",
@@ -7,23 +9,29 @@ export default {
   methods: ["GET"],
   params: [],
   paramsSchema: {},
+  responses: {
+    200: { description: "Random PNG image", contentType: "image/png" },
+    502: { description: "Image source unreachable", schema: errorBody },
+    504: { description: "Image source did not respond in time", schema: errorBody },
+  },
   async run(req, res) {
+    let response;
     try {
       const { data } = await axios.get(
         "https://raw.githubusercontent.com/synshin9/blue-archive-r-img/refs/heads/main/links.json"
       );
 
       const randomUrl = data[Math.floor(data.length * Math.random())];
-      const response = await axios.get(randomUrl, { responseType: "arraybuffer" });
-
-      const buffer = Buffer.from(response.data);
-      res.writeHead(200, {
-        "Content-Type": "image/png",
-        "Content-Length": buffer.length,
-      });
-      res.end(buffer);
+      response = await axios.get(randomUrl, { responseType: "arraybuffer" });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      throw UpstreamError.from(error, "Image source");
     }
+
+    const buffer = Buffer.from(response.data);
+    res.writeHead(200, {
+      "Content-Type": "image/png",
+      "Content-Length": buffer.length,
+    });
+    res.end(buffer);
   },
 };
\ No newline at end of file
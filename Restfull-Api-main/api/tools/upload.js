@@ -1,9 +1,8 @@
-import multer from "multer";
 import fs from "fs";
 import path from "path";
 import crypto from "crypto";
+import { fileLink, errorBody } from "../../src/utils/responseSchemas.js";
 
-const upload = multer({ storage: multer.memoryStorage() });
 const uploadDir = path.join(process.cwd(), "files");
 
 if (!fs.existsSync(uploadDir)) {
@@ -19,45 +18,31 @@ export default {
   paramsSchema: {
     file: { type: "file", required: true },
   },
+  upload: "file",
+  responses: {
+    200: { description: "Link to the uploaded file", schema: fileLink() },
+    500: { description: "Upload failed", schema: errorBody },
+  },
 
   async run(req, res) {
-    try {
-      await new Promise((resolve, reject) => {
-        upload.single("file")(req, res, (err) => {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-
-      if (!req.file) {
-        return res
-          .status(400)
-          .json({ success: false, error: "No file uploaded" });
-      }
-
-      const randomName =
-        crypto.randomBytes(16).toString("hex") +
-        path.extname(req.file.originalname);
-
-      const filePath = path.join(uploadDir, randomName);
-
-      fs.writeFileSync(filePath, req.file.buffer);
-
-      const fileUrl = `${req.protocol}://${req.get("host")}/files/${randomName}`;
-      setTimeout(() => {
-        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-      }, 5 * 60 * 1000);
-
-      res.json({
-        url: fileUrl,
-        filename: randomName,
-        mimetype: req.file.mimetype,
-        size: req.file.size,
-      });
-    } catch (err) {
-      res.status(500).json({
-        error: err.message || "Upload failed",
-      });
-    }
+    const randomName =
+      crypto.randomBytes(16).toString("hex") +
+      path.extname(req.file.originalname);
+
+    const filePath = path.join(uploadDir, randomName);
+
+    fs.writeFileSync(filePath, req.file.buffer);
+
+    const fileUrl = `${req.protocol}://${req.get("host")}/files/${randomName}`;
+    setTimeout(() => {
+      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    }, 5 * 60 * 1000);
+
+    res.json({
+      url: fileUrl,
+      filename: randomName,
+      mimetype: req.file.mimetype,
+      size: req.file.size,
+    });
   },
 };
\ No newline at end of file
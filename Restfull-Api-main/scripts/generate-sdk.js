@@ -0,0 +1,41 @@
+/**
+ * @file Writes the generated client SDK to disk
+ * @description Loads the endpoints (and configured plugins) the same way the
+ * server does, then writes `client.js` and `client.d.ts`.
+ *
+ * @example
+ * // npm run sdk                                   -> ./sdk, http://localhost:3000
+ * // npm run sdk -- ./out https://api.example.com  -> ./out, given base URL
+ * // SDK_BASE_URL=https://api.example.com npm run sdk
+ */
+import 'dotenv/config';
+import fs from "fs";
+import path from "path";
+
+import loadEndpoints from "../src/utils/loader.js";
+import { EndpointRegistry } from "../src/utils/endpointRegistry.js";
+import { readPluginConfig } from "../src/utils/plugins.js";
+import buildSdk from "../src/generators/sdk.js";
+import { API_INFO } from "../src/app/docs.js";
+import logger from "../src/utils/logger.js";
+
+const [outDir = "sdk", baseURL = process.env.SDK_BASE_URL || `http://localhost:${process.env.PORT || 3000}`] =
+  process.argv.slice(2);
+
+try {
+  const endpoints = await loadEndpoints(path.join(process.cwd(), "api"), null, {
+    registry: new EndpointRegistry(),
+    plugins: readPluginConfig(),
+  });
+
+  const target = path.resolve(outDir);
+  fs.mkdirSync(target, { recursive: true });
+  for (const [name, content] of Object.entries(buildSdk(endpoints, { ...API_INFO, baseURL }))) {
+    fs.writeFileSync(path.join(target, name), content);
+  }
+
+  logger.ready(`SDK written to ${target} (${endpoints.length} endpoints, base URL ${baseURL})`);
+} catch (err) {
+  logger.error(`SDK generation failed: ${err.message}`);
+  process.exitCode = 1;
+}
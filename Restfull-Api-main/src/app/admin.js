@@ -0,0 +1,647 @@
+import express from "express";
+import net from "net";
+
+import requireAdminKey from "../middleware/adminAuth.js";
+import adminAudit, { auditLog } from "../middleware/adminAudit.js";
+import rateLimiter, { requestLog } from "../middleware/rateLimiter.js";
+import { getStatus, setStatus, STATUSES } from "../utils/endpointStatus.js";
+import { issueKey, listKeys, listTiers, revokeKey } from "../utils/apiKeys.js";
+import { addRule, clientKey, listRules, removeRule, parseCidr, normalizeIp, LISTS } from "../utils/ipRules.js";
+import { parseRequestLog, readLogPage } from "../utils/logReader.js";
+import { readUsage, usageRange, usageToCsv, MEMORY_STORE_WARNING } from "../utils/usage.js";
+import logger from "../utils/logger.js";
+import { HttpError } from "../utils/errors.js";
+import { asyncHandler } from "../utils/composeHandlers.js";
+
+/**
+ * Largest page size of the list routes
+ * @constant {number}
+ */
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Reads the `page` and `limit` query params of a list route
+ * @function pageQuery
+ * @param {Object} query - `req.query`
+ * @returns {{page: number, limit: number}}
+ * @throws {HttpError} 400 if they are not positive integers
+ */
+function pageQuery(query) {
+  const page = Number(query.page ?? 1);
+  const limit = Number(query.limit ?? 50);
+  if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new HttpError(400, `page must be a positive integer and limit an integer between 1 and ${MAX_PAGE_SIZE}.`);
+  }
+  return { page, limit };
+}
+
+/**
+ * Reads a date query param
+ * @function dateQuery
+ * @param {Object} query - `req.query`
+ * @param {string} name - Name of the param
+ * @returns {string|null} ISO date, null when absent
+ * @throws {HttpError} 400 if the date is invalid
+ */
+function dateQuery(query, name) {
+  if (query[name] === undefined) return null;
+  const date = new Date(query[name]);
+  if (Number.isNaN(date.getTime())) throw new HttpError(400, `${name} must be a valid date.`);
+  return date.toISOString();
+}
+
+/**
+ * Creates the router serving the `/admin` routes
+ * @function createAdminRouter
+ * @param {EndpointRegistry} registry - Registry holding the currently loaded endpoints
+ * @returns {express.Router} Router to mount at `/admin`
+ *
+ * @description
+ * Every route requires the admin key (see adminAuth.js) and accepts JSON
+ * bodies. Every request, rejected ones included, is written to the audit
+ * trail (see adminAudit.js).
+ *
+ * @example
+ * app.use("/admin", createAdminRouter(endpointRegistry));
+ */
+export default function createAdminRouter(registry) {
+  const router = express.Router();
+
+  router.use(express.json(), adminAudit, requireAdminKey);
+
+  /**
+   * POST /admin/unban
+   * @name POST /admin/unban
+   * @description Unbans a previously blocked IP address (an IPv6 address unbans its network).
+   * @route {POST} /admin/unban
+   * @bodyParam {string} ip - The IP address to unban (required)
+   * @header {string} X-Admin-Key - Admin key for authentication
+   * @returns {Object} JSON response indicating success or failure
+   * @example
+   * // Request body
+   * {
+   *   "ip": "1.2.3.4"
+   * }
+   *
+   * // Response
+   * {
+   *   "success": true,
+   *   "message": "IP 1.2.3.4 unbanned."
+   * }
+   */
+  router.post("/unban", rateLimiter.adminUnbanHandler);
+
+  /**
+   * GET /admin/bans
+   * @name GET /admin/bans
+   * @description Lists the bans in force, newest first.
+   * @route {GET} /admin/bans
+   * @queryParam {string} [q] - Text searched in the IP and the reason
+   * @queryParam {string} [by] - Who banned: `rateLimiter` or the self-reported `X-Admin-User` of an admin
+   * @queryParam {string} [type] - `temporary` or `permanent`
+   * @queryParam {number} [page=1]
+   * @queryParam {number} [limit=50] - Up to 500
+   * @returns {Object} JSON response with `total` and the `bans` of the page
+   * @example
+   * // Response
+   * {
+   *   "success": true,
+   *   "total": 1,
+   *   "page": 1,
+   *   "limit": 50,
+   *   "bans": [
+   *     {
+   *       "ip": "2001:db8:1:2::/64",
+   *       "bannedAt": "2025-01-01T12:00:00.000Z",
+   *       "expiresAt": "2025-01-01T12:10:00.000Z",
+   *       "remainingSeconds": 540,
+   *       "strikes": 2,
+   *       "reason": "exceeded_25_per_10000ms",
+   *       "by": "rateLimiter"
+   *     }
+   *   ]
+   * }
+   */
+  router.get("/bans", asyncHandler(async (req, res) => {
+    const { q, by, type } = req.query;
+    const { page, limit } = pageQuery(req.query);
+    if (type !== undefined && !["temporary", "permanent"].includes(type)) {
+      throw new HttpError(400, "type must be temporary or permanent.");
+    }
+
+    const now = Date.now();
+    const search = q ? String(q).toLowerCase() : null;
+    const bans = Object.entries(await rateLimiter.getBannedList())
+      .map(([ip, info]) => ({
+        ip,
+        bannedAt: info.bannedAt,
+        expiresAt: info.expiresAt ?? null,
+        remainingSeconds: info.expiresAt ? Math.ceil((Date.parse(info.expiresAt) - now) / 1000) : null,
+        strikes: info.strikes ?? null,
+        reason: info.reason,
+        by: info.by,
+      }))
+      .filter((ban) => !search || ban.ip.includes(search) || String(ban.reason).toLowerCase().includes(search))
+      .filter((ban) => !by || ban.by === by)
+      .filter((ban) => !type || (type === "permanent") === (ban.expiresAt === null))
+      .sort((a, b) => String(b.bannedAt).localeCompare(String(a.bannedAt)));
+
+    res.json({ success: true, total: bans.length, page, limit, bans: bans.slice((page - 1) * limit, page * limit) });
+  }));
+
+  /**
+   * POST /admin/bans
+   * @name POST /admin/bans
+   * @description Bans an IP address (an IPv6 address bans its network). Without
+   * `expiresAt` or `durationMs` the ban is permanent. Manual bans give no strike.
+   * @route {POST} /admin/bans
+   * @bodyParam {string} ip - The IP address to ban (required)
+   * @bodyParam {string} [reason="manual"] - Reason shown to the client
+   * @bodyParam {string} [expiresAt] - ISO date at which the ban ends
+   * @bodyParam {number} [durationMs] - Length of the ban, instead of `expiresAt`
+   * @returns {Object} JSON response with the ban
+   * @example
+   * // Request body
+   * {
+   *   "ip": "198.51.100.23",
+   *   "reason": "scraping",
+   *   "durationMs": 86400000
+   * }
+   */
+  router.post("/bans", asyncHandler(async (req, res) => {
+    const { ip, reason = "manual", expiresAt, durationMs } = req.body || {};
+
+    if (!ip || !net.isIP(normalizeIp(ip))) {
+      throw new HttpError(400, "Provide a valid ip in request body. Use the deny list for ranges.");
+    }
+    if (typeof reason !== "string" || reason.length > 200) {
+      throw new HttpError(400, "reason must be a string of up to 200 characters.");
+    }
+    if (expiresAt !== undefined && durationMs !== undefined) {
+      throw new HttpError(400, "Provide either expiresAt or durationMs, not both.");
+    }
+    if (durationMs !== undefined && (!Number.isInteger(durationMs) || durationMs <= 0)) {
+      throw new HttpError(400, "durationMs must be a positive integer.");
+    }
+
+    let length = durationMs ?? null;
+    if (expiresAt !== undefined) {
+      length = new Date(expiresAt).getTime() - Date.now();
+      if (Number.isNaN(length) || length <= 0) throw new HttpError(400, "expiresAt must be a date in the future.");
+    }
+
+    const ban = await rateLimiter.banIp(ip, reason, { durationMs: length, by: req.get("X-Admin-User") || "admin" });
+    res.json({ success: true, ip: clientKey(ip), ban });
+  }));
+
+  /**
+   * GET /admin/stats
+   * @name GET /admin/stats
+   * @description Live statistics of the rate limiter: tracked clients, bans
+   * and the clients using the most of their budget in the current window.
+   * @route {GET} /admin/stats
+   * @queryParam {number} [top=10] - Number of top talkers, up to 100
+   * @returns {Object} JSON response with the statistics
+   * @example
+   * // Response
+   * {
+   *   "success": true,
+   *   "store": "memory",
+   *   "policy": { "limit": 25, "windowMs": 10000 },
+   *   "activeIps": 12,
+   *   "bannedCount": 3,
+   *   "permanentBans": 1,
+   *   "topTalkers": [{ "ip": "203.0.113.7", "used": 21, "remaining": 4, "banned": false }]
+   * }
+   */
+  router.get("/stats", asyncHandler(async (req, res) => {
+    const top = Number(req.query.top ?? 10);
+    if (!Number.isInteger(top) || top < 1 || top > 100) {
+      throw new HttpError(400, "top must be an integer between 1 and 100.");
+    }
+    res.json({ success: true, ...(await rateLimiter.getStats({ top })) });
+  }));
+
+  /**
+   * GET /admin/logs
+   * @name GET /admin/logs
+   * @description Reads logs/request-logs.log, newest first: page 1 is the tail
+   * of the log.
+   * @route {GET} /admin/logs
+   * @queryParam {string} [type] - Line types, comma-separated: `REQ`, `BAN`, `UNBAN`, `BLOCKED_REQ`, `DENIED_REQ`
+   * @queryParam {string} [ip] - Client IP or IPv6 network
+   * @queryParam {string} [requestId] - Request id
+   * @queryParam {string} [q] - Text searched in the line
+   * @queryParam {string} [since] - Only lines at or after this date
+   * @queryParam {string} [until] - Only lines before this date
+   * @queryParam {number} [page=1]
+   * @queryParam {number} [limit=50] - Up to 500
+   * @returns {Object} JSON response with `total` and the `entries` of the page
+   * @example
+   * // GET /admin/logs?type=BAN,UNBAN&since=2025-01-01&limit=2
+   * {
+   *   "success": true,
+   *   "total": 14,
+   *   "page": 1,
+   *   "limit": 2,
+   *   "entries": [
+   *     {
+   *       "type": "UNBAN",
+   *       "at": "2025-01-01T12:01:00.412Z",
+   *       "ip": "203.0.113.7",
+   *       "message": "by=auto",
+   *       "requestId": null,
+   *       "line": "[UNBAN] 2025-01-01T12:01:00.412Z 203.0.113.7 by=auto"
+   *     }
+   *   ]
+   * }
+   */
+  router.get("/logs", asyncHandler(async (req, res) => {
+    const { page, limit } = pageQuery(req.query);
+    const since = dateQuery(req.query, "since");
+    const until = dateQuery(req.query, "until");
+    const types = req.query.type ? String(req.query.type).toUpperCase().split(",") : null;
+    const { ip, requestId, q } = req.query;
+
+    // Lines still in the buffer would be missing from the newest page
+    await requestLog.flush();
+    const result = await readLogPage(requestLog.file, {
+      parse: parseRequestLog,
+      filter: (entry) =>
+        (!types || types.includes(entry.type)) &&
+        (!ip || entry.ip === ip) &&
+        (!requestId || entry.requestId === requestId) &&
+        (!q || entry.line.includes(q)) &&
+        (!since || entry.at >= since) &&
+        (!until || entry.at < until),
+      page,
+      limit,
+    });
+    res.json({ success: true, ...result });
+  }));
+
+  /**
+   * GET /admin/audit
+   * @name GET /admin/audit
+   * @description Reads the audit trail of the admin routes (logs/admin-audit.log), newest first.
+   * @route {GET} /admin/audit
+   * @queryParam {string} [actor] - Admin key of the requests (`admin-key:...`) or `unauthenticated`
+   * @queryParam {string} [user] - Self-reported `X-Admin-User` of the requests
+   * @queryParam {string} [action] - Text searched in the action, e.g. `POST /admin/bans`
+   * @queryParam {string} [since] - Only entries at or after this date
+   * @queryParam {string} [until] - Only entries before this date
+   * @queryParam {number} [page=1]
+   * @queryParam {number} [limit=50] - Up to 500
+   * @returns {Object} JSON response with `total` and the `entries` of the page
+   */
+  router.get("/audit", asyncHandler(async (req, res) => {
+    const { page, limit } = pageQuery(req.query);
+    const since = dateQuery(req.query, "since");
+    const until = dateQuery(req.query, "until");
+    const { actor, user, action } = req.query;
+
+    // Entries still in the buffer would be missing from the newest page
+    await auditLog.flush();
+    const result = await readLogPage(auditLog.file, {
+      parse: (line) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null;
+        }
+      },
+      filter: (entry) =>
+        (!actor || entry.actor === actor) &&
+        (!user || entry.reportedUser === user) &&
+        (!action || String(entry.action).includes(action)) &&
+        (!since || entry.at >= since) &&
+        (!until || entry.at < until),
+      page,
+      limit,
+    });
+    res.json({ success: true, ...result });
+  }));
+
+  /**
+   * GET /admin/ip-rules
+   * @name GET /admin/ip-rules
+   * @description Lists the allow and deny rules of the rate limiter and the
+   * prefix IPv6 clients are grouped by.
+   * @route {GET} /admin/ip-rules
+   * @returns {Object} JSON response with `allow`, `deny` and `ipv6Prefix`
+   */
+  router.get("/ip-rules", (req, res) => {
+    res.json({ success: true, ...listRules() });
+  });
+
+  /**
+   * Reads and checks the `list` and `cidr` fields of an ip-rules request
+   * @param {express.Request} req
+   * @returns {{list: string, cidr: string}} `cidr` in its canonical form (see `parseCidr`)
+   * @throws {HttpError} 400 if a field is missing or invalid
+   */
+  const ruleTarget = (req) => {
+    const { list, cidr } = req.body || {};
+    if (!LISTS.includes(list) || !cidr) {
+      throw new HttpError(400, `Provide list (${LISTS.join(", ")}) and cidr in request body.`);
+    }
+    try {
+      return { list, cidr: parseCidr(cidr).cidr };
+    } catch (err) {
+      throw new HttpError(400, err.message, { code: "INVALID_CIDR" });
+    }
+  };
+
+  /**
+   * POST /admin/ip-rules
+   * @name POST /admin/ip-rules
+   * @description Adds an address or CIDR range (IPv4 or IPv6) to the allow or
+   * deny list. Allowed IPs are never counted nor banned, denied IPs get a 403
+   * on every route. The change is saved to config/ip-rules.json.
+   * @route {POST} /admin/ip-rules
+   * @bodyParam {string} list - `allow` or `deny` (required)
+   * @bodyParam {string} cidr - Address or range, e.g. `203.0.113.0/24` or `2001:db8::/32` (required)
+   * @bodyParam {string} [note] - Why the rule exists
+   * @returns {Object} JSON response with the rule
+   * @example
+   * // Request body
+   * {
+   *   "list": "allow",
+   *   "cidr": "203.0.113.0/24",
+   *   "note": "WhatsApp bot servers"
+   * }
+   */
+  router.post("/ip-rules", (req, res) => {
+    const { list, cidr } = ruleTarget(req);
+    const rule = addRule(list, cidr, { note: req.body.note });
+    res.json({ success: true, list, rule });
+  });
+
+  /**
+   * DELETE /admin/ip-rules
+   * @name DELETE /admin/ip-rules
+   * @description Removes a rule from the allow or deny list.
+   * @route {DELETE} /admin/ip-rules
+   * @bodyParam {string} list - `allow` or `deny` (required)
+   * @bodyParam {string} cidr - Address or range; host bits are ignored, so `10.0.0.5/8` removes `10.0.0.0/8` (required)
+   * @returns {Object} JSON response indicating success or failure
+   */
+  router.delete("/ip-rules", (req, res) => {
+    const { list, cidr } = ruleTarget(req);
+    if (!removeRule(list, cidr)) {
+      throw new HttpError(404, `${cidr} not found in the ${list} list.`, { code: "IP_RULE_NOT_FOUND" });
+    }
+    res.json({ success: true, message: `${cidr} removed from the ${list} list.` });
+  });
+
+  /**
+   * GET /admin/keys
+   * @name GET /admin/keys
+   * @description Lists the API keys, newest first, and the tiers they can be
+   * issued with. Keys are stored hashed: only their `prefix` is shown.
+   * @route {GET} /admin/keys
+   * @queryParam {string} [tier] - Only keys of this tier
+   * @queryParam {string} [status] - `active` or `revoked`
+   * @queryParam {number} [page=1]
+   * @queryParam {number} [limit=50] - Up to 500
+   * @returns {Object} JSON response with `tiers`, `total` and the `keys` of the page
+   * @example
+   * // Response
+   * {
+   *   "success": true,
+   *   "tiers": { "free": { "name": "free", "rateLimit": {...}, "quota": {...}, "categories": [...] } },
+   *   "total": 1,
+   *   "page": 1,
+   *   "limit": 50,
+   *   "keys": [
+   *     {
+   *       "id": "3f9a1c2b7d4e",
+   *       "name": "whatsapp-bot",
+   *       "tier": "basic",
+   *       "prefix": "ak_Qm9zLx",
+   *       "createdAt": "2025-01-01T12:00:00.000Z",
+   *       "createdBy": "alice",
+   *       "revokedAt": null,
+   *       "revokedBy": null
+   *     }
+   *   ]
+   * }
+   */
+  router.get("/keys", asyncHandler(async (req, res) => {
+    const { tier, status } = req.query;
+    const { page, limit } = pageQuery(req.query);
+    if (status !== undefined && !["active", "revoked"].includes(status)) {
+      throw new HttpError(400, "status must be active or revoked.");
+    }
+
+    const keys = (await listKeys())
+      .filter((key) => !tier || key.tier === tier)
+      .filter((key) => !status || (status === "revoked") === (key.revokedAt !== null));
+
+    res.json({
+      success: true,
+      tiers: listTiers(),
+      total: keys.length,
+      page,
+      limit,
+      keys: keys.slice((page - 1) * limit, page * limit),
+    });
+  }));
+
+  /**
+   * POST /admin/keys
+   * @name POST /admin/keys
+   * @description Issues an API key. The key is only returned by this call:
+   * data/api-keys.json keeps its hash.
+   * @route {POST} /admin/keys
+   * @bodyParam {string} name - Who or what the key is for (required)
+   * @bodyParam {string} tier - Tier of the key, see config/api-tiers.json (required)
+   * @returns {Object} JSON response with the `key` and its `record`
+   * @example
+   * // Request body
+   * {
+   *   "name": "whatsapp-bot",
+   *   "tier": "basic"
+   * }
+   *
+   * // Response
+   * {
+   *   "success": true,
+   *   "key": "ak_Qm9zLx...",
+   *   "record": { "id": "3f9a1c2b7d4e", "name": "whatsapp-bot", "tier": "basic", ... }
+   * }
+   */
+  router.post("/keys", asyncHandler(async (req, res) => {
+    const { name, tier } = req.body || {};
+    if (typeof name !== "string" || !name.trim() || name.length > 100) {
+      throw new HttpError(400, "Provide a name of up to 100 characters in request body.");
+    }
+    if (!tier || !listTiers()[tier]) {
+      throw new HttpError(400, `Provide a tier in request body: ${Object.keys(listTiers()).join(", ")}.`, {
+        code: "UNKNOWN_TIER",
+      });
+    }
+
+    const issued = await issueKey({ name: name.trim(), tier, by: req.get("X-Admin-User") || "admin" });
+    res.status(201).json({ success: true, ...issued });
+  }));
+
+  /**
+   * DELETE /admin/keys/:id
+   * @name DELETE /admin/keys/:id
+   * @description Revokes an API key. Requests sending it get a 401
+   * `API_KEY_REVOKED` from then on; the record is kept.
+   * @route {DELETE} /admin/keys/:id
+   * @returns {Object} JSON response with the revoked `record`
+   */
+  router.delete("/keys/:id", asyncHandler(async (req, res) => {
+    const record = await revokeKey(req.params.id, req.get("X-Admin-User") || "admin");
+    if (!record) throw new HttpError(404, `API key ${req.params.id} not found.`, { code: "API_KEY_NOT_FOUND" });
+    res.json({ success: true, record });
+  }));
+
+  /**
+   * GET /admin/usage
+   * @name GET /admin/usage
+   * @description Exports the metered usage per consumer, day and endpoint,
+   * for billing. Requests without an API key are counted together as `anonymous`.
+   * @route {GET} /admin/usage
+   * @queryParam {string} [from] - First day, `YYYY-MM-DD` (default: first day of the month)
+   * @queryParam {string} [to] - Last day, `YYYY-MM-DD` (default: today)
+   * @queryParam {string} [key] - Only this API key id, or `anonymous`
+   * @queryParam {string} [format=json] - `json` or `csv`
+   * @returns {Object|string} JSON response with the usage `rows`, or a CSV attachment.
+   * With the memory store, which loses the usage on restart, the JSON response
+   * has a `warning` and the CSV a `Warning` header.
+   * @example
+   * // GET /admin/usage?from=2025-01-01&to=2025-01-31&format=csv
+   * date,consumer,keyName,tier,route,requests,errors,bytes,renderSeconds
+   * 2025-01-15,key:3f9a1c2b7d4e,whatsapp-bot,basic,/api/canvas/attp,40,0,9120345,61.2
+   */
+  router.get("/usage", asyncHandler(async (req, res) => {
+    const { key, format = "json" } = req.query;
+    const { from, to } = usageRange(req.query);
+    if (!["json", "csv"].includes(format)) throw new HttpError(400, "format must be json or csv.");
+    if (key !== undefined && (typeof key !== "string" || !key)) throw new HttpError(400, "key must be an API key id or anonymous.");
+
+    const consumer = key === undefined ? undefined : key === "anonymous" ? key : `key:${key}`;
+    const keys = new Map((await listKeys()).map((record) => [`key:${record.id}`, record]));
+    const rows = (await readUsage({ consumer, from, to })).map((row) => ({
+      ...row,
+      keyName: keys.get(row.consumer)?.name ?? null,
+      tier: keys.get(row.consumer)?.tier ?? null,
+    }));
+
+    // Memory store: usage hilang saat restart, export-nya tidak lengkap
+    const warning = rateLimiter.store.name === "memory" ? MEMORY_STORE_WARNING : undefined;
+    if (warning) {
+      logger.warn(`Usage exported from the memory store: ${warning}`);
+      res.set("Warning", `199 - "${warning}"`);
+    }
+
+    if (format === "csv") {
+      return res.type("text/csv").attachment(`usage-${from}-${to}.csv`).send(usageToCsv(rows));
+    }
+    res.json({ success: true, from, to, total: rows.length, warning, rows });
+  }));
+
+  /**
+   * GET /admin/endpoints
+   * @name GET /admin/endpoints
+   * @description Lists every loaded endpoint with its availability.
+   * @route {GET} /admin/endpoints
+   * @returns {Object} JSON response with an `endpoints` array
+   */
+  router.get("/endpoints", (req, res) => {
+    const endpoints = registry.list().map((ep) => ({
+      name: ep.name,
+      route: ep.route,
+      alias: ep.alias,
+      plugin: ep.plugin,
+      ...getStatus(ep.route),
+    }));
+    res.json({ success: true, endpoints });
+  });
+
+  /**
+   * GET /admin/diagnostics
+   * @name GET /admin/diagnostics
+   * @description Reports endpoint files that failed to load, routes served by
+   * more than one endpoint and shape warnings of the loaded ones. Stack traces
+   * are omitted in production.
+   * @route {GET} /admin/diagnostics
+   * @returns {Object} JSON response with the load report
+   * @example
+   * // Response
+   * {
+   *   "success": true,
+   *   "loaded": 24,
+   *   "failed": 1,
+   *   "failures": [
+   *     {
+   *       "file": "/app/api/ai/broken.js",
+   *       "error": "Invalid endpoint module: unknown method \"FETCH\" in methods",
+   *       "issues": ["unknown method \"FETCH\" in methods"],
+   *       "at": "2025-01-01T12:00:00.000Z"
+   *     }
+   *   ],
+   *   "collisions": [
+   *     {
+   *       "route": "/api/canvas/ttp",
+   *       "methods": ["GET"],
+   *       "servedBy": "/app/api/canvas/ttp.js",
+   *       "shadowed": ["canvas-endpoints:ttp"]
+   *     }
+   *   ],
+   *   "warnings": [
+   *     { "file": "/app/api/tools/ping.js", "route": "/api/tools/ping", "warnings": ["missing description"] }
+   *   ]
+   * }
+   */
+  router.get("/diagnostics", (req, res) => {
+    res.json({ success: true, ...registry.diagnostics() });
+  });
+
+  /**
+   * POST /admin/endpoints/status
+   * @name POST /admin/endpoints/status
+   * @description Disables an endpoint, puts it in maintenance or enables it again.
+   * Disabled endpoints answer 503 with the given message. The change is saved
+   * to config/endpoints.json.
+   * @route {POST} /admin/endpoints/status
+   * @bodyParam {string} route - Endpoint route or unversioned alias (required)
+   * @bodyParam {string} status - `enabled`, `disabled` or `maintenance` (required)
+   * @bodyParam {string} [message] - Message returned to callers
+   * @bodyParam {string} [until] - ISO date at which maintenance ends
+   * @returns {Object} JSON response with the new status
+   * @example
+   * // Request body
+   * {
+   *   "route": "/api/ai/gpt",
+   *   "status": "maintenance",
+   *   "message": "Upstream chateverywhere.app is down",
+   *   "until": "2025-01-01T12:00:00Z"
+   * }
+   */
+  router.post("/endpoints/status", (req, res) => {
+    const { route, status, message, until } = req.body || {};
+
+    if (!route || !STATUSES.includes(status)) {
+      throw new HttpError(400, `Provide route and status (${STATUSES.join(", ")}) in request body.`);
+    }
+
+    if (until && Number.isNaN(new Date(until).getTime())) {
+      throw new HttpError(400, "until must be a valid date.");
+    }
+
+    const endpoint = registry.list().find((ep) => ep.route === route || ep.alias === route);
+    if (!endpoint) {
+      throw new HttpError(404, `Endpoint ${route} not found.`, { code: "ENDPOINT_NOT_FOUND" });
+    }
+
+    const result = setStatus(endpoint.route, status, { message, until });
+    res.json({ success: true, route: endpoint.route, ...result });
+  });
+
+  return router;
+}
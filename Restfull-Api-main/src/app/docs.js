@@ -0,0 +1,147 @@
+import express from "express";
+import path from "path";
+
+import buildOpenApiDocument from "../generators/openapi.js";
+import buildPostmanCollection from "../generators/postman.js";
+import buildHttpFile from "../generators/httpFile.js";
+import buildSdk from "../generators/sdk.js";
+import { getStatus } from "../utils/endpointStatus.js";
+import { API_VERSION } from "../utils/config.js";
+
+/**
+ * Title and description shown by the documentation
+ * @constant {Object}
+ */
+export const API_INFO = {
+  title: "InuSoft API's.",
+  description: "Welcome to the API documentation. This interactive interface allows you to explore and test our API endpoints in real-time.",
+};
+
+/**
+ * Returns the base URL the request was made to
+ * @function baseURLOf
+ * @param {express.Request} req
+ * @returns {string} e.g. `http://localhost:3000`
+ */
+export function baseURLOf(req) {
+  return `${req.protocol}://${req.get("host")}`;
+}
+
+/**
+ * Creates the router serving the generated API documents
+ * @function createDocsRouter
+ * @param {EndpointRegistry} registry - Registry holding the currently loaded endpoints
+ * @returns {express.Router} Router to mount at `/`
+ *
+ * @description
+ * Documents are built on every request, so they follow hot-reloaded endpoints.
+ *
+ * @example
+ * app.use(createDocsRouter(endpointRegistry));
+ */
+export default function createDocsRouter(registry) {
+  const router = express.Router();
+
+  /**
+   * GET /openapi.json
+   * @name GET /openapi.json
+   * @description Returns the OpenAPI 3.1 document of all loaded endpoints,
+   * usable by Swagger UI, Postman, openapi-generator...
+   * @route {GET} /openapi.json
+   * @returns {Object} OpenAPI document
+   */
+  router.get("/openapi.json", (req, res) => {
+    const document = buildOpenApiDocument(registry.list(), {
+      ...API_INFO,
+      version: API_VERSION,
+      baseURL: baseURLOf(req),
+    });
+
+    // Sent as-is: the response formatter would add fields the spec does not allow
+    res.type("application/json").send(JSON.stringify(document, null, 2));
+  });
+
+  /**
+   * GET /postman.json
+   * @name GET /postman.json
+   * @description Downloads a Postman v2.1 collection of all loaded endpoints,
+   * grouped by category, with example values and multipart bodies for file params
+   * @route {GET} /postman.json
+   * @returns {file} `inusoft-api.postman_collection.json`
+   */
+  router.get("/postman.json", (req, res) => {
+    const collection = buildPostmanCollection(registry.list(), { ...API_INFO, baseURL: baseURLOf(req) });
+
+    res.attachment("inusoft-api.postman_collection.json");
+    res.type("application/json").send(JSON.stringify(collection, null, 2));
+  });
+
+  /**
+   * GET /requests.http
+   * @name GET /requests.http
+   * @description Downloads a `.http` file of all loaded endpoints for the
+   * VS Code REST Client or the JetBrains HTTP Client
+   * @route {GET} /requests.http
+   * @returns {file} `inusoft-api.http`
+   */
+  router.get("/requests.http", (req, res) => {
+    res.attachment("inusoft-api.http");
+    res.type("text/plain").send(buildHttpFile(registry.list(), { ...API_INFO, baseURL: baseURLOf(req) }));
+  });
+
+  /**
+   * GET /sdk/client.js, GET /sdk/client.d.ts
+   * @name GET /sdk/:file
+   * @description Returns the generated ESM client of the API and its
+   * TypeScript declarations, pointing at the host the request was made to
+   * @route {GET} /sdk/client.js
+   * @route {GET} /sdk/client.d.ts
+   * @returns {file} JavaScript module or declaration file
+   * @example
+   * // curl -o client.js http://localhost:3000/sdk/client.js
+   */
+  router.get(["/sdk/client.js", "/sdk/client.d.ts"], (req, res) => {
+    const files = buildSdk(registry.list(), { ...API_INFO, baseURL: baseURLOf(req) });
+    const name = path.basename(req.path);
+
+    res.type(name.endsWith(".d.ts") ? "application/typescript" : "text/javascript").send(files[name]);
+  });
+
+  /**
+   * GET /endpoints.json
+   * @name GET /endpoints.json
+   * @description Returns the endpoint list used by the bundled documentation page (public/index.html)
+   * @route {GET} /endpoints.json
+   * @returns {Object} JSON response containing API documentation
+   * @returns {string} returns.title - API title
+   * @returns {string} returns.description - API description
+   * @returns {string} returns.baseURL - Base URL of the API
+   * @returns {Array<Object>} returns.endpoints - Array of endpoint objects with enriched URL information
+   */
+  router.get("/endpoints.json", (req, res) => {
+    const baseURL = baseURLOf(req);
+
+    /**
+     * Enriches endpoints with full URL information including query parameters
+     * @type {Array<Object>}
+     */
+    const enrichedEndpoints = registry.list().map((ep) => {
+      let url = baseURL + ep.route;
+      const queryParams = (ep.params || []).filter((p) => ep.paramsSchema[p]?.in !== "path");
+      if (queryParams.length > 0) {
+        const query = queryParams.map((p) => `${p}=YOUR_${p.toUpperCase()}`).join("&");
+        url += "?" + query;
+      }
+      const { status, message } = getStatus(ep.route);
+      return { ...ep, url, available: status === "enabled", status, statusMessage: message };
+    });
+
+    res.status(200).json({
+      ...API_INFO,
+      baseURL,
+      endpoints: enrichedEndpoints,
+    });
+  });
+
+  return router;
+}
@@ -8,10 +8,21 @@ import { fileURLToPath } from "url";
 
 import logger from "../utils/logger.js";
 import logApiRequest from "../utils/logApiRequest.js";
-import loadEndpoints from "../utils/loader.js";
+import loadEndpoints, { watchEndpoints } from "../utils/loader.js";
+import endpointRegistry from "../utils/endpointRegistry.js";
 import setupMiddleware from "../middleware/index.js";
 import setupResponseFormatter from "./responseFormatter.js";
-import rateLimiter from '../middleware/rateLimiter.js';
+import createAdminRouter from "./admin.js";
+import createDocsRouter from "./docs.js";
+import createMeRouter from "./me.js";
+import errorHandler, { notFoundHandler } from "../middleware/errorHandler.js";
+import requestId from "../middleware/requestId.js";
+import rateLimiter from "../middleware/rateLimiter.js";
+import { hasAdminKey } from "../middleware/adminAuth.js";
+import { HttpError } from "../utils/errors.js";
+import { readPluginConfig } from "../utils/plugins.js";
+import { listRules } from "../utils/ipRules.js";
+import { MEMORY_STORE_WARNING } from "../utils/usage.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -29,104 +40,115 @@ const upload = multer({ storage });
  */
 const app = express();
 
-// Configure application settings
-app.set("trust proxy", true);
+/**
+ * Converts `TRUST_PROXY` to the `trust proxy` setting of Express
+ * @function trustProxySetting
+ * @param {string} [value="loopback"] - `true` (every proxy), `false`, a number of hops or a
+ * comma-separated list of addresses and subnets, e.g. `loopback, 10.0.0.0/8`. The default
+ * only trusts a proxy on the same machine.
+ * @returns {boolean|number|string}
+ */
+function trustProxySetting(value = "loopback") {
+  if (value === "true" || value === "false") return value === "true";
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+}
+
+// Configure application settings. req.ip (used by the rate limiter) is read
+// from X-Forwarded-For through the trusted proxies only
+app.set("trust proxy", trustProxySetting(process.env.TRUST_PROXY));
+
+// Dengan TRUST_PROXY=true setiap client bisa memakai IP allowlist lewat X-Forwarded-For
+if (process.env.TRUST_PROXY === "true" && listRules().allow.length > 0) {
+  logger.warn("TRUST_PROXY=true trusts X-Forwarded-For from any client: allow rules, deny rules and bans can be bypassed. List your proxies instead.");
+}
+if (rateLimiter.store.name === "memory") logger.warn(MEMORY_STORE_WARNING);
 app.set("json spaces", 2);
 
-// Initialize middleware and response formatter
-setupMiddleware(app);
+// Initialize request ids, response formatter and middleware. The request id
+// comes first so that every log line and response carries it, then the
+// formatter so that errors raised by the middleware (rate limit, malformed
+// body) are formatted too
+app.use(requestId);
 setupResponseFormatter(app);
+setupMiddleware(app);
+
+/**
+ * Root directory of the API endpoint files
+ * @constant {string}
+ */
+const API_DIR = path.join(process.cwd(), "api");
+
+/**
+ * Whether endpoint files are watched and hot-reloaded (development only)
+ * @constant {boolean}
+ */
+const HOT_RELOAD = process.env.HOT_RELOAD === "true";
 
 /**
- * Array to store all loaded API endpoints
- * @type {Array<Object>}
+ * Whether the server refuses to start when an endpoint file fails to load
+ * @constant {boolean}
  */
-let allEndpoints = [];
+const STRICT_ENDPOINTS = process.env.STRICT_ENDPOINTS === "true";
 
 /**
  * Initializes the API server by loading endpoints and setting up routes
  * @async
  * @function initializeAPI
  * @returns {Promise<void>}
+ * @description Loads `api/` and the plugins listed in config/plugins.json. In
+ * strict mode (`STRICT_ENDPOINTS=true`) the process exits if any endpoint file
+ * fails to load or two endpoints serve the same route.
  */
 (async function initializeAPI() {
   logger.info("Starting server initialization...");
   logger.info("Loading API endpoints...");
 
-  allEndpoints = (await loadEndpoints(path.join(process.cwd(), "api"), app)) || [];
+  let endpoints;
+  try {
+    endpoints = await loadEndpoints(API_DIR, app, {
+      plugins: readPluginConfig(),
+      strict: STRICT_ENDPOINTS,
+    });
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+
+  logger.ready(`Loaded ${endpoints.length} endpoints`);
 
-  logger.ready(`Loaded ${allEndpoints.length} endpoints`);
+  setupRoutes(app, endpointRegistry);
 
-  setupRoutes(app, allEndpoints);
+  if (HOT_RELOAD) watchEndpoints(API_DIR);
 })();
 
 /**
  * Sets up all routes for the Express application including API documentation and error handling
  * @function setupRoutes
  * @param {express.Application} app - The Express application instance
- * @param {Array<Object>} endpoints - Array of endpoint objects containing route information
+ * @param {EndpointRegistry} registry - Registry holding the currently loaded endpoints
  */
-function setupRoutes(app, endpoints) {
+function setupRoutes(app, registry) {
   /**
-   * GET /openapi.json
-   * @name GET /openapi.json
-   * @description Returns OpenAPI specification with all available endpoints
-   * @route {GET} /openapi.json
-   * @param {express.Request} req - Express request object
-   * @param {express.Response} res - Express response object
-   * @returns {Object} JSON response containing API documentation
-   * @returns {string} returns.title - API title
-   * @returns {string} returns.description - API description
-   * @returns {string} returns.baseURL - Base URL of the API
-   * @returns {Array<Object>} returns.endpoints - Array of endpoint objects with enriched URL information
+   * Documentation routes (/openapi.json, /postman.json, /requests.http, /sdk/client.js, /endpoints.json)
+   * @see createDocsRouter
    */
-  app.get("/openapi.json", (req, res) => {
-    const baseURL = `${req.protocol}://${req.get("host")}`;
-    
-    /**
-     * Enriches endpoints with full URL information including query parameters
-     * @type {Array<Object>}
-     */
-    const enrichedEndpoints = endpoints.map((ep) => {
-      let url = baseURL + ep.route;
-      if (ep.params && ep.params.length > 0) {
-        const query = ep.params.map((p) => `${p}=YOUR_${p.toUpperCase()}`).join("&");
-        url += "?" + query;
-      }
-      return { ...ep, url };
-    });
+  app.use(createDocsRouter(registry));
 
-    res.status(200).json({
-      title: "InuSoft API's.",
-      description: "Welcome to the API documentation. This interactive interface allows you to explore and test our API endpoints in real-time.",
-      baseURL,
-      endpoints: enrichedEndpoints,
-    });
-  });
+  /**
+   * Admin routes (/admin/unban, /admin/endpoints...)
+   * Requests with a wrong or missing admin key are rate limited (against key
+   * guessing), those of the admin are not.
+   * @see createAdminRouter
+   */
+  const limitAdmin = rateLimiter.limit();
+  app.use("/admin", (req, res, next) => (hasAdminKey(req) ? next() : limitAdmin(req, res, next)), createAdminRouter(registry));
 
   /**
-   * POST /admin/unban
-   * @name POST /admin/unban
-   * @description Unbans a previously blocked IP address. Requires valid admin key.
-   * @route {POST} /admin/unban
-   * @param {express.Request} req - Express request object containing `ip` in body or query
-   * @param {express.Response} res - Express response object
-   * @bodyParam {string} ip - The IP address to unban (required)
-   * @header {string} X-Admin-Key - Admin key for authentication
-   * @returns {Object} JSON response indicating success or failure
-   * @example
-   * // Request body
-   * {
-   *   "ip": "1.2.3.4"
-   * }
-   * 
-   * // Response
-   * {
-   *   "success": true,
-   *   "message": "IP 1.2.3.4 unbanned."
-   * }
+   * Routes of API key holders (/api/me/usage)
+   * @see createMeRouter
    */
-  app.post("/admin/unban", express.json(), rateLimiter.adminUnbanHandler);
+  app.use("/api/me", createMeRouter());
   
   /**
    * GET /
@@ -148,9 +170,9 @@ function setupRoutes(app, endpoints) {
    * @param {Buffer} file - File binary dikirim lewat form-data field "file"
    * @returns {Object} JSON berisi URL akses file
    */
-  app.post("/files/upload", upload.single("file"), (req, res) => {
+  app.post("/files/upload", rateLimiter.limit(), upload.single("file"), (req, res) => {
     if (!req.file) {
-      return res.status(400).json({ success: false, message: "No file uploaded" });
+      throw new HttpError(400, "No file uploaded", { code: "FILE_REQUIRED" });
     }
     // create random hex name
     const randomName = crypto.randomBytes(16).toString("hex") + path.extname(req.file.originalname);
@@ -171,13 +193,20 @@ function setupRoutes(app, endpoints) {
    * @route {GET} /files/:filename
    * @returns {file} Sending the requested files
    */
-  app.get("/files/:filename", (req, res) => {
+  app.get("/files/:filename", rateLimiter.limit(), (req, res) => {
       const filePath = path.join(uploadDir, req.params.filename);
       if (!fs.existsSync(filePath)) {
-        return res.status(404).json({ message: "File not found or expired" });
+        throw new HttpError(404, "File not found or expired", { code: "FILE_NOT_FOUND" });
       }
       res.sendFile(filePath);
   });
+
+  /**
+   * Unknown routes (counted against the rate limit) and the error handler, registered last
+   * @see errorHandler
+   */
+  app.use(rateLimiter.limit(), notFoundHandler);
+  app.use(errorHandler);
 }
 
 export default app;
\ No newline at end of file
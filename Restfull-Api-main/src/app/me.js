@@ -0,0 +1,82 @@
+import express from "express";
+
+import { identifyApiKey, rejectInvalidApiKey } from "../middleware/apiKeyAuth.js";
+import rateLimiter, { getQuotaUsage } from "../middleware/rateLimiter.js";
+import { consumerOf, readUsage, usageRange } from "../utils/usage.js";
+import { HttpError } from "../utils/errors.js";
+import { asyncHandler } from "../utils/composeHandlers.js";
+
+/**
+ * Creates the router serving the `/api/me` routes, where API key holders
+ * read their own data
+ * @function createMeRouter
+ * @returns {express.Router} Router to mount at `/api/me`
+ *
+ * @description
+ * Every route requires an API key (`X-API-Key` header or `apikey` query
+ * param) and counts against its rate limit, but not against its quotas.
+ *
+ * @example
+ * app.use("/api/me", createMeRouter());
+ */
+export default function createMeRouter() {
+  const router = express.Router();
+
+  router.use(identifyApiKey, rateLimiter.limit(), rejectInvalidApiKey, (req, res, next) => {
+    if (req.apiKey) return next();
+    next(new HttpError(401, "This route requires an API key, sent in the X-API-Key header or the apikey query param.", {
+      code: "API_KEY_REQUIRED",
+    }));
+  });
+
+  /**
+   * GET /api/me/usage
+   * @name GET /api/me/usage
+   * @description Usage of the caller's API key per day and endpoint, and the
+   * state of its quotas.
+   * @route {GET} /api/me/usage
+   * @queryParam {string} [from] - First day, `YYYY-MM-DD` (default: first day of the month)
+   * @queryParam {string} [to] - Last day, `YYYY-MM-DD` (default: today)
+   * @header {string} X-API-Key - API key
+   * @returns {Object} JSON response with `totals` and one `usage` row per day and endpoint
+   * @example
+   * // GET /api/me/usage?from=2025-01-01&to=2025-01-31
+   * {
+   *   "success": true,
+   *   "key": { "id": "3f9a1c2b7d4e", "name": "whatsapp-bot", "tier": "basic" },
+   *   "from": "2025-01-01",
+   *   "to": "2025-01-31",
+   *   "quota": {
+   *     "daily": { "limit": 5000, "used": 41, "resetsAt": "2025-01-16T00:00:00.000Z" },
+   *     "monthly": { "limit": 100000, "used": 1730, "resetsAt": "2025-02-01T00:00:00.000Z" }
+   *   },
+   *   "totals": { "requests": 1730, "errors": 12, "bytes": 48213377, "renderSeconds": 402.5 },
+   *   "usage": [
+   *     { "date": "2025-01-15", "route": "/api/canvas/attp", "requests": 40, "errors": 0, "bytes": 9120345, "renderSeconds": 61.2 }
+   *   ]
+   * }
+   */
+  router.get("/usage", asyncHandler(async (req, res) => {
+    const { from, to } = usageRange(req.query);
+    const { id, name, tier } = req.apiKey;
+
+    const rows = await readUsage({ consumer: consumerOf(req), from, to });
+    const totals = { requests: 0, errors: 0, bytes: 0, renderSeconds: 0 };
+    for (const row of rows) {
+      for (const metric of Object.keys(totals)) totals[metric] += row[metric];
+    }
+    totals.renderSeconds = Math.round(totals.renderSeconds * 1000) / 1000;
+
+    res.json({
+      success: true,
+      key: { id, name, tier },
+      from,
+      to,
+      quota: await getQuotaUsage(id, req.apiTier.quota),
+      totals,
+      usage: rows.map(({ consumer, ...row }) => row),
+    });
+  }));
+
+  return router;
+}
@@ -1,6 +1,10 @@
+import { FORMATS, negotiateFormat, notAcceptable } from "../utils/serializers.js";
+import { assignRequestId } from "../utils/requestContext.js";
+import { ENVELOPE, wrapBody } from "../utils/envelope.js";
+
 /**
  * Sets up a custom response formatter middleware that wraps all JSON responses
- * with a standardized format including status codes, timestamps, and attribution
+ * in the envelope configured in `config/envelope.json`
  * @function setupResponseFormatter
  * @param {express.Application} app - The Express application instance
  * @returns {void}
@@ -13,29 +17,44 @@
  * 
  * @description
  * This middleware intercepts all JSON responses and wraps them in a consistent format.
- * It adds status codes, timestamps for successful responses, and attribution information.
- * The middleware modifies the res.json() method to automatically format responses.
+ * Success and error responses get the same envelope fields (see utils/envelope.js):
+ * status code, success flag, request id, timestamp, attribution and optional meta, each of
+ * which can be renamed or turned off. The middleware modifies the res.json()
+ * method to automatically format responses.
+ *
+ * Endpoints can change the envelope of their route with the `envelope` module
+ * option (stored in `res.locals.envelope`); `envelope: false` sends the
+ * handler's JSON as-is. Errors answered by the error handler always keep an envelope.
+ *
+ * The envelope is sent in the format negotiated with `?format=` or `Accept`
+ * (JSON, XML, YAML or MessagePack, see utils/serializers.js). An unsupported
+ * `?format=` is refused here, and an unacceptable `Accept` by the endpoint's
+ * handler chain (see composeHandlers.js), with a 406 `NOT_ACCEPTABLE` before
+ * any work is done. Error responses the client cannot accept are sent as JSON
+ * with their own status; a successful JSON response on a route that did not
+ * negotiate becomes a JSON 406.
  * 
  * @middleware
- * @order Should be applied after route handlers but before error handling middleware
+ * @order Should be applied before any other middleware, so that their responses are formatted too
  * 
  * @responseFormat
- * For successful responses (200-299):
+ * With the default configuration:
  * {
  *   statusCode: number,
+ *   success: boolean,
+ *   ...originalData,
  *   timestamp: string,
- *   attribution: string,
- *   ...originalData
- * }
- * 
- * For error responses (300+):
- * {
- *   statusCode: number,
- *   ...originalData
+ *   attribution: string
  * }
  */
 export default function setupResponseFormatter(app) {
   app.use((req, res, next) => {
+    /**
+     * Start of the request, for the `processingTime` meta
+     * @type {bigint}
+     */
+    const startedAt = process.hrtime.bigint();
+
     /**
      * Store the original res.json method for later invocation
      * @type {Function}
@@ -50,53 +69,68 @@ export default function setupResponseFormatter(app) {
      * 
      * @override
      * @description
-     * Wraps the response data in a standardized format that includes:
-     * - statusCode: The HTTP status code from the response
-     * - timestamp: ISO timestamp (only for successful responses)
-     * - attribution: Developer attribution (only for successful responses)
-     * - Original response data is spread into the response object
+     * Wraps the response data in the envelope of the route, unless the route
+     * opted out with `envelope: false`.
      */
     res.json = function (data) {
-      // Only format if data is an object (not null, array, or primitive)
-      if (data && typeof data === "object") {
-        /**
-         * Get the current status code or default to 200
-         * @type {number}
-         */
-        const statusCode = res.statusCode || 200;
-        
-        /**
-         * Base response object with status code and original data
-         * @type {Object}
-         */
-        const responseData = {
-          statusCode,
-          ...data,
-        };
+      const options = res.locals.envelope ?? ENVELOPE;
 
-        // Add additional fields only for successful responses (2xx status codes)
-        if (statusCode >= 200 && statusCode < 300) {
-          /**
-           * ISO timestamp of when the response was generated
-           * @type {string}
-           */
-          responseData.timestamp = new Date().toISOString();
-          
-          /**
-           * Developer attribution credit
-           * @type {string}
-           */
-          responseData.attribution = "@synshin9";
-        }
-
-        // Call the original json method with the formatted data
-        return originalJson.call(this, responseData);
+      // Only format if data is an object (not null, array, or primitive)
+      if (options && data && typeof data === "object" && !Array.isArray(data)) {
+        return send.call(this, wrap(data, options));
       }
       
-      // For non-object data, use the original json method unchanged
-      return originalJson.call(this, data);
+      // For raw routes and non-object data, send it unchanged
+      return send.call(this, data);
     };
+
+    /**
+     * Wraps a body in an envelope
+     * @function wrap
+     * @param {Object} data - Body passed to `res.json()`
+     * @param {Object} options - Envelope configuration
+     * @returns {Object}
+     */
+    function wrap(data, options) {
+      return wrapBody(data, options, {
+        statusCode: res.statusCode || 200,
+        requestId: assignRequestId(req),
+        startedAt,
+      });
+    }
+
+    /**
+     * Sends a body in the format the client asked for
+     * @function send
+     * @param {*} body - Formatted response body
+     * @returns {express.Response}
+     */
+    function send(body) {
+      res.vary("Accept");
+      const format = negotiateFormat(req);
+
+      if (!format) {
+        res.locals.responseFormat = "json";
+        // Error tetap dikirim dengan status aslinya, dalam JSON
+        if (res.statusCode >= 400) return originalJson.call(this, body);
+
+        const { status, message, code, details } = notAcceptable();
+        res.status(status);
+        return originalJson.call(this, wrap({ error: message, code, requestId: assignRequestId(req), details }, ENVELOPE));
+      }
+
+      res.locals.responseFormat = format;
+      if (format === "json") return originalJson.call(this, body);
+
+      res.type(FORMATS[format].types[0]);
+      return res.send(FORMATS[format].serialize(body));
+    }
     
+    // An unknown ?format= is refused (406) before the endpoint does any work
+    if (req.path.startsWith("/api/") && typeof req.query.format === "string" && !negotiateFormat(req)) {
+      return next(notAcceptable());
+    }
+
     // Proceed to the next middleware
     next();
   });
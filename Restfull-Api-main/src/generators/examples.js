@@ -0,0 +1,90 @@
+/**
+ * @file Example values for generated requests
+ * @module generators/examples
+ */
+
+/**
+ * Returns whether a paramsSchema rule provides its own example
+ * @function hasExample
+ * @param {Object} [rule={}] - Rule as declared in `paramsSchema`
+ * @returns {boolean} True when `example`, `examples` or `default` is set
+ */
+export function hasExample(rule = {}) {
+  return rule.example !== undefined || Array.isArray(rule.examples) || rule.default !== undefined;
+}
+
+/**
+ * Picks an example value for a param
+ * @function exampleValue
+ * @param {string} name - Param name
+ * @param {Object} [rule={}] - Rule as declared in `paramsSchema`
+ * @returns {*} `example`, the first of `examples`, `default`, the first enum
+ * value, or a placeholder matching the type
+ *
+ * @example
+ * exampleValue("text", { type: "string", examples: ["Hello"] }); // "Hello"
+ * exampleValue("prompt", { default: "gpt-4" });                  // "gpt-4"
+ * exampleValue("text", { required: true });                      // "YOUR_TEXT"
+ */
+export function exampleValue(name, rule = {}) {
+  if (rule.example !== undefined) return rule.example;
+  if (Array.isArray(rule.examples) && rule.examples.length > 0) return rule.examples[0];
+  if (rule.default !== undefined) return rule.default;
+
+  switch (rule.type) {
+    case "enum":
+      return (rule.enum || rule.values)[0];
+    case "number":
+    case "integer":
+      return rule.min ?? 1;
+    case "boolean":
+      return true;
+    default:
+      return `YOUR_${name.toUpperCase()}`;
+  }
+}
+
+/**
+ * Splits the params of an endpoint by where a request sends them
+ * @function requestParams
+ * @param {Object} ep - Endpoint metadata from the registry
+ * @param {string} method - HTTP method of the request
+ * @returns {{path: Array<string>, query: Array<string>, body: Array<string>, files: Array<string>}}
+ *
+ * @description
+ * Mirrors validateParams.js: path params come from the route, GET-like
+ * methods read the query string, others the body (multipart when a param is
+ * a `file`).
+ */
+export function requestParams(ep, method) {
+  const schema = ep.paramsSchema || {};
+  const names = ep.params || [];
+  const inQuery = ["GET", "HEAD", "DELETE", "OPTIONS"].includes(method);
+  const others = names.filter((name) => schema[name]?.in !== "path");
+
+  return {
+    path: names.filter((name) => schema[name]?.in === "path"),
+    query: inQuery ? others : [],
+    body: inQuery ? [] : others.filter((name) => schema[name]?.type !== "file"),
+    files: inQuery ? [] : others.filter((name) => schema[name]?.type === "file"),
+  };
+}
+
+/**
+ * Groups endpoints by category, both sorted alphabetically
+ * @function groupByCategory
+ * @param {Array<Object>} endpoints - Endpoint metadata from the registry
+ * @returns {Array<[string, Array<Object>]>} Category names with their endpoints sorted by route
+ */
+export function groupByCategory(endpoints) {
+  const groups = new Map();
+  for (const ep of endpoints) {
+    if (!groups.has(ep.category)) groups.set(ep.category, []);
+    groups.get(ep.category).push(ep);
+  }
+  return [...groups]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([category, eps]) => [category, eps.sort((a, b) => a.route.localeCompare(b.route))]);
+}
+
+export default { hasExample, exampleValue, requestParams, groupByCategory };
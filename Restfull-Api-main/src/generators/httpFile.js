@@ -0,0 +1,92 @@
+/**
+ * @file .http file generator
+ * @module generators/httpFile
+ * @description Builds a request file for the VS Code REST Client and JetBrains
+ * HTTP Client from the metadata of the loaded endpoints.
+ */
+import { exampleValue, groupByCategory, hasExample, requestParams } from "./examples.js";
+
+/**
+ * Boundary used by multipart requests
+ * @constant {string}
+ */
+const BOUNDARY = "WebAppBoundary";
+
+/**
+ * Builds the request block of one endpoint method
+ * @function buildRequest
+ * @param {Object} ep - Endpoint metadata from the registry
+ * @param {string} method - HTTP method
+ * @returns {string} Request block, starting with its `###` separator and name
+ */
+function buildRequest(ep, method) {
+  const schema = ep.paramsSchema || {};
+  const params = requestParams(ep, method);
+  const sent = (name) => schema[name]?.required || hasExample(schema[name]);
+
+  let route = ep.route;
+  for (const name of params.path) {
+    route = route.replace(new RegExp(`:${name}(\\(\\.\\+\\))?`), encodeURI(String(exampleValue(name, schema[name]))));
+  }
+  const query = params.query
+    .filter(sent)
+    .map((name) => `${name}=${encodeURIComponent(exampleValue(name, schema[name]))}`)
+    .join("&");
+
+  const lines = [`### [${ep.category}] ${ep.methods.length > 1 ? `${ep.name} (${method})` : ep.name}`];
+  if (ep.description) lines.push(`# ${ep.description}`);
+  lines.push(`${method} {{baseUrl}}${route}${query ? `?${query}` : ""}`);
+  if (ep.auth === "admin") lines.push("X-Admin-Key: {{adminKey}}");
+  if (ep.auth === "required" || ep.auth === "optional") lines.push("X-API-Key: {{apiKey}}");
+
+  if (params.files.length > 0) {
+    lines.push(`Content-Type: multipart/form-data; boundary=${BOUNDARY}`, "");
+    for (const name of params.body.filter(sent)) {
+      lines.push(`--${BOUNDARY}`, `Content-Disposition: form-data; name="${name}"`, "", String(exampleValue(name, schema[name])));
+    }
+    for (const name of params.files) {
+      lines.push(
+        `--${BOUNDARY}`,
+        `Content-Disposition: form-data; name="${name}"; filename="${name}.png"`,
+        "Content-Type: image/png",
+        "",
+        `< ./${name}.png`
+      );
+    }
+    lines.push(`--${BOUNDARY}--`);
+  } else if (params.body.length > 0) {
+    const body = {};
+    for (const name of params.body.filter(sent)) body[name] = exampleValue(name, schema[name]);
+    lines.push("Content-Type: application/json", "", JSON.stringify(body, null, 2));
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Builds a `.http` request file
+ * @function buildHttpFile
+ * @param {Array<Object>} endpoints - Endpoint metadata, e.g. the list returned by `loadEndpoints`
+ * @param {Object} options
+ * @param {string} options.title - Title written in the header comment
+ * @param {string} [options.baseURL="http://localhost:3000"] - Value of the `@baseUrl` variable
+ * @returns {string} File content
+ *
+ * @description
+ * Requests are grouped by `category`, which prefixes their name (comments
+ * between requests would be read as part of the previous body). Values come from the
+ * `example`, `examples` or `default` of each paramsSchema rule, or a
+ * `YOUR_<NAME>` placeholder; optional params without one are left out. File
+ * params are sent as multipart parts reading `./<param>.png` next to the file.
+ *
+ * @example
+ * fs.writeFileSync("api.http", buildHttpFile(registry.list(), { title: "InuSoft API's." }));
+ */
+export default function buildHttpFile(endpoints, { title, baseURL = "http://localhost:3000" } = {}) {
+  const header = `# ${title}\n# Generated from the loaded endpoints\n\n@baseUrl = ${baseURL}\n@adminKey = YOUR_ADMIN_KEY\n@apiKey = YOUR_API_KEY`;
+  const requests = groupByCategory(endpoints).flatMap(([, eps]) =>
+    eps.flatMap((ep) => ep.methods.map((method) => buildRequest(ep, method)))
+  );
+
+  return [header, ...requests].join("\n\n") + "\n";
+}
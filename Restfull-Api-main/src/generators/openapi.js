@@ -0,0 +1,407 @@
+/**
+ * @file OpenAPI 3.1 generator
+ * @module generators/openapi
+ * @description Builds an OpenAPI 3.1 document from the metadata of the loaded
+ * endpoints (methods, params, paramsSchema, category...).
+ */
+import { ENVELOPE, envelopeSchema, resolveEnvelope } from "../utils/envelope.js";
+
+/**
+ * Methods whose params are sent in the query string; the others use a request body
+ * @constant {Array<string>}
+ */
+const QUERY_METHODS = ["GET", "HEAD", "DELETE", "OPTIONS"];
+
+/**
+ * Converts an Express route to an OpenAPI path
+ * @function toOpenApiPath
+ * @param {string} route - Route such as `/api/files/:path(.+)`
+ * @returns {string} Path such as `/api/files/{path}`
+ */
+export function toOpenApiPath(route) {
+  return route.replace(/:(\w+)(\(\.\+\))?/g, "{$1}");
+}
+
+/**
+ * Builds a unique, readable operation id
+ * @function operationId
+ * @param {string} method - HTTP method
+ * @param {string} route - Endpoint route
+ * @returns {string} Id such as `getApiRandomByCollection`
+ */
+export function operationId(method, route) {
+  const words = [method.toLowerCase()];
+  for (const segment of route.split("/").filter(Boolean)) {
+    const param = segment.match(/^:(\w+)/);
+    const word = param ? `by-${param[1]}` : segment;
+    words.push(...word.split(/[^a-zA-Z0-9]+/).filter(Boolean));
+  }
+  return words.map((word, i) => (i === 0 ? word : word[0].toUpperCase() + word.slice(1))).join("");
+}
+
+/**
+ * Converts a paramsSchema rule to a JSON Schema
+ * @function paramSchema
+ * @param {Object} [rule={}] - Rule as declared in `paramsSchema`
+ * @returns {Object} JSON Schema (draft 2020-12, as used by OpenAPI 3.1)
+ */
+export function paramSchema(rule = {}) {
+  const type = rule.type || "string";
+  const schema = {};
+
+  if (type === "enum") {
+    schema.type = "string";
+    schema.enum = rule.enum || rule.values;
+  } else if (type === "file") {
+    schema.type = "string";
+    schema.format = "binary";
+    schema.contentMediaType = "application/octet-stream";
+  } else {
+    schema.type = type;
+  }
+
+  if (rule.description) schema.description = rule.description;
+  if (rule.default !== undefined) schema.default = rule.default;
+  if (rule.example !== undefined) schema.examples = [rule.example];
+  else if (Array.isArray(rule.examples)) schema.examples = rule.examples;
+  if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+  if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+  if (rule.pattern) schema.pattern = String(rule.pattern instanceof RegExp ? rule.pattern.source : rule.pattern);
+  if (rule.min !== undefined) schema.minimum = rule.min;
+  if (rule.max !== undefined) schema.maximum = rule.max;
+
+  return schema;
+}
+
+/**
+ * Builds the schema of the error envelope
+ * @function errorEnvelope
+ * @param {Object} options - Envelope configuration, see utils/envelope.js
+ * @returns {Object} JSON Schema
+ */
+function errorEnvelope(options) {
+  const schema = envelopeSchema(options, false);
+  return {
+    ...schema,
+    properties: {
+      ...schema.properties,
+      error: { type: "string" },
+      code: { type: "string", description: "Machine-readable error code", examples: ["VALIDATION_ERROR"] },
+      requestId: { type: "string", description: "Id of the request, also sent as X-Request-Id" },
+      details: { description: "Extra data depending on the error" },
+      stack: { type: "string", description: "Stack trace of 5xx errors, outside production" },
+    },
+    required: [...new Set([...schema.required, "error", "code", "requestId"])],
+  };
+}
+
+/**
+ * Schema of the success envelope of an endpoint
+ * @function successEnvelope
+ * @param {Object} ep - Endpoint metadata from the registry
+ * @returns {Object|null} Reference to the shared envelope, an inline schema for
+ * routes with their own envelope settings, or null for raw routes
+ */
+function successEnvelope(ep) {
+  if (ep.envelope === false) return null;
+  if (ep.envelope && typeof ep.envelope === "object") return envelopeSchema(resolveEnvelope(ep.envelope), true);
+  return { $ref: "#/components/schemas/SuccessEnvelope" };
+}
+
+/**
+ * `RateLimit-*` headers sent with every counted response
+ * @constant {Object}
+ */
+const RATE_LIMIT_HEADERS = {
+  "RateLimit-Policy": { $ref: "#/components/headers/RateLimitPolicy" },
+  "RateLimit-Limit": { $ref: "#/components/headers/RateLimitLimit" },
+  "RateLimit-Remaining": { $ref: "#/components/headers/RateLimitRemaining" },
+  "RateLimit-Reset": { $ref: "#/components/headers/RateLimitReset" },
+};
+
+/**
+ * Shared components: envelopes, error responses, rate limit headers and security schemes
+ * @constant {Object}
+ *
+ * @description
+ * The envelopes mirror responseFormatter.js with the fields enabled in
+ * config/envelope.json: the endpoint's own fields plus `statusCode`,
+ * `timestamp`... Errors also carry `error`, `code` and `requestId`, plus
+ * `errors` for validation failures.
+ */
+const COMPONENTS = {
+  schemas: {
+    SuccessEnvelope: envelopeSchema(ENVELOPE, true),
+    ErrorEnvelope: errorEnvelope(ENVELOPE),
+    ValidationErrorEnvelope: {
+      allOf: [
+        { $ref: "#/components/schemas/ErrorEnvelope" },
+        {
+          type: "object",
+          properties: {
+            errors: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: { param: { type: "string" }, message: { type: "string" } },
+                required: ["param", "message"],
+              },
+            },
+          },
+        },
+      ],
+    },
+  },
+  responses: {
+    ValidationError: {
+      description: "Invalid request parameters",
+      content: { "application/json": { schema: { $ref: "#/components/schemas/ValidationErrorEnvelope" } } },
+    },
+    Unauthorized: {
+      description: "Missing or invalid credentials",
+      content: { "application/json": { schema: { $ref: "#/components/schemas/ErrorEnvelope" } } },
+    },
+    Banned: {
+      description: "The client IP is blocked (temporarily or permanently), or the API key may not call this endpoint",
+      headers: { "Retry-After": { $ref: "#/components/headers/RetryAfter" } },
+      content: { "application/json": { schema: { $ref: "#/components/schemas/ErrorEnvelope" } } },
+    },
+    PayloadTooLarge: {
+      description: "Uploaded file too large",
+      content: { "application/json": { schema: { $ref: "#/components/schemas/ValidationErrorEnvelope" } } },
+    },
+    UnsupportedMediaType: {
+      description: "Uploaded file type not allowed",
+      content: { "application/json": { schema: { $ref: "#/components/schemas/ValidationErrorEnvelope" } } },
+    },
+    RateLimited: {
+      description: "Rate limit or API key quota exceeded",
+      headers: { ...RATE_LIMIT_HEADERS, "Retry-After": { $ref: "#/components/headers/RetryAfter" } },
+      content: { "application/json": { schema: { $ref: "#/components/schemas/ErrorEnvelope" } } },
+    },
+    ServerError: {
+      description: "Unexpected server or upstream error",
+      content: { "application/json": { schema: { $ref: "#/components/schemas/ErrorEnvelope" } } },
+    },
+    Unavailable: {
+      description: "Endpoint disabled or under maintenance",
+      content: { "application/json": { schema: { $ref: "#/components/schemas/ErrorEnvelope" } } },
+    },
+    Timeout: {
+      description: "The endpoint did not respond in time",
+      content: { "application/json": { schema: { $ref: "#/components/schemas/ErrorEnvelope" } } },
+    },
+  },
+  headers: {
+    RateLimitPolicy: {
+      description: "Budgets applied to the request, e.g. `25;w=10, 5;w=60` (units per window in seconds)",
+      schema: { type: "string" },
+    },
+    RateLimitLimit: {
+      description: "Size of the budget closest to running out",
+      schema: { type: "integer" },
+    },
+    RateLimitRemaining: {
+      description: "Units left in that budget",
+      schema: { type: "integer" },
+    },
+    RateLimitReset: {
+      description: "Seconds until that budget is whole again",
+      schema: { type: "integer" },
+    },
+    RetryAfter: {
+      description: "Seconds to wait before retrying",
+      schema: { type: "integer" },
+    },
+  },
+  securitySchemes: {
+    AdminKey: { type: "apiKey", in: "header", name: "X-Admin-Key" },
+    ApiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+    ApiKeyQuery: { type: "apiKey", in: "query", name: "apikey" },
+  },
+};
+
+/**
+ * Converts a response declared in an endpoint's `responses` block
+ * @function declaredResponse
+ * @param {Object} ep - Endpoint metadata from the registry
+ * @param {string} status - Status code or `default`
+ * @param {{description: string, contentType: string, schema: (Object|undefined)}} declared
+ * @returns {Object} OpenAPI response object
+ *
+ * @description
+ * JSON bodies are combined with the success envelope (2xx, unless the route
+ * is raw) or the error envelope; other media types are described as binary
+ * content.
+ */
+function declaredResponse(ep, status, declared) {
+  const { description, contentType, schema } = declared;
+  const success = status.startsWith("2");
+
+  if (!/json/.test(contentType)) {
+    return {
+      description: description || (success ? "Binary content" : "Error"),
+      content: { [contentType]: { schema: { type: "string", format: "binary", contentMediaType: contentType } } },
+    };
+  }
+
+  const envelope = success ? successEnvelope(ep) : { $ref: "#/components/schemas/ErrorEnvelope" };
+  let body = envelope;
+  if (schema) body = envelope ? { allOf: [envelope, schema] } : schema;
+  return {
+    description: description || (success ? "Successful response" : "Error"),
+    content: { [contentType]: { schema: body || { type: "object" } } },
+  };
+}
+
+/**
+ * Builds the operation object of one endpoint method
+ * @function buildOperation
+ * @param {Object} ep - Endpoint metadata from the registry
+ * @param {string} method - HTTP method
+ * @returns {Object} OpenAPI operation
+ */
+function buildOperation(ep, method) {
+  const schema = ep.paramsSchema || {};
+  const names = ep.params || [];
+  const pathNames = names.filter((name) => schema[name]?.in === "path");
+  const otherNames = names.filter((name) => schema[name]?.in !== "path");
+  const inQuery = QUERY_METHODS.includes(method);
+
+  const parameters = [
+    ...pathNames.map((name) => ({ name, in: "path", required: true, schema: paramSchema(schema[name]) })),
+    ...(inQuery ? otherNames : []).map((name) => ({
+      name,
+      in: "query",
+      required: Boolean(schema[name]?.required),
+      schema: paramSchema(schema[name]),
+    })),
+  ];
+
+  const description = [ep.description];
+  if (ep.alias) description.push(`Also served at \`${toOpenApiPath(ep.alias)}\` (latest version).`);
+  if (ep.successor) description.push(`Superseded by \`${toOpenApiPath(ep.successor)}\`.`);
+  if (ep.sunset) description.push(`Removed after ${new Date(ep.sunset).toUTCString()}.`);
+
+  const operation = {
+    operationId: operationId(method, ep.route),
+    summary: ep.name,
+    description: description.filter(Boolean).join("\n\n"),
+    tags: [ep.category],
+  };
+  if (ep.deprecated) operation.deprecated = true;
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  if (!inQuery && otherNames.length > 0) {
+    const properties = {};
+    for (const name of otherNames) properties[name] = paramSchema(schema[name]);
+    const required = otherNames.filter((name) => schema[name]?.required);
+    const bodySchema = { type: "object", properties };
+    if (required.length > 0) bodySchema.required = required;
+
+    const hasFile = otherNames.some((name) => schema[name]?.type === "file");
+    operation.requestBody = {
+      required: required.length > 0,
+      content: hasFile
+        ? { "multipart/form-data": { schema: bodySchema } }
+        : {
+            "application/json": { schema: bodySchema },
+            "application/x-www-form-urlencoded": { schema: bodySchema },
+          },
+    };
+  }
+
+  const responses = {};
+  if (!Object.keys(ep.responses || {}).some((status) => status.startsWith("2"))) {
+    responses[200] = {
+      description: "Successful response",
+      content: { "application/json": { schema: successEnvelope(ep) || { type: "object" } } },
+    };
+  }
+  if (names.length > 0) responses[400] = { $ref: "#/components/responses/ValidationError" };
+  if (ep.auth) responses[401] = { $ref: "#/components/responses/Unauthorized" };
+  responses[403] = { $ref: "#/components/responses/Banned" };
+  if (names.some((name) => schema[name]?.type === "file")) {
+    responses[413] = { $ref: "#/components/responses/PayloadTooLarge" };
+    responses[415] = { $ref: "#/components/responses/UnsupportedMediaType" };
+  }
+  if (ep.rateLimit !== false) responses[429] = { $ref: "#/components/responses/RateLimited" };
+  responses[500] = { $ref: "#/components/responses/ServerError" };
+  responses[503] = { $ref: "#/components/responses/Unavailable" };
+  if (ep.timeout) responses[504] = { $ref: "#/components/responses/Timeout" };
+
+  // Declared responses replace the standard ones with the same status
+  for (const [status, declared] of Object.entries(ep.responses || {})) {
+    responses[status] = declaredResponse(ep, status, declared);
+  }
+  if (ep.rateLimit !== false) {
+    for (const [status, response] of Object.entries(responses)) {
+      if (status.startsWith("2")) response.headers = RATE_LIMIT_HEADERS;
+    }
+  }
+  operation.responses = responses;
+
+  if (ep.auth === "admin") operation.security = [{ AdminKey: [] }];
+  if (ep.auth === "required") operation.security = [{ ApiKey: [] }, { ApiKeyQuery: [] }];
+  if (ep.auth === "optional") operation.security = [{ ApiKey: [] }, { ApiKeyQuery: [] }, {}];
+  if (ep.version) operation["x-api-version"] = ep.version;
+
+  return operation;
+}
+
+/**
+ * Builds an OpenAPI 3.1 document
+ * @function buildOpenApiDocument
+ * @param {Array<Object>} endpoints - Endpoint metadata, e.g. `registry.list()`
+ * @param {Object} options
+ * @param {string} options.title - API title
+ * @param {string} [options.description] - API description
+ * @param {string} [options.version="1.0.0"] - Version of the document
+ * @param {string} [options.baseURL] - Server URL
+ * @returns {Object} OpenAPI document
+ *
+ * @description
+ * - GET, HEAD, DELETE and OPTIONS params are query parameters; other methods
+ *   take a JSON (or urlencoded) body, or multipart when a param is a `file`
+ * - `[param]` segments become path parameters
+ * - `category` becomes the operation tag
+ * - every operation references the shared success and error envelopes;
+ *   statuses declared in the endpoint's `responses` replace the standard ones
+ *
+ * @example
+ * const doc = buildOpenApiDocument(registry.list(), { title: "InuSoft API's.", baseURL: "http://localhost:3000" });
+ */
+export default function buildOpenApiDocument(endpoints, { title, description, version = "1.0.0", baseURL } = {}) {
+  const paths = {};
+  const usedIds = new Set();
+
+  const sorted = [...endpoints].sort((a, b) => a.route.localeCompare(b.route));
+  for (const ep of sorted) {
+    const pathItem = (paths[toOpenApiPath(ep.route)] ||= {});
+    for (const method of ep.methods) {
+      const operation = buildOperation(ep, method);
+
+      // Routes like /api/a-b and /api/a/b map to the same id
+      let id = operation.operationId;
+      for (let n = 2; usedIds.has(id); n++) id = `${operation.operationId}${n}`;
+      usedIds.add(id);
+      operation.operationId = id;
+
+      pathItem[method.toLowerCase()] = operation;
+    }
+  }
+
+  const tags = [...new Set(endpoints.map((ep) => ep.category))].sort().map((name) => ({ name }));
+
+  const info = { title };
+  if (description) info.description = description;
+  info.version = version;
+
+  const document = { openapi: "3.1.0", info };
+  if (baseURL) document.servers = [{ url: baseURL }];
+  document.tags = tags;
+  document.paths = paths;
+  document.components = structuredClone(COMPONENTS);
+
+  return document;
+}
@@ -0,0 +1,411 @@
+/**
+ * @file JavaScript client SDK generator
+ * @module generators/sdk
+ * @description Builds an ESM client with one function per endpoint, and its
+ * TypeScript declarations, from the metadata of the loaded endpoints.
+ */
+import { requestParams } from "./examples.js";
+import { ENVELOPE, envelopeSchema, resolveEnvelope } from "../utils/envelope.js";
+
+/**
+ * Returns the client function name of a route
+ * @function functionName
+ * @param {string} route - Endpoint route
+ * @returns {string} Name such as `canvasTwibbonMpls` or `randomByCollection`
+ */
+export function functionName(route) {
+  const words = [];
+  for (const segment of route.replace(/^\/api\/?/, "").split("/").filter(Boolean)) {
+    const param = segment.match(/^:(\w+)/);
+    words.push(...(param ? `by-${param[1]}` : segment).split(/[^a-zA-Z0-9]+/).filter(Boolean));
+  }
+  const name = words.map((word, i) => (i === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1))).join("");
+  return /^[a-z]/.test(name) ? name : `api${name[0]?.toUpperCase() || ""}${name.slice(1)}`;
+}
+
+/**
+ * Quotes an object key that is not a valid identifier
+ * @function propertyName
+ * @param {string} name
+ * @returns {string}
+ */
+function propertyName(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * TypeScript type of the envelope fields only
+ * @function envelopeType
+ * @param {Object} options - Envelope configuration, see utils/envelope.js
+ * @param {string} [indent=""]
+ * @returns {string}
+ */
+function envelopeType(options, indent = "") {
+  return tsType({ ...envelopeSchema(options, true), additionalProperties: false }, indent);
+}
+
+/**
+ * Converts a JSON Schema to a TypeScript type
+ * @function tsType
+ * @param {Object} schema - JSON Schema, as declared in an endpoint's `responses`
+ * @param {string} [indent=""] - Indentation of the enclosing declaration
+ * @returns {string}
+ */
+function tsType(schema, indent = "") {
+  if (!schema || typeof schema !== "object") return "unknown";
+  if ("const" in schema) return JSON.stringify(schema.const);
+  if (schema.enum) return schema.enum.map((value) => JSON.stringify(value)).join(" | ");
+  if (schema.anyOf || schema.oneOf) return (schema.anyOf || schema.oneOf).map((sub) => tsType(sub, indent)).join(" | ");
+  if (schema.allOf) return schema.allOf.map((sub) => tsType(sub, indent)).join(" & ");
+
+  const types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : [];
+  if (types.length === 0) return schema.properties ? tsType({ ...schema, type: "object" }, indent) : "unknown";
+
+  return types.map((type) => {
+    switch (type) {
+      case "string":
+        return "string";
+      case "number":
+      case "integer":
+        return "number";
+      case "boolean":
+        return "boolean";
+      case "null":
+        return "null";
+      case "array":
+        return `Array<${tsType(schema.items, indent)}>`;
+      case "object": {
+        const required = schema.required || [];
+        const fields = Object.entries(schema.properties || {}).map(
+          ([name, sub]) => `${indent}  ${propertyName(name)}${required.includes(name) ? "" : "?"}: ${tsType(sub, `${indent}  `)};`
+        );
+        if (schema.additionalProperties !== false) fields.push(`${indent}  [key: string]: unknown;`);
+        return `{\n${fields.join("\n")}\n${indent}}`;
+      }
+      default:
+        return "unknown";
+    }
+  }).join(" | ");
+}
+
+/**
+ * Returns the TypeScript type of a paramsSchema rule
+ * @function paramType
+ * @param {Object} [rule={}]
+ * @returns {string}
+ */
+function paramType(rule = {}) {
+  switch (rule.type) {
+    case "number":
+    case "integer":
+      return "number";
+    case "boolean":
+      return "boolean";
+    case "enum":
+      return (rule.enum || rule.values).map((value) => JSON.stringify(value)).join(" | ");
+    case "file":
+      return "FileInput";
+    default:
+      return "string";
+  }
+}
+
+/**
+ * Returns the JSDoc type of a paramsSchema rule
+ * @function jsDocType
+ * @param {Object} [rule={}]
+ * @returns {string}
+ */
+function jsDocType(rule = {}) {
+  if (rule.type === "file") return "Blob|Uint8Array|{data: (Blob|Uint8Array), filename: string, contentType: string}";
+  if (rule.type === "enum") return "string";
+  return paramType(rule);
+}
+
+/**
+ * Describes the success response of an endpoint
+ * @function successResponse
+ * @param {Object} ep - Endpoint metadata from the registry
+ * @param {string} [indent=""] - Indentation of the declaration using the type
+ * @returns {{binary: boolean, type: string}} Whether the body is binary and its TypeScript type
+ *
+ * @description
+ * JSON bodies use `Envelope<T>`, plain `T` on raw routes (`envelope: false`)
+ * or `T & {...}` on routes with their own envelope settings.
+ */
+function successResponse(ep, indent = "") {
+  const [, declared] = Object.entries(ep.responses || {}).find(([status]) => status.startsWith("2")) || [];
+  if (declared && !/json/.test(declared.contentType)) return { binary: true, type: "Buffer" };
+
+  const body = declared?.schema ? tsType(declared.schema, indent) : "Record<string, unknown>";
+  if (ep.envelope === false) return { binary: false, type: body };
+  if (ep.envelope && typeof ep.envelope === "object") {
+    return { binary: false, type: `${body} & ${envelopeType(resolveEnvelope(ep.envelope), indent)}` };
+  }
+  return { binary: false, type: `Envelope<${body}>` };
+}
+
+/**
+ * Lists the client functions to generate, including unversioned aliases
+ * @function clientFunctions
+ * @param {Array<Object>} endpoints - Endpoint metadata from the registry
+ * @returns {Array<{name: string, route: string, ep: Object}>}
+ */
+function clientFunctions(endpoints) {
+  const used = new Set();
+  const functions = [];
+  const add = (route, ep) => {
+    const base = functionName(route);
+    let name = base;
+    for (let n = 2; used.has(name); n++) name = `${base}${n}`;
+    used.add(name);
+    functions.push({ name, route, ep });
+  };
+
+  for (const ep of [...endpoints].sort((a, b) => a.route.localeCompare(b.route))) {
+    add(ep.route, ep);
+    if (ep.alias) add(ep.alias, ep);
+  }
+  return functions;
+}
+
+/**
+ * Code shared by every generated client: errors, request building and response decoding
+ * @constant {string}
+ */
+const RUNTIME = `/**
+ * Error thrown when the API answers with a non-2xx status
+ */
+export class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {*} body - Decoded response body
+   */
+  constructor(status, body) {
+    super((body && body.error) || \`Request failed with status \${status}\`);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = (body && body.code) || null;
+    this.body = body;
+  }
+}
+
+const QUERY_METHODS = ["GET", "HEAD", "DELETE", "OPTIONS"];
+
+function toFilePart(value, fallbackName) {
+  if (value && typeof value === "object" && "data" in value && !(value instanceof Uint8Array)) {
+    const blob = value.data instanceof Blob ? value.data : new Blob([value.data], { type: value.contentType });
+    return [blob, value.filename || fallbackName];
+  }
+  return [value instanceof Blob ? value : new Blob([value]), fallbackName];
+}
+
+function toBinary(arrayBuffer) {
+  return typeof Buffer !== "undefined" ? Buffer.from(arrayBuffer) : new Uint8Array(arrayBuffer);
+}`;
+
+/**
+ * Builds the client module
+ * @function buildClient
+ * @param {Array<Object>} endpoints - Endpoint metadata from the registry
+ * @param {Object} options
+ * @param {string} options.title - API title
+ * @param {string} options.baseURL - Default base URL of the client
+ * @returns {string} Content of `client.js`
+ */
+function buildClient(endpoints, { title, baseURL }) {
+  const methods = clientFunctions(endpoints).map(({ name, route, ep }) => {
+    const schema = ep.paramsSchema || {};
+    const [method] = ep.methods;
+    const { path, files } = requestParams(ep, ep.methods.find((m) => m !== "GET") || method);
+    const spec = JSON.stringify({ path, files, admin: ep.auth === "admin" });
+
+    const doc = [`    /**`, `     * ${ep.name}${ep.description ? ` - ${ep.description}` : ""}`];
+    if (ep.deprecated) doc.push(`     * @deprecated${ep.successor ? ` Use the function for ${ep.successor}` : ""}`);
+    doc.push(`     * @param {Object} ${ep.params.length > 0 ? "params" : "[params]"} - Request params`);
+    for (const param of ep.params) {
+      const rule = schema[param] || {};
+      const label = rule.required ? `params.${param}` : `[params.${param}]`;
+      doc.push(`     * @param {${jsDocType(rule)}} ${label}${rule.description ? ` - ${rule.description}` : ""}`);
+    }
+    doc.push(`     * @param {Object} [options]`);
+    doc.push(`     * @param {string} [options.method="${method}"] - One of ${ep.methods.join(", ")}`);
+    doc.push(`     * @returns {Promise<${successResponse(ep).binary ? "Buffer" : "Object"}>}`, `     */`);
+
+    return `${doc.join("\n")}\n    ${name}: (params = {}, options = {}) =>\n      request(options.method || "${method}", "${route}", ${spec}, params),`;
+  });
+
+  return `/**
+ * ${title} client
+ * Generated from the endpoint metadata of the API, do not edit by hand.
+ * Needs fetch, FormData and Blob (Node.js 18+ or a browser).
+ * @module client
+ */
+
+${RUNTIME}
+
+/**
+ * Creates an API client
+ * @param {Object} [options]
+ * @param {string} [options.baseURL="${baseURL}"] - Base URL of the API
+ * @param {string} [options.adminKey] - Sent as X-Admin-Key to endpoints requiring it
+ * @param {string} [options.apiKey] - Sent as X-API-Key with every request
+ * @param {Object.<string, string>} [options.headers] - Headers added to every request
+ * @param {Function} [options.fetch=globalThis.fetch] - fetch implementation
+ * @returns {Object} One function per endpoint; each resolves with the decoded
+ * JSON body, or a Buffer for binary responses, and rejects with ApiError on non-2xx
+ *
+ * @example
+ * import createClient from "./client.js";
+ * const api = createClient();
+ * const { results } = await api.canvasTtp({ text: "Hello" });
+ * const png = await api.randomBluearchive(); // Buffer
+ */
+export function createClient({ baseURL = "${baseURL}", adminKey, apiKey, headers = {}, fetch: fetchImpl = globalThis.fetch } = {}) {
+  async function request(method, route, spec, params) {
+    let url = baseURL.replace(/\\/$/, "") + route.replace(/:(\\w+)(\\(\\.\\+\\))?/g, (match, name, catchAll) =>
+      catchAll
+        ? String(params[name]).split("/").map(encodeURIComponent).join("/")
+        : encodeURIComponent(String(params[name]))
+    );
+    const init = { method, headers: { ...headers } };
+    if (spec.admin && adminKey) init.headers["X-Admin-Key"] = adminKey;
+    if (apiKey) init.headers["X-API-Key"] = apiKey;
+
+    const values = Object.entries(params).filter(([name, value]) => !spec.path.includes(name) && value !== undefined);
+    if (QUERY_METHODS.includes(method)) {
+      const query = new URLSearchParams(values.map(([name, value]) => [name, String(value)])).toString();
+      if (query) url += \`?\${query}\`;
+    } else if (spec.files.length > 0) {
+      const form = new FormData();
+      for (const [name, value] of values) {
+        if (spec.files.includes(name)) form.append(name, ...toFilePart(value, name));
+        else form.append(name, String(value));
+      }
+      init.body = form;
+    } else {
+      init.headers["Content-Type"] = "application/json";
+      init.body = JSON.stringify(Object.fromEntries(values));
+    }
+
+    const res = await fetchImpl(url, init);
+    const type = res.headers.get("content-type") || "";
+    const body = type.includes("json") ? await res.json() : toBinary(await res.arrayBuffer());
+    if (!res.ok) throw new ApiError(res.status, body);
+    return body;
+  }
+
+  return {
+${methods.join("\n\n")}
+  };
+}
+
+export default createClient;
+`;
+}
+
+/**
+ * Builds the TypeScript declarations of the client module
+ * @function buildDeclarations
+ * @param {Array<Object>} endpoints - Endpoint metadata from the registry
+ * @param {Object} options
+ * @param {string} options.title - API title
+ * @returns {string} Content of `client.d.ts`
+ */
+function buildDeclarations(endpoints, { title }) {
+  const interfaces = [];
+  const members = [];
+
+  for (const { name, ep } of clientFunctions(endpoints)) {
+    const schema = ep.paramsSchema || {};
+    const typeName = `${name[0].toUpperCase()}${name.slice(1)}Params`;
+    const fields = ep.params.map((param) => {
+      const rule = schema[param] || {};
+      const doc = rule.description ? `  /** ${rule.description} */\n` : "";
+      return `${doc}  ${param}${rule.required ? "" : "?"}: ${paramType(rule)};`;
+    });
+    interfaces.push(`export interface ${typeName} {\n${fields.join("\n")}${fields.length ? "\n" : ""}}`);
+
+    const required = ep.params.some((param) => schema[param]?.required);
+    const methods = ep.methods.map((m) => JSON.stringify(m)).join(" | ");
+    const doc = [`  /**`, `   * ${ep.name}${ep.description ? ` - ${ep.description}` : ""}`];
+    if (ep.deprecated) doc.push(`   * @deprecated${ep.successor ? ` Use the function for ${ep.successor}` : ""}`);
+    doc.push(`   */`);
+    members.push(
+      `${doc.join("\n")}\n  ${name}(params${required ? "" : "?"}: ${typeName}, options?: { method?: ${methods} }): Promise<${successResponse(ep, "  ").type}>;`
+    );
+  }
+
+  return `/**
+ * ${title} client
+ * Generated from the endpoint metadata of the API, do not edit by hand.
+ */
+/// <reference types="node" />
+
+export interface ClientOptions {
+  /** Base URL of the API */
+  baseURL?: string;
+  /** Sent as X-Admin-Key to endpoints requiring it */
+  adminKey?: string;
+  /** Sent as X-API-Key with every request */
+  apiKey?: string;
+  /** Headers added to every request */
+  headers?: Record<string, string>;
+  /** fetch implementation, defaults to globalThis.fetch */
+  fetch?: typeof fetch;
+}
+
+/** File sent as a multipart part */
+export type FileInput = Blob | Uint8Array | { data: Blob | Uint8Array; filename?: string; contentType?: string };
+
+/** Fields added to every successful JSON response */
+export type Envelope<T> = T & ${envelopeType(ENVELOPE)};
+
+export declare class ApiError extends Error {
+  constructor(status: number, body: unknown);
+  status: number;
+  /** Machine-readable error code, e.g. VALIDATION_ERROR */
+  code: string | null;
+  body: unknown;
+}
+
+${interfaces.join("\n\n")}
+
+export interface Client {
+${members.join("\n\n")}
+}
+
+export declare function createClient(options?: ClientOptions): Client;
+export default createClient;
+`;
+}
+
+/**
+ * Builds the client SDK files
+ * @function buildSdk
+ * @param {Array<Object>} endpoints - Endpoint metadata, e.g. the list returned by `loadEndpoints`
+ * @param {Object} options
+ * @param {string} options.title - API title
+ * @param {string} [options.baseURL="http://localhost:3000"] - Default base URL of the client
+ * @returns {{"client.js": string, "client.d.ts": string}} File contents keyed by file name
+ *
+ * @description
+ * One function per endpoint route (and per unversioned alias), named after
+ * the route: `/api/canvas/ttp` becomes `canvasTtp`, `/api/random/:collection`
+ * becomes `randomByCollection`. Each function takes the endpoint params and:
+ * - fills path params, sends the others as query string (GET) or JSON body
+ * - sends `multipart/form-data` when the endpoint has `file` params
+ * - resolves with the decoded JSON body, or a Buffer for non-JSON responses
+ * - rejects with `ApiError` (status, code and body) on non-2xx responses
+ *
+ * Param and response types come from `paramsSchema` and `responses`.
+ *
+ * @example
+ * const { "client.js": client } = buildSdk(registry.list(), { title: "InuSoft API's." });
+ */
+export default function buildSdk(endpoints, { title, baseURL = "http://localhost:3000" } = {}) {
+  return {
+    "client.js": buildClient(endpoints, { title, baseURL }),
+    "client.d.ts": buildDeclarations(endpoints, { title }),
+  };
+}
@@ -0,0 +1,93 @@
+import 'dotenv/config';
+import crypto from "crypto";
+import { HttpError } from "../utils/errors.js";
+
+/**
+ * Reads the admin key sent with a request
+ * @function providedAdminKey
+ * @param {express.Request} req - Express request object
+ * @returns {string|undefined}
+ *
+ * @description
+ * Only the header and the body are read: query strings end up in proxy and
+ * access logs.
+ */
+function providedAdminKey(req) {
+  return req.headers["x-admin-key"] || req.body?.adminKey;
+}
+
+/**
+ * Compares a provided key with the admin key in constant time
+ * @function isAdminKey
+ * @param {*} provided - Key sent with the request
+ * @param {string} adminKey - Configured `ADMIN_KEY`
+ * @returns {boolean}
+ *
+ * @description
+ * Both keys are hashed first, so that `timingSafeEqual` gets buffers of the
+ * same length and the time taken does not reveal the key's length either.
+ */
+function isAdminKey(provided, adminKey) {
+  if (typeof provided !== "string" || !provided) return false;
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(provided), digest(adminKey));
+}
+
+/**
+ * Tells whether a request carries the configured admin key
+ * @function hasAdminKey
+ * @param {express.Request} req - Express request object
+ * @returns {boolean} False when `ADMIN_KEY` is not configured
+ *
+ * @description
+ * Lets the ban check and the rate limiter of `/admin` skip the requests of
+ * the admin, who could otherwise lock themselves out.
+ */
+export function hasAdminKey(req) {
+  const adminKey = process.env.ADMIN_KEY || null;
+  return Boolean(adminKey) && isAdminKey(providedAdminKey(req), adminKey);
+}
+
+/**
+ * Identifies the configured admin key without revealing it
+ * @function adminKeyId
+ * @returns {string|null} `admin-key:` and the start of the key's SHA-256, null
+ * when `ADMIN_KEY` is not configured. It changes when the key is rotated.
+ */
+export function adminKeyId() {
+  const adminKey = process.env.ADMIN_KEY || null;
+  if (!adminKey) return null;
+  return `admin-key:${crypto.createHash("sha256").update(adminKey).digest("hex").slice(0, 8)}`;
+}
+
+/**
+ * Middleware that only lets requests carrying the configured admin key through
+ * @function requireAdminKey
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {void}
+ *
+ * @description
+ * The key is compared against the `ADMIN_KEY` environment variable and can be
+ * provided in the `X-Admin-Key` header, or as `adminKey` in the body.
+ * - 500 `ADMIN_KEY_MISSING` if `ADMIN_KEY` is not configured on the server
+ * - 401 `UNAUTHORIZED` if the key is missing or wrong
+ *
+ * @example
+ * app.post("/admin/unban", express.json(), requireAdminKey, handler);
+ */
+export default function requireAdminKey(req, res, next) {
+  const adminKey = process.env.ADMIN_KEY || null;
+  const provided = providedAdminKey(req);
+
+  if (!adminKey) {
+    return next(new HttpError(500, "ADMIN_KEY not configured on server.", { code: "ADMIN_KEY_MISSING" }));
+  }
+
+  if (!isAdminKey(provided, adminKey)) {
+    return next(new HttpError(401, "Unauthorized. Provide valid admin key in X-Admin-Key header."));
+  }
+
+  next();
+}
@@ -0,0 +1,153 @@
+import { HttpError } from "../utils/errors.js";
+import { findKey, getTier, tierAllows } from "../utils/apiKeys.js";
+import { consumeQuota } from "./rateLimiter.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Values of an endpoint's `auth` option besides a function:
+ * - `admin`    - the admin key (`X-Admin-Key`) is required
+ * - `required` - an API key is required
+ * - `optional` - an API key is accepted, anonymous callers too
+ * @constant {Array<string>}
+ */
+export const AUTH_MODES = ["admin", "required", "optional"];
+
+/**
+ * Reads the API key of a request, from the `X-API-Key` header or the `apikey` query param
+ * @function readApiKey
+ * @param {express.Request} req
+ * @returns {string|null}
+ */
+export function readApiKey(req) {
+  const key = req.get("X-API-Key") || req.query?.apikey;
+  return typeof key === "string" && key ? key : null;
+}
+
+/**
+ * Middleware identifying the API key of a request
+ * @async
+ * @function identifyApiKey
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<void>}
+ *
+ * @description
+ * Runs before the rate limiter, which counts keyed requests by key. Sets
+ * `req.apiKey` (the key record, without its hash) and `req.apiTier`.
+ * Requests without a key go through anonymously; a key that is sent must be
+ * valid, otherwise `req.apiKeyError` is set to one of:
+ * - 401 `INVALID_API_KEY` if the key is unknown
+ * - 401 `API_KEY_REVOKED` if the key was revoked
+ * - 403 `TIER_NOT_FOUND` if the key's tier was removed from the config
+ *
+ * The error is only raised by `rejectInvalidApiKey`, after the rate limiter,
+ * so that guessing keys is counted against the IP (and gets it banned) like
+ * any other request.
+ */
+export async function identifyApiKey(req, res, next) {
+  const key = readApiKey(req);
+  if (!key) return next();
+
+  let record;
+  try {
+    record = await findKey(key);
+  } catch (err) {
+    return next(err);
+  }
+
+  if (!record) {
+    req.apiKeyError = new HttpError(401, "Invalid API key.", { code: "INVALID_API_KEY" });
+    return next();
+  }
+  if (record.revokedAt) {
+    req.apiKeyError = new HttpError(401, "This API key has been revoked.", {
+      code: "API_KEY_REVOKED",
+      details: { revokedAt: record.revokedAt },
+    });
+    return next();
+  }
+
+  const tier = getTier(record.tier);
+  if (!tier) {
+    req.apiKeyError = new HttpError(403, `The tier "${record.tier}" of this API key no longer exists. Contact the owner.`, {
+      code: "TIER_NOT_FOUND",
+    });
+    return next();
+  }
+
+  req.apiKey = record;
+  req.apiTier = tier;
+  next();
+}
+
+/**
+ * Middleware rejecting requests whose API key `identifyApiKey` refused
+ * @function rejectInvalidApiKey
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {void}
+ *
+ * @description
+ * Mounted after the rate limiter, which counts these requests by IP.
+ */
+export function rejectInvalidApiKey(req, res, next) {
+  next(req.apiKeyError);
+}
+
+/**
+ * Creates the step checking what the API key of a request may do
+ * @function createApiKeyAccess
+ * @param {Object} info - Endpoint metadata (`category`)
+ * @param {Object} [options={}]
+ * @param {boolean} [options.required=false] - Reject requests without a key
+ * @returns {Function} Express middleware
+ *
+ * @description
+ * Runs after the rate limiter, so that requests refused for going too fast do
+ * not use up the quota.
+ * - 401 `API_KEY_REQUIRED` if the endpoint requires a key and none was sent
+ * - 403 `CATEGORY_NOT_ALLOWED` if the key's tier does not include the endpoint's category
+ * - 429 `QUOTA_EXCEEDED` with `Retry-After` once the daily or monthly quota is used up
+ */
+export function createApiKeyAccess(info, { required = false } = {}) {
+  return async (req, res, next) => {
+    const { apiKey, apiTier } = req;
+    if (!apiKey) {
+      if (!required) return next();
+      return next(new HttpError(401, "This endpoint requires an API key, sent in the X-API-Key header or the apikey query param.", {
+        code: "API_KEY_REQUIRED",
+      }));
+    }
+
+    if (!tierAllows(apiTier, info.category)) {
+      return next(new HttpError(403, `The ${apiTier.name} tier does not include ${info.category} endpoints.`, {
+        code: "CATEGORY_NOT_ALLOWED",
+        details: { tier: apiTier.name, category: info.category },
+      }));
+    }
+
+    let quota;
+    try {
+      quota = await consumeQuota(apiKey.id, apiTier.quota);
+    } catch (err) {
+      // Store tidak bisa diakses -> request tetap dilayani daripada semua request gagal
+      logger.warn(`Rate limit store unavailable, quota not counted: ${err.message}`);
+      return next();
+    }
+
+    if (!quota.allowed) {
+      const { limit, resetsAt } = quota.periods[quota.exceeded];
+      const retryAfter = Math.ceil((Date.parse(resetsAt) - Date.now()) / 1000);
+      return next(new HttpError(429, `The ${quota.exceeded} quota of this API key (${limit} requests) is used up.`, {
+        code: "QUOTA_EXCEEDED",
+        details: { quota: quota.exceeded, limit, resetsAt, retryAfter },
+        headers: { "Retry-After": String(retryAfter) },
+      }));
+    }
+    next();
+  };
+}
+
+export default { identifyApiKey, rejectInvalidApiKey, createApiKeyAccess, readApiKey, AUTH_MODES };
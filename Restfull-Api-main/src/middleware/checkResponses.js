@@ -0,0 +1,82 @@
+import validateSchema from "../utils/jsonSchema.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Whether real responses are checked against the declared ones
+ * @constant {boolean}
+ * @description Only in development and test, the check costs a schema validation per response.
+ */
+export const CHECK_RESPONSES = ["development", "test"].includes(process.env.NODE_ENV);
+
+/**
+ * Tells whether a Content-Type matches a declared media type
+ * @function mediaTypeMatches
+ * @param {string} expected - Declared type, may end with a wildcard (`image/*`)
+ * @param {string} actual - Content-Type header, parameters are ignored
+ * @returns {boolean}
+ */
+function mediaTypeMatches(expected, actual) {
+  const type = String(actual || "").split(";")[0].trim().toLowerCase();
+  if (expected === "*/*") return true;
+  if (expected.endsWith("/*")) return type.startsWith(expected.slice(0, -1));
+  return type === expected.toLowerCase();
+}
+
+/**
+ * Creates the middleware comparing real responses with the `responses` block of an endpoint
+ * @function createResponseChecker
+ * @param {Object} info - Endpoint metadata built by the loader
+ * @returns {Function} Express middleware
+ *
+ * @description
+ * Once a response is sent, logs a warning when:
+ * - its status is 2xx and not declared (other undeclared statuses, such as
+ *   validation or rate limit errors, are covered by the standard error envelope)
+ * - its Content-Type differs from the declared `contentType` (unless the
+ *   client negotiated XML, YAML or MessagePack instead of JSON)
+ * - the body passed to `res.json()` does not match the declared `schema`
+ *   (checked before the response formatter adds `statusCode`, `timestamp`...)
+ *
+ * The response itself is never modified.
+ *
+ * @example
+ * // warn - Response mismatch GET /api/random/loli [200]: expected image/png, got application/json
+ */
+export default function createResponseChecker(info) {
+  const { responses } = info;
+
+  return (req, res, next) => {
+    let body;
+    const json = res.json;
+    res.json = function (data) {
+      body = data;
+      return json.call(this, data);
+    };
+
+    res.on("finish", () => {
+      const status = res.statusCode;
+      const declared = responses[status] || responses.default;
+      const problems = [];
+
+      if (!declared) {
+        if (status >= 200 && status < 300) problems.push(`status ${status} is not declared`);
+      } else {
+        const actualType = res.get("Content-Type");
+        const negotiated = res.locals.responseFormat && res.locals.responseFormat !== "json";
+        if (!negotiated && !mediaTypeMatches(declared.contentType, actualType)) {
+          problems.push(`expected ${declared.contentType}, got ${actualType || "no content type"}`);
+        }
+        if (declared.schema && body !== undefined) {
+          problems.push(...validateSchema(body, declared.schema));
+        }
+      }
+
+      for (const problem of problems.slice(0, 5)) {
+        logger.warn(`Response mismatch ${req.method} ${info.route} [${status}]: ${problem}`);
+      }
+      if (problems.length > 5) logger.warn(`Response mismatch ${req.method} ${info.route} [${status}]: ${problems.length - 5} more`);
+    });
+
+    next();
+  };
+}
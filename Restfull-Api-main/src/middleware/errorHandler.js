@@ -0,0 +1,89 @@
+import { HttpError, ValidationError, toHttpError } from "../utils/errors.js";
+import { REQUEST_ID_HEADER, assignRequestId } from "../utils/requestContext.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Whether stack traces are left out of error responses
+ * @constant {boolean}
+ */
+const IS_PRODUCTION = process.env.NODE_ENV === "production";
+
+/**
+ * Sends the error envelope of an error
+ * @function sendError
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {*} error - Any thrown value, converted with `toHttpError`
+ * @returns {express.Response}
+ *
+ * @description
+ * For middleware that cannot call `next(error)`, e.g. a timer firing after
+ * the chain went on. Everything else should throw or call `next(error)`.
+ */
+export function sendError(req, res, error) {
+  const err = toHttpError(error);
+  const requestId = assignRequestId(req);
+
+  if (err.status >= 500) {
+    const cause = err.cause || err;
+    // Tanpa query string, yang bisa berisi API key
+    const requestPath = req.originalUrl.split("?")[0];
+    logger.error(`${req.method} ${requestPath} [${err.status}] ${err.code}: ${cause.stack || cause.message}`);
+  }
+
+  // `success`, `statusCode`... are added by the response formatter
+  const body = { error: err.message, code: err.code, requestId };
+  if (err instanceof ValidationError) body.errors = err.errors;
+  if (err.details !== undefined) body.details = err.details;
+  if (!IS_PRODUCTION && err.status >= 500) body.stack = (err.cause || err).stack;
+
+  // Raw routes still answer errors in the envelope
+  if (res.locals.envelope === false) delete res.locals.envelope;
+  if (err.headers) res.set(err.headers);
+  res.set(REQUEST_ID_HEADER, requestId);
+  return res.status(err.status).json(body);
+}
+
+/**
+ * Express error-handling middleware producing the standard error envelope
+ * @function errorHandler
+ * @param {*} error - Error passed to `next()` or thrown by a handler
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {void}
+ *
+ * @description
+ * Must be registered after every route. Thrown HttpErrors keep their status,
+ * code and message; other errors become a 500 `INTERNAL_ERROR` whose message
+ * is hidden. 5xx errors are logged with their stack, which is also sent as
+ * `stack` outside production.
+ *
+ * @example
+ * // 502
+ * {
+ *   "statusCode": 502,
+ *   "success": false,
+ *   "error": "GPT request failed",
+ *   "code": "UPSTREAM_ERROR",
+ *   "requestId": "6f1c2a4e-...",
+ *   "details": { "service": "GPT", "status": 503 }
+ * }
+ */
+export default function errorHandler(error, req, res, next) {
+  // Too late for an error response, let Express close the connection
+  if (res.headersSent) return next(error);
+  sendError(req, res, error);
+}
+
+/**
+ * Middleware answering 404 `NOT_FOUND` for requests no route handled
+ * @function notFoundHandler
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {void}
+ */
+export function notFoundHandler(req, res, next) {
+  next(new HttpError(404, `Cannot ${req.method} ${req.path}`, { code: "ROUTE_NOT_FOUND" }));
+}
@@ -21,7 +21,11 @@ import rateLimiter from "./rateLimiter.js";
  * 1. express.json() - Parses incoming JSON requests
  * 2. express.urlencoded() - Parses URL-encoded data
  * 3. logApiRequest - Custom API request logging middleware
- * 4. express.static - Serves static files from 'public' directory
+ * 4. rateLimiter.blockBanned - Rejects banned IPs
+ * 5. express.static - Serves static files from 'public' directory
+ *
+ * Requests are counted against the rate limits by the routes themselves
+ * (`rateLimiter.limit()`), so static files and documentation are not counted.
  */
 export default function setupMiddleware(app) {
   /**
@@ -50,11 +54,11 @@ export default function setupMiddleware(app) {
   app.use(logApiRequest);
   
   /**
-   * RateLimiter API request logging middleware
-   * @middleware rateLimiter
-   * @description Logs details of incoming API requests including IP.
+   * Banned IP blocking middleware
+   * @middleware rateLimiter.blockBanned
+   * @description Rejects requests from IPs banned by the rate limiter with a 403.
    */
-  app.use(rateLimiter.middleware);
+  app.use(rateLimiter.blockBanned);
   
   /**
    * Static file serving middleware
@@ -1,12 +1,20 @@
 /**
  * @file Rate limiting middleware with IP banning capabilities
  * @module rateLimiter
- * @description Provides rate limiting functionality with persistent IP banning, 
- * request logging, and admin management features.
+ * @description Provides rate limiting functionality with escalating IP bans, 
+ * request logging, and admin management features. Counters and bans live in
+ * a pluggable store (see stores/rateLimit) so that several instances can share them.
  */
 import 'dotenv/config';
 import fs from "fs";
 import path from "path";
+import { HttpError } from "../utils/errors.js";
+import { currentRequestId } from "../utils/requestContext.js";
+import { createRateLimitStore } from "../stores/rateLimit/index.js";
+import { clientKey, matchIp, normalizeIp } from "../utils/ipRules.js";
+import { createLogWriter } from "../utils/logWriter.js";
+import { hasAdminKey } from "./adminAuth.js";
+import logger from "../utils/logger.js";
 
 /**
  * Directory path for data storage
@@ -14,12 +22,6 @@ import path from "path";
  */
 const DATA_DIR = path.join(process.cwd(), "data");
 
-/**
- * Directory path for log files
- * @constant {string}
- */
-const LOG_DIR = path.join(process.cwd(), "logs");
-
 /**
  * File path for banned IPs storage
  * @constant {string}
@@ -27,10 +29,10 @@ const LOG_DIR = path.join(process.cwd(), "logs");
 const BANNED_FILE = path.join(DATA_DIR, "banned-ips.json");
 
 /**
- * File path for request logs
- * @constant {string}
+ * Writer of the request log (`logs/request-logs.log`), buffered and rotated
+ * @type {LogWriter}
  */
-const REQUEST_LOG = path.join(LOG_DIR, "request-logs.log");
+export const requestLog = createLogWriter("request-logs");
 
 /**
  * Time window for rate limiting in milliseconds (default: 10 seconds)
@@ -44,6 +46,14 @@ const WINDOW_MS = 10 * 1000;
  */
 const MAX_REQUESTS = 25;
 
+/**
+ * Units within the window at which an IP that keeps going after its 429s is
+ * banned (default: twice `MAX_REQUESTS`). Between `MAX_REQUESTS` and this
+ * threshold requests only get a 429.
+ * @constant {number}
+ */
+const BAN_THRESHOLD = 2 * MAX_REQUESTS;
+
 /**
  * Interval for cleaning up old timestamps in milliseconds (default: 60 seconds)
  * @constant {number}
@@ -51,226 +61,593 @@ const MAX_REQUESTS = 25;
 const CLEANUP_INTERVAL_MS = 60 * 1000;
 
 /**
- * Map storing IP addresses and their request timestamps
- * @type {Map<string, number[]>}
+ * Durations of the successive automatic bans of an IP, indexed by its number
+ * of strikes: 1 minute, 10 minutes, 1 hour, 24 hours, then permanent (`null`)
+ * @constant {Array<number|null>}
  */
-const ipTimestamps = new Map();
+export const BAN_DURATIONS_MS = [60 * 1000, 10 * 60 * 1000, 60 * 60 * 1000, 24 * 60 * 60 * 1000, null];
 
 /**
- * Object storing banned IP information loaded from file
- * @type {Object}
- * @property {string} bannedAt - ISO timestamp when IP was banned
- * @property {string} reason - Reason for banning
- * @property {string} by - Entity that performed the ban
+ * Time without a new offense after which one strike is forgiven (default: 7 days).
+ * Longer than the longest temporary ban, so an IP coming back from a 24 hour
+ * ban still has its strikes.
+ * @constant {number}
  */
-let banned = {};
+const STRIKE_DECAY_MS = 7 * 24 * 60 * 60 * 1000;
 
 /**
- * Ensures required directories and files exist
+ * Algorithms a rate limit policy can use
+ * - `sliding-window` - at most `limit` units within any `windowMs` period
+ * - `token-bucket`   - bursts of up to `limit` units, refilled at `limit` per `windowMs`
+ * @constant {Array<string>}
+ */
+export const ALGORITHMS = ["sliding-window", "token-bucket"];
+
+/**
+ * Budget shared by every rate-limited request of an IP. Exceeding it answers
+ * 429; going on until `BAN_THRESHOLD` gives the IP a strike and bans it for
+ * the matching `BAN_DURATIONS_MS`.
+ * @constant {{algorithm: string, windowMs: number, limit: number}}
+ */
+export const DEFAULT_POLICY = { algorithm: "sliding-window", windowMs: WINDOW_MS, limit: MAX_REQUESTS };
+
+/**
+ * Longest sliding window in use, up to which timestamps are kept by `cleanup`
+ * @type {number}
+ */
+let longestWindowMs = DEFAULT_POLICY.windowMs;
+
+/**
+ * Store holding request counters and bans, chosen with `RATE_LIMIT_STORE`:
+ * - `memory` (default) - counters per process, bans persisted to data/banned-ips.json
+ * - `file`  - counters and bans in data/, shared by the processes of one machine
+ * - `redis` - counters and bans on the server at `REDIS_URL` (key prefix `REDIS_PREFIX`)
+ *
+ * Counters, strikes and bans are keyed by client: the IPv4 address, or the
+ * IPv6 network of the address (see `clientKey` in utils/ipRules.js).
+ * Ban details stored per client: `bannedAt` (ISO timestamp when IP was banned),
+ * `expiresAt` (ISO timestamp when the ban ends, null for a permanent ban),
+ * `strikes` (strikes of the IP when banned), `reason` (reason for banning) and
+ * `by` (entity that performed the ban). Bans written before expiry existed
+ * have no `expiresAt` and stay permanent.
+ * @type {RateLimitStore}
+ */
+const store = createRateLimitStore(process.env.RATE_LIMIT_STORE || "memory", {
+  bansFile: BANNED_FILE,
+  dir: DATA_DIR,
+  url: process.env.REDIS_URL,
+  prefix: process.env.REDIS_PREFIX,
+});
+
+/**
+ * Ensures required directories exist
  * @function ensureFiles
  */
 function ensureFiles() {
   if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR);
-  if (!fs.existsSync(LOG_DIR)) fs.mkdirSync(LOG_DIR);
-  if (!fs.existsSync(BANNED_FILE)) fs.writeFileSync(BANNED_FILE, JSON.stringify({}, null, 2));
-  if (!fs.existsSync(REQUEST_LOG)) fs.writeFileSync(REQUEST_LOG, "");
 }
 ensureFiles();
 
 /**
- * Loads banned IP list from disk storage
- * @function loadBanned
+ * Appends a log entry to the request log file. The line is buffered and
+ * written asynchronously, see `LogWriter`.
+ * @function appendLog
+ * @param {string} line - The log line to append
  */
-function loadBanned() {
-  try {
-    const raw = fs.readFileSync(BANNED_FILE, "utf8");
-    banned = raw ? JSON.parse(raw) : {};
-  } catch (err) {
-    console.error("Failed to load banned ips file:", err);
-    banned = {};
-  }
+function appendLog(line) {
+  requestLog.write(line);
 }
-loadBanned();
 
 /**
- * Saves banned IP list to disk storage
- * @function saveBanned
+ * Formats a duration for messages and logs, e.g. `9m 58s`
+ * @function formatDuration
+ * @param {number|null} ms - Duration, null for permanent
+ * @returns {string}
  */
-function saveBanned() {
-  try {
-    fs.writeFileSync(BANNED_FILE, JSON.stringify(banned, null, 2));
-  } catch (err) {
-    console.error("Failed to save banned ips file:", err);
-  }
+function formatDuration(ms) {
+  if (ms === null) return "permanent";
+  const seconds = Math.ceil(ms / 1000);
+  const parts = [
+    [Math.floor(seconds / 3600), "h"],
+    [Math.floor((seconds % 3600) / 60), "m"],
+    [seconds % 60, "s"],
+  ].filter(([n]) => n > 0);
+  return parts.map(([n, unit]) => `${n}${unit}`).join(" ") || "0s";
 }
 
 /**
- * Appends a log entry to the request log file
- * @function appendLog
- * @param {string} line - The log line to append
+ * Tells whether a ban is still in force
+ * @function isActive
+ * @param {Object|null} info - Ban details from the store
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
  */
-function appendLog(line) {
-  try {
-    fs.appendFileSync(REQUEST_LOG, line + "\n");
-  } catch (err) {
-    console.error("Failed to append request log:", err);
-  }
+function isActive(info, now = Date.now()) {
+  return Boolean(info) && (!info.expiresAt || Date.parse(info.expiresAt) > now);
 }
 
 /**
- * Bans an IP address permanently with specified reason
+ * Bans an IP address with specified reason
+ * @async
  * @function banIp
- * @param {string} ip - IP address to ban
+ * @param {string} ip - IP address to ban; IPv6 addresses ban their whole network (`clientKey`)
  * @param {string} [reason="rate_limit_exceeded"] - Reason for banning
+ * @param {Object} [options={}]
+ * @param {number|null} [options.durationMs=null] - Length of the ban, null for a permanent ban
+ * @param {number} [options.strikes] - Strikes of the IP, recorded with the ban
+ * @param {string} [options.by="rateLimiter"] - Entity performing the ban
+ * @returns {Promise<Object>} The stored ban details
  */
-function banIp(ip, reason = "rate_limit_exceeded") {
-  const now = new Date().toISOString();
-  banned[ip] = {
-    bannedAt: now,
+async function banIp(ip, reason = "rate_limit_exceeded", { durationMs = null, strikes, by = "rateLimiter" } = {}) {
+  const key = clientKey(ip);
+  const now = Date.now();
+  const info = {
+    bannedAt: new Date(now).toISOString(),
+    expiresAt: durationMs === null ? null : new Date(now + durationMs).toISOString(),
+    strikes,
     reason,
-    by: "rateLimiter",
+    by,
   };
-  saveBanned();
-  appendLog(`[BAN] ${now} ${ip} reason=${reason}`);
+  await store.setBan(key, info);
+  const id = currentRequestId();
+  const strikeInfo = strikes ? ` strikes=${strikes}` : "";
+  appendLog(`[BAN] ${info.bannedAt} ${key} reason=${reason} duration=${formatDuration(durationMs)}${strikeInfo}${id ? ` id=${id}` : ""}`);
+  return info;
+}
+
+/**
+ * Gives an IP a strike and bans it for the duration matching its strikes
+ * @async
+ * @function strikeIp
+ * @param {string} ip - Client key that went over the limit
+ * @param {string} reason - Reason for banning
+ * @returns {Promise<Object>} The stored ban details
+ *
+ * @description
+ * Strikes decay by one every `STRIKE_DECAY_MS` without a new offense, so an
+ * IP that behaves falls back to the shortest ban.
+ */
+async function strikeIp(ip, reason) {
+  const strikes = await store.addStrike(ip, STRIKE_DECAY_MS);
+  const durationMs = BAN_DURATIONS_MS[Math.min(strikes, BAN_DURATIONS_MS.length) - 1];
+  return banIp(ip, reason, { durationMs, strikes });
 }
 
 /**
  * Removes an IP address from the banned list
+ * @async
  * @function unbanIp
- * @param {string} ip - IP address to unban
- * @returns {boolean} True if IP was unbanned, false if IP wasn't found
+ * @param {string} ip - IP address to unban; IPv6 addresses unban their whole network (`clientKey`)
+ * @param {string} [by] - Who lifted the ban, logged (e.g. `auto` for expired bans)
+ * @returns {Promise<boolean>} True if IP was unbanned, false if IP wasn't found
  */
-function unbanIp(ip) {
-  if (banned[ip]) {
+async function unbanIp(ip, by) {
+  const key = clientKey(ip);
+  if (await store.deleteBan(key)) {
     const now = new Date().toISOString();
-    delete banned[ip];
-    saveBanned();
-    appendLog(`[UNBAN] ${now} ${ip}`);
+    appendLog(`[UNBAN] ${now} ${key}${by ? ` by=${by}` : ""}`);
     return true;
   }
   return false;
 }
 
 /**
- * Cleans up old timestamps beyond the current time window
+ * Lifts the bans that expired
+ * @async
+ * @function sweepBans
+ * @returns {Promise<void>}
+ *
+ * @description
+ * Expired bans stop blocking as soon as they expire (see `blockBanned`); the
+ * sweep only removes them from the store and logs the unban. With a shared
+ * store several instances may sweep at once, only the one that deletes a ban logs it.
+ */
+async function sweepBans() {
+  const now = Date.now();
+  const bans = await store.listBans();
+  for (const [ip, info] of Object.entries(bans)) {
+    if (!isActive(info, now)) await unbanIp(ip, "auto");
+  }
+}
+
+/**
+ * Cleans up old timestamps beyond the current time window and expired bans
  * @function cleanup
  */
 function cleanup() {
-  const now = Date.now();
-  for (const [ip, arr] of ipTimestamps.entries()) {
-    const filtered = arr.filter((t) => now - t <= WINDOW_MS);
-    if (filtered.length === 0) ipTimestamps.delete(ip);
-    else ipTimestamps.set(ip, filtered);
+  store.cleanup(longestWindowMs).catch((err) => logger.warn(`Rate limit cleanup failed: ${err.message}`));
+  sweepBans().catch((err) => logger.warn(`Ban sweep failed: ${err.message}`));
+}
+
+// Run periodic cleanup, without keeping scripts that import this module alive
+setInterval(cleanup, CLEANUP_INTERVAL_MS).unref();
+
+/**
+ * Returns the IP address of a request, without the IPv4-mapped prefix
+ * @function clientIp
+ * @param {express.Request} req
+ * @returns {string}
+ */
+function clientIp(req) {
+  // req.ip sudah membaca X-Forwarded-For lewat proxy yang dipercaya (TRUST_PROXY di app/index.js),
+  // header itu tidak dibaca langsung karena bisa dipalsukan
+  return normalizeIp(req.ip || req.socket.remoteAddress || "unknown");
+}
+
+/**
+ * Consumes units of a budget
+ * @async
+ * @function consume
+ * @param {string} key - Key of the budget in the store
+ * @param {{algorithm: string, windowMs: number, limit: number}} policy
+ * @param {number} cost - Units consumed
+ * @returns {Promise<{allowed: boolean, remaining: number, used: number, resetMs: number, retryMs: number}>}
+ * `used` is the number of units within the window (counting refused requests),
+ * `resetMs` the time until the budget is whole again and `retryMs` the time
+ * until a refused request would be allowed (0 when allowed)
+ *
+ * @description
+ * A sliding window is whole again `windowMs` after the last request, which
+ * is also when a refused request is sure to go through.
+ */
+async function consume(key, policy, cost) {
+  if (policy.algorithm === "token-bucket") {
+    const { allowed, remaining, resetMs } = await store.takeTokens(key, policy.limit, policy.windowMs, cost);
+    const retryMs = allowed ? 0 : Math.ceil(((cost - remaining) * policy.windowMs) / policy.limit);
+    return { allowed, remaining, used: policy.limit - remaining, resetMs, retryMs };
   }
+  const used = await store.hit(key, policy.windowMs, cost);
+  const allowed = used <= policy.limit;
+  return {
+    allowed,
+    remaining: Math.max(0, policy.limit - used),
+    used,
+    resetMs: policy.windowMs,
+    retryMs: allowed ? 0 : policy.windowMs,
+  };
 }
 
-// Run periodic cleanup
-setInterval(cleanup, CLEANUP_INTERVAL_MS);
+/**
+ * Sets the `RateLimit-*` headers of a response
+ * @function setRateLimitHeaders
+ * @param {express.Response} res
+ * @param {Array<{policy: Object, result: Object}>} budgets - Budgets consumed by the request
+ *
+ * @description
+ * `RateLimit-Policy` lists every budget (`25;w=10, 5;w=60`); `RateLimit-Limit`,
+ * `RateLimit-Remaining` and `RateLimit-Reset` (seconds) describe the one
+ * closest to running out, as recommended by the IETF RateLimit header fields draft.
+ */
+function setRateLimitHeaders(res, budgets) {
+  if (budgets.length === 0) return;
+  const closest = budgets.reduce((a, b) => (b.result.remaining <= a.result.remaining ? b : a));
+  res.set({
+    "RateLimit-Policy": budgets.map(({ policy }) => `${policy.limit};w=${Math.ceil(policy.windowMs / 1000)}`).join(", "),
+    "RateLimit-Limit": String(closest.policy.limit),
+    "RateLimit-Remaining": String(closest.result.remaining),
+    "RateLimit-Reset": String(Math.ceil(closest.result.resetMs / 1000)),
+  });
+}
 
 /**
- * Rate limiter middleware factory function
- * @function rateLimiterMiddleware
- * @param {Object} [options={}] - Configuration options
- * @param {number} [options.maxRequests=MAX_REQUESTS] - Maximum requests per window
- * @param {number} [options.windowMs=WINDOW_MS] - Time window in milliseconds
- * @returns {Function} Express middleware function
+ * Middleware rejecting requests from banned IPs
+ * @async
+ * @function blockBanned
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {Promise<void>}
+ *
+ * @description
+ * Applied to every request, static files included. IPs of the deny list
+ * (utils/ipRules.js) are rejected with a 403 `IP_DENIED`, IPs of the allow
+ * list are never blocked. Neither are requests carrying the admin key (see
+ * adminAuth.js), so that an admin can always lift a ban or a deny rule.
+ * Requests are counted separately by the middleware returned by `limit()`.
  */
-function rateLimiterMiddleware(options = {}) {
-  const maxReq = options.maxRequests || MAX_REQUESTS;
-  const windowMs = options.windowMs || WINDOW_MS;
-
-  return (req, res, next) => {
-    // Dapatkan IP (Express menggunakan trust proxy jika dikonfig sebelumnya di index.js)
-    const ip = req.ip || req.headers["x-forwarded-for"] || req.connection.remoteAddress || "unknown";
-
-    // Kalau sudah dibanned -> langsung blokir
-    if (banned[ip]) {
-      const info = banned[ip];
-      res.status(403).json({
-        success: false,
-        error: "Your IP has been blocked due to abuse or rate limit violations.",
-        note: "Contact the owner to request unblocking.",
-        bannedAt: info.bannedAt,
-        reason: info.reason,
-      });
-      appendLog(`[BLOCKED_REQ] ${new Date().toISOString()} ${ip} path=${req.path} method=${req.method} - blocked`);
-      return;
+async function blockBanned(req, res, next) {
+  if (hasAdminKey(req)) return next();
+
+  const ip = clientIp(req);
+  const rule = matchIp(ip);
+
+  if (rule === "deny") {
+    appendLog(`[DENIED_REQ] ${new Date().toISOString()} ${ip} path=${req.path} method=${req.method} id=${req.id} - denied`);
+    return next(new HttpError(403, "Your IP is not allowed to use this API.", { code: "IP_DENIED" }));
+  }
+  if (rule === "allow") return next();
+
+  let info;
+  try {
+    info = await store.getBan(clientKey(ip));
+  } catch (err) {
+    // Store tidak bisa diakses -> request tetap dilayani daripada semua request gagal
+    logger.warn(`Rate limit store unavailable, ban not checked: ${err.message}`);
+    return next();
+  }
+
+  // Kalau sudah dibanned (dan belum kadaluarsa) -> langsung blokir
+  const now = Date.now();
+  if (isActive(info, now)) {
+    appendLog(`[BLOCKED_REQ] ${new Date(now).toISOString()} ${ip} path=${req.path} method=${req.method} id=${req.id} - blocked`);
+
+    const details = { bannedAt: info.bannedAt, expiresAt: info.expiresAt ?? null, reason: info.reason };
+    if (info.strikes) details.strikes = info.strikes;
+
+    if (!details.expiresAt) {
+      return next(new HttpError(403, "Your IP has been blocked due to abuse or rate limit violations.", {
+        code: "IP_BANNED",
+        details: { note: "Contact the owner to request unblocking.", ...details },
+      }));
     }
 
-    // Simpan timestamp
-    const now = Date.now();
-    const arr = ipTimestamps.get(ip) || [];
-    arr.push(now);
+    const retryAfter = Math.ceil((Date.parse(info.expiresAt) - now) / 1000);
+    return next(new HttpError(403, `Your IP has been temporarily blocked due to rate limit violations. Try again in ${formatDuration(retryAfter * 1000)}.`, {
+      code: "IP_BANNED",
+      details: { note: "Repeated violations lead to longer bans.", ...details, retryAfter },
+      headers: { "Retry-After": String(retryAfter) },
+    }));
+  }
 
-    // Buang timestamp yang lebih tua dari window
-    const recent = arr.filter((t) => now - t <= windowMs);
-    ipTimestamps.set(ip, recent);
+  next();
+}
+
+/**
+ * Creates the middleware counting requests against the rate limits
+ * @function limit
+ * @param {Object} [policy={}] - Rate limit policy, usually an endpoint's `rateLimit`
+ * @param {number} [policy.cost=1] - Units of the shared budget (`DEFAULT_POLICY`) a request
+ * consumes; 0 leaves the shared budget untouched
+ * @param {number} [policy.limit] - Requests allowed per window on this route, on top of the
+ * shared budget
+ * @param {number} [policy.windowMs=WINDOW_MS] - Window of the route's own budget
+ * @param {string} [policy.algorithm="sliding-window"] - Algorithm of the route's own budget, see `ALGORITHMS`
+ * @param {string} [policy.key] - Name of the route's own budget, e.g. the endpoint route
+ * @returns {Function} Express middleware function
+ *
+ * @description
+ * IPs of the allow list are not counted. IPv6 clients are counted by network
+ * (see `clientKey`). Requests made with an API key (`req.apiKey`, see
+ * apiKeyAuth.js) are counted by key instead, against the `rateLimit` of the
+ * key's tier, and are never banned. Every counted response carries the `RateLimit-*` headers. Exceeding the
+ * shared budget answers 429 `RATE_LIMITED` with a `Retry-After` header; an
+ * IP that keeps going until `BAN_THRESHOLD` gets a strike and is banned for a
+ * duration growing with its strikes (429, then 403 `IP_BANNED`).
+ * Exceeding a route's own budget only rejects the request with a 429
+ * `ROUTE_RATE_LIMITED`. Routes without this middleware (static files,
+ * documentation) are not counted.
+ *
+ * @example
+ * // ffmpeg render: 5 units of the shared budget, and at most 3 renders per minute
+ * limit({ cost: 5, limit: 3, windowMs: 60 * 1000, algorithm: "token-bucket", key: "/api/canvas/attp" });
+ */
+function limit(policy = {}) {
+  const cost = policy.cost ?? 1;
+  const own = policy.limit
+    ? {
+        algorithm: policy.algorithm || "sliding-window",
+        windowMs: policy.windowMs || WINDOW_MS,
+        limit: policy.limit,
+      }
+    : null;
+  if (own?.algorithm === "sliding-window") longestWindowMs = Math.max(longestWindowMs, own.windowMs);
+
+  return async (req, res, next) => {
+    const ip = clientIp(req);
+    const { apiKey, apiTier } = req;
+    if (!apiKey && matchIp(ip) === "allow") return next();
+    const key = apiKey ? `key:${apiKey.id}` : clientKey(ip);
+    const sharedPolicy = apiKey ? apiTier.rateLimit : DEFAULT_POLICY;
+    if (sharedPolicy.algorithm === "sliding-window") longestWindowMs = Math.max(longestWindowMs, sharedPolicy.windowMs);
+
+    let shared = null;
+    let route = null;
+    try {
+      if (cost > 0) shared = await consume(apiKey ? key : `ip:${key}`, sharedPolicy, cost);
+      if (own && (!shared || shared.allowed)) route = await consume(`route:${policy.key}:${key}`, own, 1);
+    } catch (err) {
+      // Store tidak bisa diakses -> request tetap dilayani daripada semua request gagal
+      logger.warn(`Rate limit store unavailable, request not counted: ${err.message}`);
+      return next();
+    }
 
     // Logging minimal (append)
-    appendLog(`[REQ] ${new Date().toISOString()} ${ip} ${req.method} ${req.path} count=${recent.length}`);
-
-    if (recent.length > maxReq) {
-      // Langsung ban IP
-      banIp(ip, `exceeded_${maxReq}_per_${windowMs}ms`);
-      res.status(429).json({
-        success: false,
-        error: `Rate limit exceeded - your IP has been blocked. Max ${maxReq} requests per ${windowMs/1000}s.`,
-        note: "Contact the owner to request unblocking.",
-      });
-      return;
+    const remaining = shared ? ` remaining=${shared.remaining}` : "";
+    const keyInfo = apiKey ? ` key=${apiKey.id}` : "";
+    appendLog(`[REQ] ${new Date().toISOString()} ${ip} ${req.method} ${req.baseUrl}${req.path} cost=${cost}${remaining}${keyInfo} id=${req.id}`);
+
+    const budgets = [];
+    if (shared) budgets.push({ policy: sharedPolicy, result: shared });
+    if (route) budgets.push({ policy: own, result: route });
+    setRateLimitHeaders(res, budgets);
+
+    const { limit: maxReq, windowMs } = sharedPolicy;
+
+    // Ban IP (makin lama setiap kali melanggar lagi) hanya oleh request yang melewati
+    // BAN_THRESHOLD, supaya request paralel tidak menambah strike berkali-kali.
+    // Pemilik API key tidak pernah diban, cukup 429
+    const crossed = !apiKey && shared && shared.used > BAN_THRESHOLD && shared.used - cost <= BAN_THRESHOLD;
+    const ban = crossed
+      ? await strikeIp(key, `exceeded_${maxReq}_per_${windowMs}ms`).catch((err) => {
+          logger.error(`Failed to ban ${key}: ${err.message}`);
+          return null;
+        })
+      : null;
+
+    // Sebelum itu cukup peringatan: 429 tanpa ban
+    if (shared && !shared.allowed && !ban) {
+      const retryAfter = Math.ceil(shared.retryMs / 1000);
+      const warning = apiKey ? "" : " Keep sending requests and your IP will be blocked.";
+      return next(new HttpError(429, `Rate limit exceeded. Max ${maxReq} requests per ${windowMs/1000}s, try again in ${retryAfter}s.${warning}`, {
+        details: { limit: maxReq, windowMs, retryAfter },
+        headers: { "Retry-After": String(retryAfter) },
+      }));
+    }
+
+    if (ban) {
+      const details = { strikes: ban.strikes, expiresAt: ban.expiresAt };
+      let blocked = "permanently";
+      let headers;
+      if (ban.expiresAt) {
+        const durationMs = Date.parse(ban.expiresAt) - Date.parse(ban.bannedAt);
+        blocked = `for ${formatDuration(durationMs)}`;
+        details.retryAfter = Math.ceil(durationMs / 1000);
+        headers = { "Retry-After": String(details.retryAfter) };
+      } else {
+        details.note = "Contact the owner to request unblocking.";
+      }
+      return next(new HttpError(429, `Rate limit exceeded - your IP has been blocked ${blocked}. Max ${maxReq} requests per ${windowMs/1000}s.`, {
+        details,
+        headers,
+      }));
+    }
+
+    if (route && !route.allowed) {
+      const retryAfter = Math.ceil(route.retryMs / 1000);
+      return next(new HttpError(429, `Rate limit exceeded for this endpoint. Max ${own.limit} requests per ${own.windowMs/1000}s.`, {
+        code: "ROUTE_RATE_LIMITED",
+        details: { limit: own.limit, windowMs: own.windowMs, retryAfter },
+        headers: { "Retry-After": String(retryAfter) },
+      }));
     }
 
     next();
   };
 }
 
+/**
+ * Adds to the daily and monthly quota counters of an API key
+ * @async
+ * @function countQuota
+ * @param {string} id - Id of the key
+ * @param {{daily: (number|null), monthly: (number|null)}} quota - Quota of the key's tier, null for none
+ * @param {number} amount - Requests added, 0 to read the counters
+ * @param {number} now
+ * @returns {Promise<Object.<string, {limit: number, used: number, resetsAt: string}>>} Counted periods
+ *
+ * @description
+ * Periods are UTC calendar days and months, counted in the store with one
+ * `incrementMany`. Periods without a quota are not counted.
+ */
+async function countQuota(id, quota, amount, now) {
+  const date = new Date(now);
+  const [y, m, d] = [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()];
+  const bounds = {
+    daily: { name: date.toISOString().slice(0, 10), end: Date.UTC(y, m, d + 1) },
+    monthly: { name: date.toISOString().slice(0, 7), end: Date.UTC(y, m + 1, 1) },
+  };
+
+  const counted = Object.keys(bounds).filter((period) => quota[period] !== null && quota[period] !== undefined);
+  if (counted.length === 0) return {};
+
+  const values = await store.incrementMany(
+    counted.map((period) => ({ key: `quota:${period}:${bounds[period].name}:${id}`, amount, expiresAt: bounds[period].end })),
+    now
+  );
+  return Object.fromEntries(counted.map((period, i) => [
+    period,
+    { limit: quota[period], used: values[i], resetsAt: new Date(bounds[period].end).toISOString() },
+  ]));
+}
+
+/**
+ * Counts a request against the daily and monthly quotas of an API key
+ * @async
+ * @function consumeQuota
+ * @param {string} id - Id of the key
+ * @param {{daily: (number|null), monthly: (number|null)}} quota - Quota of the key's tier, null for none
+ * @param {number} [now=Date.now()]
+ * @returns {Promise<{allowed: boolean, exceeded: (string|null), periods: Object.<string, {limit: number, used: number, resetsAt: string}>}>}
+ * `exceeded` is the first period over its quota (`daily` or `monthly`); refused requests count too
+ *
+ * @example
+ * await consumeQuota("3f9a1c2b7d4e", { daily: 500, monthly: 10000 });
+ * // { allowed: true, exceeded: null, periods: { daily: { limit: 500, used: 12, resetsAt: "2025-01-02T00:00:00.000Z" }, monthly: {...} } }
+ */
+export async function consumeQuota(id, quota, now = Date.now()) {
+  const periods = await countQuota(id, quota, 1, now);
+  const exceeded = Object.keys(periods).find((period) => periods[period].used > periods[period].limit) || null;
+  return { allowed: !exceeded, exceeded, periods };
+}
+
+/**
+ * Reads the quota counters of an API key without counting a request
+ * @async
+ * @function getQuotaUsage
+ * @param {string} id - Id of the key
+ * @param {{daily: (number|null), monthly: (number|null)}} quota - Quota of the key's tier
+ * @param {number} [now=Date.now()]
+ * @returns {Promise<Object.<string, {limit: number, used: number, resetsAt: string}>>}
+ */
+export async function getQuotaUsage(id, quota, now = Date.now()) {
+  return countQuota(id, quota, 0, now);
+}
+
 /**
  * Admin handler for unbanning IP addresses
+ * @async
  * @function adminUnbanHandler
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
- * @returns {void}
+ * @param {Function} next - Express next function
+ * @returns {Promise<void>}
+ * @description Must be mounted behind the `requireAdminKey` middleware.
  */
-function adminUnbanHandler(req, res) {
-  const adminKey = process.env.ADMIN_KEY || null;
-  const provided = req.headers["x-admin-key"] || req.body?.adminKey || req.query?.adminKey;
-
-  if (!adminKey) {
-    return res.status(500).json({ success: false, error: "ADMIN_KEY not configured on server." });
-  }
-
-  if (!provided || provided !== adminKey) {
-    return res.status(401).json({ success: false, error: "Unauthorized. Provide valid admin key in X-Admin-Key header." });
-  }
-
+async function adminUnbanHandler(req, res, next) {
   const { ip } = req.body;
-  if (!ip) return res.status(400).json({ success: false, error: "Provide ip in request body to unban." });
+  if (!ip) return next(new HttpError(400, "Provide ip in request body to unban."));
 
-  const ok = unbanIp(ip);
-  if (ok) return res.json({ success: true, message: `IP ${ip} unbanned.` });
-  return res.status(404).json({ success: false, error: `IP ${ip} not found in ban list.` });
+  try {
+    if (await unbanIp(ip)) return res.json({ success: true, message: `IP ${ip} unbanned.` });
+    return next(new HttpError(404, `IP ${ip} not found in ban list.`, { code: "IP_NOT_BANNED" }));
+  } catch (err) {
+    next(err);
+  }
 }
 
 /**
  * Returns the current banned IP list
+ * @async
  * @function getBannedList
- * @returns {Object} Object containing banned IP information
+ * @returns {Promise<Object>} Object containing banned IP information, expired bans left out
  */
-function getBannedList() {
-  return banned;
+async function getBannedList() {
+  const now = Date.now();
+  const bans = await store.listBans();
+  return Object.fromEntries(Object.entries(bans).filter(([, info]) => isActive(info, now)));
 }
 
 /**
  * Returns statistics about active IPs and banned count
+ * @async
  * @function getStats
- * @returns {Object} Statistics object
+ * @param {Object} [options={}]
+ * @param {number} [options.top=10] - Number of top talkers returned
+ * @returns {Promise<Object>} Statistics object
+ * @returns {string} returns.store - Name of the rate limit store
+ * @returns {{limit: number, windowMs: number}} returns.policy - Shared budget of each client
  * @returns {number} returns.activeIps - Number of active IPs being tracked
  * @returns {number} returns.bannedCount - Number of banned IPs
+ * @returns {number} returns.permanentBans - Number of permanent bans among them
+ * @returns {Array<{ip: string, used: number, remaining: number, banned: boolean}>} returns.topTalkers -
+ * Clients that used the most of their shared budget within the current window
  */
-function getStats() {
+async function getStats({ top = 10 } = {}) {
+  const [activeIps, bans, talkers] = await Promise.all([
+    store.activeKeys("ip:"),
+    getBannedList(),
+    store.topKeys("ip:", top, DEFAULT_POLICY.windowMs),
+  ]);
   return {
-    activeIps: ipTimestamps.size,
-    bannedCount: Object.keys(banned).length,
+    store: store.name,
+    policy: { limit: DEFAULT_POLICY.limit, windowMs: DEFAULT_POLICY.windowMs },
+    activeIps,
+    bannedCount: Object.keys(bans).length,
+    permanentBans: Object.values(bans).filter((info) => !info.expiresAt).length,
+    topTalkers: talkers.map(({ key, weight }) => {
+      const ip = key.slice("ip:".length);
+      return { ip, used: weight, remaining: Math.max(0, DEFAULT_POLICY.limit - weight), banned: Boolean(bans[ip]) };
+    }),
   };
 }
 
@@ -280,10 +657,16 @@ function getStats() {
  */
 export default {
   /**
-   * Pre-configured rate limiter middleware instance
+   * Middleware rejecting banned IPs, applied to every request
    * @member {Function}
    */
-  middleware: rateLimiterMiddleware(),
+  blockBanned,
+
+  /**
+   * Factory of the middleware counting requests, see `limit`
+   * @member {Function}
+   */
+  limit,
   
   /**
    * Admin handler for unbanning IP addresses
@@ -314,4 +697,10 @@ export default {
    * @member {Function}
    */
   unbanIp,
+
+  /**
+   * Store holding counters and bans
+   * @member {RateLimitStore}
+   */
+  store,
 };
\ No newline at end of file
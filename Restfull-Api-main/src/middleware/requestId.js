@@ -0,0 +1,28 @@
+import { REQUEST_ID_HEADER, requestContext, assignRequestId } from "../utils/requestContext.js";
+
+/**
+ * Middleware giving every request an id
+ * @function requestId
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ * @returns {void}
+ *
+ * @description
+ * Must be the first middleware. The id is the client's `X-Request-Id` when it
+ * is a short token (letters, digits, `_.:@-`), a new UUID otherwise. It is:
+ * - stored as `req.id` and sent back in `X-Request-Id`
+ * - added to the response envelope (`requestId`) and to error bodies
+ * - prefixed to every logger line written while the request is handled
+ * - written to the rate limiter's request log
+ * - forwarded as `X-Request-Id` on axios calls made by endpoints and services
+ *
+ * @example
+ * // curl -H "X-Request-Id: support-1234" /api/canvas/memegen?...
+ * // info  - [support-1234] GET /api/canvas/memegen [502] (812ms)
+ */
+export default function requestId(req, res, next) {
+  const id = assignRequestId(req);
+  res.set(REQUEST_ID_HEADER, id);
+  requestContext.run({ id }, next);
+}
@@ -0,0 +1,74 @@
+import multer from "multer";
+import { ValidationError } from "../utils/errors.js";
+
+/**
+ * Normalizes the `upload` field of an endpoint module
+ * @function normalizeUpload
+ * @param {string|Array<string>|Object} upload - Upload declaration
+ * @returns {{fields: Array<string>, maxSize: (number|undefined), mimeTypes: (Array<string>|undefined)}}
+ */
+function normalizeUpload(upload) {
+  if (typeof upload === "string") return { fields: [upload] };
+  if (Array.isArray(upload)) return { fields: upload };
+
+  const fields = upload.fields || [upload.field || "file"];
+  return { fields, maxSize: upload.maxSize, mimeTypes: upload.mimeTypes };
+}
+
+/**
+ * Creates a middleware that parses multipart/form-data uploads into memory
+ * @function createUpload
+ * @param {string|Array<string>|Object} upload - Upload declaration of the endpoint
+ * @param {string} [upload.field="file"] - Form field holding the file
+ * @param {Array<string>} [upload.fields] - Several file fields, one file each
+ * @param {number} [upload.maxSize] - Maximum file size in bytes
+ * @param {Array<string>} [upload.mimeTypes] - Accepted MIME types
+ * @returns {Function} Express middleware
+ *
+ * @description
+ * A single field is exposed as `req.file`, several fields as `req.files[field][0]`.
+ * Requests that are not multipart pass through untouched, so a missing
+ * required file is reported by the paramsSchema validation step.
+ * Upload errors are passed on as a ValidationError:
+ * - 413 `FILE_TOO_LARGE` if a file is larger than `maxSize`
+ * - 415 `UNSUPPORTED_FILE_TYPE` if a file's MIME type is not in `mimeTypes`
+ * - 400 `VALIDATION_ERROR` for any other upload error (e.g. an unexpected field)
+ *
+ * @example
+ * createUpload("file");
+ * createUpload({ field: "file", maxSize: 5 * 1024 * 1024, mimeTypes: ["image/png", "image/jpeg"] });
+ */
+export default function createUpload(upload) {
+  const { fields, maxSize, mimeTypes } = normalizeUpload(upload);
+
+  const parser = multer({
+    storage: multer.memoryStorage(),
+    limits: maxSize ? { fileSize: maxSize } : undefined,
+    fileFilter: (req, file, cb) => {
+      if (mimeTypes && !mimeTypes.includes(file.mimetype)) {
+        const error = new Error(`Invalid file type. Allowed types: ${mimeTypes.join(", ")}`);
+        error.code = "INVALID_FILE_TYPE";
+        error.field = file.fieldname;
+        return cb(error);
+      }
+      cb(null, true);
+    },
+  });
+
+  const parse = fields.length === 1
+    ? parser.single(fields[0])
+    : parser.fields(fields.map((name) => ({ name, maxCount: 1 })));
+
+  return (req, res, next) => {
+    if (!req.is("multipart/form-data")) return next();
+
+    parse(req, res, (err) => {
+      if (!err) return next();
+
+      const [status, code] = err.code === "LIMIT_FILE_SIZE"
+        ? [413, "FILE_TOO_LARGE"]
+        : err.code === "INVALID_FILE_TYPE" ? [415, "UNSUPPORTED_FILE_TYPE"] : [400, "VALIDATION_ERROR"];
+      next(new ValidationError([{ param: err.field || fields[0], message: err.message }], { status, code }));
+    });
+  };
+}
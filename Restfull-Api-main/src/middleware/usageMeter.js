@@ -0,0 +1,46 @@
+import { consumerOf, recordUsage } from "../utils/usage.js";
+
+/**
+ * Creates the step metering the usage of an endpoint
+ * @function createUsageMeter
+ * @param {Object} info - Endpoint metadata (`route`, `render`)
+ * @returns {Function} Express middleware
+ *
+ * @description
+ * Runs after the API key is identified, so that every answered request
+ * (refused ones included) is recorded for its consumer once the response is
+ * sent: its status, its size (`Content-Length`, or the bytes written to the
+ * socket for streamed responses) and, for endpoints declaring `render: true`,
+ * the time from the start of the handler (see `markRenderStart`) to the end of the response.
+ */
+export default function createUsageMeter(info) {
+  return (req, res, next) => {
+    const startedAt = Date.now();
+    const socketBytes = req.socket?.bytesWritten ?? 0;
+
+    res.on("finish", () => {
+      const length = Number(res.getHeader("Content-Length"));
+      recordUsage({
+        consumer: consumerOf(req),
+        route: info.route,
+        status: res.statusCode,
+        bytes: Number.isFinite(length) ? length : (req.socket?.bytesWritten ?? socketBytes) - socketBytes,
+        renderMs: info.render && req.renderStartedAt ? Date.now() - req.renderStartedAt : 0,
+        at: startedAt,
+      });
+    });
+    next();
+  };
+}
+
+/**
+ * Middleware marking when the handler of a `render` endpoint starts
+ * @function markRenderStart
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @param {express.NextFunction} next - Express next function
+ */
+export function markRenderStart(req, res, next) {
+  req.renderStartedAt = Date.now();
+  next();
+}
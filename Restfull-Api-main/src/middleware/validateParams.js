@@ -0,0 +1,208 @@
+import { ValidationError } from "../utils/errors.js";
+
+/**
+ * Values accepted as `true` / `false` when coercing boolean params
+ * @constant {Object}
+ */
+const BOOLEAN_VALUES = {
+  true: ["true", "1", "yes", "on"],
+  false: ["false", "0", "no", "off"],
+};
+
+/**
+ * Reads the raw value of a param from the request
+ * @function readParam
+ * @param {express.Request} req - Express request object
+ * @param {string} name - Param name
+ * @param {Object} rule - Schema rule for the param
+ * @returns {*} Raw value, or undefined when the param was not sent
+ *
+ * @description
+ * Path params (`in: "path"`) read from `req.params`. GET requests read from
+ * the query string. Other methods read from the body and fall back to the
+ * query string. File params read from multer's `req.file` or `req.files`.
+ */
+function readParam(req, name, rule) {
+  if (rule.in === "path") return req.params?.[name];
+
+  if (rule.type === "file") {
+    if (req.file && req.file.fieldname === name) return req.file;
+    return req.files?.[name]?.[0];
+  }
+
+  if (req.method === "GET") return req.query?.[name];
+  return req.body?.[name] !== undefined ? req.body[name] : req.query?.[name];
+}
+
+/**
+ * Numbers accepted in params: decimal notation only, so `Infinity`, `0x10` or
+ * `1e3` are rejected
+ * @constant {RegExp}
+ */
+const DECIMAL_PATTERN = /^[+-]?(\d+(\.\d*)?|\.\d+)$/;
+
+/**
+ * Coerces a raw value into the declared type and checks its constraints
+ * @function checkParam
+ * @param {string} name - Param name
+ * @param {*} value - Raw value (never undefined or empty here)
+ * @param {Object} rule - Schema rule for the param
+ * @returns {{value: *, error: (string|undefined)}} Coerced value or an error message
+ */
+function checkParam(name, value, rule) {
+  const type = rule.type || "string";
+
+  if (type === "file") {
+    return { value };
+  }
+
+  if (Array.isArray(value)) {
+    return { error: `Parameter "${name}" must be a single value` };
+  }
+
+  if (type === "number" || type === "integer") {
+    // Number() juga menerima "", "Infinity", "0x10" dan "1e3", jadi string dicek dulu
+    const str = String(value).trim();
+    if (typeof value !== "number" && !DECIMAL_PATTERN.test(str)) {
+      return { error: `Parameter "${name}" must be a number` };
+    }
+    const num = typeof value === "number" ? value : Number(str);
+    if (!Number.isFinite(num)) return { error: `Parameter "${name}" must be a number` };
+    if (type === "integer" && !Number.isInteger(num)) {
+      return { error: `Parameter "${name}" must be an integer` };
+    }
+    if (rule.min !== undefined && num < rule.min) {
+      return { error: `Parameter "${name}" must be at least ${rule.min}` };
+    }
+    if (rule.max !== undefined && num > rule.max) {
+      return { error: `Parameter "${name}" must be at most ${rule.max}` };
+    }
+    return { value: num };
+  }
+
+  if (type === "boolean") {
+    if (typeof value === "boolean") return { value };
+    const str = String(value).trim().toLowerCase();
+    if (BOOLEAN_VALUES.true.includes(str)) return { value: true };
+    if (BOOLEAN_VALUES.false.includes(str)) return { value: false };
+    return { error: `Parameter "${name}" must be a boolean` };
+  }
+
+  const str = typeof value === "object" ? JSON.stringify(value) : String(value);
+
+  if (type === "enum" || Array.isArray(rule.enum)) {
+    const allowed = (rule.enum || rule.values || []).map(String);
+    if (!allowed.includes(str)) {
+      return { error: `Parameter "${name}" must be one of: ${allowed.join(", ")}` };
+    }
+    return { value: str };
+  }
+
+  if (rule.minLength !== undefined && str.length < rule.minLength) {
+    return { error: `Parameter "${name}" must be at least ${rule.minLength} characters` };
+  }
+  if (rule.maxLength !== undefined && str.length > rule.maxLength) {
+    return { error: `Parameter "${name}" must be at most ${rule.maxLength} characters` };
+  }
+  if (rule.pattern) {
+    const pattern = rule.pattern instanceof RegExp ? rule.pattern : new RegExp(rule.pattern);
+    if (!pattern.test(str)) return { error: `Parameter "${name}" has an invalid format` };
+  }
+  return { value: str };
+}
+
+/**
+ * Compiles the `pattern` rules of a paramsSchema once and checks its defaults
+ * @function compileSchema
+ * @param {Object} schema - Endpoint paramsSchema
+ * @returns {Object} Copy of the schema whose patterns are RegExp objects
+ * @throws {SyntaxError} If a pattern is not a valid regular expression
+ * @throws {Error} If a `default` does not pass its own rule (type, enum,
+ * pattern, limits); defaults are not checked per request
+ */
+export function compileSchema(schema) {
+  const compiled = Object.fromEntries(
+    Object.entries(schema).map(([name, rule]) => [
+      name,
+      typeof rule.pattern === "string" ? { ...rule, pattern: new RegExp(rule.pattern) } : rule,
+    ])
+  );
+
+  for (const [name, rule] of Object.entries(compiled)) {
+    if (rule.default === undefined || rule.default === null || rule.type === "file") continue;
+    const { error } = checkParam(name, rule.default, rule);
+    if (error) throw new Error(`Invalid default of param "${name}": ${error}`);
+  }
+  return compiled;
+}
+
+/**
+ * Validates every param of a request against a paramsSchema
+ * @function validate
+ * @param {express.Request} req - Express request object
+ * @param {Object} schema - Endpoint paramsSchema, preferably compiled with compileSchema
+ * @returns {{values: Object, errors: Array<Object>}} Clean values and the list of failing fields
+ */
+export function validate(req, schema) {
+  const values = {};
+  const errors = [];
+
+  for (const [name, rule] of Object.entries(schema)) {
+    let value = readParam(req, name, rule);
+    if (value === "") value = undefined;
+
+    if (value === undefined) {
+      if (rule.default !== undefined) {
+        values[name] = rule.default;
+      } else if (rule.required) {
+        errors.push({ param: name, message: `Parameter "${name}" is required` });
+      }
+      continue;
+    }
+
+    const result = checkParam(name, value, rule);
+    if (result.error) errors.push({ param: name, message: result.error });
+    else values[name] = result.value;
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Creates a middleware that enforces an endpoint's paramsSchema before its handler runs
+ * @function createParamsValidator
+ * @param {Object} [schema={}] - Endpoint paramsSchema
+ * @returns {Function} Express middleware
+ *
+ * @description
+ * The middleware coerces every declared param to its type, applies defaults and
+ * checks required/min/max/minLength/maxLength/pattern/enum rules. All failures
+ * are collected and passed together as one ValidationError (400). File params
+ * must already have been parsed by the upload middleware (see uploadFiles.js).
+ * `pattern` rules are compiled when the endpoint is built, so an invalid
+ * pattern fails there instead of on every request.
+ *
+ * On success the clean values are exposed as `req.validated` and written back
+ * to the object they were read from (`req.params`, `req.query` or `req.body`).
+ *
+ * @example
+ * // paramsSchema: { size: { type: "number", min: 1, max: 10, default: 5 } }
+ * // GET /api/example?size=abc
+ * // 400 { success: false, error: "Invalid request parameters", code: "VALIDATION_ERROR",
+ * //       errors: [{ param: "size", message: "Parameter \"size\" must be a number" }] }
+ */
+export default function createParamsValidator(schema = {}) {
+  const rules = compileSchema(schema);
+  return (req, res, next) => {
+    const { values, errors } = validate(req, rules);
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    const source = req.method === "GET" ? req.query : req.body;
+    for (const [name, value] of Object.entries(values)) {
+      const target = schema[name].in === "path" ? req.params : source;
+      if (schema[name].type !== "file" && target) target[name] = value;
+    }
+    req.validated = values;
+    next();
+  };
+}
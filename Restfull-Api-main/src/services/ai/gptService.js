@@ -1,4 +1,5 @@
 import axios from "axios";
+import { UpstreamError } from "../../utils/errors.js";
 
 /**
  * Service class for interacting with GPT AI API
@@ -27,7 +28,7 @@ export class GptService {
    * @param {string} [options.prompt=null] - Optional system prompt to guide the AI response
    * @param {number} [options.temperature=0.5] - Controls randomness of response (0.0 to 1.0)
    * @returns {Promise<Object>} The AI response data from the API
-   * @throws {Error} If the API request fails or returns an error
+   * @throws {UpstreamError} If the API request fails or returns an error (TimeoutError if it times out)
    * 
    * @description
    * Sends a request to the GPT-4 AI model with the provided input and options.
@@ -103,13 +104,15 @@ export class GptService {
 
       return response.data;
     } catch (error) {
-      /**
-       * Enhanced error message with API error details if available
-       * @type {string}
-       */
-      const errorMessage = `Failed to fetch AI response: ${error.response?.data?.error || error.message}`;
-      
-      throw new Error(errorMessage);
+      // The API's own error message is shown, network errors are not
+      const apiError = error.response?.data?.error;
+      if (!apiError) throw UpstreamError.from(error, "GPT");
+
+      throw new UpstreamError(`Failed to fetch AI response: ${apiError}`, {
+        service: "GPT",
+        upstreamStatus: error.response.status,
+        cause: error,
+      });
     }
   }
 }
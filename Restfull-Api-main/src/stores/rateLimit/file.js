@@ -0,0 +1,256 @@
+import fs from "fs";
+import path from "path";
+import { readJsonFile, writeJsonFile, withFileLock } from "../../utils/jsonFile.js";
+import { refill } from "./tokenBucket.js";
+import { addStrike } from "./strikes.js";
+
+/**
+ * Rate limit store keeping counters and bans in JSON files
+ * @class FileStore
+ * @implements {RateLimitStore}
+ *
+ * @description
+ * Shares counters and bans between the processes of one machine (cluster
+ * mode, several instances behind a local proxy). Every counter update reads
+ * and rewrites `rate-limits.json` under a lock file, which keeps increments
+ * atomic but costs a few milliseconds per request; use the redis store for
+ * busy or multi-machine deployments.
+ *
+ * Files, in `dir`:
+ * - `rate-limits.json` - request timestamps (`hits`), token buckets (`buckets`) and strikes (`strikes`) keyed by client
+ * - `banned-ips.json`  - bans (the same file as the memory store's)
+ * - `rate-limits.lock` - held while one of them is being rewritten
+ * - `counters/<namespace>.json` and `.lock` - counters of fixed periods, one file
+ *   and lock per namespace (see `counterFile`): `quota.json` holds a counter
+ *   per API key and period, `usage.2025-01.json` the usage of one month.
+ *   Counting a quota rewrites the small quota file only, and a usage flush
+ *   (see utils/usage.js) the file of the current month. Expired counters are
+ *   pruned by `cleanup`, which deletes the files left empty
+ */
+export default class FileStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory of the data files, usually `data/`
+   */
+  constructor({ dir }) {
+    this.name = "file";
+    this.hitsFile = path.join(dir, "rate-limits.json");
+    this.countersDir = path.join(dir, "counters");
+    this.bansFile = path.join(dir, "banned-ips.json");
+    this.lockFile = path.join(dir, "rate-limits.lock");
+  }
+
+  async hit(key, windowMs, cost = 1, now = Date.now()) {
+    return withFileLock(this.lockFile, async () => {
+      const data = await this.readCounters();
+      const recent = (data.hits[key] || []).filter((t) => now - t <= windowMs);
+      for (let i = 0; i < cost; i++) recent.push(now);
+      data.hits[key] = recent;
+      await writeJsonFile(this.hitsFile, data);
+      return recent.length;
+    });
+  }
+
+  async takeTokens(key, capacity, windowMs, cost = 1, now = Date.now()) {
+    return withFileLock(this.lockFile, async () => {
+      const data = await this.readCounters();
+      const bucket = refill(data.buckets[key], capacity, windowMs, now);
+      const allowed = bucket.tokens >= cost;
+      if (allowed) bucket.tokens -= cost;
+      bucket.fullAt = now + ((capacity - bucket.tokens) * windowMs) / capacity;
+      data.buckets[key] = bucket;
+      await writeJsonFile(this.hitsFile, data);
+      return { allowed, remaining: Math.floor(bucket.tokens), resetMs: Math.ceil(bucket.fullAt - now) };
+    });
+  }
+
+  async addStrike(ip, decayMs, now = Date.now()) {
+    return withFileLock(this.lockFile, async () => {
+      const data = await this.readCounters();
+      const record = addStrike(data.strikes[ip], decayMs, now);
+      data.strikes[ip] = record;
+      await writeJsonFile(this.hitsFile, data);
+      return record.count;
+    });
+  }
+
+  async increment(key, amount, expiresAt, now = Date.now()) {
+    const [value] = await this.incrementMany([{ key, amount, expiresAt }], now);
+    return value;
+  }
+
+  async incrementMany(entries, now = Date.now()) {
+    const values = new Array(entries.length);
+    const byFile = new Map();
+    entries.forEach((entry, i) => {
+      const file = this.counterFile(entry.key);
+      if (!byFile.has(file)) byFile.set(file, []);
+      byFile.get(file).push(i);
+    });
+
+    for (const [file, indexes] of byFile) {
+      await this.updateCounters(file, (counters) => {
+        for (const i of indexes) {
+          const { key, amount, expiresAt } = entries[i];
+          const counter = counters[key];
+          values[i] = (counter && counter.expiresAt > now ? counter.value : 0) + amount;
+          counters[key] = { value: values[i], expiresAt };
+        }
+        return true;
+      });
+    }
+    return values;
+  }
+
+  async listCounters(prefix = "", now = Date.now()) {
+    const values = {};
+    for (const file of await this.counterFiles(prefix)) {
+      for (const [key, counter] of Object.entries(await readJsonFile(file, {}))) {
+        if (key.startsWith(prefix) && counter.expiresAt > now) values[key] = counter.value;
+      }
+    }
+    return values;
+  }
+
+  async getBan(ip) {
+    const bans = await readJsonFile(this.bansFile, {});
+    return bans[ip] || null;
+  }
+
+  async setBan(ip, info) {
+    await withFileLock(this.lockFile, async () => {
+      const bans = await readJsonFile(this.bansFile, {});
+      bans[ip] = info;
+      await writeJsonFile(this.bansFile, bans);
+    });
+  }
+
+  async deleteBan(ip) {
+    return withFileLock(this.lockFile, async () => {
+      const bans = await readJsonFile(this.bansFile, {});
+      if (!bans[ip]) return false;
+      delete bans[ip];
+      await writeJsonFile(this.bansFile, bans);
+      return true;
+    });
+  }
+
+  async listBans() {
+    return readJsonFile(this.bansFile, {});
+  }
+
+  async activeKeys(prefix = "") {
+    const { hits } = await this.readCounters();
+    return Object.keys(hits).filter((key) => key.startsWith(prefix)).length;
+  }
+
+  async topKeys(prefix = "", count = 10, windowMs = Infinity, now = Date.now()) {
+    const { hits } = await this.readCounters();
+    return Object.entries(hits)
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, timestamps]) => ({ key, weight: timestamps.filter((t) => now - t <= windowMs).length }))
+      .filter(({ weight }) => weight > 0)
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, count);
+  }
+
+  async cleanup(windowMs, now = Date.now()) {
+    await withFileLock(this.lockFile, async () => {
+      const data = await this.readCounters();
+      for (const [key, timestamps] of Object.entries(data.hits)) {
+        const recent = timestamps.filter((t) => now - t <= windowMs);
+        if (recent.length === 0) delete data.hits[key];
+        else data.hits[key] = recent;
+      }
+      for (const [key, bucket] of Object.entries(data.buckets)) {
+        if (bucket.fullAt <= now) delete data.buckets[key];
+      }
+      for (const [ip, record] of Object.entries(data.strikes)) {
+        if (record.expiresAt <= now) delete data.strikes[ip];
+      }
+      await writeJsonFile(this.hitsFile, data);
+    });
+
+    for (const file of await this.counterFiles()) {
+      await this.updateCounters(file, (counters) => {
+        const expired = Object.keys(counters).filter((key) => counters[key].expiresAt <= now);
+        for (const key of expired) delete counters[key];
+        return expired.length > 0;
+      });
+    }
+  }
+
+  async close() {}
+
+  /**
+   * Reads the counters file
+   * @private
+   * @returns {Promise<{hits: Object.<string, number[]>, buckets: Object.<string, Object>, strikes: Object.<string, Object>}>}
+   */
+  async readCounters() {
+    const data = await readJsonFile(this.hitsFile, {});
+    return { hits: data.hits || {}, buckets: data.buckets || {}, strikes: data.strikes || {} };
+  }
+
+  /**
+   * Returns the file holding a counter, `counters/<namespace>.json`
+   * @private
+   * @param {string} key - Counter key, or a prefix of keys ending with `|`
+   * @returns {string}
+   *
+   * @description
+   * The namespace is the key up to its first `|`, or up to its first `:` for
+   * keys without `|`, with `:` written as `.`: `quota:daily:2025-01-01:id`
+   * lives in `quota.json`, `usage:2025-01|anonymous|...` in `usage.2025-01.json`.
+   */
+  counterFile(key) {
+    const namespace = (key.includes("|") ? key.slice(0, key.indexOf("|")) : /^[^:]+(?=:)/.exec(key)?.[0]) || "default";
+    return path.join(this.countersDir, `${fileName(namespace)}.json`);
+  }
+
+  /**
+   * Returns the counter files that may hold keys starting with a prefix
+   * @private
+   * @param {string} [prefix=""]
+   * @returns {Promise<Array<string>>}
+   */
+  async counterFiles(prefix = "") {
+    if (prefix.includes("|")) return [this.counterFile(prefix)];
+    const start = fileName(prefix);
+    const names = await fs.promises.readdir(this.countersDir).catch(() => []);
+    return names
+      .filter((name) => name.endsWith(".json"))
+      .filter((name) => {
+        const namespace = name.slice(0, -".json".length);
+        return namespace.startsWith(start) || start.startsWith(namespace);
+      })
+      .map((name) => path.join(this.countersDir, name));
+  }
+
+  /**
+   * Reads, changes and rewrites a counter file under its own lock
+   * @private
+   * @param {string} file - See `counterFile`
+   * @param {function(Object): boolean} change - Changes the counters in place, returns
+   * false when there is nothing to write
+   * @returns {Promise<void>}
+   */
+  async updateCounters(file, change) {
+    await withFileLock(file.replace(/\.json$/, ".lock"), async () => {
+      const counters = await readJsonFile(file, {});
+      if (!change(counters)) return;
+      if (Object.keys(counters).length > 0) await writeJsonFile(file, counters);
+      else await fs.promises.rm(file, { force: true });
+    });
+  }
+}
+
+/**
+ * Turns a counter namespace into a file name
+ * @function fileName
+ * @param {string} namespace
+ * @returns {string} `:` and other characters unsafe in file names written as `.`
+ */
+function fileName(namespace) {
+  return namespace.replace(/[^\w.-]/g, ".");
+}
@@ -0,0 +1,82 @@
+/**
+ * @file Rate limit stores
+ * @module stores/rateLimit
+ * @description Where the rate limiter keeps its counters and bans. The store
+ * is picked with the `RATE_LIMIT_STORE` environment variable.
+ */
+import MemoryStore from "./memory.js";
+import FileStore from "./file.js";
+import RedisStore from "./redis.js";
+
+/**
+ * Interface implemented by every rate limit store. All methods are async so
+ * that stores may live in another process.
+ * @interface RateLimitStore
+ * @property {string} name - Name of the store (`memory`, `file`, `redis`)
+ * @property {function(string, number, number=, number=): Promise<number>} hit -
+ *   `hit(key, windowMs, cost?, now?)` records a request of `key` weighing
+ *   `cost` (default 1) and returns the total weight of its requests within the
+ *   last `windowMs`, atomically (sliding window)
+ * @property {function(string, number, number, number=, number=): Promise<{allowed: boolean, remaining: number, resetMs: number}>} takeTokens -
+ *   `takeTokens(key, capacity, windowMs, cost?, now?)` withdraws `cost` tokens
+ *   from a bucket holding up to `capacity` tokens and refilled at `capacity`
+ *   per `windowMs`; nothing is withdrawn when not enough tokens are left.
+ *   `resetMs` is the time until the bucket is full again
+ * @property {function(string, number, number=): Promise<number>} addStrike -
+ *   `addStrike(ip, decayMs, now?)` records an offense of `ip` and returns its
+ *   number of strikes, one strike being forgiven every `decayMs` (see strikes.js)
+ * @property {function(string, number, number, number=): Promise<number>} increment -
+ *   `increment(key, amount, expiresAt, now?)` adds `amount` to a counter and returns
+ *   its value; the counter restarts from 0 once `expiresAt` (ms timestamp) is
+ *   past. Used for the quotas of API keys (one counter per day or month)
+ * @property {function(Array<{key: string, amount: number, expiresAt: number}>, number=): Promise<Array<number>>} incrementMany -
+ *   `incrementMany(entries, now?)` applies several `increment`s at once (usage metering)
+ * @property {function(string=, number=): Promise<Object.<string, number>>} listCounters -
+ *   `listCounters(prefix?, now?)` returns the unexpired counters starting with `prefix`
+ * @property {function(string): Promise<Object|null>} getBan - Ban of an IP, or null (expired bans included)
+ * @property {function(string, Object): Promise<void>} setBan - Bans an IP with the given details
+ * @property {function(string): Promise<boolean>} deleteBan - Lifts a ban, false if the IP was not banned
+ * @property {function(): Promise<Object.<string, Object>>} listBans - Every ban keyed by IP
+ * @property {function(string=): Promise<number>} activeKeys - Number of sliding-window keys starting with a prefix
+ * @property {function(string=, number=, number=, number=): Promise<Array<{key: string, weight: number}>>} topKeys -
+ *   `topKeys(prefix?, count?, windowMs?, now?)` returns the `count` sliding-window keys
+ *   starting with `prefix` that weigh the most within the last `windowMs`
+ * @property {function(number): Promise<void>} cleanup - Drops timestamps older than the window, full buckets, decayed strikes and expired counters
+ * @property {function(): Promise<void>} close - Releases connections
+ */
+
+/**
+ * Store classes by name
+ * @constant {Object.<string, Function>}
+ */
+export const STORES = {
+  memory: MemoryStore,
+  file: FileStore,
+  redis: RedisStore,
+};
+
+/**
+ * Creates a rate limit store
+ * @function createRateLimitStore
+ * @param {string} [name="memory"] - `memory`, `file` or `redis`
+ * @param {Object} [options={}] - Options of the store; each store reads the ones it knows
+ * @param {string} [options.bansFile] - memory: JSON file the bans persist to
+ * @param {string} [options.dir] - file: directory of the data files
+ * @param {string} [options.url] - redis: connection URL
+ * @param {string} [options.prefix] - redis: key prefix
+ * @returns {RateLimitStore}
+ * @throws {Error} If the store name is unknown
+ *
+ * @example
+ * const store = createRateLimitStore("redis", { url: process.env.REDIS_URL });
+ * const count = await store.hit("203.0.113.7", 10000);
+ */
+export function createRateLimitStore(name = "memory", options = {}) {
+  const Store = STORES[name];
+  if (!Store) {
+    throw new Error(`Unknown rate limit store "${name}", expected one of: ${Object.keys(STORES).join(", ")}`);
+  }
+  return new Store(options);
+}
+
+export default createRateLimitStore;
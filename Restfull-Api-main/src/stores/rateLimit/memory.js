@@ -0,0 +1,178 @@
+import fs from "fs";
+import { writeJsonFile } from "../../utils/jsonFile.js";
+import { refill } from "./tokenBucket.js";
+import { addStrike } from "./strikes.js";
+
+/**
+ * Rate limit store keeping counters in the memory of the process
+ * @class MemoryStore
+ * @implements {RateLimitStore}
+ *
+ * @description
+ * The default store. Counters and strikes are per process, so each instance
+ * of the API counts its own requests. Bans are kept in memory too and, when `bansFile` is
+ * given, persisted to it so they survive restarts (they are not picked up by
+ * other running processes, use the file or redis store for that).
+ */
+export default class MemoryStore {
+  /**
+   * @param {Object} [options={}]
+   * @param {string} [options.bansFile] - JSON file the bans are loaded from and saved to
+   */
+  constructor({ bansFile } = {}) {
+    this.name = "memory";
+    this.bansFile = bansFile;
+
+    /**
+     * Request timestamps keyed by client
+     * @type {Map<string, number[]>}
+     */
+    this.hits = new Map();
+
+    /**
+     * Token buckets keyed by client: tokens left, last update and the time the bucket is full again
+     * @type {Map<string, {tokens: number, updatedAt: number, fullAt: number}>}
+     */
+    this.buckets = new Map();
+
+    /**
+     * Strikes of IPs that went over the rate limit, see strikes.js
+     * @type {Map<string, {count: number, updatedAt: number, expiresAt: number}>}
+     */
+    this.strikes = new Map();
+
+    /**
+     * Counters of fixed periods (API key quotas, usage) and the time they expire
+     * @type {Map<string, {value: number, expiresAt: number}>}
+     */
+    this.counters = new Map();
+
+    /**
+     * Banned IPs with the details of their ban
+     * @type {Object.<string, Object>}
+     */
+    this.bans = {};
+
+    if (bansFile && fs.existsSync(bansFile)) {
+      try {
+        const raw = fs.readFileSync(bansFile, "utf8");
+        this.bans = raw.trim() ? JSON.parse(raw) : {};
+      } catch (err) {
+        console.error("Failed to load banned ips file:", err);
+      }
+    }
+  }
+
+  async hit(key, windowMs, cost = 1, now = Date.now()) {
+    const recent = (this.hits.get(key) || []).filter((t) => now - t <= windowMs);
+    for (let i = 0; i < cost; i++) recent.push(now);
+    this.hits.set(key, recent);
+    return recent.length;
+  }
+
+  async takeTokens(key, capacity, windowMs, cost = 1, now = Date.now()) {
+    const bucket = refill(this.buckets.get(key), capacity, windowMs, now);
+    const allowed = bucket.tokens >= cost;
+    if (allowed) bucket.tokens -= cost;
+    bucket.fullAt = now + ((capacity - bucket.tokens) * windowMs) / capacity;
+    this.buckets.set(key, bucket);
+    return { allowed, remaining: Math.floor(bucket.tokens), resetMs: Math.ceil(bucket.fullAt - now) };
+  }
+
+  async addStrike(ip, decayMs, now = Date.now()) {
+    const record = addStrike(this.strikes.get(ip), decayMs, now);
+    this.strikes.set(ip, record);
+    return record.count;
+  }
+
+  async increment(key, amount, expiresAt, now = Date.now()) {
+    const [value] = await this.incrementMany([{ key, amount, expiresAt }], now);
+    return value;
+  }
+
+  async incrementMany(entries, now = Date.now()) {
+    return entries.map(({ key, amount, expiresAt }) => {
+      const counter = this.counters.get(key);
+      const value = (counter && counter.expiresAt > now ? counter.value : 0) + amount;
+      this.counters.set(key, { value, expiresAt });
+      return value;
+    });
+  }
+
+  async listCounters(prefix = "", now = Date.now()) {
+    const values = {};
+    for (const [key, counter] of this.counters.entries()) {
+      if (key.startsWith(prefix) && counter.expiresAt > now) values[key] = counter.value;
+    }
+    return values;
+  }
+
+  async getBan(ip) {
+    return this.bans[ip] || null;
+  }
+
+  async setBan(ip, info) {
+    this.bans[ip] = info;
+    await this.saveBans();
+  }
+
+  async deleteBan(ip) {
+    if (!this.bans[ip]) return false;
+    delete this.bans[ip];
+    await this.saveBans();
+    return true;
+  }
+
+  async listBans() {
+    return { ...this.bans };
+  }
+
+  async activeKeys(prefix = "") {
+    let count = 0;
+    for (const key of this.hits.keys()) if (key.startsWith(prefix)) count++;
+    return count;
+  }
+
+  async topKeys(prefix = "", count = 10, windowMs = Infinity, now = Date.now()) {
+    const weights = [];
+    for (const [key, timestamps] of this.hits.entries()) {
+      if (!key.startsWith(prefix)) continue;
+      const weight = timestamps.filter((t) => now - t <= windowMs).length;
+      if (weight > 0) weights.push({ key, weight });
+    }
+    return weights.sort((a, b) => b.weight - a.weight).slice(0, count);
+  }
+
+  async cleanup(windowMs, now = Date.now()) {
+    for (const [key, timestamps] of this.hits.entries()) {
+      const recent = timestamps.filter((t) => now - t <= windowMs);
+      if (recent.length === 0) this.hits.delete(key);
+      else this.hits.set(key, recent);
+    }
+    for (const [key, bucket] of this.buckets.entries()) {
+      if (bucket.fullAt <= now) this.buckets.delete(key);
+    }
+    for (const [ip, record] of this.strikes.entries()) {
+      if (record.expiresAt <= now) this.strikes.delete(ip);
+    }
+    for (const [key, counter] of this.counters.entries()) {
+      if (counter.expiresAt <= now) this.counters.delete(key);
+    }
+  }
+
+  async close() {}
+
+  /**
+   * Persists the bans to `bansFile`, if any
+   * @private
+   * @returns {Promise<void>}
+   */
+  async saveBans() {
+    if (!this.bansFile) return;
+    try {
+      await writeJsonFile(this.bansFile, this.bans);
+    } catch (err) {
+      console.error("Failed to save banned ips file:", err);
+    }
+  }
+}
@@ -0,0 +1,222 @@
+import crypto from "crypto";
+import Redis from "ioredis";
+import logger from "../../utils/logger.js";
+
+/**
+ * Lua version of `refill` (tokenBucket.js) followed by the withdrawal, so that
+ * reading and updating a bucket is atomic. Returns `{allowed, tokens, resetMs}`;
+ * tokens are returned as a string since Lua numbers are truncated to integers.
+ * @constant {string}
+ */
+const TAKE_TOKENS = `
+local capacity = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local now = tonumber(ARGV[4])
+local state = redis.call("HMGET", KEYS[1], "tokens", "updatedAt")
+local tokens = tonumber(state[1]) or capacity
+local updatedAt = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) * capacity / windowMs)
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+local resetMs = math.ceil((capacity - tokens) * windowMs / capacity)
+redis.call("HSET", KEYS[1], "tokens", tostring(tokens), "updatedAt", tostring(now))
+redis.call("PEXPIRE", KEYS[1], resetMs + 1000)
+return { allowed, tostring(tokens), resetMs }
+`;
+
+/**
+ * Lua version of `addStrike` (strikes.js). Returns the new strike count.
+ * @constant {string}
+ */
+const ADD_STRIKE = `
+local decayMs = tonumber(ARGV[1])
+local now = tonumber(ARGV[2])
+local state = redis.call("HMGET", KEYS[1], "count", "updatedAt")
+local count = 0
+if state[1] then
+  count = math.max(0, tonumber(state[1]) - math.floor((now - tonumber(state[2])) / decayMs))
+end
+count = count + 1
+redis.call("HSET", KEYS[1], "count", count, "updatedAt", tostring(now))
+redis.call("PEXPIRE", KEYS[1], count * decayMs)
+return count
+`;
+
+/**
+ * Rate limit store backed by a server speaking the Redis protocol
+ * @class RedisStore
+ * @implements {RateLimitStore}
+ *
+ * @description
+ * Shares counters and bans between every instance connected to the same
+ * server (Redis, Valkey, KeyDB, Dragonfly, Upstash...), which is what
+ * serverless deployments such as Vercel need.
+ *
+ * Keys, under `prefix`:
+ * - `hits:<client>`   - sorted set of request timestamps, expiring after the window.
+ *   Trimming, adding and counting run in one MULTI, so concurrent requests
+ *   from several instances are counted exactly
+ * - `bucket:<client>` - token bucket hash (`tokens`, `updatedAt`), updated by a Lua script
+ * - `strikes:<ip>`    - strike hash (`count`, `updatedAt`), updated by a Lua script and
+ *   expiring once every strike decayed
+ * - `count:<key>`     - counter of a fixed period (API key quotas, usage), expiring with the period
+ * - `bans`            - hash of ban details (JSON) keyed by IP
+ *
+ * The connection is opened on the first command. When the server is
+ * unreachable commands fail after one retry instead of queueing forever.
+ */
+export default class RedisStore {
+  /**
+   * @param {Object} [options={}]
+   * @param {string} [options.url="redis://127.0.0.1:6379"] - Connection URL (`redis://` or `rediss://`)
+   * @param {string} [options.prefix="ratelimit:"] - Prefix of every key
+   * @param {Redis} [options.client] - Existing ioredis client, used instead of `url`
+   */
+  constructor({ url = "redis://127.0.0.1:6379", prefix = "ratelimit:", client } = {}) {
+    this.name = "redis";
+    this.prefix = prefix;
+    // No ready check: it relies on INFO, which some Redis-compatible servers and proxies lack
+    this.client = client || new Redis(url, { lazyConnect: true, maxRetriesPerRequest: 1, enableReadyCheck: false });
+
+    // Log connection problems once instead of on every retry
+    let lastError = null;
+    this.client.on("error", (err) => {
+      if (err.message === lastError) return;
+      lastError = err.message;
+      logger.warn(`Rate limit store: ${err.message}`);
+    });
+    this.client.on("ready", () => {
+      lastError = null;
+    });
+  }
+
+  async hit(key, windowMs, cost = 1, now = Date.now()) {
+    const hitsKey = `${this.prefix}hits:${key}`;
+    // One member per unit of cost
+    const members = [];
+    for (let i = 0; i < cost; i++) members.push(now, `${now}:${crypto.randomBytes(6).toString("hex")}`);
+
+    const results = await this.client
+      .multi()
+      .zremrangebyscore(hitsKey, "-inf", `(${now - windowMs}`)
+      .zadd(hitsKey, ...members)
+      .zcard(hitsKey)
+      .pexpire(hitsKey, windowMs)
+      .exec();
+
+    const failed = results.find(([err]) => err);
+    if (failed) throw failed[0];
+    return results[2][1];
+  }
+
+  async takeTokens(key, capacity, windowMs, cost = 1, now = Date.now()) {
+    const [allowed, tokens, resetMs] = await this.client.eval(
+      TAKE_TOKENS,
+      1,
+      `${this.prefix}bucket:${key}`,
+      capacity,
+      windowMs,
+      cost,
+      now
+    );
+    return { allowed: allowed === 1, remaining: Math.floor(Number(tokens)), resetMs };
+  }
+
+  async addStrike(ip, decayMs, now = Date.now()) {
+    return this.client.eval(ADD_STRIKE, 1, `${this.prefix}strikes:${ip}`, decayMs, now);
+  }
+
+  async increment(key, amount, expiresAt) {
+    const [value] = await this.incrementMany([{ key, amount, expiresAt }]);
+    return value;
+  }
+
+  async incrementMany(entries) {
+    const multi = this.client.multi();
+    for (const { key, amount, expiresAt } of entries) {
+      multi.incrby(`${this.prefix}count:${key}`, amount).pexpireat(`${this.prefix}count:${key}`, expiresAt);
+    }
+    const results = await multi.exec();
+
+    const failed = results.find(([err]) => err);
+    if (failed) throw failed[0];
+    return entries.map((entry, i) => results[2 * i][1]);
+  }
+
+  async listCounters(prefix = "") {
+    const values = {};
+    const countPrefix = `${this.prefix}count:`;
+    let cursor = "0";
+    do {
+      const [next, keys] = await this.client.scan(cursor, "MATCH", `${countPrefix}${prefix}*`, "COUNT", 500);
+      cursor = next;
+      if (keys.length === 0) continue;
+
+      const counts = await this.client.mget(...keys);
+      keys.forEach((key, i) => {
+        if (counts[i] !== null) values[key.slice(countPrefix.length)] = Number(counts[i]);
+      });
+    } while (cursor !== "0");
+    return values;
+  }
+
+  async getBan(ip) {
+    const raw = await this.client.hget(`${this.prefix}bans`, ip);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async setBan(ip, info) {
+    await this.client.hset(`${this.prefix}bans`, ip, JSON.stringify(info));
+  }
+
+  async deleteBan(ip) {
+    return (await this.client.hdel(`${this.prefix}bans`, ip)) > 0;
+  }
+
+  async listBans() {
+    const raw = await this.client.hgetall(`${this.prefix}bans`);
+    return Object.fromEntries(Object.entries(raw).map(([ip, info]) => [ip, JSON.parse(info)]));
+  }
+
+  async activeKeys(prefix = "") {
+    let cursor = "0";
+    let count = 0;
+    do {
+      const [next, keys] = await this.client.scan(cursor, "MATCH", `${this.prefix}hits:${prefix}*`, "COUNT", 500);
+      cursor = next;
+      count += keys.length;
+    } while (cursor !== "0");
+    return count;
+  }
+
+  async topKeys(prefix = "", count = 10, windowMs = Infinity, now = Date.now()) {
+    const weights = [];
+    const min = windowMs === Infinity ? "-inf" : now - windowMs;
+    let cursor = "0";
+    do {
+      const [next, keys] = await this.client.scan(cursor, "MATCH", `${this.prefix}hits:${prefix}*`, "COUNT", 500);
+      cursor = next;
+      if (keys.length === 0) continue;
+
+      const pipeline = this.client.pipeline();
+      for (const key of keys) pipeline.zcount(key, min, "+inf");
+      const results = await pipeline.exec();
+      keys.forEach((key, i) => {
+        const [err, weight] = results[i];
+        if (!err && weight > 0) weights.push({ key: key.slice(`${this.prefix}hits:`.length), weight });
+      });
+    } while (cursor !== "0");
+    return weights.sort((a, b) => b.weight - a.weight).slice(0, count);
+  }
+
+  // Counters expire by themselves
+  async cleanup() {}
+
+  async close() {
+    await this.client.quit().catch(() => this.client.disconnect());
+  }
+}
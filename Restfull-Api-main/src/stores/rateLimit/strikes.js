@@ -0,0 +1,24 @@
+/**
+ * Adds a strike to an IP's record, after forgiving the strikes that decayed
+ * @function addStrike
+ * @param {{count: number, updatedAt: number}|undefined} record - Stored record, undefined for a first offense
+ * @param {number} decayMs - Time after which one strike is forgiven
+ * @param {number} now - Current time in milliseconds
+ * @returns {{count: number, updatedAt: number, expiresAt: number}} New record;
+ * `expiresAt` is when every strike will have decayed, so the record can be dropped
+ *
+ * @description
+ * Shared by the memory and file stores; the redis store runs the same
+ * computation in a Lua script.
+ *
+ * @example
+ * // 2 strikes, the last one 25 hours ago, with a 24 hour decay
+ * addStrike({ count: 2, updatedAt: now - 25 * HOUR }, 24 * HOUR, now); // { count: 2, ... }
+ */
+export function addStrike(record, decayMs, now) {
+  const kept = record ? Math.max(0, record.count - Math.floor((now - record.updatedAt) / decayMs)) : 0;
+  const count = kept + 1;
+  return { count, updatedAt: now, expiresAt: now + count * decayMs };
+}
+
+export default addStrike;
@@ -0,0 +1,20 @@
+/**
+ * Refills a token bucket for the time elapsed since its last update
+ * @function refill
+ * @param {{tokens: number, updatedAt: number}|undefined} bucket - Stored bucket, undefined for a new client
+ * @param {number} capacity - Maximum number of tokens, also the number refilled per window
+ * @param {number} windowMs - Time to refill an empty bucket
+ * @param {number} now - Current time in milliseconds
+ * @returns {{tokens: number, updatedAt: number}} New bucket state (fractional tokens are kept)
+ *
+ * @description
+ * Shared by the memory and file stores; the redis store runs the same
+ * computation in a Lua script.
+ */
+export function refill(bucket, capacity, windowMs, now) {
+  if (!bucket) return { tokens: capacity, updatedAt: now };
+  const elapsed = Math.max(0, now - bucket.updatedAt);
+  return { tokens: Math.min(capacity, bucket.tokens + (elapsed * capacity) / windowMs), updatedAt: now };
+}
+
+export default refill;
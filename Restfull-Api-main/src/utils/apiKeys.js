@@ -0,0 +1,298 @@
+/**
+ * @file API keys and their tiers
+ * @module apiKeys
+ * @description Keys issued to API consumers, stored hashed in
+ * `data/api-keys.json`, and the tiers defining what a key may do, read from
+ * `config/api-tiers.json`.
+ */
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { readConfig } from "./config.js";
+import { readJsonFile, writeJsonFile, withFileLock } from "./jsonFile.js";
+import logger from "./logger.js";
+
+/**
+ * File of the issued keys
+ * @constant {string}
+ */
+const KEYS_FILE = path.join(process.cwd(), "data", "api-keys.json");
+
+/**
+ * Lock held while the keys file is rewritten
+ * @constant {string}
+ */
+const LOCK_FILE = path.join(process.cwd(), "data", "api-keys.lock");
+
+/**
+ * How often the keys file is checked for changes made by other processes
+ * @constant {number}
+ */
+const RELOAD_CHECK_MS = 5 * 1000;
+
+/**
+ * Prefix of every key, so that leaked keys are easy to recognize
+ * @constant {string}
+ */
+const KEY_PREFIX = "ak_";
+
+/**
+ * Tiers used when `config/api-tiers.json` does not exist
+ * @constant {Object.<string, Object>}
+ *
+ * @description
+ * Each tier has:
+ * - `rateLimit`  - `{ limit, windowMs, algorithm }` replacing the per-IP budget of the caller
+ * - `quota`      - `{ daily, monthly }` requests per UTC day and month, null for no quota
+ * - `categories` - endpoint categories the key may call, `"*"` for all of them
+ */
+export const DEFAULT_TIERS = {
+  free: {
+    rateLimit: { limit: 30, windowMs: 10 * 1000 },
+    quota: { daily: 500, monthly: 10000 },
+    categories: ["Canvas", "Random", "Tools"],
+  },
+  basic: {
+    rateLimit: { limit: 60, windowMs: 10 * 1000 },
+    quota: { daily: 5000, monthly: 100000 },
+    categories: "*",
+  },
+  pro: {
+    rateLimit: { limit: 200, windowMs: 10 * 1000 },
+    quota: { daily: null, monthly: 1000000 },
+    categories: "*",
+  },
+};
+
+/**
+ * Tiers by name, normalized by `normalizeTier`
+ * @type {Object.<string, Object>}
+ *
+ * @example
+ * // config/api-tiers.json (replaces the default tiers)
+ * {
+ *   "partner": {
+ *     "rateLimit": { "limit": 100, "windowMs": 10000, "algorithm": "token-bucket" },
+ *     "quota": { "daily": 20000, "monthly": null },
+ *     "categories": ["AI", "Downloader"]
+ *   }
+ * }
+ */
+let tiers;
+
+/**
+ * Keys loaded from the keys file, with the state of the file when it was read
+ * @type {{byHash: Map<string, Object>, mtimeMs: number, checkedAt: number}}
+ */
+const cache = { byHash: new Map(), mtimeMs: -1, checkedAt: 0 };
+
+/**
+ * Fills the defaults of a tier
+ * @function normalizeTier
+ * @param {string} name - Name of the tier
+ * @param {Object} tier - Tier as written in the config
+ * @returns {Object}
+ * @throws {Error} If the tier has no positive `rateLimit.limit`
+ */
+function normalizeTier(name, tier) {
+  const rateLimit = tier.rateLimit || {};
+  if (!(Number.isInteger(rateLimit.limit) && rateLimit.limit > 0)) {
+    throw new Error(`Tier "${name}" needs a positive rateLimit.limit`);
+  }
+  return {
+    name,
+    rateLimit: {
+      algorithm: rateLimit.algorithm || "sliding-window",
+      windowMs: rateLimit.windowMs || 10 * 1000,
+      limit: rateLimit.limit,
+    },
+    quota: { daily: tier.quota?.daily ?? null, monthly: tier.quota?.monthly ?? null },
+    categories: tier.categories === "*" || !tier.categories ? "*" : tier.categories.map((c) => c.toLowerCase()),
+  };
+}
+
+/**
+ * Re-reads `config/api-tiers.json`, skipping invalid tiers
+ * @function reloadTiers
+ */
+export function reloadTiers() {
+  tiers = {};
+  for (const [name, tier] of Object.entries(readConfig("api-tiers", DEFAULT_TIERS))) {
+    try {
+      tiers[name] = normalizeTier(name, tier);
+    } catch (err) {
+      logger.warn(`Skipping tier in config/api-tiers.json: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Returns a tier
+ * @function getTier
+ * @param {string} name
+ * @returns {Object|null}
+ */
+export function getTier(name) {
+  return tiers[name] || null;
+}
+
+/**
+ * Returns every tier
+ * @function listTiers
+ * @returns {Object.<string, Object>}
+ */
+export function listTiers() {
+  return structuredClone(tiers);
+}
+
+/**
+ * Tells whether a tier may call the endpoints of a category
+ * @function tierAllows
+ * @param {Object} tier - Tier from `getTier`
+ * @param {string} category - Endpoint category, e.g. `AI`
+ * @returns {boolean}
+ */
+export function tierAllows(tier, category) {
+  return tier.categories === "*" || tier.categories.includes(String(category).toLowerCase());
+}
+
+/**
+ * Hashes a key. Keys are long random strings, so a fast hash is enough to
+ * make a leaked keys file useless.
+ * @function hashKey
+ * @param {string} key
+ * @returns {string} Hex SHA-256
+ */
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * Removes the hash from a key record
+ * @function publicRecord
+ * @param {Object} record
+ * @returns {Object}
+ */
+function publicRecord({ hash, ...record }) {
+  return record;
+}
+
+/**
+ * Reads the keys file into the cache when it changed since the last read.
+ * Changes are looked for at most every `RELOAD_CHECK_MS`.
+ * @async
+ * @function refresh
+ * @param {boolean} [force=false] - Check the file now
+ * @returns {Promise<void>}
+ */
+async function refresh(force = false) {
+  const now = Date.now();
+  if (!force && now - cache.checkedAt < RELOAD_CHECK_MS) return;
+  cache.checkedAt = now;
+
+  const stat = await fs.promises.stat(KEYS_FILE).catch(() => null);
+  const mtimeMs = stat ? stat.mtimeMs : 0;
+  if (mtimeMs === cache.mtimeMs) return;
+
+  const { keys = {} } = await readJsonFile(KEYS_FILE, {});
+  cache.byHash = new Map(Object.values(keys).map((record) => [record.hash, record]));
+  cache.mtimeMs = mtimeMs;
+}
+
+/**
+ * Applies a change to the keys file under its lock
+ * @async
+ * @function update
+ * @param {function(Object.<string, Object>): *} fn - Changes the records keyed by id, returns the result
+ * @returns {Promise<*>} Result of `fn`
+ */
+async function update(fn) {
+  return withFileLock(LOCK_FILE, async () => {
+    const data = await readJsonFile(KEYS_FILE, {});
+    const keys = data.keys || {};
+    const result = fn(keys);
+    await writeJsonFile(KEYS_FILE, { keys });
+    await refresh(true);
+    return result;
+  });
+}
+
+/**
+ * Issues a new key
+ * @async
+ * @function issueKey
+ * @param {Object} options
+ * @param {string} options.name - Who or what the key is for, e.g. `whatsapp-bot`
+ * @param {string} options.tier - Name of the tier
+ * @param {string} [options.by="admin"] - Who issued it
+ * @returns {Promise<{key: string, record: Object}>} The key itself, shown only
+ * once since only its hash is stored, and its record
+ * @throws {Error} If the tier does not exist
+ */
+export async function issueKey({ name, tier, by = "admin" }) {
+  if (!tiers[tier]) throw new Error(`Unknown tier "${tier}", expected one of: ${Object.keys(tiers).join(", ")}`);
+
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+  const record = {
+    id: crypto.randomBytes(6).toString("hex"),
+    name,
+    tier,
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    hash: hashKey(key),
+    createdAt: new Date().toISOString(),
+    createdBy: by,
+    revokedAt: null,
+    revokedBy: null,
+  };
+
+  await update((keys) => {
+    keys[record.id] = record;
+  });
+  return { key, record: publicRecord(record) };
+}
+
+/**
+ * Revokes a key. Revoking a revoked key changes nothing.
+ * @async
+ * @function revokeKey
+ * @param {string} id - Id of the key
+ * @param {string} [by="admin"] - Who revoked it
+ * @returns {Promise<Object|null>} The record, or null if there is no such key
+ */
+export async function revokeKey(id, by = "admin") {
+  return update((keys) => {
+    const record = keys[id];
+    if (!record) return null;
+    if (!record.revokedAt) Object.assign(record, { revokedAt: new Date().toISOString(), revokedBy: by });
+    return publicRecord(record);
+  });
+}
+
+/**
+ * Returns every key record, without hashes
+ * @async
+ * @function listKeys
+ * @returns {Promise<Array<Object>>} Newest first
+ */
+export async function listKeys() {
+  await refresh(true);
+  return [...cache.byHash.values()].map(publicRecord).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Finds the record of a key
+ * @async
+ * @function findKey
+ * @param {string} key - Key sent by a client
+ * @returns {Promise<Object|null>} The record (revoked keys included), or null if unknown
+ */
+export async function findKey(key) {
+  if (typeof key !== "string" || !key.startsWith(KEY_PREFIX)) return null;
+  await refresh();
+  const record = cache.byHash.get(hashKey(key));
+  return record ? publicRecord(record) : null;
+}
+
+reloadTiers();
+
+export default { issueKey, revokeKey, listKeys, findKey, getTier, listTiers, tierAllows, reloadTiers, DEFAULT_TIERS };
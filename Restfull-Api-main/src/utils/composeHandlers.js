@@ -0,0 +1,350 @@
+import createParamsValidator from "../middleware/validateParams.js";
+import createUpload from "../middleware/uploadFiles.js";
+import requireAdminKey from "../middleware/adminAuth.js";
+import { identifyApiKey, rejectInvalidApiKey, createApiKeyAccess } from "../middleware/apiKeyAuth.js";
+import createUsageMeter, { markRenderStart } from "../middleware/usageMeter.js";
+import createResponseChecker, { CHECK_RESPONSES } from "../middleware/checkResponses.js";
+import { sendError } from "../middleware/errorHandler.js";
+import rateLimiter from "../middleware/rateLimiter.js";
+import { HttpError, TimeoutError } from "./errors.js";
+import { resolveEnvelope } from "./envelope.js";
+import { negotiateFormat, notAcceptable } from "./serializers.js";
+import { getStatus } from "./endpointStatus.js";
+import logger from "./logger.js";
+
+/**
+ * Wraps a possibly async function as an Express middleware that forwards rejections
+ * @function asyncHandler
+ * @param {Function} fn - Middleware or handler `(req, res, next)`
+ * @returns {Function} Express middleware
+ *
+ * @description
+ * Errors thrown after a response was already sent (for example by a handler
+ * that kept running after its timeout fired) are logged instead of forwarded.
+ */
+export function asyncHandler(fn) {
+  return (req, res, next) => {
+    Promise.resolve()
+      .then(() => fn(req, res, next))
+      .catch((error) => {
+        if (res.headersSent) {
+          logger.error(`${req.method} ${req.path} failed after response was sent: ${error.message}`);
+          return;
+        }
+        next(error);
+      });
+  };
+}
+
+/**
+ * Creates the step emitting version and deprecation headers
+ * @function createVersionHeaders
+ * @param {Object} info - Endpoint metadata built by the loader
+ * @returns {Function} Express middleware
+ *
+ * @description
+ * - `X-API-Version: v2` for versioned endpoints, also when called through the unversioned alias
+ * - `Deprecation: true` or `Deprecation: @<unix time>` when `deprecated` is `true` or a date
+ * - `Sunset: <HTTP-date>` when `sunset` is set
+ * - `Link: <route>; rel="successor-version"` when a newer version exists
+ *
+ * `info.successor` is read on every request because the registry updates it
+ * when versions are added or removed.
+ */
+function createVersionHeaders(info) {
+  const deprecation = info.deprecated === true
+    ? "true"
+    : info.deprecated ? `@${Math.floor(new Date(info.deprecated).getTime() / 1000)}` : null;
+  const sunset = info.sunset ? new Date(info.sunset).toUTCString() : null;
+
+  return (req, res, next) => {
+    if (info.version) res.set("X-API-Version", info.version);
+    if (deprecation) res.set("Deprecation", deprecation);
+    if (sunset) res.set("Sunset", sunset);
+    if (info.successor) res.append("Link", `<${info.successor}>; rel="successor-version"`);
+    next();
+  };
+}
+
+/**
+ * Creates the step selecting the response envelope declared by `envelope`
+ * @function createEnvelope
+ * @param {boolean|Object} envelope - `false` for raw JSON, or envelope settings
+ * overriding config/envelope.json (see utils/envelope.js)
+ * @returns {Function} Express middleware
+ */
+function createEnvelope(envelope) {
+  const options = resolveEnvelope(envelope);
+  return (req, res, next) => {
+    res.locals.envelope = options;
+    next();
+  };
+}
+
+/**
+ * Creates the step rejecting requests to disabled endpoints
+ * @function createAvailabilityCheck
+ * @param {Object} info - Endpoint metadata built by the loader
+ * @returns {Function} Express middleware
+ *
+ * @description
+ * Fails with 503 `ENDPOINT_DISABLED` or `MAINTENANCE` when the endpoint is
+ * disabled or in maintenance (see endpointStatus.js). Maintenance with an
+ * end date adds `Retry-After`.
+ */
+function createAvailabilityCheck(info) {
+  return (req, res, next) => {
+    const { status, message, until } = getStatus(info.route);
+    if (status === "enabled") return next();
+
+    const headers = {};
+    if (until) {
+      const seconds = Math.ceil((new Date(until).getTime() - Date.now()) / 1000);
+      if (seconds > 0) headers["Retry-After"] = String(seconds);
+    }
+
+    next(new HttpError(503, message, {
+      code: status === "maintenance" ? "MAINTENANCE" : "ENDPOINT_DISABLED",
+      details: { status, until },
+      headers,
+    }));
+  };
+}
+
+/**
+ * Creates the step refusing requests whose `Accept` header the endpoint cannot satisfy
+ * @function createNegotiation
+ * @param {Object} info - Endpoint metadata built by the loader
+ * @returns {Function|null} Express middleware, null for endpoints declaring no 2xx response
+ *
+ * @description
+ * Fails with 406 `NOT_ACCEPTABLE` before the endpoint does any work when
+ * `Accept` matches none of the response formats (see utils/serializers.js)
+ * nor the media type of a declared 2xx response, such as `image/png`.
+ * Endpoints that declare no 2xx response may send anything, so they are not checked.
+ */
+function createNegotiation(info) {
+  const successes = Object.entries(info.responses).filter(([status]) => status.startsWith("2"));
+  if (successes.length === 0) return null;
+  const mediaTypes = successes
+    .map(([, response]) => response.contentType)
+    .filter((type) => type !== "application/json");
+
+  return (req, res, next) => {
+    if (negotiateFormat(req) || (mediaTypes.length > 0 && req.accepts(mediaTypes))) return next();
+    next(notAcceptable());
+  };
+}
+
+/**
+ * Creates the authentication step declared by `auth`
+ * @function createAuth
+ * @param {string|Function|undefined} auth - `"admin"`, `"required"`, `"optional"`, a function
+ * `(req) => boolean|Promise<boolean>`, or undefined
+ * @param {Object} info - Endpoint metadata
+ * @returns {Function} Express middleware
+ * @throws {Error} If the auth value is not supported
+ *
+ * @description
+ * Without `auth`, API keys are optional: a request sending one is still held
+ * to the category and quota of its tier. So is a request accepted by an
+ * `auth` function, the function deciding only who else may call.
+ */
+function createAuth(auth, info) {
+  if (auth === "admin") return requireAdminKey;
+  if (auth === undefined || auth === "optional") return createApiKeyAccess(info);
+  if (auth === "required") return createApiKeyAccess(info, { required: true });
+
+  if (typeof auth === "function") {
+    const access = createApiKeyAccess(info);
+    return asyncHandler(async (req, res, next) => {
+      if (!(await auth(req))) throw new HttpError(401, "Unauthorized.");
+      return access(req, res, next);
+    });
+  }
+
+  throw new Error(`Unsupported auth option: ${auth}`);
+}
+
+/**
+ * Creates the timeout step declared by `timeout`
+ * @function createTimeout
+ * @param {number} ms - Time in milliseconds the endpoint has to send its response
+ * @returns {Function} Express middleware
+ *
+ * @description
+ * Responds 504 `TIMEOUT` if nothing was sent when the timer fires. The
+ * handler is not aborted; whatever it sends afterwards is discarded.
+ */
+function createTimeout(ms) {
+  return (req, res, next) => {
+    const timer = setTimeout(() => {
+      if (res.headersSent) return;
+      sendError(req, res, new TimeoutError(`Request timed out after ${ms / 1000}s.`));
+
+      // Discard whatever the still-running handler sends later
+      res.json = res.send = () => res;
+    }, ms);
+
+    const clear = () => clearTimeout(timer);
+    res.on("finish", clear);
+    res.on("close", clear);
+    next();
+  };
+}
+
+/**
+ * Creates the caching step declared by `cache`
+ * @function createCache
+ * @param {number} seconds - Max age of successful responses
+ * @returns {Function} Express middleware
+ * @description The header is only added to 2xx responses that did not set their own.
+ */
+function createCache(seconds) {
+  return (req, res, next) => {
+    const writeHead = res.writeHead;
+    res.writeHead = function (statusCode, ...args) {
+      if (statusCode >= 200 && statusCode < 300 && !this.getHeader("Cache-Control")) {
+        this.setHeader("Cache-Control", `public, max-age=${seconds}`);
+      }
+      return writeHead.call(this, statusCode, ...args);
+    };
+    next();
+  };
+}
+
+/**
+ * Creates the step running the `before` hooks
+ * @function createBefore
+ * @param {Array<Function>} hooks - Hooks `(req, res) => void|Promise<void>`
+ * @returns {Function} Express middleware
+ */
+function createBefore(hooks) {
+  return asyncHandler(async (req, res, next) => {
+    for (const hook of hooks) {
+      await hook(req, res);
+      if (res.headersSent) return;
+    }
+    next();
+  });
+}
+
+/**
+ * Creates the step scheduling the `after` hooks
+ * @function createAfter
+ * @param {Array<Function>} hooks - Hooks `(req, res) => void|Promise<void>`
+ * @returns {Function} Express middleware
+ */
+function createAfter(hooks) {
+  return (req, res, next) => {
+    res.on("finish", async () => {
+      for (const hook of hooks) {
+        try {
+          await hook(req, res);
+        } catch (error) {
+          logger.error(`after hook failed for ${req.method} ${req.path}: ${error.message}`);
+        }
+      }
+    });
+    next();
+  };
+}
+
+/**
+ * Turns a value that may be a single function or an array into an array
+ * @function toArray
+ * @param {Function|Array<Function>|undefined} value
+ * @returns {Array<Function>}
+ */
+function toArray(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Builds the handler chain of an endpoint from its module options
+ * @function composeHandlers
+ * @param {Object} module - Endpoint module
+ * @param {Object} info - Endpoint metadata built by the loader (route, version, paramsSchema...)
+ * @returns {Array<Function>} Express handlers, in execution order
+ *
+ * @description
+ * Each option adds one step, next to the steps every endpoint gets. Steps
+ * always run in this order:
+ * 1. version headers - `X-API-Version`, `Deprecation`, `Sunset` and successor `Link`
+ * 2. `envelope`    - `false` or envelope settings for the route's JSON responses
+ * 3. response check - in development and test, for endpoints declaring `responses`: logs
+ *    responses differing from the declaration (see checkResponses.js)
+ * 4. availability  - 503 when the endpoint is disabled or in maintenance
+ * 5. negotiation   - 406 when `Accept` matches no response format nor declared 2xx media type
+ * 6. API key       - identifies the `X-API-Key` header or `apikey` query param
+ * 7. usage         - meters the request for its consumer once answered (see usage.js)
+ * 8. `rateLimit`   - policy `{ cost, limit, windowMs, algorithm }`; `false` leaves the route uncounted
+ * 9. invalid key   - 401 / 403 when the API key was invalid, after the rate limiter so
+ *    that guessing keys is rate limited
+ * 10. `auth`       - `"admin"` (X-Admin-Key), `"required"` / `"optional"` (API key, tier
+ *    categories and quotas) or `(req) => boolean`; 401 when rejected
+ * 11. `timeout`    - milliseconds before a 504 is sent
+ * 12. `after`      - hooks `(req, res)` run once the response has been sent, for every
+ *    request that passed `auth`. They are meant for side effects such as cleanup or
+ *    metrics and cannot change the response; their errors are logged.
+ * 13. `upload`     - multipart parsing; derived from `file` params when not declared
+ * 14. validation   - `paramsSchema` enforcement, fills `req.validated`
+ * 15. `cache`      - seconds, sets `Cache-Control: public, max-age=<cache>` on 2xx
+ * 16. `middleware` - Express middleware (function or array)
+ * 17. `before`     - hooks `(req, res)`; the chain stops if a hook sends a response
+ * 18. `render`     - `true` starts metering render time (see usageMeter.js)
+ * 19. `run`        - the endpoint handler (function or array of handlers)
+ *
+ * Errors thrown or rejected by async steps are forwarded to `next(error)` and
+ * answered by the error handler (see errorHandler.js): endpoints throw an
+ * HttpError (utils/errors.js) instead of sending error responses themselves.
+ *
+ * @example
+ * export default {
+ *   name: "Twibbon",
+ *   methods: ["POST"],
+ *   auth: "admin",
+ *   rateLimit: { cost: 3 },
+ *   timeout: 20000,
+ *   upload: { field: "file", mimeTypes: ["image/png", "image/jpeg"] },
+ *   paramsSchema: { file: { type: "file", required: true } },
+ *   before: [(req) => console.log("rendering", req.file.originalname)],
+ *   after: [(req, res) => console.log("done", res.statusCode)],
+ *   async run(req, res) { ... },
+ * };
+ */
+export default function composeHandlers(module, info) {
+  const { paramsSchema } = info;
+  const handlers = [];
+
+  if (info.version || info.deprecated || info.sunset) handlers.push(createVersionHeaders(info));
+  if (module.envelope !== undefined) handlers.push(createEnvelope(module.envelope));
+  if (CHECK_RESPONSES && Object.keys(info.responses).length > 0) handlers.push(createResponseChecker(info));
+  handlers.push(createAvailabilityCheck(info));
+  const negotiation = createNegotiation(info);
+  if (negotiation) handlers.push(negotiation);
+  handlers.push(identifyApiKey);
+  handlers.push(createUsageMeter(info));
+  if (module.rateLimit !== false) handlers.push(rateLimiter.limit({ ...module.rateLimit, key: info.route }));
+  handlers.push(rejectInvalidApiKey);
+  handlers.push(createAuth(module.auth, info));
+  if (module.timeout) handlers.push(createTimeout(module.timeout));
+  if (module.after) handlers.push(createAfter(toArray(module.after)));
+
+  const fileParams = Object.keys(paramsSchema).filter((name) => paramsSchema[name].type === "file");
+  const upload = module.upload || (fileParams.length > 0 ? fileParams : null);
+  if (upload) handlers.push(createUpload(upload));
+
+  handlers.push(createParamsValidator(paramsSchema));
+
+  if (module.cache) handlers.push(createCache(module.cache));
+  handlers.push(...toArray(module.middleware));
+  if (module.before) handlers.push(createBefore(toArray(module.before)));
+  if (module.render) handlers.push(markRenderStart);
+
+  if (Array.isArray(module.run)) handlers.push(...module.run);
+  else handlers.push(asyncHandler((req, res) => module.run(req, res)));
+
+  return handlers;
+}
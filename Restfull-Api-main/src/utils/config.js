@@ -0,0 +1,76 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Directory holding the JSON configuration files
+ * @constant {string}
+ * @default "<cwd>/config"
+ */
+export const CONFIG_DIR = process.env.CONFIG_DIR || path.join(process.cwd(), "config");
+
+/**
+ * Version of the API, read from package.json
+ * @constant {string}
+ */
+export const API_VERSION = (() => {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(process.cwd(), "package.json"), "utf8")).version || "1.0.0";
+  } catch {
+    return "1.0.0";
+  }
+})();
+
+/**
+ * Returns the path of a configuration file
+ * @function configPath
+ * @param {string} name - Config name without extension, e.g. `"endpoints"`
+ * @returns {string} Absolute path of `config/<name>.json`
+ */
+export function configPath(name) {
+  return path.join(CONFIG_DIR, `${name}.json`);
+}
+
+/**
+ * Reads a JSON configuration file
+ * @function readConfig
+ * @param {string} name - Config name without extension, e.g. `"endpoints"`
+ * @param {*} [defaults={}] - Value returned when the file is missing or invalid
+ * @returns {*} Parsed configuration
+ *
+ * @example
+ * const statuses = readConfig("endpoints", {});
+ */
+export function readConfig(name, defaults = {}) {
+  const file = configPath(name);
+  if (!fs.existsSync(file)) return defaults;
+
+  try {
+    const raw = fs.readFileSync(file, "utf8");
+    return raw.trim() ? JSON.parse(raw) : defaults;
+  } catch (err) {
+    console.error(`Failed to load config ${file}:`, err);
+    return defaults;
+  }
+}
+
+/**
+ * Writes a JSON configuration file
+ * @function writeConfig
+ * @param {string} name - Config name without extension
+ * @param {*} data - Value to serialize
+ * @returns {boolean} True if the file was written
+ *
+ * @description
+ * Failures (for example on a read-only file system such as Vercel) are logged
+ * and reported through the return value; callers keep their in-memory state.
+ */
+export function writeConfig(name, data) {
+  try {
+    if (!fs.existsSync(CONFIG_DIR)) fs.mkdirSync(CONFIG_DIR, { recursive: true });
+    fs.writeFileSync(configPath(name), JSON.stringify(data, null, 2));
+    return true;
+  } catch (err) {
+    console.error(`Failed to save config ${name}:`, err);
+    return false;
+  }
+}
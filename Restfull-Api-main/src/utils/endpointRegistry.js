@@ -0,0 +1,338 @@
+import express from "express";
+import logger from "./logger.js";
+
+/**
+ * Ranks a route segment: static segments match before params, params before catch-alls
+ * @function segmentRank
+ * @param {string} segment - Route segment
+ * @returns {number} 0 for static, 1 for `:param`, 2 for a catch-all `:param(.+)`
+ */
+function segmentRank(segment) {
+  if (!segment.startsWith(":")) return 0;
+  return segment.endsWith("(.+)") ? 2 : 1;
+}
+
+/**
+ * Orders routes from most to least specific
+ * @function compareRoutes
+ * @param {string} a - First route
+ * @param {string} b - Second route
+ * @returns {number} Negative if `a` must be registered before `b`
+ * @example
+ * // /api/random/bluearchive before /api/random/:collection before /api/random/:rest(.+)
+ */
+export function compareRoutes(a, b) {
+  const segA = a.split("/");
+  const segB = b.split("/");
+  for (let i = 0; i < Math.min(segA.length, segB.length); i++) {
+    const diff = segmentRank(segA[i]) - segmentRank(segB[i]);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Reduces a route to the shape Express matches on, ignoring param names
+ * @function routeSignature
+ * @param {string} route - Route such as `/api/random/:collection`
+ * @returns {string} Signature such as `/api/random/:`
+ */
+function routeSignature(route) {
+  return route
+    .split("/")
+    .map((segment) => ["", ":", ":*"][segmentRank(segment)] || segment)
+    .join("/");
+}
+
+/**
+ * Extracts the number of a version string
+ * @function versionNumber
+ * @param {string} version - Version such as `"v2"`
+ * @returns {number}
+ */
+function versionNumber(version) {
+  return Number(version.slice(1));
+}
+
+/**
+ * Keeps track of loaded endpoints and serves them through a swappable Express router
+ * @class EndpointRegistry
+ *
+ * @description
+ * Express has no API for removing a route once it is registered. Instead of
+ * registering endpoints directly on the application, the loader stores them
+ * here, keyed by their source file. The registry builds a fresh router from
+ * its entries on every `rebuild()` and the application dispatches through the
+ * current one, so endpoints can be added, replaced or removed at runtime.
+ *
+ * @example
+ * const registry = new EndpointRegistry();
+ * app.use(registry.middleware());
+ * registry.set("/project/api/ping.js", { info, handlers });
+ * registry.rebuild();
+ */
+export class EndpointRegistry {
+  constructor() {
+    /**
+     * Loaded endpoints keyed by absolute file path
+     * @type {Map<string, {info: Object, handlers: Array<Function>}>}
+     */
+    this.entries = new Map();
+
+    /**
+     * Router currently serving the registered endpoints
+     * @type {express.Router}
+     */
+    this.router = express.Router();
+
+    /**
+     * Files that failed to load, keyed by absolute file path
+     * @type {Map<string, {file: string, error: string, issues: (Array<string>|undefined), stack: (string|undefined), at: string}>}
+     */
+    this.failures = new Map();
+
+    /**
+     * Shape warnings of loaded endpoints, keyed by absolute file path
+     * @type {Map<string, Array<string>>}
+     */
+    this.warnings = new Map();
+
+    /**
+     * Routes served by more than one endpoint, computed by `rebuild()`
+     * @type {Array<{route: string, methods: Array<string>, servedBy: string, shadowed: Array<string>}>}
+     */
+    this.collisions = [];
+  }
+
+  /**
+   * Adds or replaces the endpoint loaded from a file
+   * @param {string} file - Absolute path of the endpoint file
+   * @param {Object} entry - Endpoint entry
+   * @param {Object} entry.info - Endpoint metadata (route, methods, paramsSchema...)
+   * @param {Array<Function>} entry.handlers - Handler chain registered for each method
+   */
+  set(file, entry) {
+    this.entries.set(file, entry);
+  }
+
+  /**
+   * Removes the endpoint loaded from a file
+   * @param {string} file - Absolute path of the endpoint file
+   * @returns {boolean} True if an endpoint was removed
+   */
+  delete(file) {
+    return this.entries.delete(file);
+  }
+
+  /**
+   * Records that a file failed to load
+   * @param {string} file - Absolute path of the endpoint file
+   * @param {Error} error - Import error, or shape error carrying an `issues` array
+   *
+   * @description
+   * The stack trace is only kept outside production.
+   */
+  recordFailure(file, error) {
+    this.failures.set(file, {
+      file,
+      error: error.message,
+      issues: error.issues,
+      stack: process.env.NODE_ENV === "production" ? undefined : error.stack,
+      at: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Records the shape warnings of a loaded endpoint, replacing previous ones
+   * @param {string} file - Absolute path of the endpoint file
+   * @param {Array<string>} warnings
+   */
+  recordWarnings(file, warnings) {
+    if (warnings.length > 0) this.warnings.set(file, warnings);
+    else this.warnings.delete(file);
+  }
+
+  /**
+   * Forgets the failure and warnings recorded for a file
+   * @param {string} file - Absolute path of the endpoint file
+   */
+  clearDiagnostics(file) {
+    this.failures.delete(file);
+    this.warnings.delete(file);
+  }
+
+  /**
+   * Returns the load report of the api directory
+   * @returns {{loaded: number, failed: number, failures: Array<Object>, collisions: Array<Object>, warnings: Array<{file: string, route: (string|null), warnings: Array<string>}>}}
+   */
+  diagnostics() {
+    return {
+      loaded: this.entries.size,
+      failed: this.failures.size,
+      failures: [...this.failures.values()],
+      collisions: this.collisions,
+      warnings: [...this.warnings].map(([file, warnings]) => ({
+        file,
+        route: this.entries.get(file)?.info.route || null,
+        warnings,
+      })),
+    };
+  }
+
+  /**
+   * Returns the entry of the endpoint loaded from a file
+   * @param {string} file - Absolute path of the endpoint file
+   * @returns {Object|undefined}
+   */
+  get(file) {
+    return this.entries.get(file);
+  }
+
+  /**
+   * Returns whether an endpoint was loaded from a file
+   * @param {string} file - Absolute path of the endpoint file
+   * @returns {boolean}
+   */
+  has(file) {
+    return this.entries.has(file);
+  }
+
+  /**
+   * Returns the files of all registered endpoints
+   * @returns {Array<string>}
+   */
+  files() {
+    return [...this.entries.keys()];
+  }
+
+  /**
+   * Returns the metadata of every registered endpoint
+   * @returns {Array<Object>}
+   */
+  list() {
+    return [...this.entries.values()].map((entry) => entry.info);
+  }
+
+  /**
+   * Links the versions of each endpoint together
+   * @returns {void}
+   *
+   * @description
+   * For every unversioned route served by versioned endpoints (`/api/v1/x`,
+   * `/api/v2/x`), the latest version gets `info.alias = "/api/x"` unless an
+   * unversioned file already serves that route. Older versions get
+   * `info.successor` pointing at the latest version's route.
+   */
+  resolveVersions() {
+    const infos = this.list();
+    const unversioned = new Set(infos.filter((info) => !info.version).map((info) => info.route));
+    const latest = new Map();
+
+    for (const info of infos) {
+      if (!info.version) continue;
+      const current = latest.get(info.unversionedRoute);
+      if (!current || versionNumber(info.version) > versionNumber(current.version)) {
+        latest.set(info.unversionedRoute, info);
+      }
+    }
+
+    for (const info of infos) {
+      if (!info.version) continue;
+      const newest = latest.get(info.unversionedRoute);
+      info.alias = newest === info && !unversioned.has(info.unversionedRoute) ? info.unversionedRoute : null;
+      info.successor = newest === info ? null : newest.route;
+    }
+  }
+
+  /**
+   * Finds routes served by more than one endpoint
+   * @param {Array<{route: string, file: string, methods: Array<string>}>} routes - Routes in registration order
+   * @returns {Array<{route: string, methods: Array<string>, servedBy: string, shadowed: Array<string>}>}
+   * Colliding routes with the file that serves them and the files it shadows
+   *
+   * @description
+   * Routes collide when they match the same paths (`/api/x/:id` and `/api/x/:slug`
+   * do) for at least one common method. Since routes are registered in order,
+   * only the first one is reachable.
+   */
+  findCollisions(routes) {
+    const bySignature = new Map();
+    for (const route of routes) {
+      const signature = routeSignature(route.route);
+      if (!bySignature.has(signature)) bySignature.set(signature, []);
+      bySignature.get(signature).push(route);
+    }
+
+    const collisions = [];
+    for (const group of bySignature.values()) {
+      const [first, ...others] = group;
+      const shadowed = others.filter((other) => other.file !== first.file && other.methods.some((m) => first.methods.includes(m)));
+      if (shadowed.length === 0) continue;
+
+      collisions.push({
+        route: first.route,
+        methods: first.methods.filter((m) => shadowed.some((other) => other.methods.includes(m))),
+        servedBy: first.file,
+        shadowed: shadowed.map((other) => other.file),
+      });
+    }
+    return collisions;
+  }
+
+  /**
+   * Builds a new router from the current entries and swaps it in
+   * @returns {void}
+   *
+   * @description
+   * Routes (including unversioned aliases) are registered from most to least
+   * specific so that a static route such as `/api/random/loli` is not
+   * shadowed by `/api/random/:collection`. Among routes matching the same
+   * paths, endpoints of the local api directory come before plugin endpoints;
+   * new collisions are logged.
+   */
+  rebuild() {
+    this.resolveVersions();
+
+    const routes = [];
+    for (const [file, { info, handlers }] of this.entries) {
+      const plugin = info.plugin ? 1 : 0;
+      routes.push({ route: info.route, methods: info.methods, handlers, file, plugin });
+      if (info.alias) routes.push({ route: info.alias, methods: info.methods, handlers, file, plugin });
+    }
+    routes.sort((a, b) => compareRoutes(a.route, b.route) || a.plugin - b.plugin);
+
+    const known = new Set(this.collisions.map((c) => JSON.stringify(c)));
+    this.collisions = this.findCollisions(routes);
+    for (const collision of this.collisions) {
+      if (known.has(JSON.stringify(collision))) continue;
+      logger.warn(
+        `Route collision on ${collision.methods.join(", ")} ${collision.route}: served by ${collision.servedBy}, ` +
+        `shadowing ${collision.shadowed.join(", ")}`
+      );
+    }
+
+    const router = express.Router();
+    for (const { route, methods, handlers } of routes) {
+      for (const method of methods) {
+        router[method.toLowerCase()](route, ...handlers);
+      }
+    }
+    this.router = router;
+  }
+
+  /**
+   * Returns a middleware dispatching to whichever router is current
+   * @returns {Function} Express middleware
+   */
+  middleware() {
+    return (req, res, next) => this.router(req, res, next);
+  }
+}
+
+/**
+ * Registry used by the application
+ * @type {EndpointRegistry}
+ */
+const endpointRegistry = new EndpointRegistry();
+
+export default endpointRegistry;
@@ -0,0 +1,106 @@
+/**
+ * @file Runtime availability of individual endpoints
+ * @module endpointStatus
+ * @description Keeps track of endpoints that are disabled or in maintenance,
+ * persisted in `config/endpoints.json`.
+ */
+import { readConfig, writeConfig } from "./config.js";
+
+/**
+ * Name of the configuration file (`config/endpoints.json`)
+ * @constant {string}
+ */
+const CONFIG_NAME = "endpoints";
+
+/**
+ * Statuses an endpoint can be put in
+ * @constant {Array<string>}
+ */
+export const STATUSES = ["enabled", "disabled", "maintenance"];
+
+/**
+ * Default messages returned by unavailable endpoints
+ * @constant {Object}
+ */
+const DEFAULT_MESSAGES = {
+  disabled: "This endpoint is currently disabled.",
+  maintenance: "This endpoint is under maintenance. Please try again later.",
+};
+
+/**
+ * Unavailable endpoints keyed by route, loaded from the config file
+ * @type {Object.<string, {status: string, message: string, until: (string|null), updatedAt: string}>}
+ *
+ * @example
+ * // config/endpoints.json
+ * {
+ *   "/api/ai/gpt": { "status": "maintenance", "message": "Upstream is down", "until": "2025-01-01T12:00:00Z" },
+ *   "/api/downloader/webmusic": { "status": "disabled" }
+ * }
+ */
+let statuses = readConfig(CONFIG_NAME, {});
+
+/**
+ * Returns the availability of an endpoint
+ * @function getStatus
+ * @param {string} route - Endpoint route, e.g. `/api/ai/gpt`
+ * @returns {{status: string, message: (string|null), until: (string|null)}}
+ *
+ * @description
+ * Maintenance windows whose `until` date has passed are reported as enabled.
+ */
+export function getStatus(route) {
+  const entry = statuses[route];
+  if (!entry || !STATUSES.includes(entry.status) || entry.status === "enabled") {
+    return { status: "enabled", message: null, until: null };
+  }
+
+  if (entry.status === "maintenance" && entry.until && new Date(entry.until).getTime() <= Date.now()) {
+    return { status: "enabled", message: null, until: null };
+  }
+
+  return {
+    status: entry.status,
+    message: entry.message || DEFAULT_MESSAGES[entry.status],
+    until: entry.until || null,
+  };
+}
+
+/**
+ * Changes the availability of an endpoint and persists it
+ * @function setStatus
+ * @param {string} route - Endpoint route
+ * @param {string} status - One of `enabled`, `disabled` or `maintenance`
+ * @param {Object} [options={}]
+ * @param {string} [options.message] - Message returned to callers
+ * @param {string} [options.until] - ISO date at which maintenance ends
+ * @returns {Object} The new status
+ * @throws {Error} If the status is unknown
+ */
+export function setStatus(route, status, { message, until } = {}) {
+  if (!STATUSES.includes(status)) throw new Error(`Unknown endpoint status: ${status}`);
+
+  if (status === "enabled") {
+    delete statuses[route];
+  } else {
+    statuses[route] = {
+      status,
+      message: message || null,
+      until: until || null,
+      updatedAt: new Date().toISOString(),
+    };
+  }
+
+  writeConfig(CONFIG_NAME, statuses);
+  return getStatus(route);
+}
+
+/**
+ * Re-reads the configuration file, discarding unsaved changes
+ * @function reloadStatuses
+ */
+export function reloadStatuses() {
+  statuses = readConfig(CONFIG_NAME, {});
+}
+
+export default { getStatus, setStatus, reloadStatuses, STATUSES };
@@ -0,0 +1,137 @@
+/**
+ * @file Response envelope
+ * @module envelope
+ * @description Fields added around every JSON response by the response
+ * formatter, configured in `config/envelope.json` and overridable per endpoint
+ * with the `envelope` module option.
+ */
+import { API_VERSION, readConfig } from "./config.js";
+
+/**
+ * Envelope used when `config/envelope.json` is missing
+ * @constant {Object}
+ * @property {boolean} statusCode - Add the HTTP status
+ * @property {boolean} success - Add `true` below 400, `false` otherwise (a value set by the handler wins)
+ * @property {boolean} requestId - Add the id of the request (see middleware/requestId.js)
+ * @property {boolean} timestamp - Add the ISO date of the response
+ * @property {string|null} attribution - Text of the attribution field, null to leave it out
+ * @property {Object} meta - Extra data grouped under the meta field
+ * @property {boolean|string} meta.version - API version: true for package.json's, or a fixed string
+ * @property {boolean} meta.processingTime - Milliseconds spent on the request
+ * @property {Object.<string, string>} fields - Names of the envelope fields
+ */
+export const DEFAULT_ENVELOPE = {
+  statusCode: true,
+  success: true,
+  requestId: true,
+  timestamp: true,
+  attribution: "@synshin9",
+  meta: { version: false, processingTime: false },
+  fields: {
+    statusCode: "statusCode",
+    success: "success",
+    requestId: "requestId",
+    timestamp: "timestamp",
+    attribution: "attribution",
+    meta: "meta",
+  },
+};
+
+/**
+ * Merges a partial envelope configuration over a base one
+ * @function resolveEnvelope
+ * @param {boolean|Object} [override] - `false` for raw responses, or fields of `DEFAULT_ENVELOPE` to change
+ * @param {Object} [base=ENVELOPE] - Configuration to start from
+ * @returns {Object|false} Complete configuration, or false for raw responses
+ *
+ * @example
+ * resolveEnvelope({ attribution: null, meta: { processingTime: true } });
+ */
+export function resolveEnvelope(override, base = ENVELOPE) {
+  if (override === false) return false;
+  if (!override || override === true) return base;
+
+  return {
+    ...base,
+    ...override,
+    meta: { ...base.meta, ...override.meta },
+    fields: { ...base.fields, ...override.fields },
+  };
+}
+
+/**
+ * Envelope of the application, read once from `config/envelope.json`
+ * @constant {Object}
+ *
+ * @example
+ * // config/envelope.json
+ * {
+ *   "attribution": "My Company",
+ *   "success": false,
+ *   "meta": { "version": true, "processingTime": true },
+ *   "fields": { "statusCode": "status", "meta": "_meta" }
+ * }
+ */
+export const ENVELOPE = resolveEnvelope(readConfig("envelope", {}), DEFAULT_ENVELOPE);
+
+/**
+ * Wraps a response body in the envelope
+ * @function wrapBody
+ * @param {Object} data - Body passed to `res.json()`
+ * @param {Object} options - Envelope configuration, see `resolveEnvelope`
+ * @param {Object} context
+ * @param {number} context.statusCode - HTTP status of the response
+ * @param {string} [context.requestId] - Id of the request
+ * @param {bigint} [context.startedAt] - `process.hrtime.bigint()` at the start of the request
+ * @returns {Object} New body: status and success first, then the handler's fields, then the rest
+ */
+export function wrapBody(data, options, { statusCode, requestId, startedAt }) {
+  const { fields } = options;
+  const body = {};
+
+  if (options.statusCode) body[fields.statusCode] = statusCode;
+  if (options.success) body[fields.success] = statusCode < 400;
+  Object.assign(body, data);
+
+  if (options.requestId && requestId) body[fields.requestId] = requestId;
+  if (options.timestamp) body[fields.timestamp] = new Date().toISOString();
+  if (options.attribution) body[fields.attribution] = options.attribution;
+
+  const meta = {};
+  if (options.meta.version) meta.version = options.meta.version === true ? API_VERSION : options.meta.version;
+  if (options.meta.processingTime && startedAt !== undefined) {
+    meta.processingTime = Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100;
+  }
+  if (Object.keys(meta).length > 0) body[fields.meta] = meta;
+
+  return body;
+}
+
+/**
+ * JSON Schema of the envelope fields, used by the generated documents
+ * @function envelopeSchema
+ * @param {Object} options - Envelope configuration
+ * @param {boolean} success - Whether the schema is for 2xx responses
+ * @returns {Object} JSON Schema of an object with the envelope fields
+ */
+export function envelopeSchema(options, success) {
+  const { fields } = options;
+  const properties = {};
+
+  if (options.statusCode) properties[fields.statusCode] = { type: "integer", examples: [success ? 200 : 500] };
+  if (options.success) properties[fields.success] = { const: success };
+  if (options.requestId) properties[fields.requestId] = { type: "string", description: "Id of the request, also sent as X-Request-Id" };
+  if (options.timestamp) properties[fields.timestamp] = { type: "string", format: "date-time" };
+  if (options.attribution) properties[fields.attribution] = { type: "string", examples: [options.attribution] };
+
+  const meta = {};
+  if (options.meta.version) meta.version = { type: "string" };
+  if (options.meta.processingTime) meta.processingTime = { type: "number", description: "Milliseconds" };
+  if (Object.keys(meta).length > 0) {
+    properties[fields.meta] = { type: "object", properties: meta, required: Object.keys(meta) };
+  }
+
+  return { type: "object", properties, required: Object.keys(properties), additionalProperties: true };
+}
+
+export default { DEFAULT_ENVELOPE, ENVELOPE, resolveEnvelope, wrapBody, envelopeSchema };
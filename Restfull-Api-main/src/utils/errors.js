@@ -0,0 +1,182 @@
+/**
+ * @file Error classes shared by endpoints and middleware
+ * @module utils/errors
+ * @description Throw (or pass to `next()`) one of these errors instead of
+ * answering with `res.status(...).json(...)`: the error handler
+ * (middleware/errorHandler.js) turns them into the standard error envelope.
+ */
+import http from "http";
+
+/**
+ * Default `code` of each HTTP status
+ * @constant {Object.<number, string>}
+ */
+const STATUS_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  405: "METHOD_NOT_ALLOWED",
+  406: "NOT_ACCEPTABLE",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  415: "UNSUPPORTED_MEDIA_TYPE",
+  422: "UNPROCESSABLE_ENTITY",
+  429: "RATE_LIMITED",
+  500: "INTERNAL_ERROR",
+  502: "UPSTREAM_ERROR",
+  503: "UNAVAILABLE",
+  504: "TIMEOUT",
+};
+
+/**
+ * Error answered with a given HTTP status
+ * @class HttpError
+ * @extends Error
+ *
+ * @example
+ * throw new HttpError(404, "Collection not found", { code: "COLLECTION_NOT_FOUND" });
+ * throw new HttpError(503, "Under maintenance", { headers: { "Retry-After": "60" } });
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} [status=500] - HTTP status
+   * @param {string} [message] - Message sent to the client, defaults to the status text
+   * @param {Object} [options={}]
+   * @param {string} [options.code] - Machine-readable code, defaults to one derived from the status
+   * @param {*} [options.details] - Extra data sent as `details`
+   * @param {Object.<string, string>} [options.headers] - Headers added to the response
+   * @param {Error} [options.cause] - Original error, logged but never sent
+   */
+  constructor(status = 500, message, { code, details, headers, cause } = {}) {
+    super(message || http.STATUS_CODES[status] || "Error", cause ? { cause } : undefined);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code || STATUS_CODES[status] || (status >= 500 ? "INTERNAL_ERROR" : "BAD_REQUEST");
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Invalid request params, answered 400 with the list of failing fields
+ * @class ValidationError
+ * @extends HttpError
+ *
+ * @example
+ * throw new ValidationError([{ param: "text", message: "Teks terlalu panjang" }]);
+ */
+export class ValidationError extends HttpError {
+  /**
+   * @param {Array<{param: string, message: string}>} [errors=[]] - Failing fields, sent as `errors`
+   * @param {Object} [options={}]
+   * @param {string} [options.message="Invalid request parameters"]
+   * @param {number} [options.status=400] - 413 and 415 are used for uploads
+   * @param {string} [options.code="VALIDATION_ERROR"]
+   */
+  constructor(errors = [], { message = "Invalid request parameters", status = 400, code = "VALIDATION_ERROR" } = {}) {
+    super(status, message, { code });
+    this.name = "ValidationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * A service the endpoint depends on failed, answered 502
+ * @class UpstreamError
+ * @extends HttpError
+ *
+ * @example
+ * try {
+ *   const { data } = await axios.get(url);
+ * } catch (error) {
+ *   throw UpstreamError.from(error, "Image source");
+ * }
+ */
+export class UpstreamError extends HttpError {
+  /**
+   * @param {string} message - Message sent to the client
+   * @param {Object} [options={}]
+   * @param {string} [options.service] - Name of the failing service
+   * @param {number} [options.upstreamStatus] - Status answered by the service, sent in `details`
+   * @param {string} [options.code="UPSTREAM_ERROR"]
+   * @param {Error} [options.cause]
+   */
+  constructor(message, { service, upstreamStatus, code = "UPSTREAM_ERROR", cause } = {}) {
+    const details = service || upstreamStatus ? { service, status: upstreamStatus } : undefined;
+    super(502, message, { code, details, cause });
+    this.name = "UpstreamError";
+    this.service = service;
+  }
+
+  /**
+   * Wraps an error thrown while calling a service (axios or fetch)
+   * @param {Error} error - Original error
+   * @param {string} service - Name of the service, shown to the client
+   * @returns {HttpError} A TimeoutError when the service timed out, an
+   * UpstreamError otherwise. HttpErrors are returned unchanged.
+   */
+  static from(error, service) {
+    if (error instanceof HttpError) return error;
+    if (["ECONNABORTED", "ETIMEDOUT"].includes(error?.code) || error?.name === "TimeoutError") {
+      return new TimeoutError(`${service} did not respond in time`, { code: "UPSTREAM_TIMEOUT", cause: error });
+    }
+    return new UpstreamError(`${service} request failed`, {
+      service,
+      upstreamStatus: error?.response?.status,
+      cause: error,
+    });
+  }
+}
+
+/**
+ * The response could not be produced in time, answered 504
+ * @class TimeoutError
+ * @extends HttpError
+ */
+export class TimeoutError extends HttpError {
+  /**
+   * @param {string} [message="Request timed out"]
+   * @param {Object} [options={}]
+   * @param {string} [options.code="TIMEOUT"]
+   * @param {Error} [options.cause]
+   */
+  constructor(message = "Request timed out", { code = "TIMEOUT", cause } = {}) {
+    super(504, message, { code, cause });
+    this.name = "TimeoutError";
+  }
+}
+
+/**
+ * Converts any thrown value to an HttpError
+ * @function toHttpError
+ * @param {*} error
+ * @returns {HttpError}
+ *
+ * @description
+ * - HttpErrors are returned unchanged
+ * - body parser errors keep their 4xx status (`INVALID_BODY`, `PAYLOAD_TOO_LARGE`)
+ * - axios errors that reached the handler become UpstreamError / TimeoutError
+ * - anything else becomes a 500 whose message is not shown to the client,
+ *   since it may contain internal details
+ */
+export function toHttpError(error) {
+  if (error instanceof HttpError) return error;
+
+  if (error?.type === "entity.parse.failed") {
+    return new HttpError(400, "Malformed request body", { code: "INVALID_BODY", cause: error });
+  }
+  if (error?.type === "entity.too.large") {
+    return new HttpError(413, "Request body too large", { cause: error });
+  }
+  if (error?.isAxiosError) return UpstreamError.from(error, "Upstream service");
+
+  const status = error?.status || error?.statusCode;
+  if (Number.isInteger(status) && status >= 400 && status < 500) {
+    return new HttpError(status, error.expose === false ? undefined : error.message, { cause: error });
+  }
+
+  return new HttpError(500, "Internal server error", { cause: error instanceof Error ? error : new Error(String(error)) });
+}
+
+export default { HttpError, ValidationError, UpstreamError, TimeoutError, toHttpError };
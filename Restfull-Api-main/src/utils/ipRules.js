@@ -0,0 +1,313 @@
+/**
+ * @file IP rules of the rate limiter
+ * @module ipRules
+ * @description Allow and deny lists of CIDR ranges (IPv4 and IPv6) and the
+ * prefix IPv6 clients are grouped by, persisted in `config/ip-rules.json`.
+ */
+import net from "net";
+import { readConfig, writeConfig } from "./config.js";
+import logger from "./logger.js";
+
+/**
+ * Name of the configuration file (`config/ip-rules.json`)
+ * @constant {string}
+ */
+const CONFIG_NAME = "ip-rules";
+
+/**
+ * Lists a rule can be put in:
+ * - `allow` - never counted nor banned (own servers, monitoring...)
+ * - `deny`  - rejected on every route, static files included
+ * @constant {Array<string>}
+ */
+export const LISTS = ["allow", "deny"];
+
+/**
+ * Prefix length IPv6 clients are counted and banned by when the config sets none.
+ * A /64 is what a single subscriber usually gets, so rotating addresses
+ * within it does not escape the limit.
+ * @constant {number}
+ */
+const DEFAULT_IPV6_PREFIX = 64;
+
+/**
+ * Rules loaded from the config file
+ * @type {{allow: Array<{cidr: string, note: (string|null), addedAt: (string|null)}>, deny: Array<Object>, ipv6Prefix: number}}
+ *
+ * @example
+ * // config/ip-rules.json
+ * {
+ *   "allow": ["203.0.113.0/24", { "cidr": "2001:db8:42::/48", "note": "WhatsApp bot servers" }],
+ *   "deny": ["198.51.100.23"],
+ *   "ipv6Prefix": 64
+ * }
+ */
+let rules;
+
+/**
+ * Compiled lists used for matching
+ * @type {{allow: net.BlockList, deny: net.BlockList}}
+ */
+let blockLists;
+
+/**
+ * Removes the IPv4-mapped IPv6 prefix (`::ffff:1.2.3.4`) and zone ids (`fe80::1%eth0`)
+ * @function normalizeIp
+ * @param {string} ip
+ * @returns {string}
+ */
+export function normalizeIp(ip) {
+  const address = String(ip).trim().toLowerCase().replace(/%.*$/, "");
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(address);
+  return mapped ? mapped[1] : address;
+}
+
+/**
+ * Parses an IPv6 address into its 8 groups
+ * @function ipv6Groups
+ * @param {string} ip - Valid IPv6 address, possibly with an IPv4 tail (`::1.2.3.4`)
+ * @returns {Array<number>}
+ */
+function ipv6Groups(ip) {
+  const parse = (part) => {
+    if (!part) return [];
+    return part.split(":").flatMap((group) => {
+      if (!group.includes(".")) return [parseInt(group, 16)];
+      const [a, b, c, d] = group.split(".").map(Number);
+      return [(a << 8) | b, (c << 8) | d];
+    });
+  };
+
+  const [head, tail] = ip.split("::");
+  const start = parse(head);
+  const end = parse(tail);
+  if (tail === undefined) return start;
+  return [...start, ...new Array(8 - start.length - end.length).fill(0), ...end];
+}
+
+/**
+ * Formats 8 IPv6 groups, shortening the longest run of zero groups to `::`
+ * @function formatIpv6
+ * @param {Array<number>} groups
+ * @returns {string}
+ */
+function formatIpv6(groups) {
+  let best = { start: -1, length: 1 };
+  for (let i = 0; i < 8; ) {
+    let j = i;
+    while (j < 8 && groups[j] === 0) j++;
+    if (j - i > best.length) best = { start: i, length: j - i };
+    i = j + 1;
+  }
+
+  const hex = groups.map((group) => group.toString(16));
+  if (best.start === -1) return hex.join(":");
+  return `${hex.slice(0, best.start).join(":")}::${hex.slice(best.start + best.length).join(":")}`;
+}
+
+/**
+ * Clears the host bits of an IPv6 address
+ * @function maskIpv6
+ * @param {Array<number>} groups - The 8 groups of the address
+ * @param {number} prefix - Prefix length
+ * @returns {Array<number>} Groups of the network address
+ */
+function maskIpv6(groups, prefix) {
+  return groups.map((group, i) => {
+    const bits = Math.min(16, Math.max(0, prefix - i * 16));
+    return bits === 0 ? 0 : group & (0xffff << (16 - bits)) & 0xffff;
+  });
+}
+
+/**
+ * Clears the host bits of an IPv4 address
+ * @function maskIpv4
+ * @param {string} address - Valid IPv4 address
+ * @param {number} prefix - Prefix length
+ * @returns {string} Network address, e.g. `10.0.0.0` for `10.0.0.5` and 8
+ */
+function maskIpv4(address, prefix) {
+  const mask = prefix === 0 ? 0 : (0xffffffff << (32 - prefix)) >>> 0;
+  const value = (address.split(".").reduce((acc, octet) => ((acc << 8) | Number(octet)) >>> 0, 0) & mask) >>> 0;
+  return [24, 16, 8, 0].map((shift) => (value >>> shift) & 0xff).join(".");
+}
+
+/**
+ * Parses a CIDR range or a single address
+ * @function parseCidr
+ * @param {string} value - e.g. `203.0.113.0/24`, `2001:db8::/32` or `198.51.100.23`
+ * @returns {{cidr: string, address: string, prefix: number, type: string}} `cidr` is the
+ * canonical form: the lowercase network address (host bits cleared, so
+ * `10.0.0.5/8` becomes `10.0.0.0/8`) with the prefix length
+ * @throws {Error} If the value is not a valid address or range
+ */
+export function parseCidr(value) {
+  const [rawAddress, rawPrefix, ...rest] = String(value ?? "").trim().split("/");
+  const address = normalizeIp(rawAddress);
+  const version = net.isIP(address);
+  const max = version === 6 ? 128 : 32;
+  const prefix = rawPrefix === undefined ? max : Number(rawPrefix);
+
+  if (!version || rest.length > 0 || (rawPrefix !== undefined && !/^\d+$/.test(rawPrefix)) || prefix > max) {
+    throw new Error(`Invalid IP or CIDR range: ${value}`);
+  }
+
+  const canonical = version === 6 ? formatIpv6(maskIpv6(ipv6Groups(address), prefix)) : maskIpv4(address, prefix);
+  return { cidr: `${canonical}/${prefix}`, address: canonical, prefix, type: version === 6 ? "ipv6" : "ipv4" };
+}
+
+/**
+ * Loads the rules from the config file, skipping invalid entries
+ * @function loadRules
+ * @returns {Object} Normalized rules
+ */
+function loadRules() {
+  const config = readConfig(CONFIG_NAME, {});
+  const loaded = { allow: [], deny: [], ipv6Prefix: DEFAULT_IPV6_PREFIX };
+
+  const prefix = config.ipv6Prefix;
+  if (prefix !== undefined) {
+    if (Number.isInteger(prefix) && prefix >= 1 && prefix <= 128) loaded.ipv6Prefix = prefix;
+    else logger.warn(`Invalid ipv6Prefix in config/${CONFIG_NAME}.json: ${prefix}, using ${DEFAULT_IPV6_PREFIX}`);
+  }
+
+  for (const list of LISTS) {
+    for (const entry of config[list] || []) {
+      const raw = typeof entry === "string" ? { cidr: entry } : entry || {};
+      try {
+        const { cidr } = parseCidr(raw.cidr);
+        if (loaded[list].some((rule) => rule.cidr === cidr)) continue;
+        loaded[list].push({ cidr, note: raw.note || null, addedAt: raw.addedAt || null });
+      } catch (err) {
+        logger.warn(`Skipping ${list} rule in config/${CONFIG_NAME}.json: ${err.message}`);
+      }
+    }
+  }
+  return loaded;
+}
+
+/**
+ * Compiles the rules into `net.BlockList`s
+ * @function compile
+ */
+function compile() {
+  blockLists = {};
+  for (const list of LISTS) {
+    blockLists[list] = new net.BlockList();
+    for (const { cidr } of rules[list]) {
+      const { address, prefix, type } = parseCidr(cidr);
+      blockLists[list].addSubnet(address, prefix, type);
+    }
+  }
+}
+
+/**
+ * Saves the rules to the config file
+ * @function save
+ * @returns {boolean} True if the file was written
+ */
+function save() {
+  const strip = (entries) => entries.map(({ cidr, note, addedAt }) => ({ cidr, note, addedAt }));
+  return writeConfig(CONFIG_NAME, { allow: strip(rules.allow), deny: strip(rules.deny), ipv6Prefix: rules.ipv6Prefix });
+}
+
+/**
+ * Tells which list an IP belongs to
+ * @function matchIp
+ * @param {string} ip - Client IP
+ * @returns {string|null} `deny`, `allow` or null; deny rules win over allow rules
+ */
+export function matchIp(ip) {
+  const address = normalizeIp(ip);
+  const version = net.isIP(address);
+  if (!version) return null;
+
+  const type = version === 6 ? "ipv6" : "ipv4";
+  if (blockLists.deny.check(address, type)) return "deny";
+  if (blockLists.allow.check(address, type)) return "allow";
+  return null;
+}
+
+/**
+ * Returns the key a client is counted and banned under
+ * @function clientKey
+ * @param {string} ip - Client IP
+ * @returns {string} The IPv4 address, or the IPv6 network of the address
+ * (`2001:db8:1:2::/64` with the default prefix). Values that are not an IP
+ * address, such as an existing key, are returned unchanged.
+ *
+ * @example
+ * clientKey("::ffff:203.0.113.7");           // "203.0.113.7"
+ * clientKey("2001:db8:1:2:a:b:c:d");         // "2001:db8:1:2::/64"
+ */
+export function clientKey(ip) {
+  const address = normalizeIp(ip);
+  if (net.isIP(address) !== 6) return net.isIP(address) ? address : String(ip);
+  if (rules.ipv6Prefix === 128) return formatIpv6(ipv6Groups(address));
+
+  return `${formatIpv6(maskIpv6(ipv6Groups(address), rules.ipv6Prefix))}/${rules.ipv6Prefix}`;
+}
+
+/**
+ * Returns the current rules
+ * @function listRules
+ * @returns {{allow: Array<Object>, deny: Array<Object>, ipv6Prefix: number}}
+ */
+export function listRules() {
+  return structuredClone(rules);
+}
+
+/**
+ * Adds a rule and persists it
+ * @function addRule
+ * @param {string} list - `allow` or `deny`
+ * @param {string} cidr - Address or CIDR range
+ * @param {Object} [options={}]
+ * @param {string} [options.note] - Why the rule exists
+ * @returns {{cidr: string, note: (string|null), addedAt: string}} The rule, replacing
+ * an existing one with the same range
+ * @throws {Error} If the list is unknown or the range invalid
+ */
+export function addRule(list, cidr, { note } = {}) {
+  if (!LISTS.includes(list)) throw new Error(`Unknown IP rule list: ${list}`);
+  const rule = { cidr: parseCidr(cidr).cidr, note: note || null, addedAt: new Date().toISOString() };
+
+  rules[list] = rules[list].filter((entry) => entry.cidr !== rule.cidr).concat(rule);
+  compile();
+  save();
+  return rule;
+}
+
+/**
+ * Removes a rule and persists the change
+ * @function removeRule
+ * @param {string} list - `allow` or `deny`
+ * @param {string} cidr - Address or CIDR range; any address of the range's network matches
+ * the rule, e.g. `10.0.0.5/8` removes `10.0.0.0/8`
+ * @returns {boolean} True if the rule existed
+ * @throws {Error} If the list is unknown or the range invalid
+ */
+export function removeRule(list, cidr) {
+  if (!LISTS.includes(list)) throw new Error(`Unknown IP rule list: ${list}`);
+  const { cidr: canonical } = parseCidr(cidr);
+
+  const kept = rules[list].filter((entry) => entry.cidr !== canonical);
+  if (kept.length === rules[list].length) return false;
+  rules[list] = kept;
+  compile();
+  save();
+  return true;
+}
+
+/**
+ * Re-reads the configuration file, discarding unsaved changes
+ * @function reloadRules
+ */
+export function reloadRules() {
+  rules = loadRules();
+  compile();
+}
+
+reloadRules();
+
+export default { matchIp, clientKey, normalizeIp, parseCidr, listRules, addRule, removeRule, reloadRules, LISTS };
@@ -0,0 +1,107 @@
+/**
+ * @file JSON data files shared between processes
+ * @module utils/jsonFile
+ * @description Helpers for the files under `data/` that several server
+ * processes may read and write at the same time: writes go through a
+ * temporary file so readers never see half a file, and `withFileLock`
+ * serializes read-modify-write cycles.
+ */
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * How long `withFileLock` waits for another process before giving up
+ * @constant {number}
+ */
+const LOCK_TIMEOUT_MS = 2000;
+
+/**
+ * Age after which a lock is considered left over by a crashed process
+ * @constant {number}
+ */
+const STALE_LOCK_MS = 10 * 1000;
+
+/**
+ * Reads a JSON file
+ * @async
+ * @function readJsonFile
+ * @param {string} file - Absolute path
+ * @param {*} [defaults={}] - Value returned when the file is missing, empty or invalid
+ * @returns {Promise<*>}
+ */
+export async function readJsonFile(file, defaults = {}) {
+  try {
+    const raw = await fs.promises.readFile(file, "utf8");
+    return raw.trim() ? JSON.parse(raw) : defaults;
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error(`Failed to read ${file}:`, err);
+    return defaults;
+  }
+}
+
+/**
+ * Writes a JSON file atomically (temporary file, then rename)
+ * @async
+ * @function writeJsonFile
+ * @param {string} file - Absolute path; its directory is created if needed
+ * @param {*} data - Value to serialize
+ * @returns {Promise<void>}
+ */
+export async function writeJsonFile(file, data) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fs.promises.rename(tmp, file);
+}
+
+/**
+ * Runs a function while holding an exclusive lock file
+ * @async
+ * @function withFileLock
+ * @param {string} lockFile - Path of the lock, e.g. `data/rate-limits.lock`
+ * @param {Function} fn - Async function run under the lock
+ * @returns {Promise<*>} Result of `fn`
+ * @throws {Error} If the lock could not be taken within 2 seconds
+ *
+ * @description
+ * The lock is a file created with the `wx` flag, so only one process can hold
+ * it. Locks older than 10 seconds are treated as left by a crashed process
+ * and removed.
+ *
+ * @example
+ * await withFileLock(LOCK_FILE, async () => {
+ *   const data = await readJsonFile(FILE);
+ *   data.count = (data.count || 0) + 1;
+ *   await writeJsonFile(FILE, data);
+ * });
+ */
+export async function withFileLock(lockFile, fn) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  for (;;) {
+    try {
+      await fs.promises.mkdir(path.dirname(lockFile), { recursive: true });
+      await (await fs.promises.open(lockFile, "wx")).close();
+      break;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+
+      const stat = await fs.promises.stat(lockFile).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
+        await fs.promises.rm(lockFile, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) throw new Error(`Timed out waiting for lock ${lockFile}`);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await fs.promises.rm(lockFile, { force: true });
+  }
+}
+
+export default { readJsonFile, writeJsonFile, withFileLock };
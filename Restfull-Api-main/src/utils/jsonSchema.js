@@ -0,0 +1,93 @@
+/**
+ * Returns the JSON Schema type of a value
+ * @function typeOf
+ * @param {*} value
+ * @returns {string} `"null"`, `"array"`, `"integer"`, `"number"`, `"string"`, `"boolean"` or `"object"`
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+/**
+ * Validates a value against a JSON Schema
+ * @function validateSchema
+ * @param {*} value - Value to check, e.g. the body passed to `res.json()`
+ * @param {Object} schema - JSON Schema
+ * @param {string} [at="$"] - Location of the value, used in messages
+ * @returns {Array<string>} Problems found, empty when the value matches
+ *
+ * @description
+ * Supports the subset of JSON Schema used to declare endpoint responses:
+ * `type` (string or array), `enum`, `const`, `properties`, `required`,
+ * `additionalProperties`, `items`, `minLength`, `maxLength`, `pattern`,
+ * `minimum`, `maximum`, `allOf`, `anyOf` and `oneOf`. Other keywords
+ * (`format`, `$ref`...) are ignored.
+ *
+ * @example
+ * validateSchema({ results: 1 }, { type: "object", properties: { results: { type: "string" } } });
+ * // ["$.results: expected string, got integer"]
+ */
+export default function validateSchema(value, schema, at = "$") {
+  if (!schema || typeof schema !== "object") return [];
+
+  const errors = [];
+  const actual = typeOf(value);
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = types.some((type) => type === actual || (type === "number" && actual === "integer"));
+    if (!matches) return [`${at}: expected ${types.join(" or ")}, got ${actual}`];
+  }
+
+  if (schema.enum && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${at}: must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`);
+  }
+  if ("const" in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (actual === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: shorter than ${schema.minLength}`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: longer than ${schema.maxLength}`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: does not match ${schema.pattern}`);
+  }
+
+  if (actual === "number" || actual === "integer") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: less than ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: greater than ${schema.maximum}`);
+  }
+
+  if (actual === "object") {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (!(name in value)) errors.push(`${at}.${name}: is required`);
+    }
+    for (const [name, item] of Object.entries(value)) {
+      if (properties[name]) {
+        errors.push(...validateSchema(item, properties[name], `${at}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${name}: is not allowed`);
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(...validateSchema(item, schema.additionalProperties, `${at}.${name}`));
+      }
+    }
+  }
+
+  if (actual === "array" && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${at}[${i}]`)));
+  }
+
+  for (const sub of schema.allOf || []) errors.push(...validateSchema(value, sub, at));
+
+  if (schema.anyOf && !schema.anyOf.some((sub) => validateSchema(value, sub, at).length === 0)) {
+    errors.push(`${at}: does not match any of the allowed schemas`);
+  }
+  if (schema.oneOf && schema.oneOf.filter((sub) => validateSchema(value, sub, at).length === 0).length !== 1) {
+    errors.push(`${at}: must match exactly one of the allowed schemas`);
+  }
+
+  return errors;
+}
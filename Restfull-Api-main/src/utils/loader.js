@@ -1,33 +1,419 @@
 import fs from "fs";
 import path from "path";
 import { pathToFileURL } from "url";
+import composeHandlers from "./composeHandlers.js";
+import endpointRegistry from "./endpointRegistry.js";
+import logger from "./logger.js";
+import validateEndpointModule from "./validateEndpointModule.js";
+import { resolvePlugin } from "./plugins.js";
+
+/**
+ * Delay used to coalesce the burst of file system events fired by a single save
+ * @constant {number}
+ */
+const WATCH_DEBOUNCE_MS = 100;
+
+/**
+ * Pattern of version directory names and version values (`v1`, `v2`, ...)
+ * @constant {RegExp}
+ */
+const VERSION_PATTERN = /^v(\d+)$/;
+
+/**
+ * Normalizes the `version` field of an endpoint module
+ * @function normalizeVersion
+ * @param {string|number|undefined} version - `2`, `"2"` or `"v2"`
+ * @returns {string|null} Version such as `"v2"`, or null when unversioned
+ * @throws {Error} If the value is not a valid version
+ */
+function normalizeVersion(version) {
+  if (version === undefined || version === null) return null;
+  const normalized = /^\d+$/.test(String(version)) ? `v${version}` : String(version);
+  if (!VERSION_PATTERN.test(normalized)) throw new Error(`Invalid endpoint version: ${version}`);
+  return normalized;
+}
+
+/**
+ * Normalizes the `responses` block of an endpoint module
+ * @function normalizeResponses
+ * @param {Object|undefined} responses - Declared responses keyed by status code
+ * @returns {Object.<string, {description: string, contentType: string, schema: (Object|undefined)}>}
+ *
+ * @description
+ * A string value is a binary media type; an object may set `description`,
+ * `contentType` (default `application/json`) and a JSON `schema` of the body
+ * passed to `res.json()`, without the fields added by the response formatter.
+ *
+ * @example
+ * normalizeResponses({ 200: "image/png", 500: { description: "Upstream error" } });
+ * // { "200": { description: "", contentType: "image/png" },
+ * //   "500": { description: "Upstream error", contentType: "application/json" } }
+ */
+function normalizeResponses(responses = {}) {
+  const normalized = {};
+  for (const [status, response] of Object.entries(responses)) {
+    const { description = "", contentType = "application/json", schema } =
+      typeof response === "string" ? { contentType: response } : response;
+    normalized[status] = { description, contentType, schema };
+  }
+  return normalized;
+}
+
+/**
+ * Generates the route path of an endpoint from its location in the api directory
+ * @function routeFromFile
+ * @param {string} file - Absolute path of the endpoint file
+ * @param {string} rootDir - Root api directory
+ * @param {Object} [options={}]
+ * @param {string} [options.prefix=""] - Mount prefix of the plugin providing the file, e.g. `/canvas`
+ * @returns {{route: string, version: (string|null), pathParams: Array<{name: string, catchAll: boolean}>}}
+ * Unversioned route path, the version directory it lives in and the dynamic segments it declares
+ *
+ * @description
+ * A top-level `v<N>` directory (e.g. `api/v2/...`) marks the endpoint as
+ * version `v<N>`; it is returned separately and not included in `route`.
+ *
+ * File and directory names follow the Next.js conventions:
+ * - `[name]` becomes the route param `:name`
+ * - `[...name]` becomes a catch-all param matching one or more segments
+ *   (the value is the remaining path, e.g. `"a/b/c"`)
+ * - `index.js` maps to the route of its directory
+ *
+ * @example
+ * // api/users/get.js                  -> /api/users/get
+ * // api/random/[collection].js        -> /api/random/:collection
+ * // api/canvas/twibbon/[template].js  -> /api/canvas/twibbon/:template
+ * // api/files/[...path].js            -> /api/files/:path(.+)
+ * // api/tools/index.js                -> /api/tools
+ * // api/v2/ai/gpt.js                  -> /api/ai/gpt (version "v2")
+ * // plugin/twibbon.js, prefix /canvas -> /api/canvas/twibbon
+ */
+export function routeFromFile(file, rootDir, { prefix = "" } = {}) {
+  return routeFromPath(path.relative(rootDir, file), { prefix });
+}
+
+/**
+ * Generates the route path of an endpoint from its path relative to its root directory
+ * @function routeFromPath
+ * @param {string} relativePath - Path such as `"random/[collection].js"` (the extension is optional)
+ * @param {Object} [options={}]
+ * @param {string} [options.prefix=""] - Mount prefix inserted after `/api`
+ * @returns {{route: string, version: (string|null), pathParams: Array<{name: string, catchAll: boolean}>}}
+ * @see routeFromFile
+ */
+export function routeFromPath(relativePath, { prefix = "" } = {}) {
+  const segments = relativePath
+    .replace(/\.js$/, "")
+    .split(/[\\/]/);
+
+  const version = segments.length > 1 && VERSION_PATTERN.test(segments[0]) ? segments.shift() : null;
+
+  if (segments[segments.length - 1] === "index") segments.pop();
+
+  const pathParams = [];
+  const routeSegments = segments.map((segment) => {
+    const catchAll = segment.match(/^\[\.\.\.(\w+)\]$/);
+    if (catchAll) {
+      pathParams.push({ name: catchAll[1], catchAll: true });
+      return `:${catchAll[1]}(.+)`;
+    }
+
+    const param = segment.match(/^\[(\w+)\]$/);
+    if (param) {
+      pathParams.push({ name: param[1], catchAll: false });
+      return `:${param[1]}`;
+    }
+
+    return segment;
+  });
+
+  return {
+    route: ["/api" + prefix, ...routeSegments].join("/"),
+    version,
+    pathParams,
+  };
+}
+
+/**
+ * Imports an endpoint file and builds its registry entry
+ * @async
+ * @function importEndpoint
+ * @param {string} file - Absolute path of the endpoint file
+ * @param {string} rootDir - Root api directory
+ * @param {Object} [options={}] - Import options
+ * @param {boolean} [options.reload=false] - Bypass the ES module cache to pick up changes
+ * @param {string} [options.prefix=""] - Mount prefix of the plugin providing the file
+ * @param {string|null} [options.plugin=null] - Name of the plugin providing the file
+ * @returns {Promise<Object|null>} Registry entry with its shape `warnings`, or null if
+ * the file has no default export
+ * @throws {Error} If the module fails to import, or an error with an `issues`
+ * array if its shape is invalid (see validateEndpointModule.js)
+ */
+export async function importEndpoint(file, rootDir, { reload = false, prefix = "", plugin = null } = {}) {
+  /**
+   * Module URL, with a cache-busting query string when reloading
+   * @type {string}
+   */
+  const url = pathToFileURL(file).href + (reload ? `?update=${Date.now()}` : "");
+
+  /**
+   * Dynamically import the endpoint module
+   * @type {Object}
+   */
+  const module = (await import(url)).default;
+
+  // Files without a default export (e.g. shared helpers) are not endpoints
+  if (!module) return null;
+
+  return buildEndpoint(module, path.relative(rootDir, file), { prefix, plugin });
+}
+
+/**
+ * Builds the registry entry of an endpoint module
+ * @function buildEndpoint
+ * @param {Object} module - Endpoint module (default export of an endpoint file)
+ * @param {string} relativePath - Location of the endpoint relative to its root, e.g. `"ai/gpt.js"`
+ * @param {Object} [options={}]
+ * @param {string} [options.prefix=""] - Mount prefix of the plugin providing the endpoint
+ * @param {string|null} [options.plugin=null] - Name of the plugin providing the endpoint
+ * @returns {{info: Object, handlers: Array<Function>, warnings: Array<string>}}
+ * @throws {Error} An error with an `issues` array if the module shape is invalid
+ */
+export function buildEndpoint(module, relativePath, { prefix = "", plugin = null } = {}) {
+  const { route: unversionedRoute, version: dirVersion, pathParams } = routeFromPath(relativePath, { prefix });
+
+  const { errors, warnings } = validateEndpointModule(module, pathParams.map((p) => p.name));
+  if (errors.length > 0) {
+    const error = new Error(`Invalid endpoint module: ${errors.join("; ")}`);
+    error.issues = errors;
+    throw error;
+  }
+
+  /**
+   * Endpoint version; a version directory takes precedence over the module field
+   * @type {string|null}
+   */
+  const version = dirVersion || normalizeVersion(module.version);
+
+  /**
+   * Route path, including the version segment for versioned endpoints
+   * @type {string}
+   * @example "/api/v2/ai/gpt"
+   */
+  const routePath = version ? unversionedRoute.replace(/^\/api/, `/api/${version}`) : unversionedRoute;
+
+  /**
+   * paramsSchema extended with the route's dynamic segments, which are
+   * always required strings read from req.params unless declared otherwise
+   * @type {Object}
+   */
+  const paramsSchema = { ...(module.paramsSchema || {}) };
+  for (const { name } of pathParams) {
+    paramsSchema[name] = { type: "string", required: true, ...paramsSchema[name], in: "path" };
+  }
+
+  /**
+   * Param names, path params first
+   * @type {Array<string>}
+   */
+  const params = [...new Set([...pathParams.map((p) => p.name), ...(module.params || [])])];
+
+  /**
+   * Supported HTTP methods for this endpoint
+   * @type {Array<string>}
+   * @default ["GET"]
+   */
+  const methods = (module.methods || ["GET"]).map((method) => method.toUpperCase());
+
+  /**
+   * Endpoint metadata object for documentation
+   * @type {Object}
+   * @property {string|null} alias - Unversioned route served by this endpoint (set by the registry)
+   * @property {string|null} successor - Route of the latest version when this one is older (set by the registry)
+   * @property {string|null} plugin - Plugin providing the endpoint, null for the local api directory
+   * @property {string|null} auth - `"admin"`, `"required"` or `"optional"` (API key), `"custom"` for an auth function, or null when public
+   * @property {Object} responses - Declared responses keyed by status code, see `normalizeResponses`
+   * @property {boolean|Object|null} envelope - `false` for raw JSON, envelope settings of the route, or null for config/envelope.json
+   * @property {Object|false|null} rateLimit - Rate limit policy, `false` when not counted, null for the shared budget only
+   * @property {boolean} render - Whether the handler's time is metered as render time
+   */
+  const info = {
+    name: module.name || path.basename(relativePath, ".js"),
+    description: module.description || "",
+    category: module.category || "General",
+    route: routePath,
+    unversionedRoute,
+    version,
+    alias: null,
+    successor: null,
+    deprecated: module.deprecated || false,
+    sunset: module.sunset || null,
+    plugin,
+    auth: typeof module.auth === "function" ? "custom" : module.auth || null,
+    timeout: module.timeout || null,
+    methods,
+    params,
+    paramsSchema,
+    responses: normalizeResponses(module.responses),
+    envelope: module.envelope ?? null,
+    rateLimit: module.rateLimit ?? null,
+    render: module.render === true,
+  };
+
+  /**
+   * Handler chain registered for each HTTP method (version headers, auth,
+   * timeout, upload, validation, middleware, hooks and run)
+   * @type {Array<Function>}
+   */
+  const handlers = composeHandlers(module, info);
+
+  return { info, handlers, warnings };
+}
+
+/**
+ * Stores a freshly built endpoint in the registry and logs it
+ * @function addEntry
+ * @param {EndpointRegistry} registry - Registry receiving the endpoint
+ * @param {string} id - Registry key (file path, or `<plugin>:<path>` for bundled modules)
+ * @param {Object} entry - Entry built by `buildEndpoint`
+ */
+function addEntry(registry, id, entry) {
+  const { info } = entry;
+  registry.set(id, entry);
+  registry.clearDiagnostics(id);
+  registry.recordWarnings(id, entry.warnings);
+
+  // Log successful endpoint loading
+  console.log(`• endpoint loaded: ${info.route} [${info.methods.join(", ")}]${info.plugin ? ` (plugin ${info.plugin})` : ""}`);
+  for (const warning of entry.warnings) logger.warn(`${info.route}: ${warning}`);
+}
+
+/**
+ * Recursively imports every endpoint file of a directory into the registry
+ * @async
+ * @function scanDirectory
+ * @param {string} dir - Directory to scan
+ * @param {string} rootDir - Root api directory
+ * @param {EndpointRegistry} registry - Registry receiving the endpoints
+ * @param {Object} [options={}] - Plugin `prefix` and `plugin` name, see `importEndpoint`
+ * @returns {Promise<void>}
+ */
+async function scanDirectory(dir, rootDir, registry, options = {}) {
+  /**
+   * Read directory contents synchronously
+   * @type {Array<fs.Dirent>}
+   */
+  const files = fs.readdirSync(dir, { withFileTypes: true });
+
+  // Process each file/directory in the current directory
+  for (const file of files) {
+    /**
+     * Full path to the current file/directory
+     * @type {string}
+     */
+    const fullPath = path.join(dir, file.name);
+
+    if (file.isDirectory()) {
+      await scanDirectory(fullPath, rootDir, registry, options);
+    } else if (file.isFile() && file.name.endsWith(".js")) {
+      try {
+        const entry = await importEndpoint(fullPath, rootDir, options);
+        if (entry) addEntry(registry, fullPath, entry);
+      } catch (error) {
+        registry.recordFailure(fullPath, error);
+        logger.error(`Failed to load endpoint ${path.relative(rootDir, fullPath)}: ${error.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Loads the endpoints of a plugin into the registry
+ * @async
+ * @function loadPlugin
+ * @param {Object|string} definition - Plugin entry of config/plugins.json
+ * @param {EndpointRegistry} registry - Registry receiving the endpoints
+ * @returns {Promise<void>}
+ *
+ * @description
+ * A plugin that cannot be resolved is recorded as a failure under
+ * `plugin:<package or dir>`, like an endpoint file that fails to import.
+ */
+async function loadPlugin(definition, registry) {
+  let plugin;
+  try {
+    plugin = await resolvePlugin(definition);
+  } catch (error) {
+    const id = `plugin:${definition.package || definition.dir || definition}`;
+    registry.recordFailure(id, error);
+    logger.error(`Failed to load ${id}: ${error.message}`);
+    return;
+  }
+
+  const options = { prefix: plugin.prefix, plugin: plugin.name };
+  if (plugin.dir) await scanDirectory(plugin.dir, plugin.dir, registry, options);
+
+  for (const [relativePath, module] of Object.entries(plugin.endpoints)) {
+    const id = `${plugin.name}:${relativePath}`;
+    try {
+      addEntry(registry, id, buildEndpoint(module, relativePath, options));
+    } catch (error) {
+      registry.recordFailure(id, error);
+      logger.error(`Failed to load endpoint ${id}: ${error.message}`);
+    }
+  }
+}
 
 /**
  * Recursively loads and registers API endpoints from a directory structure
  * @async
  * @function loadEndpoints
  * @param {string} dir - The directory path to scan for endpoint files
- * @param {express.Application} app - Express application instance to register routes
+ * @param {express.Application} [app] - Express application instance to register routes
+ * @param {Object} [options={}] - Loader options
+ * @param {EndpointRegistry} [options.registry=endpointRegistry] - Registry receiving the endpoints
+ * @param {Array<Object|string>} [options.plugins=[]] - Plugins to load after the directory (see plugins.js)
+ * @param {boolean} [options.strict=false] - Reject if any endpoint file fails to load or two endpoints collide
  * @returns {Promise<Array<Object>>} Array of loaded endpoint metadata objects
- * 
+ * @throws {Error} In strict mode, if one or more files failed to load or routes collide
+ *
  * @description
  * This function recursively scans a directory for JavaScript files that export endpoint modules.
  * Each endpoint file should export a default object with a `run` function and optional metadata.
- * Discovered endpoints are automatically registered with the Express application.
- * 
+ * Discovered endpoints are stored in the endpoint registry, which is mounted on the
+ * Express application so routes can later be swapped by `watchEndpoints`.
+ * The endpoint's `paramsSchema` is enforced by a validation middleware that runs
+ * before `run`, so handlers receive clean, coerced params in `req.validated`.
+ * Optional module fields (`auth`, `timeout`, `envelope`, `rateLimit`, `upload`,
+ * `cache`, `middleware`, `before`, `after`) are composed into the route by `composeHandlers`.
+ *
+ * A file that fails to import or has an invalid shape (see validateEndpointModule.js)
+ * is skipped and recorded in the registry; `registry.diagnostics()` lists these
+ * failures along with the shape warnings of the loaded endpoints.
+ *
+ * Plugins are loaded after the directory. When a plugin endpoint serves the
+ * same route and method as another endpoint, the collision is logged and
+ * reported by `registry.diagnostics()`; the local api directory wins, then the
+ * plugin listed first.
+ *
  * @example
  * // Load endpoints from the api directory
  * const endpoints = await loadEndpoints(path.join(process.cwd(), "api"), app);
  * console.log(`Loaded ${endpoints.length} endpoints`);
- * 
+ *
  * @fileStructure
  * api/
  * ├── users/
  * │   ├── get.js          // GET /api/users/get
- * │   └── create.js       // POST /api/users/create
- * └── products/
- *     └── list.js         // GET /api/products/list
- * 
+ * │   ├── create.js       // POST /api/users/create
+ * │   └── [id].js         // GET /api/users/:id
+ * ├── products/
+ * │   ├── index.js        // GET /api/products
+ * │   └── list.js         // GET /api/products/list
+ * └── v2/
+ *     └── products/
+ *         └── list.js     // GET /api/v2/products/list (+ alias /api/products/list if no unversioned file)
+ *
  * @endpointModuleFormat
  * // Example endpoint file (api/users/get.js)
  * export default {
@@ -36,106 +422,160 @@ import { pathToFileURL } from "url";
  *   category: "Users",
  *   methods: ["GET"],
  *   params: ["userId"],
+ *   paramsSchema: {
+ *     userId: { type: "string", required: true, minLength: 1 },
+ *   },
  *   run: async (req, res) => {
- *     // Endpoint logic here
+ *     // Endpoint logic here, e.g. const { userId } = req.validated;
  *   }
  * }
  */
-export default async function loadEndpoints(dir, app) {
+export default async function loadEndpoints(dir, app, { registry = endpointRegistry, plugins = [], strict = false } = {}) {
+  await scanDirectory(dir, dir, registry);
+  for (const definition of plugins) await loadPlugin(definition, registry);
+
+  registry.rebuild();
+
+  const { failed, collisions } = registry.diagnostics();
+  if (failed > 0) logger.warn(`${failed} endpoint file(s) failed to load, see GET /admin/diagnostics`);
+  if (strict && (failed > 0 || collisions.length > 0)) {
+    throw new Error(`Strict mode: ${failed} endpoint file(s) failed to load, ${collisions.length} route collision(s)`);
+  }
+
+  if (app) app.use(registry.middleware());
+
+  return registry.list();
+}
+
+/**
+ * Watches an api directory and hot-swaps endpoints as their files change
+ * @function watchEndpoints
+ * @param {string} dir - Root api directory
+ * @param {Object} [options={}] - Watcher options
+ * @param {EndpointRegistry} [options.registry=endpointRegistry] - Registry to update
+ * @returns {Function} Function that stops watching
+ *
+ * @description
+ * Intended for development. Every directory is watched individually so the
+ * watcher works on platforms without recursive `fs.watch` support.
+ * - A new or changed `.js` file is re-imported with a cache-busting URL and
+ *   its route replaced in place. If the new version fails to import, the
+ *   previous version keeps serving and the failure is recorded in the registry.
+ * - A deleted file (or directory) has its routes unregistered.
+ * - A new directory is watched and its endpoints loaded.
+ *
+ * Only the endpoint file itself is re-imported; modules it imports (services)
+ * keep their cached version until the process restarts. Plugins are not watched.
+ *
+ * @example
+ * if (process.env.HOT_RELOAD === "true") watchEndpoints(path.join(process.cwd(), "api"));
+ */
+export function watchEndpoints(dir, { registry = endpointRegistry } = {}) {
   /**
-   * Read directory contents synchronously
-   * @type {Array<fs.Dirent>}
+   * Active watchers keyed by directory
+   * @type {Map<string, fs.FSWatcher>}
    */
-  const files = fs.readdirSync(dir, { withFileTypes: true });
-  
+  const watchers = new Map();
+
   /**
-   * Array to collect endpoint metadata
-   * @type {Array<Object>}
+   * Pending debounce timers keyed by file path
+   * @type {Map<string, NodeJS.Timeout>}
    */
-  const endpoints = [];
+  const pending = new Map();
 
-  // Process each file/directory in the current directory
-  for (const file of files) {
-    /**
-     * Full path to the current file/directory
-     * @type {string}
-     */
-    const fullPath = path.join(dir, file.name);
+  const reloadFile = async (file) => {
+    try {
+      const entry = await importEndpoint(file, dir, { reload: true });
+      const previous = registry.get(file);
+      registry.clearDiagnostics(file);
 
-    if (file.isDirectory()) {
-      /**
-       * Recursively load endpoints from subdirectory
-       * @type {Array<Object>}
-       */
-      const subEndpoints = await loadEndpoints(fullPath, app);
-      endpoints.push(...subEndpoints);
-    } else if (file.isFile() && file.name.endsWith(".js")) {
-      try {
-        /**
-         * Dynamically import the endpoint module
-         * @type {Object}
-         */
-        const module = (await import(pathToFileURL(fullPath))).default;
-
-        // Check if the module has the required run function
-        if (typeof module.run === "function" || Array.isArray(module.run)) {
-          /**
-           * Generate the route path from the file system structure
-           * @type {string}
-           * @example
-           * // File: /project/api/users/get.js
-           * // Route: /api/users/get
-           */
-          const routePath = "/api" + fullPath
-            .replace(path.join(process.cwd(), "api"), "")
-            .replace(/\.js$/, "")
-            .replace(/\\/g, "/");
-
-          /**
-           * Supported HTTP methods for this endpoint
-           * @type {Array<string>}
-           * @default ["GET"]
-           */
-          const methods = module.methods || ["GET"];
-
-          // Register each HTTP method with Express
-          for (const method of methods) {
-            /**
-             * Register the route with Express
-             * @param {string} routePath - The URL path for the endpoint
-             * @param {Function} handler - The endpoint handler function
-             */
-            if (Array.isArray(module.run)) {
-              app[method.toLowerCase()](routePath, ...module.run);
-            } else {
-              app[method.toLowerCase()](routePath, (req, res) => module.run(req, res));
-            }
-          }
-
-          // Log successful endpoint loading
-          console.log(`• endpoint loaded: ${routePath} [${methods.join(", ")}]`);
-
-          /**
-           * Endpoint metadata object for documentation
-           * @type {Object}
-           */
-          const endpointInfo = {
-            name: module.name || path.basename(file.name, '.js'),
-            description: module.description || "",
-            category: module.category || "General",
-            route: routePath,
-            methods,
-            params: module.params || [],
-            paramsSchema: module.paramsSchema || {},
-          };
-
-          endpoints.push(endpointInfo);
-        }
-      } catch (error) {
-        console.error(`Error loading endpoint ${fullPath}:`, error);
+      if (entry) {
+        registry.set(file, entry);
+        registry.recordWarnings(file, entry.warnings);
+        for (const warning of entry.warnings) logger.warn(`${entry.info.route}: ${warning}`);
+      } else if (previous) {
+        registry.delete(file);
+      } else {
+        return;
       }
+
+      registry.rebuild();
+      if (entry) logger.event(`endpoint ${previous ? "reloaded" : "added"}: ${entry.info.route}`);
+      else logger.event(`endpoint removed: ${previous.info.route}`);
+    } catch (error) {
+      registry.recordFailure(file, error);
+      logger.error(`Failed to reload endpoint ${file}: ${error.message}`);
     }
-  }
+  };
+
+  const removePath = (target) => {
+    const inTarget = (file) => file === target || file.startsWith(target + path.sep);
+    const removed = registry.files().filter(inTarget);
+    for (const file of removed) {
+      logger.event(`endpoint removed: ${registry.get(file).info.route}`);
+      registry.delete(file);
+    }
+    for (const file of [...registry.failures.keys(), ...registry.warnings.keys()].filter(inTarget)) {
+      registry.clearDiagnostics(file);
+    }
+    for (const [watched, watcher] of watchers) {
+      if (watched === target || watched.startsWith(target + path.sep)) {
+        watcher.close();
+        watchers.delete(watched);
+      }
+    }
+    if (removed.length > 0) registry.rebuild();
+  };
+
+  const handleChange = async (target) => {
+    let stat;
+    try {
+      stat = fs.statSync(target);
+    } catch {
+      return removePath(target);
+    }
+
+    if (stat.isDirectory()) {
+      if (watchers.has(target)) return;
+      watchDirectory(target);
+      const before = registry.files().length;
+      await scanDirectory(target, dir, registry);
+      if (registry.files().length !== before) registry.rebuild();
+    } else if (stat.isFile() && target.endsWith(".js")) {
+      await reloadFile(target);
+    }
+  };
+
+  const watchDirectory = (target) => {
+    try {
+      const watcher = fs.watch(target, (eventType, filename) => {
+        if (!filename) return;
+        const changed = path.join(target, filename.toString());
+        clearTimeout(pending.get(changed));
+        pending.set(changed, setTimeout(() => {
+          pending.delete(changed);
+          handleChange(changed);
+        }, WATCH_DEBOUNCE_MS));
+      });
+      watcher.on("error", () => removePath(target));
+      watchers.set(target, watcher);
+    } catch (error) {
+      logger.warn(`Cannot watch ${target}: ${error.message}`);
+      return;
+    }
+
+    for (const entry of fs.readdirSync(target, { withFileTypes: true })) {
+      if (entry.isDirectory()) watchDirectory(path.join(target, entry.name));
+    }
+  };
+
+  watchDirectory(dir);
+  logger.info(`Watching ${dir} for endpoint changes`);
 
-  return endpoints;
-}
\ No newline at end of file
+  return () => {
+    for (const watcher of watchers.values()) watcher.close();
+    for (const timer of pending.values()) clearTimeout(timer);
+    watchers.clear();
+    pending.clear();
+  };
+}
@@ -1,4 +1,12 @@
 import logger from "./logger.js";
+import { normalizeIp } from "./ipRules.js";
+import { createLogWriter } from "./logWriter.js";
+
+/**
+ * Writer of the access log (`logs/access.log`), buffered and rotated
+ * @type {LogWriter}
+ */
+const accessLog = createLogWriter("access");
 
 /**
  * Express middleware for comprehensive API request logging with response time tracking
@@ -17,6 +25,10 @@ import logger from "./logger.js";
  * 
  * The middleware overrides response methods to accurately capture when the response is completed
  * and calculate the exact response time from request start to response finish.
+ *
+ * Each request is also written to `logs/access.log`, in the format of the
+ * request log so that `parseRequestLog` reads it:
+ * `[ACCESS] 2025-01-01T12:00:00.000Z 203.0.113.7 GET /api/users 200 45ms id=...`
  * 
  * @example
  * // Usage in Express application:
@@ -114,11 +126,20 @@ const logApiRequest = async (req, res, next) => {
      */
     const responseTime = Date.now() - startTime;
 
+    /**
+     * Path without the query string, which may hold API keys
+     * @type {string}
+     */
+    const requestPath = req.originalUrl.split("?")[0];
+
     /**
      * Log the request details with formatted message
      * @example "GET /api/users [200] (45ms)"
      */
-    logger.info(`${req.method} ${req.path} [${res.statusCode}] (${responseTime}ms)`);
+    logger.info(`${req.method} ${requestPath} [${res.statusCode}] (${responseTime}ms)`);
+    accessLog.write(
+      `[ACCESS] ${new Date(startTime).toISOString()} ${normalizeIp(req.ip)} ${req.method} ${requestPath} ${res.statusCode} ${responseTime}ms id=${req.id}`
+    );
   }
 
   // Proceed to the next middleware/route handler
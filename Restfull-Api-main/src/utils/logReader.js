@@ -0,0 +1,74 @@
+/**
+ * @file Reading of line-based log files
+ * @module logReader
+ * @description Newest-first pages of log files such as `logs/request-logs.log`,
+ * filtered while the file is streamed so that large logs are never loaded
+ * in memory at once.
+ */
+import fs from "fs";
+import readline from "readline";
+
+/**
+ * Parses a line of `logs/request-logs.log`
+ * @function parseRequestLog
+ * @param {string} line - e.g. `[REQ] 2025-01-01T12:00:00.000Z 203.0.113.7 GET /api/ai/gpt cost=1 remaining=24 id=...`
+ * @returns {{type: string, at: string, ip: string, message: string, requestId: (string|null), line: string}|null}
+ * Null for lines in another format
+ *
+ * @description
+ * Every line written by the rate limiter starts with its type (`REQ`, `BAN`,
+ * `UNBAN`, `BLOCKED_REQ`, `DENIED_REQ`), an ISO timestamp and the client.
+ */
+export function parseRequestLog(line) {
+  const match = /^\[([A-Z_]+)\] (\S+) (\S+) ?(.*)$/.exec(line);
+  if (!match) return null;
+  const [, type, at, ip, message] = match;
+  const id = /(?:^| )id=(\S+)/.exec(message);
+  return { type, at, ip, message, requestId: id ? id[1] : null, line };
+}
+
+/**
+ * Reads one page of the entries of a log file, newest first
+ * @async
+ * @function readLogPage
+ * @param {string} file - Absolute path of the log file; a missing file reads as empty
+ * @param {Object} [options={}]
+ * @param {function(string): *} [options.parse] - Converts a line to an entry, null skips the line
+ * @param {function(*): boolean} [options.filter] - Keeps the matching entries
+ * @param {number} [options.page=1] - Page number, page 1 holds the newest entries
+ * @param {number} [options.limit=50] - Entries per page
+ * @returns {Promise<{total: number, page: number, limit: number, entries: Array}>} `total`
+ * is the number of matching entries in the whole file
+ *
+ * @example
+ * // Last 20 bans
+ * const { entries } = await readLogPage(requestLog.file, {
+ *   parse: parseRequestLog,
+ *   filter: (entry) => entry.type === "BAN",
+ *   limit: 20,
+ * });
+ */
+export async function readLogPage(file, { parse = (line) => line, filter = () => true, page = 1, limit = 50 } = {}) {
+  // Only the newest `page * limit` matching entries are kept while streaming
+  const keep = page * limit;
+  let recent = [];
+  let total = 0;
+
+  if (fs.existsSync(file)) {
+    const lines = readline.createInterface({ input: fs.createReadStream(file, "utf8"), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      const entry = parse(line);
+      if (entry === null || !filter(entry)) continue;
+
+      total++;
+      recent.push(entry);
+      if (recent.length > 2 * keep) recent = recent.slice(-keep);
+    }
+  }
+
+  const newestFirst = recent.slice(-keep).reverse();
+  return { total, page, limit, entries: newestFirst.slice((page - 1) * limit) };
+}
+
+export default { readLogPage, parseRequestLog };
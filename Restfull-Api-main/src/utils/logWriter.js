@@ -0,0 +1,311 @@
+/**
+ * @file Buffered, rotating log files
+ * @module logWriter
+ * @description Writers of the line-based files under `logs/`. Lines are
+ * buffered and appended asynchronously, files are rotated by size and by
+ * date, rotated files are gzipped and pruned. Options are read from
+ * `config/logging.json`.
+ */
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { pipeline } from "stream/promises";
+import { readConfig } from "./config.js";
+import { withFileLock } from "./jsonFile.js";
+import { onShutdown } from "./shutdown.js";
+import logger from "./logger.js";
+
+/**
+ * Directory of the log files
+ * @constant {string}
+ */
+export const LOG_DIR = path.join(process.cwd(), "logs");
+
+/**
+ * Default options of every writer
+ * @constant {Object}
+ * @property {number} maxSize - Size in bytes above which the file is rotated, 0 for no limit
+ * @property {string|null} interval - `daily` rotates the file when the day (UTC) changes, null never
+ * @property {boolean} compress - Gzip rotated files
+ * @property {number} maxFiles - Rotated files kept, 0 for no limit
+ * @property {number} maxAgeDays - Rotated files older than this are deleted, 0 for no limit
+ * @property {number} flushIntervalMs - How often buffered lines are written
+ * @property {number} maxBufferBytes - Buffered size that triggers a write before the interval
+ */
+export const DEFAULT_LOG_OPTIONS = {
+  maxSize: 10 * 1024 * 1024,
+  interval: "daily",
+  compress: true,
+  maxFiles: 14,
+  maxAgeDays: 30,
+  flushIntervalMs: 1000,
+  maxBufferBytes: 64 * 1024,
+};
+
+/**
+ * Options from `config/logging.json`, applied to every writer
+ * @type {Object}
+ *
+ * @example
+ * // config/logging.json
+ * { "maxSize": 52428800, "interval": "daily", "compress": true, "maxFiles": 30, "maxAgeDays": 90 }
+ */
+const LOG_OPTIONS = { ...DEFAULT_LOG_OPTIONS, ...readConfig("logging", {}) };
+
+/**
+ * Writers by file, see `createLogWriter`
+ * @type {Map<string, LogWriter>}
+ */
+const writers = new Map();
+
+/**
+ * Escapes a string for use in a regular expression
+ * @function escapeRegExp
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Buffered writer of one log file
+ * @class LogWriter
+ *
+ * @description
+ * `write` only buffers the line; the buffer is appended every
+ * `flushIntervalMs`, or sooner when it grows over `maxBufferBytes`. Before
+ * appending, the file is rotated when it would exceed `maxSize` or when it was
+ * last written on another day: `request-logs.log` is renamed to
+ * `request-logs.2025-01-01.1.log` (day of its content, then a counter), gzipped
+ * to `.log.gz`, and the rotated files beyond `maxFiles` or `maxAgeDays` are
+ * deleted. Rotation runs under a lock file so that several processes writing
+ * the same file rotate it once.
+ *
+ * Writes that fail (read-only file system, full disk) are logged and the lines dropped.
+ */
+export class LogWriter {
+  /**
+   * @param {string} file - Absolute path of the log file
+   * @param {Object} [options={}] - See `DEFAULT_LOG_OPTIONS`
+   */
+  constructor(file, options = {}) {
+    this.file = file;
+    this.options = { ...DEFAULT_LOG_OPTIONS, ...options };
+    this.dir = path.dirname(file);
+    this.base = path.basename(file, ".log");
+    this.rotatedPattern = new RegExp(`^${escapeRegExp(this.base)}\\.(\\d{4}-\\d{2}-\\d{2})\\.(\\d+)\\.log(\\.gz)?$`);
+
+    /**
+     * Lines waiting to be written
+     * @type {Array<string>}
+     */
+    this.buffer = [];
+    this.bufferedBytes = 0;
+
+    /**
+     * Write in progress, if any
+     * @type {Promise<void>|null}
+     */
+    this.flushing = null;
+    this.lastError = null;
+
+    this.timer = setInterval(() => this.flush(), this.options.flushIntervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Buffers a line
+   * @param {string} line - Line without the trailing newline
+   */
+  write(line) {
+    this.buffer.push(line);
+    this.bufferedBytes += Buffer.byteLength(line) + 1;
+    if (this.bufferedBytes >= this.options.maxBufferBytes) this.flush();
+  }
+
+  /**
+   * Writes the buffered lines
+   * @returns {Promise<void>} Resolves once every line buffered so far is written
+   */
+  async flush() {
+    while (this.flushing || this.buffer.length > 0) {
+      if (!this.flushing) {
+        this.flushing = this.writeBuffer().finally(() => {
+          this.flushing = null;
+        });
+      }
+      await this.flushing;
+    }
+  }
+
+  /**
+   * Writes the buffered lines synchronously, without rotating. Used when the
+   * process exits, where asynchronous work no longer runs.
+   */
+  flushSync() {
+    if (this.buffer.length === 0) return;
+    const data = this.buffer.join("\n") + "\n";
+    this.buffer = [];
+    this.bufferedBytes = 0;
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.appendFileSync(this.file, data);
+    } catch (err) {
+      console.error(`Failed to write ${this.file}:`, err);
+    }
+  }
+
+  /**
+   * Writes the buffered lines and stops the periodic flush
+   * @returns {Promise<void>}
+   */
+  async close() {
+    clearInterval(this.timer);
+    await this.flush();
+  }
+
+  /**
+   * Appends the current buffer, rotating the file first if needed
+   * @private
+   * @returns {Promise<void>}
+   */
+  async writeBuffer() {
+    const data = this.buffer.join("\n") + "\n";
+    this.buffer = [];
+    this.bufferedBytes = 0;
+
+    try {
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      await this.rotateIfNeeded(Buffer.byteLength(data));
+      await fs.promises.appendFile(this.file, data);
+      this.lastError = null;
+    } catch (err) {
+      // Log the same failure once instead of on every flush
+      if (err.message !== this.lastError) logger.error(`Failed to write ${this.file}: ${err.message}`);
+      this.lastError = err.message;
+    }
+  }
+
+  /**
+   * Tells whether the file must be rotated before appending
+   * @private
+   * @param {fs.Stats|null} stat - Stats of the file, null if it does not exist
+   * @param {number} incoming - Bytes about to be appended
+   * @returns {boolean}
+   */
+  mustRotate(stat, incoming) {
+    if (!stat || stat.size === 0) return false;
+    const { maxSize, interval } = this.options;
+    if (maxSize > 0 && stat.size + incoming > maxSize) return true;
+    return interval === "daily" && stat.mtime.toISOString().slice(0, 10) !== new Date().toISOString().slice(0, 10);
+  }
+
+  /**
+   * Rotates the file if it is too big or from another day, then compresses
+   * the rotated file and prunes the old ones
+   * @private
+   * @param {number} incoming - Bytes about to be appended
+   * @returns {Promise<void>}
+   */
+  async rotateIfNeeded(incoming) {
+    const stat = await fs.promises.stat(this.file).catch(() => null);
+    if (!this.mustRotate(stat, incoming)) return;
+
+    const rotated = await withFileLock(`${this.file}.lock`, async () => {
+      // Another process may have rotated it while we waited for the lock
+      const current = await fs.promises.stat(this.file).catch(() => null);
+      if (!this.mustRotate(current, incoming)) return null;
+
+      const day = current.mtime.toISOString().slice(0, 10);
+      const target = path.join(this.dir, `${this.base}.${day}.${await this.nextIndex(day)}.log`);
+      await fs.promises.rename(this.file, target);
+      return target;
+    });
+    if (!rotated) return;
+
+    // Compressing and pruning don't hold up the lines being written
+    this.compress(rotated)
+      .then(() => this.prune())
+      .catch((err) => logger.error(`Failed to archive ${rotated}: ${err.message}`));
+  }
+
+  /**
+   * Returns the next free counter of the rotated files of a day
+   * @private
+   * @param {string} day - `YYYY-MM-DD`
+   * @returns {Promise<number>}
+   */
+  async nextIndex(day) {
+    let last = 0;
+    for (const name of await fs.promises.readdir(this.dir)) {
+      const match = this.rotatedPattern.exec(name);
+      if (match && match[1] === day) last = Math.max(last, Number(match[2]));
+    }
+    return last + 1;
+  }
+
+  /**
+   * Gzips a rotated file, if `compress` is set
+   * @private
+   * @param {string} file - Rotated file
+   * @returns {Promise<void>}
+   */
+  async compress(file) {
+    if (!this.options.compress) return;
+    await pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(`${file}.gz`));
+    await fs.promises.rm(file);
+  }
+
+  /**
+   * Deletes the rotated files beyond `maxFiles` and older than `maxAgeDays`
+   * @private
+   * @returns {Promise<void>}
+   */
+  async prune() {
+    const { maxFiles, maxAgeDays } = this.options;
+    const rotated = (await fs.promises.readdir(this.dir))
+      .map((name) => ({ name, match: this.rotatedPattern.exec(name) }))
+      .filter(({ match }) => match)
+      .sort((a, b) => b.match[1].localeCompare(a.match[1]) || Number(b.match[2]) - Number(a.match[2]));
+
+    const oldestDay = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const expired = rotated.filter(
+      ({ match }, i) => (maxFiles > 0 && i >= maxFiles) || (maxAgeDays > 0 && match[1] < oldestDay)
+    );
+    await Promise.all(expired.map(({ name }) => fs.promises.rm(path.join(this.dir, name), { force: true })));
+  }
+}
+
+/**
+ * Writes every buffered line before the process ends: asynchronously on
+ * SIGINT and SIGTERM (see shutdown.js), synchronously on exit.
+ * @function flushOnShutdown
+ */
+function flushOnShutdown() {
+  process.on("exit", () => {
+    for (const writer of writers.values()) writer.flushSync();
+  });
+  onShutdown(() => Promise.all([...writers.values()].map((writer) => writer.close())));
+}
+
+/**
+ * Returns the writer of a log file in `logs/`, shared by every caller
+ * @function createLogWriter
+ * @param {string} name - File name without extension, e.g. `request-logs`
+ * @returns {LogWriter}
+ *
+ * @example
+ * const requestLog = createLogWriter("request-logs");
+ * requestLog.write(`[REQ] ${new Date().toISOString()} ${ip} GET /api/ai/gpt`);
+ */
+export function createLogWriter(name) {
+  const file = path.join(LOG_DIR, `${name}.log`);
+  if (!writers.has(file)) {
+    if (writers.size === 0) flushOnShutdown();
+    writers.set(file, new LogWriter(file, LOG_OPTIONS));
+  }
+  return writers.get(file);
+}
+
+export default createLogWriter;
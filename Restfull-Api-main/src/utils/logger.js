@@ -1,16 +1,28 @@
 import Color from "./color.js";
+import { currentRequestId } from "./requestContext.js";
+
+/**
+ * Prefixes a message with the id of the request being handled, if any
+ * @function withRequestId
+ * @param {string} msg
+ * @returns {string}
+ */
+const withRequestId = (msg) => {
+  const id = currentRequestId();
+  return id ? Color.gray(`[${id}] `) + msg : msg;
+};
 
 const logger = {
   info: (msg) =>
-    console.log(Color.blue("•") + " " + Color.gray("info  - ") + msg),
+    console.log(Color.blue("•") + " " + Color.gray("info  - ") + withRequestId(msg)),
   ready: (msg) =>
-    console.log(Color.green("•") + " " + Color.gray("ready - ") + msg),
+    console.log(Color.green("•") + " " + Color.gray("ready - ") + withRequestId(msg)),
   warn: (msg) =>
-    console.log(Color.yellow("•") + " " + Color.gray("warn  - ") + msg),
+    console.log(Color.yellow("•") + " " + Color.gray("warn  - ") + withRequestId(msg)),
   error: (msg) =>
-    console.log(Color.red("•") + " " + Color.gray("error - ") + msg),
+    console.log(Color.red("•") + " " + Color.gray("error - ") + withRequestId(msg)),
   event: (msg) =>
-    console.log(Color.cyan("•") + " " + Color.gray("event - ") + msg),
+    console.log(Color.cyan("•") + " " + Color.gray("event - ") + withRequestId(msg)),
 };
 
-export default logger;
\ No newline at end of file
+export default logger;
@@ -0,0 +1,125 @@
+/**
+ * @file Endpoint plugins
+ * @module plugins
+ * @description Resolves the endpoint bundles listed in `config/plugins.json`,
+ * either npm packages or directories laid out like `api/`.
+ */
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { readConfig } from "./config.js";
+
+/**
+ * Reads the plugin list from `config/plugins.json`
+ * @function readPluginConfig
+ * @returns {Array<Object|string>} Plugin definitions
+ *
+ * @example
+ * // config/plugins.json
+ * {
+ *   "plugins": [
+ *     { "package": "@inusoft/canvas-endpoints", "prefix": "/canvas" },
+ *     { "dir": "./plugins/internal-tools", "prefix": "/internal" },
+ *     "./plugins/misc"
+ *   ]
+ * }
+ */
+export function readPluginConfig() {
+  const config = readConfig("plugins", { plugins: [] });
+  return Array.isArray(config) ? config : config.plugins || [];
+}
+
+/**
+ * Normalizes a mount prefix to `""` or `/segment[/segment...]`
+ * @function normalizePrefix
+ * @param {string|undefined} prefix - Prefix such as `"canvas"`, `"/canvas/"`
+ * @returns {string}
+ */
+function normalizePrefix(prefix) {
+  const trimmed = String(prefix || "").replace(/^\/+|\/+$/g, "");
+  return trimmed ? `/${trimmed}` : "";
+}
+
+/**
+ * Turns a path or `file:` URL exported by a package into a file system path
+ * @function toPath
+ * @param {string|URL} value
+ * @returns {string}
+ */
+function toPath(value) {
+  return value instanceof URL || String(value).startsWith("file:") ? fileURLToPath(value) : String(value);
+}
+
+/**
+ * Resolves a plugin definition into its name, prefix and endpoints
+ * @async
+ * @function resolvePlugin
+ * @param {Object|string} definition - Entry of config/plugins.json. A string
+ * starting with `.` or `/` is a directory, any other string a package name.
+ * @param {string} [definition.package] - npm package to import
+ * @param {string} [definition.dir] - Directory of endpoint files, relative to the working directory
+ * @param {string} [definition.prefix] - Mount prefix; overrides the one exported by the package
+ * @param {string} [definition.name] - Name shown in logs and diagnostics
+ * @returns {Promise<{name: string, prefix: string, dir: (string|null), endpoints: Object}>}
+ * @throws {Error} If the package cannot be imported, the directory does not
+ * exist or the package exports neither `endpoints` nor `dir`
+ *
+ * @description
+ * A directory plugin is scanned exactly like `api/` (dynamic segments,
+ * `index.js`, `v<N>` directories) and mounted under `/api<prefix>`.
+ *
+ * A package plugin default-exports its endpoints as modules keyed by path,
+ * a directory to scan, or both:
+ *
+ * @example
+ * // node_modules/@inusoft/canvas-endpoints/index.js
+ * import twibbon from "./twibbon.js";
+ * import ttp from "./ttp.js";
+ *
+ * export default {
+ *   name: "canvas-endpoints",
+ *   prefix: "/canvas",
+ *   endpoints: {
+ *     "twibbon/[template]": twibbon,   // /api/canvas/twibbon/:template
+ *     "ttp": ttp,                      // /api/canvas/ttp
+ *   },
+ *   // or: dir: new URL("./api", import.meta.url),
+ * };
+ */
+export async function resolvePlugin(definition) {
+  if (typeof definition === "string") {
+    definition = /^[./]/.test(definition) ? { dir: definition } : { package: definition };
+  }
+
+  if (definition.package) {
+    const exported = (await import(definition.package)).default || {};
+    if (!exported.endpoints && !exported.dir) {
+      throw new Error(`Plugin ${definition.package} exports neither endpoints nor dir`);
+    }
+
+    return {
+      name: definition.name || exported.name || definition.package,
+      prefix: normalizePrefix(definition.prefix ?? exported.prefix),
+      dir: exported.dir ? toPath(exported.dir) : null,
+      endpoints: exported.endpoints || {},
+    };
+  }
+
+  if (definition.dir) {
+    const dir = path.resolve(process.cwd(), definition.dir);
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+      throw new Error(`Plugin directory ${dir} does not exist`);
+    }
+
+    return {
+      name: definition.name || path.basename(dir),
+      prefix: normalizePrefix(definition.prefix),
+      dir,
+      endpoints: {},
+    };
+  }
+
+  throw new Error("Plugin definition needs a package or dir");
+}
+
+export default { readPluginConfig, resolvePlugin };
@@ -0,0 +1,62 @@
+/**
+ * @file Request context
+ * @module utils/requestContext
+ * @description Keeps the id of the request being handled available to code
+ * that has no access to `req` (logger, services), and forwards it on the
+ * outgoing axios calls made while handling the request.
+ */
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+import axios from "axios";
+
+/**
+ * Header carrying the request id, in both directions
+ * @constant {string}
+ */
+export const REQUEST_ID_HEADER = "X-Request-Id";
+
+/**
+ * Incoming ids accepted as they are; anything else is replaced so that the
+ * id can be written to logs and headers safely
+ * @constant {RegExp}
+ */
+const VALID_ID = /^[\w.:@-]{1,128}$/;
+
+/**
+ * Storage of the current request, set by the requestId middleware
+ * @type {AsyncLocalStorage<{id: string}>}
+ */
+export const requestContext = new AsyncLocalStorage();
+
+/**
+ * Returns the id of a request, assigning one if needed
+ * @function assignRequestId
+ * @param {express.Request} req
+ * @returns {string} The `X-Request-Id` sent by the client when valid, a new UUID otherwise
+ */
+export function assignRequestId(req) {
+  if (!req.id) {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+  }
+  return req.id;
+}
+
+/**
+ * Returns the id of the request being handled
+ * @function currentRequestId
+ * @returns {string|undefined} Undefined outside a request (startup, timers...)
+ */
+export function currentRequestId() {
+  return requestContext.getStore()?.id;
+}
+
+// Every axios call made while handling a request carries its id, unless the
+// caller already set the header
+axios.interceptors.request.use((config) => {
+  const id = currentRequestId();
+  if (id && !config.headers.has(REQUEST_ID_HEADER)) config.headers.set(REQUEST_ID_HEADER, id);
+  return config;
+});
+
+export default { REQUEST_ID_HEADER, requestContext, assignRequestId, currentRequestId };
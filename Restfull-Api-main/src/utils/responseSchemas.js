@@ -0,0 +1,65 @@
+/**
+ * @file Reusable schemas for the `responses` block of endpoint modules
+ * @module responseSchemas
+ */
+
+/**
+ * Schema of the `results` object returned by endpoints that store a generated
+ * file in `files/` and answer with a link to it
+ * @function fileLink
+ * @param {string} [mimetype] - Exact MIME type of the generated file
+ * @returns {Object} JSON Schema
+ *
+ * @example
+ * responses: {
+ *   200: {
+ *     description: "Link to the generated image",
+ *     schema: { type: "object", properties: { results: fileLink("image/png") }, required: ["results"] },
+ *   },
+ * }
+ */
+export function fileLink(mimetype) {
+  return {
+    type: "object",
+    properties: {
+      url: { type: "string" },
+      filename: { type: "string" },
+      mimetype: mimetype ? { const: mimetype } : { type: "string" },
+      size: { type: "integer" },
+    },
+    required: ["url", "filename", "mimetype"],
+  };
+}
+
+/**
+ * Schema of the `dimensions` object returned by canvas endpoints
+ * @constant {Object}
+ */
+export const dimensions = {
+  type: "object",
+  properties: {
+    width: { type: "integer" },
+    height: { type: "integer" },
+  },
+  required: ["width", "height"],
+};
+
+/**
+ * Schema of the error bodies sent by the error handler (see errorHandler.js)
+ * @constant {Object}
+ */
+export const errorBody = {
+  type: "object",
+  properties: {
+    success: { const: false },
+    error: { type: "string" },
+    code: { type: "string" },
+    requestId: { type: "string" },
+    errors: { type: "array", items: { type: "object" } },
+    details: {},
+    stack: { type: "string" },
+  },
+  required: ["error", "code", "requestId"],
+};
+
+export default { fileLink, dimensions, errorBody };
@@ -0,0 +1,142 @@
+/**
+ * @file Response body serializers
+ * @module utils/serializers
+ * @description Serializes the response envelope in the formats a client can
+ * ask for with `Accept` or `?format=`.
+ */
+import yaml from "js-yaml";
+import { encode } from "@msgpack/msgpack";
+import { HttpError } from "./errors.js";
+
+/**
+ * Escapes text for an XML element or attribute
+ * @function escapeXml
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Serializes a value as an XML element
+ * @function xmlElement
+ * @param {string} name - Element name; keys that are not valid XML names are
+ * written as `<entry key="...">`
+ * @param {*} value
+ * @param {string} indent
+ * @returns {string}
+ */
+function xmlElement(name, value, indent) {
+  const valid = /^[A-Za-z_][\w.-]*$/.test(name) && !/^xml/i.test(name);
+  const open = valid ? name : `entry key="${escapeXml(name)}"`;
+  const close = valid ? name : "entry";
+
+  if (value === null || value === undefined) return `${indent}<${open}/>`;
+  if (value instanceof Date) return `${indent}<${open}>${value.toISOString()}</${close}>`;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return `${indent}<${open}/>`;
+    const items = value.map((item) => xmlElement("item", item, `${indent}  `));
+    return `${indent}<${open}>\n${items.join("\n")}\n${indent}</${close}>`;
+  }
+  if (typeof value === "object") {
+    const children = Object.entries(value)
+      .filter(([, child]) => child !== undefined)
+      .map(([key, child]) => xmlElement(key, child, `${indent}  `));
+    if (children.length === 0) return `${indent}<${open}/>`;
+    return `${indent}<${open}>\n${children.join("\n")}\n${indent}</${close}>`;
+  }
+  return `${indent}<${open}>${escapeXml(value)}</${close}>`;
+}
+
+/**
+ * Serializes a value as an XML document
+ * @function toXml
+ * @param {*} value - Response body
+ * @param {string} [root="response"] - Name of the root element
+ * @returns {string}
+ *
+ * @example
+ * toXml({ statusCode: 200, results: ["a", "b"] });
+ * // <?xml version="1.0" encoding="UTF-8"?>
+ * // <response>
+ * //   <statusCode>200</statusCode>
+ * //   <results>
+ * //     <item>a</item>
+ * //     <item>b</item>
+ * //   </results>
+ * // </response>
+ */
+export function toXml(value, root = "response") {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${xmlElement(root, value, "")}\n`;
+}
+
+/**
+ * Supported response formats, the first one being the default
+ * @constant {Object.<string, {types: Array<string>, serialize: Function}>}
+ * @description `types` are the media types accepted for the format, the first
+ * one is sent as Content-Type. `serialize` returns a string or a Buffer.
+ * JSON is sent by Express itself, so its serializer is only a fallback.
+ */
+export const FORMATS = {
+  json: {
+    types: ["application/json"],
+    serialize: (value) => JSON.stringify(value),
+  },
+  xml: {
+    types: ["application/xml", "text/xml"],
+    serialize: (value) => toXml(value),
+  },
+  yaml: {
+    types: ["application/yaml", "application/x-yaml", "text/yaml"],
+    serialize: (value) => yaml.dump(JSON.parse(JSON.stringify(value)), { noRefs: true, lineWidth: -1 }),
+  },
+  msgpack: {
+    types: ["application/msgpack", "application/x-msgpack", "application/vnd.msgpack"],
+    serialize: (value) => Buffer.from(encode(JSON.parse(JSON.stringify(value)))),
+  },
+};
+
+/**
+ * Picks the response format of a request
+ * @function negotiateFormat
+ * @param {express.Request} req
+ * @returns {string|null} Format name, or null when neither `?format=` nor
+ * `Accept` names a supported format
+ *
+ * @description
+ * `?format=json|xml|yaml|msgpack` wins over the `Accept` header. Without
+ * either (or with `Accept: *\/*`) the response is JSON. Page loads from a
+ * browser also get JSON: their `Accept` lists `text/html` and, with a lower
+ * quality, `application/xml`.
+ */
+export function negotiateFormat(req) {
+  const requested = req.query?.format;
+  if (typeof requested === "string" && requested) {
+    const name = requested.toLowerCase();
+    return Object.hasOwn(FORMATS, name) ? name : null;
+  }
+
+  if (/\btext\/html\b/i.test(req.get("Accept") || "")) return "json";
+
+  const types = Object.values(FORMATS).flatMap((format) => format.types);
+  const accepted = req.accepts(types);
+  if (!accepted) return null;
+  return Object.keys(FORMATS).find((name) => FORMATS[name].types.includes(accepted));
+}
+
+/**
+ * Returns the error answered when no response format is acceptable
+ * @function notAcceptable
+ * @returns {HttpError} 406 `NOT_ACCEPTABLE` listing the formats in `details.formats`
+ */
+export function notAcceptable() {
+  return new HttpError(406, "Not Acceptable", { code: "NOT_ACCEPTABLE", details: { formats: Object.keys(FORMATS) } });
+}
+
+export default { FORMATS, negotiateFormat, notAcceptable, toXml };
@@ -0,0 +1,49 @@
+/**
+ * @file Work done before the process stops
+ * @module shutdown
+ * @description Tasks run when the process gets `SIGINT` or `SIGTERM`, such as
+ * writing buffered log lines or usage counters.
+ */
+
+/**
+ * Longest time the tasks may take before the process stops anyway
+ * @constant {number}
+ */
+const SHUTDOWN_TIMEOUT_MS = 5000;
+
+/**
+ * Registered tasks
+ * @type {Array<function(): Promise<void>>}
+ */
+const tasks = [];
+
+/**
+ * Runs every task, then raises the signal again so that the process stops
+ * as it would have without them
+ * @function handleSignal
+ * @param {string} signal
+ */
+function handleSignal(signal) {
+  const timeout = new Promise((resolve) => setTimeout(resolve, SHUTDOWN_TIMEOUT_MS).unref());
+  Promise.race([Promise.allSettled(tasks.map((task) => task())), timeout]).finally(() => {
+    process.kill(process.pid, signal);
+  });
+}
+
+/**
+ * Registers a task to run before the process stops on `SIGINT` or `SIGTERM`
+ * @function onShutdown
+ * @param {function(): Promise<void>} task - Async task; its errors are ignored
+ *
+ * @example
+ * onShutdown(() => writer.close());
+ */
+export function onShutdown(task) {
+  if (tasks.length === 0) {
+    process.once("SIGINT", handleSignal);
+    process.once("SIGTERM", handleSignal);
+  }
+  tasks.push(task);
+}
+
+export default onShutdown;
@@ -0,0 +1,232 @@
+/**
+ * @file Usage metering
+ * @module usage
+ * @description Requests, errors, bytes served and render time per consumer
+ * (API key, or anonymous callers together), endpoint and UTC day. Counters are
+ * buffered in memory and added to the rate limit store every few seconds.
+ */
+import rateLimiter from "../middleware/rateLimiter.js";
+import { HttpError } from "./errors.js";
+import { onShutdown } from "./shutdown.js";
+import logger from "./logger.js";
+
+/**
+ * How long the usage of a day is kept, long enough for yearly billing
+ * @constant {number}
+ */
+const RETENTION_DAYS = 400;
+
+/**
+ * How often buffered usage is written to the store
+ * @constant {number}
+ */
+const FLUSH_INTERVAL_MS = 10 * 1000;
+
+/**
+ * One day in milliseconds
+ * @constant {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Columns of a usage row, in the order of the CSV export
+ * @constant {Array<string>}
+ */
+export const USAGE_COLUMNS = ["date", "consumer", "keyName", "tier", "route", "requests", "errors", "bytes", "renderSeconds"];
+
+/**
+ * Warning given when the usage is kept by the memory store
+ * @constant {string}
+ */
+export const MEMORY_STORE_WARNING =
+  "RATE_LIMIT_STORE=memory keeps usage metering and API key quotas in memory: they are lost on restart. Use the file or redis store.";
+
+/**
+ * Counter increments not written to the store yet, keyed by counter
+ * @type {Map<string, {key: string, amount: number, expiresAt: number}>}
+ */
+const pending = new Map();
+
+/**
+ * Write in progress, if any
+ * @type {Promise<void>|null}
+ */
+let flushing = null;
+
+/**
+ * Returns the consumer a request is metered under
+ * @function consumerOf
+ * @param {express.Request} req
+ * @returns {string} `key:<id>` for requests with an API key, `anonymous` otherwise
+ */
+export function consumerOf(req) {
+  return req.apiKey ? `key:${req.apiKey.id}` : "anonymous";
+}
+
+/**
+ * Buffers an increment of a counter
+ * @function add
+ * @param {string} key - Counter key
+ * @param {number} amount
+ * @param {number} expiresAt
+ */
+function add(key, amount, expiresAt) {
+  if (!amount) return;
+  const entry = pending.get(key) || { key, amount: 0, expiresAt };
+  entry.amount += amount;
+  pending.set(key, entry);
+}
+
+/**
+ * Records a served request
+ * @function recordUsage
+ * @param {Object} usage
+ * @param {string} usage.consumer - See `consumerOf`
+ * @param {string} usage.route - Endpoint route, e.g. `/api/canvas/attp`
+ * @param {number} usage.status - Status code of the response; 4xx and 5xx count as errors
+ * @param {number} [usage.bytes=0] - Size of the response
+ * @param {number} [usage.renderMs=0] - Time spent rendering
+ * @param {number} [usage.at=Date.now()] - When the request was served
+ *
+ * @description
+ * Counters are keyed `usage:<month>|<consumer>|<day>|<route>|<metric>`, with
+ * the metrics `requests`, `errors`, `bytes` and `renderMs`. The month lets
+ * stores keep each month apart (see `counterFile` of the file store), so that
+ * a flush rewrites the current month only.
+ */
+export function recordUsage({ consumer, route, status, bytes = 0, renderMs = 0, at = Date.now() }) {
+  const day = new Date(at).toISOString().slice(0, 10);
+  const expiresAt = Date.parse(day) + (RETENTION_DAYS + 1) * DAY_MS;
+  const prefix = `usage:${day.slice(0, 7)}|${consumer}|${day}|${route}|`;
+
+  add(`${prefix}requests`, 1, expiresAt);
+  add(`${prefix}errors`, status >= 400 ? 1 : 0, expiresAt);
+  add(`${prefix}bytes`, bytes, expiresAt);
+  add(`${prefix}renderMs`, Math.round(renderMs), expiresAt);
+}
+
+/**
+ * Writes the buffered usage to the store. Increments that could not be
+ * written are kept for the next flush.
+ * @async
+ * @function flushUsage
+ * @returns {Promise<void>}
+ */
+export async function flushUsage() {
+  while (flushing) await flushing;
+  if (pending.size === 0) return;
+
+  const entries = [...pending.values()];
+  pending.clear();
+  flushing = rateLimiter.store
+    .incrementMany(entries)
+    .catch((err) => {
+      logger.warn(`Rate limit store unavailable, usage kept for the next flush: ${err.message}`);
+      for (const { key, amount, expiresAt } of entries) add(key, amount, expiresAt);
+    })
+    .finally(() => {
+      flushing = null;
+    });
+  await flushing;
+}
+
+/**
+ * Reads and checks a date range given as `from` and `to` query params
+ * @function usageRange
+ * @param {Object} query - `req.query`
+ * @param {number} [now=Date.now()]
+ * @returns {{from: string, to: string}} `YYYY-MM-DD` days, both included;
+ * by default the current month up to today
+ * @throws {HttpError} 400 if a date is invalid or `from` is after `to`
+ */
+export function usageRange(query, now = Date.now()) {
+  const today = new Date(now).toISOString().slice(0, 10);
+  const from = query.from ?? `${today.slice(0, 7)}-01`;
+  const to = query.to ?? today;
+
+  for (const day of [from, to]) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || Number.isNaN(Date.parse(day))) {
+      throw new HttpError(400, "from and to must be dates formatted YYYY-MM-DD.");
+    }
+  }
+  if (from > to) throw new HttpError(400, "from must not be after to.");
+  return { from, to };
+}
+
+/**
+ * Lists the months of a range of days
+ * @function monthsBetween
+ * @param {string} from - First day, `YYYY-MM-DD`
+ * @param {string} to - Last day, `YYYY-MM-DD`
+ * @returns {Array<string>} `YYYY-MM` months, oldest first
+ */
+function monthsBetween(from, to) {
+  const months = [];
+  const date = new Date(`${from.slice(0, 7)}-01T00:00:00Z`);
+  while (date.toISOString().slice(0, 7) <= to.slice(0, 7)) {
+    months.push(date.toISOString().slice(0, 7));
+    date.setUTCMonth(date.getUTCMonth() + 1);
+  }
+  return months;
+}
+
+/**
+ * Reads the metered usage
+ * @async
+ * @function readUsage
+ * @param {Object} [options={}]
+ * @param {string} [options.consumer] - Only this consumer, see `consumerOf`
+ * @param {string} [options.from] - First day, `YYYY-MM-DD`
+ * @param {string} [options.to] - Last day, `YYYY-MM-DD`
+ * @returns {Promise<Array<{date: string, consumer: string, route: string, requests: number, errors: number, bytes: number, renderSeconds: number}>>}
+ * One row per consumer, day and endpoint, oldest first
+ *
+ * @description
+ * The usage buffered by this process is written first; other instances'
+ * usage shows up after their next flush (every 10 seconds). With both `from`
+ * and `to`, only the months of the range are read.
+ */
+export async function readUsage({ consumer, from, to } = {}) {
+  await flushUsage();
+  const prefixes = from && to
+    ? monthsBetween(from, to).map((month) => `usage:${month}|${consumer ? `${consumer}|` : ""}`)
+    : ["usage:"];
+  const counters = {};
+  for (const prefix of prefixes) Object.assign(counters, await rateLimiter.store.listCounters(prefix));
+
+  const rows = new Map();
+  for (const [key, value] of Object.entries(counters)) {
+    const [, who, date, route, metric] = key.split("|");
+    if ((consumer && who !== consumer) || (from && date < from) || (to && date > to)) continue;
+
+    const id = `${who}|${date}|${route}`;
+    if (!rows.has(id)) rows.set(id, { date, consumer: who, route, requests: 0, errors: 0, bytes: 0, renderSeconds: 0 });
+    if (metric === "renderMs") rows.get(id).renderSeconds = value / 1000;
+    else rows.get(id)[metric] = value;
+  }
+
+  return [...rows.values()].sort(
+    (a, b) => a.date.localeCompare(b.date) || a.consumer.localeCompare(b.consumer) || a.route.localeCompare(b.route)
+  );
+}
+
+/**
+ * Formats usage rows as CSV
+ * @function usageToCsv
+ * @param {Array<Object>} rows - Rows with the `USAGE_COLUMNS` fields
+ * @returns {string} CSV with a header line
+ */
+export function usageToCsv(rows) {
+  const cell = (value) => {
+    const text = String(value ?? "");
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = rows.map((row) => USAGE_COLUMNS.map((column) => cell(row[column])).join(","));
+  return [USAGE_COLUMNS.join(","), ...lines].join("\n") + "\n";
+}
+
+// Flush periodically, without keeping scripts that import this module alive
+setInterval(() => flushUsage(), FLUSH_INTERVAL_MS).unref();
+onShutdown(flushUsage);
+
+export default { recordUsage, flushUsage, readUsage, usageRange, usageToCsv, consumerOf, USAGE_COLUMNS, MEMORY_STORE_WARNING };
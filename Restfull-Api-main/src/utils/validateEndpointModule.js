@@ -0,0 +1,170 @@
+import { ALGORITHMS } from "../middleware/rateLimiter.js";
+import { AUTH_MODES } from "../middleware/apiKeyAuth.js";
+
+/**
+ * HTTP methods an endpoint may declare
+ * @constant {Array<string>}
+ */
+export const HTTP_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE", "HEAD", "OPTIONS"];
+
+/**
+ * Param types understood by the paramsSchema validator
+ * @constant {Array<string>}
+ */
+export const PARAM_TYPES = ["string", "number", "integer", "boolean", "enum", "file"];
+
+/**
+ * Tells whether a value is a usable date: a valid Date, or an ISO 8601 date
+ * string (`2025-06-01`, `2025-06-01T00:00:00Z`)
+ * @function isDate
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isDate(value) {
+  if (value instanceof Date) return !Number.isNaN(value.getTime());
+  return typeof value === "string" && /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Checks the shape of an endpoint module before it is registered
+ * @function validateEndpointModule
+ * @param {Object} module - Default export of the endpoint file
+ * @param {Array<string>} [pathParams=[]] - Params declared by the file name (`[id].js`)
+ * @returns {{errors: Array<string>, warnings: Array<string>}}
+ *
+ * @description
+ * Errors prevent the endpoint from being loaded:
+ * - `run` missing or not a function / array of functions
+ * - `methods` not an array, or containing an unknown HTTP method
+ * - `paramsSchema` not an object, a rule with an unknown `type`, or an `enum`
+ *   rule without its list of values
+ * - `responses` keyed by something else than a status code or `default`, or
+ *   an entry that is neither a media type string nor an object
+ * - `envelope` neither a boolean nor an object
+ * - `auth` neither a function nor one of `AUTH_MODES`
+ * - `render` not a boolean
+ * - `deprecated` neither a boolean nor a date, `sunset` not a date (a Date or
+ *   an ISO 8601 string, see `isDate`), so that a typo does not ship
+ *   `Deprecation: @NaN` on every response
+ * - `rateLimit` neither `false` nor an object, an unknown `algorithm`, a
+ *   `cost` that is not an integer >= 0, a `limit` / `windowMs` that is not a
+ *   positive integer, or `windowMs` / `algorithm` without `limit`
+ *
+ * Warnings are reported but the endpoint still loads:
+ * - missing `name` or `description`
+ * - `params` and `paramsSchema` not declaring the same names
+ *
+ * @example
+ * const { errors, warnings } = validateEndpointModule(module);
+ * // errors:   ['unknown method "FETCH" in methods']
+ * // warnings: ['param "prompt" is listed in params but missing from paramsSchema']
+ */
+export default function validateEndpointModule(module, pathParams = []) {
+  const errors = [];
+  const warnings = [];
+
+  const runs = Array.isArray(module.run) ? module.run : [module.run];
+  if (runs.length === 0 || runs.some((fn) => typeof fn !== "function")) {
+    errors.push("run must be a function or an array of functions");
+  }
+
+  if (module.methods !== undefined) {
+    if (!Array.isArray(module.methods) || module.methods.length === 0) {
+      errors.push("methods must be a non-empty array");
+    } else {
+      for (const method of module.methods) {
+        if (!HTTP_METHODS.includes(String(method).toUpperCase())) {
+          errors.push(`unknown method "${method}" in methods`);
+        }
+      }
+    }
+  }
+
+  const schema = module.paramsSchema;
+  if (schema !== undefined && (typeof schema !== "object" || schema === null || Array.isArray(schema))) {
+    errors.push("paramsSchema must be an object");
+  } else if (schema) {
+    for (const [name, rule] of Object.entries(schema)) {
+      const type = rule?.type || "string";
+      if (!PARAM_TYPES.includes(type)) {
+        errors.push(`param "${name}" has unknown type "${type}"`);
+      } else if (type === "enum" && !Array.isArray(rule.enum || rule.values)) {
+        errors.push(`param "${name}" is an enum without a list of values`);
+      }
+    }
+  }
+
+  if (module.responses !== undefined) {
+    if (typeof module.responses !== "object" || module.responses === null || Array.isArray(module.responses)) {
+      errors.push("responses must be an object keyed by status code");
+    } else {
+      for (const [status, response] of Object.entries(module.responses)) {
+        if (status !== "default" && !/^[1-5]\d\d$/.test(status)) {
+          errors.push(`responses has an invalid status "${status}"`);
+        } else if (typeof response !== "string" && (typeof response !== "object" || response === null)) {
+          errors.push(`response ${status} must be a media type or an object`);
+        } else if (typeof response === "object" && response.schema !== undefined && typeof response.schema !== "object") {
+          errors.push(`response ${status} has a schema that is not an object`);
+        }
+      }
+    }
+  }
+
+  if (module.envelope !== undefined && typeof module.envelope !== "boolean") {
+    if (typeof module.envelope !== "object" || module.envelope === null || Array.isArray(module.envelope)) {
+      errors.push("envelope must be false, true or an object of envelope settings");
+    }
+  }
+
+  if (module.auth !== undefined && typeof module.auth !== "function" && !AUTH_MODES.includes(module.auth)) {
+    errors.push(`auth must be a function or one of: ${AUTH_MODES.join(", ")}`);
+  }
+
+  if (module.render !== undefined && typeof module.render !== "boolean") {
+    errors.push("render must be a boolean");
+  }
+
+  if (module.deprecated !== undefined && typeof module.deprecated !== "boolean" && !isDate(module.deprecated)) {
+    errors.push("deprecated must be true, false or an ISO date");
+  }
+  if (module.sunset !== undefined && module.sunset !== null && !isDate(module.sunset)) {
+    errors.push("sunset must be an ISO date");
+  }
+
+  if (module.rateLimit !== undefined && module.rateLimit !== false) {
+    const policy = module.rateLimit;
+    if (typeof policy !== "object" || policy === null || Array.isArray(policy)) {
+      errors.push("rateLimit must be false or an object");
+    } else {
+      if (policy.algorithm !== undefined && !ALGORITHMS.includes(policy.algorithm)) {
+        errors.push(`unknown rateLimit algorithm "${policy.algorithm}"`);
+      }
+      if (policy.cost !== undefined && !(Number.isInteger(policy.cost) && policy.cost >= 0)) {
+        errors.push("rateLimit.cost must be an integer >= 0");
+      }
+      for (const field of ["limit", "windowMs"]) {
+        if (policy[field] !== undefined && !(Number.isInteger(policy[field]) && policy[field] > 0)) {
+          errors.push(`rateLimit.${field} must be a positive integer`);
+        }
+      }
+      if (policy.limit === undefined && (policy.windowMs !== undefined || policy.algorithm !== undefined)) {
+        errors.push("rateLimit.windowMs and rateLimit.algorithm require rateLimit.limit");
+      }
+    }
+  }
+
+  if (!module.name) warnings.push("missing name, the file name is used instead");
+  if (!module.description) warnings.push("missing description");
+
+  if (Array.isArray(module.params) && schema && typeof schema === "object") {
+    const declared = Object.keys(schema).filter((name) => !pathParams.includes(name));
+    for (const name of module.params) {
+      if (!declared.includes(name)) warnings.push(`param "${name}" is listed in params but missing from paramsSchema`);
+    }
+    for (const name of declared) {
+      if (!module.params.includes(name)) warnings.push(`param "${name}" is in paramsSchema but not listed in params`);
+    }
+  }
+
+  return { errors, warnings };
+}
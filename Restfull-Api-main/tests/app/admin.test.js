@@ -0,0 +1,175 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterAll, beforeAll, describe, expect, test } from "@jest/globals";
+
+const cwd = process.cwd();
+let dir;
+let server;
+let base;
+let MEMORY_STORE_WARNING;
+let endpointRegistry;
+
+// data/, logs/ dan config/ ditulis ke direktori sementara, dengan memory store
+beforeAll(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "admin-"));
+  process.chdir(dir);
+  delete process.env.RATE_LIMIT_STORE;
+  process.env.ADMIN_KEY = "secret";
+
+  ({ MEMORY_STORE_WARNING } = await import("../../src/utils/usage.js"));
+  const { default: express } = await import("express");
+  const { default: createAdminRouter } = await import("../../src/app/admin.js");
+  ({ default: endpointRegistry } = await import("../../src/utils/endpointRegistry.js"));
+  const { buildEndpoint } = await import("../../src/utils/loader.js");
+  const { default: errorHandler } = await import("../../src/middleware/errorHandler.js");
+
+  const ping = { name: "Ping", description: "test", rateLimit: false, run: (req, res) => res.json({ pong: true }) };
+  endpointRegistry.set("tools/ping.js", buildEndpoint(ping, "tools/ping.js"));
+  endpointRegistry.rebuild();
+
+  const app = express();
+  app.use("/admin", createAdminRouter(endpointRegistry));
+  app.use(endpointRegistry.middleware());
+  app.use(errorHandler);
+  server = app.listen(0);
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => {
+  server.close();
+  delete process.env.ADMIN_KEY;
+  process.chdir(cwd);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Sends an admin request with the admin key
+ * @returns {Promise<Response>}
+ */
+function admin(route, { method = "GET", body } = {}) {
+  return fetch(`${base}/admin${route}`, {
+    method,
+    headers: { "X-Admin-Key": "secret", "Content-Type": "application/json" },
+    body: body && JSON.stringify(body),
+  });
+}
+
+describe("admin key", () => {
+  test("is required by every route", async () => {
+    for (const route of ["/bans", "/stats", "/logs", "/keys", "/usage", "/diagnostics"]) {
+      const res = await fetch(`${base}/admin${route}`, { headers: { "X-Admin-Key": "wrong" } });
+      expect(res.status).toBe(401);
+      expect(await res.json()).toMatchObject({ code: "UNAUTHORIZED" });
+    }
+  });
+});
+
+describe("bans", () => {
+  test("are added, listed with filters and lifted", async () => {
+    const created = await admin("/bans", { method: "POST", body: { ip: "198.51.100.20", reason: "scraping", durationMs: 60000 } });
+    expect(await created.json()).toMatchObject({ success: true, ip: "198.51.100.20", ban: { reason: "scraping", by: "admin" } });
+    await admin("/bans", { method: "POST", body: { ip: "198.51.100.21" } });
+
+    const temporary = await (await admin("/bans?type=temporary")).json();
+    expect(temporary).toMatchObject({ total: 1, bans: [{ ip: "198.51.100.20", remainingSeconds: 60, by: "admin" }] });
+    expect((await (await admin("/bans?q=manual")).json()).bans.map((ban) => ban.ip)).toEqual(["198.51.100.21"]);
+
+    const unbanned = await admin("/unban", { method: "POST", body: { ip: "198.51.100.21" } });
+    expect(await unbanned.json()).toMatchObject({ success: true, message: "IP 198.51.100.21 unbanned." });
+    expect((await admin("/unban", { method: "POST", body: { ip: "198.51.100.21" } })).status).toBe(404);
+    expect(await (await admin("/bans")).json()).toMatchObject({ total: 1 });
+  });
+
+  test("reject invalid requests", async () => {
+    expect((await admin("/bans", { method: "POST", body: { ip: "10.0.0.0/8" } })).status).toBe(400);
+    expect((await admin("/bans", { method: "POST", body: { ip: "198.51.100.22", durationMs: -1 } })).status).toBe(400);
+    expect((await admin("/bans", { method: "POST", body: { ip: "198.51.100.22", expiresAt: "2000-01-01" } })).status).toBe(400);
+    expect((await admin("/bans?type=forever")).status).toBe(400);
+    expect((await admin("/bans?limit=501")).status).toBe(400);
+  });
+});
+
+describe("GET /admin/stats", () => {
+  test("reports the store, the policy and the bans", async () => {
+    const stats = await (await admin("/stats?top=5")).json();
+    expect(stats).toMatchObject({ success: true, store: "memory", bannedCount: 1, permanentBans: 0, topTalkers: [] });
+    expect((await admin("/stats?top=0")).status).toBe(400);
+  });
+});
+
+describe("GET /admin/logs", () => {
+  test("reads the request log newest first, filtered by type", async () => {
+    const { entries, total } = await (await admin("/logs?type=BAN,UNBAN&limit=10")).json();
+    expect(total).toBe(3);
+    expect(entries.map(({ type, ip }) => `${type} ${ip}`)).toEqual(["UNBAN 198.51.100.21", "BAN 198.51.100.21", "BAN 198.51.100.20"]);
+    expect((await admin("/logs?since=yesterday")).status).toBe(400);
+  });
+});
+
+describe("endpoint status", () => {
+  test("puts an endpoint in maintenance and back, saved to config/endpoints.json", async () => {
+    const until = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const res = await admin("/endpoints/status", {
+      method: "POST",
+      body: { route: "/api/tools/ping", status: "maintenance", message: "Upgrading", until },
+    });
+    expect(await res.json()).toMatchObject({ success: true, route: "/api/tools/ping", status: "maintenance", message: "Upgrading", until });
+    expect(JSON.parse(fs.readFileSync(path.join(dir, "config", "endpoints.json"), "utf8"))).toMatchObject({
+      "/api/tools/ping": { status: "maintenance" },
+    });
+
+    const listed = await (await admin("/endpoints")).json();
+    expect(listed.endpoints).toEqual([expect.objectContaining({ route: "/api/tools/ping", status: "maintenance" })]);
+
+    const down = await fetch(`${base}/api/tools/ping`);
+    expect(down.status).toBe(503);
+    expect(Number(down.headers.get("retry-after"))).toBeGreaterThan(3590);
+    expect(await down.json()).toMatchObject({ error: "Upgrading", code: "MAINTENANCE" });
+
+    await admin("/endpoints/status", { method: "POST", body: { route: "/api/tools/ping", status: "enabled" } });
+    expect((await fetch(`${base}/api/tools/ping`)).status).toBe(200);
+  });
+
+  test("rejects unknown endpoints and statuses", async () => {
+    const post = (body) => admin("/endpoints/status", { method: "POST", body });
+    expect((await post({ route: "/api/tools/pong", status: "disabled" })).status).toBe(404);
+    expect((await post({ route: "/api/tools/ping", status: "off" })).status).toBe(400);
+    expect((await post({ route: "/api/tools/ping", status: "maintenance", until: "soon" })).status).toBe(400);
+  });
+});
+
+describe("GET /admin/diagnostics", () => {
+  test("reports the files that failed to load, without stacks in production", async () => {
+    const error = Object.assign(new Error('Invalid endpoint module: unknown method "FETCH" in methods'), {
+      issues: ['unknown method "FETCH" in methods'],
+    });
+    endpointRegistry.recordFailure("tools/broken.js", error);
+    process.env.NODE_ENV = "production";
+    endpointRegistry.recordFailure("tools/crash.js", new Error("boom"));
+    process.env.NODE_ENV = "test";
+
+    const report = await (await admin("/diagnostics")).json();
+    expect(report).toMatchObject({ success: true, loaded: 1, failed: 2, collisions: [], warnings: [] });
+    expect(report.failures[0]).toMatchObject({ file: "tools/broken.js", issues: ['unknown method "FETCH" in methods'] });
+    expect(report.failures[0].stack).toContain("Error: Invalid endpoint module");
+    expect(report.failures[1]).not.toHaveProperty("stack");
+  });
+});
+
+describe("GET /admin/usage", () => {
+  test("warns that the memory store loses the usage", async () => {
+    const res = await admin("/usage");
+    expect(res.status).toBe(200);
+    expect(res.headers.get("warning")).toBe(`199 - "${MEMORY_STORE_WARNING}"`);
+    // Request ke /api/tools/ping di atas ikut tercatat
+    expect(await res.json()).toMatchObject({
+      success: true,
+      warning: MEMORY_STORE_WARNING,
+      rows: [{ consumer: "anonymous", route: "/api/tools/ping", keyName: null }],
+    });
+
+    const csv = await admin("/usage?format=csv");
+    expect(csv.headers.get("warning")).toContain("RATE_LIMIT_STORE=memory");
+  });
+});
@@ -0,0 +1,96 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterAll, beforeAll, describe, expect, test } from "@jest/globals";
+
+const cwd = process.cwd();
+let dir;
+let server;
+let base;
+let runs = 0;
+
+// data/ dan logs/ rate limiter serta usage meter ditulis ke direktori sementara
+beforeAll(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "response-formatter-"));
+  process.chdir(dir);
+  delete process.env.RATE_LIMIT_STORE;
+
+  const { default: express } = await import("express");
+  const { default: setupResponseFormatter } = await import("../../src/app/responseFormatter.js");
+  const { default: composeHandlers } = await import("../../src/utils/composeHandlers.js");
+  const { default: errorHandler } = await import("../../src/middleware/errorHandler.js");
+
+  const app = express();
+  setupResponseFormatter(app);
+
+  const endpoint = (info, run) => {
+    const full = { name: info.route, category: "Test", paramsSchema: {}, responses: {}, ...info };
+    app.get(`/api${info.route}`, ...composeHandlers({ name: full.name, rateLimit: false, run }, full));
+  };
+
+  endpoint({ route: "/json", responses: { 200: { contentType: "application/json" } } }, (req, res) => {
+    runs++;
+    res.json({ ok: true });
+  });
+  endpoint({ route: "/image", responses: { 200: { contentType: "image/png" } } }, (req, res) => {
+    res.type("image/png").send(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+  });
+  endpoint({ route: "/search", paramsSchema: { q: { type: "string", required: true } } }, (req, res) => {
+    res.json({ q: req.query.q });
+  });
+  app.use(errorHandler);
+
+  server = app.listen(0);
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => {
+  server.close();
+  process.chdir(cwd);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Requests an endpoint
+ * @returns {Promise<Response>}
+ */
+function get(route, accept) {
+  return fetch(`${base}${route}`, { headers: accept ? { Accept: accept } : {} });
+}
+
+describe("format negotiation", () => {
+  test("sends the negotiated format", async () => {
+    const res = await get("/api/json", "application/xml");
+    expect(res.status).toBe(200);
+    expect(res.headers.get("content-type")).toMatch(/^application\/xml/);
+    expect(await res.text()).toContain("<ok>true</ok>");
+  });
+
+  test("refuses an unacceptable Accept before the endpoint runs", async () => {
+    const before = runs;
+    const res = await get("/api/json", "image/png");
+
+    expect(res.status).toBe(406);
+    expect(await res.json()).toMatchObject({ code: "NOT_ACCEPTABLE", details: { formats: ["json", "xml", "yaml", "msgpack"] } });
+    expect(runs).toBe(before);
+  });
+
+  test("refuses an unknown ?format= in JSON", async () => {
+    const res = await get("/api/json?format=csv");
+    expect(res.status).toBe(406);
+    expect(res.headers.get("content-type")).toMatch(/^application\/json/);
+  });
+
+  test("accepts the media type of a declared response", async () => {
+    const res = await get("/api/image", "image/png");
+    expect(res.status).toBe(200);
+    expect(res.headers.get("content-type")).toBe("image/png");
+  });
+
+  test("keeps the status of errors the client cannot accept, in JSON", async () => {
+    const res = await get("/api/search", "image/png");
+    expect(res.status).toBe(400);
+    expect(res.headers.get("content-type")).toMatch(/^application\/json/);
+    expect(await res.json()).toMatchObject({ success: false, code: "VALIDATION_ERROR" });
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, expect, test } from "@jest/globals";
+import buildHttpFile from "../../src/generators/httpFile.js";
+
+/**
+ * Builds endpoint metadata shaped like the loader's
+ * @returns {Object}
+ */
+function endpoint(info) {
+  return { name: info.route, description: "", category: "General", auth: null, methods: ["GET"], params: [], paramsSchema: {}, ...info };
+}
+
+const endpoints = [
+  endpoint({
+    name: "Random image",
+    route: "/api/random/:collection",
+    category: "Random",
+    params: ["collection", "limit", "seed"],
+    paramsSchema: {
+      collection: { type: "string", required: true, in: "path", example: "cats" },
+      limit: { type: "integer", default: 5 },
+      seed: { type: "string" },
+    },
+  }),
+  endpoint({
+    name: "Twibbon",
+    route: "/api/canvas/twibbon",
+    category: "Canvas",
+    methods: ["POST"],
+    auth: "required",
+    params: ["image", "caption"],
+    paramsSchema: { image: { type: "file", required: true }, caption: { type: "string", required: true } },
+  }),
+  endpoint({
+    name: "Chat",
+    route: "/api/ai/gpt",
+    category: "AI",
+    methods: ["POST"],
+    auth: "admin",
+    params: ["prompt", "model"],
+    paramsSchema: { prompt: { type: "string", required: true }, model: { type: "enum", enum: ["gpt-4", "gpt-3.5"] } },
+  }),
+];
+
+describe("buildHttpFile", () => {
+  const file = buildHttpFile(endpoints, { title: "Test", baseURL: "http://api.test" });
+
+  test("declares the variables and one request per endpoint method", () => {
+    expect(file.startsWith("# Test\n# Generated from the loaded endpoints\n\n@baseUrl = http://api.test\n")).toBe(true);
+    expect(file.match(/^### /gm)).toHaveLength(3);
+  });
+
+  test("writes path, query and JSON body examples", () => {
+    expect(file).toContain("### [Random] Random image\nGET {{baseUrl}}/api/random/cats?limit=5\n");
+    expect(file).toContain(
+      '### [AI] Chat\nPOST {{baseUrl}}/api/ai/gpt\nX-Admin-Key: {{adminKey}}\nContent-Type: application/json\n\n{\n  "prompt": "YOUR_PROMPT"\n}'
+    );
+  });
+
+  test("sends files as multipart parts read next to the file", () => {
+    expect(file).toContain("Content-Type: multipart/form-data; boundary=WebAppBoundary");
+    expect(file).toContain('Content-Disposition: form-data; name="image"; filename="image.png"\nContent-Type: image/png\n\n< ./image.png\n--WebAppBoundary--');
+  });
+});
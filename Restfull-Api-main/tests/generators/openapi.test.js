@@ -0,0 +1,129 @@
+import { describe, expect, test } from "@jest/globals";
+import buildOpenApiDocument, { operationId, paramSchema, toOpenApiPath } from "../../src/generators/openapi.js";
+
+/**
+ * Builds endpoint metadata shaped like the loader's
+ * @returns {Object}
+ */
+function endpoint(info) {
+  return {
+    name: info.route,
+    description: "",
+    category: "General",
+    version: null,
+    alias: null,
+    successor: null,
+    deprecated: false,
+    sunset: null,
+    auth: null,
+    timeout: null,
+    methods: ["GET"],
+    params: [],
+    paramsSchema: {},
+    responses: {},
+    envelope: null,
+    rateLimit: null,
+    ...info,
+  };
+}
+
+const endpoints = [
+  endpoint({
+    route: "/api/random/:collection",
+    category: "Random",
+    params: ["collection", "limit"],
+    paramsSchema: {
+      collection: { type: "string", required: true, in: "path" },
+      limit: { type: "integer", min: 1, max: 10, default: 5 },
+    },
+  }),
+  endpoint({
+    route: "/api/canvas/twibbon",
+    category: "Canvas",
+    methods: ["POST"],
+    auth: "required",
+    params: ["image", "caption"],
+    paramsSchema: { image: { type: "file", required: true }, caption: { type: "string" } },
+  }),
+  endpoint({ route: "/api/a-b", rateLimit: false }),
+  endpoint({ route: "/api/a/b", deprecated: true, sunset: "2025-12-31", successor: "/api/v2/a/b" }),
+];
+
+describe("buildOpenApiDocument", () => {
+  const document = buildOpenApiDocument(endpoints, { title: "Test", version: "2.0.0", baseURL: "http://localhost:3000" });
+
+  test("describes every route, tagged by category", () => {
+    expect(document).toMatchObject({
+      openapi: "3.1.0",
+      info: { title: "Test", version: "2.0.0" },
+      servers: [{ url: "http://localhost:3000" }],
+      tags: [{ name: "Canvas" }, { name: "General" }, { name: "Random" }],
+    });
+    expect(Object.keys(document.paths).sort()).toEqual(["/api/a-b", "/api/a/b", "/api/canvas/twibbon", "/api/random/{collection}"]);
+    expect(document.paths["/api/a-b"].get.operationId).not.toBe(document.paths["/api/a/b"].get.operationId);
+  });
+
+  test("turns GET params into path and query parameters", () => {
+    const operation = document.paths["/api/random/{collection}"].get;
+    expect(operation.parameters).toEqual([
+      { name: "collection", in: "path", required: true, schema: { type: "string" } },
+      { name: "limit", in: "query", required: false, schema: { type: "integer", default: 5, minimum: 1, maximum: 10 } },
+    ]);
+    expect(Object.keys(operation.responses)).toEqual(["200", "400", "403", "429", "500", "503"]);
+  });
+
+  test("sends the params of other methods as a multipart body when there are files", () => {
+    const operation = document.paths["/api/canvas/twibbon"].post;
+    expect(operation.requestBody.content["multipart/form-data"].schema).toMatchObject({
+      properties: { image: { type: "string", format: "binary" }, caption: { type: "string" } },
+      required: ["image"],
+    });
+    expect(operation.security).toEqual([{ ApiKey: [] }, { ApiKeyQuery: [] }]);
+    expect(operation.responses).toMatchObject({ 401: {}, 413: {}, 415: {} });
+  });
+
+  test("marks deprecated operations and leaves out the 429 of uncounted ones", () => {
+    expect(document.paths["/api/a/b"].get).toMatchObject({
+      deprecated: true,
+      description: "Superseded by `/api/v2/a/b`.\n\nRemoved after Wed, 31 Dec 2025 00:00:00 GMT.",
+    });
+    expect(document.paths["/api/a-b"].get.responses[429]).toBeUndefined();
+  });
+});
+
+describe("declared responses", () => {
+  test("replace the standard ones and keep the envelope of JSON bodies", () => {
+    const results = { type: "object", properties: { results: { type: "string" } } };
+    const ep = endpoint({
+      route: "/api/canvas/ttp",
+      responses: {
+        200: { description: "PNG sticker", contentType: "image/png" },
+        201: { description: "Link", contentType: "application/json", schema: results },
+        502: { description: "Upstream down", contentType: "application/json" },
+      },
+    });
+    const { responses } = buildOpenApiDocument([ep], { title: "Test" }).paths["/api/canvas/ttp"].get;
+
+    expect(responses[200]).toMatchObject({
+      description: "PNG sticker",
+      content: { "image/png": { schema: { type: "string", format: "binary", contentMediaType: "image/png" } } },
+    });
+    expect(responses[201].content["application/json"].schema).toEqual({ allOf: [{ $ref: "#/components/schemas/SuccessEnvelope" }, results] });
+    expect(responses[502].content["application/json"].schema).toEqual({ $ref: "#/components/schemas/ErrorEnvelope" });
+  });
+
+  test("are not wrapped for raw routes", () => {
+    const schema = { type: "array" };
+    const ep = endpoint({ route: "/api/raw", envelope: false, responses: { 200: { contentType: "application/json", schema } } });
+    const { responses } = buildOpenApiDocument([ep], { title: "Test" }).paths["/api/raw"].get;
+    expect(responses[200].content["application/json"].schema).toEqual(schema);
+  });
+});
+
+describe("helpers", () => {
+  test("convert routes, ids and rules", () => {
+    expect(toOpenApiPath("/api/files/:path(.+)")).toBe("/api/files/{path}");
+    expect(operationId("GET", "/api/random/:collection")).toBe("getApiRandomByCollection");
+    expect(paramSchema({ type: "enum", enum: ["a", "b"], pattern: /^a/ })).toEqual({ type: "string", enum: ["a", "b"], pattern: "^a" });
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, expect, test } from "@jest/globals";
+import buildPostmanCollection from "../../src/generators/postman.js";
+
+/**
+ * Builds endpoint metadata shaped like the loader's
+ * @returns {Object}
+ */
+function endpoint(info) {
+  return { name: info.route, description: "", category: "General", auth: null, methods: ["GET"], params: [], paramsSchema: {}, ...info };
+}
+
+const endpoints = [
+  endpoint({
+    name: "Random image",
+    route: "/api/random/:collection",
+    category: "Random",
+    params: ["collection", "limit", "seed"],
+    paramsSchema: {
+      collection: { type: "string", required: true, in: "path", example: "cats" },
+      limit: { type: "integer", default: 5 },
+      seed: { type: "string" },
+    },
+  }),
+  endpoint({
+    name: "Twibbon",
+    route: "/api/canvas/twibbon",
+    category: "Canvas",
+    methods: ["POST"],
+    auth: "required",
+    params: ["image", "caption"],
+    paramsSchema: { image: { type: "file", required: true }, caption: { type: "string", required: true } },
+  }),
+  endpoint({
+    name: "Chat",
+    route: "/api/ai/gpt",
+    category: "AI",
+    methods: ["POST"],
+    auth: "admin",
+    params: ["prompt", "model"],
+    paramsSchema: { prompt: { type: "string", required: true }, model: { type: "enum", enum: ["gpt-4", "gpt-3.5"] } },
+  }),
+];
+
+describe("buildPostmanCollection", () => {
+  const collection = buildPostmanCollection(endpoints, { title: "Test", baseURL: "http://api.test" });
+  const item = (folder, name) => collection.item.find((f) => f.name === folder).item.find((i) => i.name === name);
+
+  test("groups the requests by category", () => {
+    expect(collection.item.map((folder) => folder.name)).toEqual(["AI", "Canvas", "Random"]);
+    expect(collection.variable).toEqual([
+      { key: "baseUrl", value: "http://api.test" },
+      { key: "adminKey", value: "" },
+      { key: "apiKey", value: "" },
+    ]);
+  });
+
+  test("fills path and query params with examples, and lists optional ones disabled", () => {
+    const { url } = item("Random", "Random image").request;
+    expect(url.raw).toBe("{{baseUrl}}/api/random/:collection?limit=5");
+    expect(url.variable).toEqual([{ key: "collection", value: "cats" }]);
+    expect(url.query.map(({ key, disabled }) => ({ key, disabled }))).toEqual([
+      { key: "limit", disabled: undefined },
+      { key: "seed", disabled: true },
+    ]);
+  });
+
+  test("sends files as form-data and other bodies as JSON, with the key header", () => {
+    const twibbon = item("Canvas", "Twibbon").request;
+    expect(twibbon.body.formdata).toEqual([
+      { key: "image", type: "file", src: [] },
+      { key: "caption", type: "text", value: "YOUR_CAPTION" },
+    ]);
+    expect(twibbon.header).toEqual([{ key: "X-API-Key", value: "{{apiKey}}" }]);
+
+    const chat = item("AI", "Chat").request;
+    expect(JSON.parse(chat.body.raw)).toEqual({ prompt: "YOUR_PROMPT" });
+    expect(chat.header).toContainEqual({ key: "X-Admin-Key", value: "{{adminKey}}" });
+  });
+});
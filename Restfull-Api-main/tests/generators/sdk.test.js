@@ -0,0 +1,128 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterAll, beforeAll, describe, expect, test } from "@jest/globals";
+import buildSdk, { functionName } from "../../src/generators/sdk.js";
+
+/**
+ * Builds endpoint metadata shaped like the loader's
+ * @returns {Object}
+ */
+function endpoint(info) {
+  return {
+    name: info.route,
+    description: "",
+    alias: null,
+    successor: null,
+    deprecated: false,
+    auth: null,
+    methods: ["GET"],
+    params: [],
+    paramsSchema: {},
+    responses: {},
+    envelope: null,
+    ...info,
+  };
+}
+
+const endpoints = [
+  endpoint({
+    route: "/api/v2/random/:collection",
+    alias: "/api/random/:collection",
+    params: ["collection", "limit"],
+    paramsSchema: { collection: { type: "string", required: true, in: "path" }, limit: { type: "integer" } },
+  }),
+  endpoint({
+    route: "/api/ai/gpt",
+    methods: ["POST"],
+    auth: "admin",
+    params: ["prompt"],
+    paramsSchema: { prompt: { type: "string", required: true } },
+  }),
+  endpoint({
+    route: "/api/canvas/twibbon",
+    methods: ["POST"],
+    params: ["image", "caption"],
+    paramsSchema: { image: { type: "file", required: true }, caption: { type: "string" } },
+    responses: { 200: { description: "", contentType: "image/png" } },
+  }),
+];
+
+const files = buildSdk(endpoints, { title: "Test", baseURL: "http://api.test" });
+let dir;
+let createClient;
+let ApiError;
+
+// client.js hasil generate diimpor seperti yang dilakukan pemakai SDK
+beforeAll(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "sdk-"));
+  fs.writeFileSync(path.join(dir, "client.mjs"), files["client.js"]);
+  ({ createClient, ApiError } = await import(path.join(dir, "client.mjs")));
+});
+
+afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Creates a client whose fetch records the requests and answers `response`
+ * @returns {{api: Object, requests: Array<{url: string, init: Object}>}}
+ */
+function fakeClient(response, options = {}) {
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push({ url, init });
+    return response;
+  };
+  return { api: createClient({ fetch, ...options }), requests };
+}
+
+/**
+ * Builds a fetch response
+ * @returns {Response}
+ */
+function reply(status, body, type = "application/json") {
+  return new Response(type.includes("json") ? JSON.stringify(body) : body, { status, headers: { "Content-Type": type } });
+}
+
+describe("buildSdk", () => {
+  test("names one function per route and alias", () => {
+    expect(functionName("/api/v2/random/:collection")).toBe("v2RandomByCollection");
+    expect(functionName("/api/canvas/ttp")).toBe("canvasTtp");
+
+    const { api } = fakeClient(reply(200, {}));
+    expect(Object.keys(api).sort()).toEqual(["aiGpt", "canvasTwibbon", "randomByCollection", "v2RandomByCollection"]);
+    expect(files["client.d.ts"]).toContain("randomByCollection(params: RandomByCollectionParams");
+    expect(files["client.d.ts"]).toMatch(/export interface RandomByCollectionParams {\n {2}collection: string;\n {2}limit\?: number;\n}/);
+  });
+
+  test("fills path params and sends the others in the query string", async () => {
+    const { api, requests } = fakeClient(reply(200, { results: [] }), { apiKey: "ak_test" });
+    expect(await api.randomByCollection({ collection: "blue archive", limit: 2 })).toEqual({ results: [] });
+    expect(requests[0].url).toBe("http://api.test/api/random/blue%20archive?limit=2");
+    expect(requests[0].init).toMatchObject({ method: "GET", headers: { "X-API-Key": "ak_test" } });
+  });
+
+  test("sends JSON or multipart bodies, and the admin key where required", async () => {
+    const json = fakeClient(reply(200, {}), { adminKey: "secret" });
+    await json.api.aiGpt({ prompt: "Hi" });
+    expect(json.requests[0].init).toMatchObject({
+      method: "POST",
+      headers: { "X-Admin-Key": "secret", "Content-Type": "application/json" },
+      body: '{"prompt":"Hi"}',
+    });
+
+    const multipart = fakeClient(reply(200, Buffer.from([0x89, 0x50]), "image/png"));
+    const png = await multipart.api.canvasTwibbon({ image: new Uint8Array([1]), caption: "Hello" });
+    expect([...png]).toEqual([0x89, 0x50]);
+    const form = multipart.requests[0].init.body;
+    expect(form).toBeInstanceOf(FormData);
+    expect(form.get("caption")).toBe("Hello");
+    expect(form.get("image").name).toBe("image");
+  });
+
+  test("rejects with ApiError on non-2xx responses", async () => {
+    const { api } = fakeClient(reply(400, { error: "Parameter \"prompt\" is required", code: "VALIDATION_ERROR" }));
+    const error = await api.aiGpt({}).catch((err) => err);
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error).toMatchObject({ status: 400, code: "VALIDATION_ERROR", message: 'Parameter "prompt" is required' });
+  });
+});
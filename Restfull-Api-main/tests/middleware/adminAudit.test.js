@@ -0,0 +1,74 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterAll, beforeAll, describe, expect, test } from "@jest/globals";
+
+const cwd = process.cwd();
+let dir;
+let server;
+let base;
+let auditLog;
+let adminKeyId;
+
+// logs/admin-audit.log ditulis ke direktori sementara
+beforeAll(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "admin-audit-"));
+  process.chdir(dir);
+  process.env.ADMIN_KEY = "secret";
+
+  const { default: express } = await import("express");
+  let adminAudit;
+  ({ default: adminAudit, auditLog } = await import("../../src/middleware/adminAudit.js"));
+  const { default: requireAdminKey, adminKeyId: keyId } = await import("../../src/middleware/adminAuth.js");
+  const { default: errorHandler } = await import("../../src/middleware/errorHandler.js");
+  adminKeyId = keyId;
+
+  const app = express();
+  app.use("/admin", express.json(), adminAudit, requireAdminKey);
+  app.post("/admin/bans", (req, res) => res.json({ ok: true }));
+  app.use(errorHandler);
+
+  server = app.listen(0);
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => {
+  server.close();
+  delete process.env.ADMIN_KEY;
+  process.chdir(cwd);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Sends an admin request and returns the last audit entry
+ * @returns {Promise<Object>}
+ */
+async function audited(headers) {
+  const res = await fetch(`${base}/admin/bans`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify({ ip: "198.51.100.23" }),
+  });
+
+  await res.text();
+  // Entry ditulis saat response selesai, lalu di-buffer oleh LogWriter
+  await new Promise((resolve) => setImmediate(resolve));
+  await auditLog.flush();
+  const lines = fs.readFileSync(auditLog.file, "utf8").trim().split("\n");
+  return JSON.parse(lines[lines.length - 1]);
+}
+
+describe("adminAudit", () => {
+  test("records the admin key as actor and X-Admin-User as self-reported", async () => {
+    const entry = await audited({ "X-Admin-Key": "secret", "X-Admin-User": "alice" });
+
+    expect(entry).toMatchObject({ actor: adminKeyId(), reportedUser: "alice", status: 200, action: "POST /admin/bans" });
+    expect(entry.actor).toMatch(/^admin-key:[0-9a-f]{8}$/);
+    expect(entry.ip).toBeTruthy();
+  });
+
+  test("does not take a claimed user for an admin", async () => {
+    const entry = await audited({ "X-Admin-Key": "wrong", "X-Admin-User": "alice" });
+    expect(entry).toMatchObject({ actor: "unauthenticated", reportedUser: "alice", status: 401 });
+  });
+});
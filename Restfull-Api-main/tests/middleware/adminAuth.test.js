@@ -0,0 +1,50 @@
+import { afterAll, beforeAll, describe, expect, test } from "@jest/globals";
+import requireAdminKey, { hasAdminKey } from "../../src/middleware/adminAuth.js";
+
+beforeAll(() => {
+  process.env.ADMIN_KEY = "secret";
+});
+
+afterAll(() => {
+  delete process.env.ADMIN_KEY;
+});
+
+/**
+ * Runs `requireAdminKey`
+ * @returns {Error|undefined} What it passed to `next`
+ */
+function check(req) {
+  let error;
+  requireAdminKey({ headers: {}, ...req }, {}, (err) => {
+    error = err;
+  });
+  return error;
+}
+
+describe("requireAdminKey", () => {
+  test("accepts the key from the header or the body", () => {
+    expect(check({ headers: { "x-admin-key": "secret" } })).toBeUndefined();
+    expect(check({ body: { adminKey: "secret" } })).toBeUndefined();
+  });
+
+  test("ignores the key in the query string, which ends up in logs", () => {
+    expect(check({ query: { adminKey: "secret" } })).toMatchObject({ status: 401 });
+    expect(hasAdminKey({ headers: {}, query: { adminKey: "secret" } })).toBe(false);
+  });
+
+  test("rejects wrong keys of any length", () => {
+    for (const key of ["", "secreT", "secret ", "s", ["secret"]]) {
+      expect(check({ headers: { "x-admin-key": key } })).toMatchObject({ status: 401 });
+    }
+  });
+
+  test("answers 500 when no admin key is configured", () => {
+    delete process.env.ADMIN_KEY;
+    try {
+      expect(check({ headers: { "x-admin-key": "secret" } })).toMatchObject({ status: 500, code: "ADMIN_KEY_MISSING" });
+      expect(hasAdminKey({ headers: { "x-admin-key": "secret" } })).toBe(false);
+    } finally {
+      process.env.ADMIN_KEY = "secret";
+    }
+  });
+});
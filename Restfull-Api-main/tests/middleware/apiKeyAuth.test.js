@@ -0,0 +1,211 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterAll, beforeAll, describe, expect, test } from "@jest/globals";
+
+const TIERS = {
+  free: { rateLimit: { limit: 100 }, quota: { daily: 2 }, categories: ["Canvas"] },
+  pro: { rateLimit: { limit: 100 }, quota: { daily: null, monthly: null }, categories: "*" },
+};
+
+const cwd = process.cwd();
+let dir;
+let apiKeys;
+let identifyApiKey;
+let rejectInvalidApiKey;
+let createApiKeyAccess;
+let composeHandlers;
+let errorHandler;
+let express;
+let MAX_REQUESTS;
+
+// data/api-keys.json, data/ dan logs/ rate limiter serta config/api-tiers.json
+// ditulis ke direktori sementara
+beforeAll(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "api-keys-"));
+  process.chdir(dir);
+  process.env.CONFIG_DIR = path.join(dir, "config");
+  delete process.env.RATE_LIMIT_STORE;
+  fs.mkdirSync(process.env.CONFIG_DIR);
+  fs.writeFileSync(path.join(process.env.CONFIG_DIR, "api-tiers.json"), JSON.stringify(TIERS));
+
+  apiKeys = await import("../../src/utils/apiKeys.js");
+  ({ identifyApiKey, rejectInvalidApiKey, createApiKeyAccess } = await import("../../src/middleware/apiKeyAuth.js"));
+  ({ limit: MAX_REQUESTS } = (await import("../../src/middleware/rateLimiter.js")).DEFAULT_POLICY);
+  ({ default: composeHandlers } = await import("../../src/utils/composeHandlers.js"));
+  ({ default: errorHandler } = await import("../../src/middleware/errorHandler.js"));
+  ({ default: express } = await import("express"));
+});
+
+afterAll(() => {
+  delete process.env.CONFIG_DIR;
+  process.chdir(cwd);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Builds the request object the middleware reads
+ */
+function request({ key, query = {} } = {}) {
+  return { get: (name) => (name.toLowerCase() === "x-api-key" ? key : undefined), query };
+}
+
+/**
+ * Runs a middleware
+ * @returns {Promise<Error|undefined>} What it passed to `next`
+ */
+function run(middleware, req) {
+  return new Promise((resolve) => middleware(req, {}, resolve));
+}
+
+/**
+ * Identifies the key of a request and rejects it when invalid
+ * @returns {Promise<Error|undefined>}
+ */
+async function identify(req) {
+  return (await run(identifyApiKey, req)) || run(rejectInvalidApiKey, req);
+}
+
+/**
+ * Identifies the key of a request, then runs the access check
+ * @returns {Promise<Error|undefined>}
+ */
+async function access(req, info, options) {
+  return (await identify(req)) || run(createApiKeyAccess(info, options), req);
+}
+
+describe("identifyApiKey", () => {
+  test("lets requests without a key through anonymously", async () => {
+    const req = request();
+    expect(await run(identifyApiKey, req)).toBeUndefined();
+    expect(req.apiKey).toBeUndefined();
+  });
+
+  test("identifies a key sent in the header or the query", async () => {
+    const { key, record } = await apiKeys.issueKey({ name: "bot", tier: "free" });
+
+    const fromHeader = request({ key });
+    expect(await identify(fromHeader)).toBeUndefined();
+    expect(fromHeader.apiKey).toEqual(record);
+    expect(fromHeader.apiTier).toMatchObject({ name: "free", quota: { daily: 2, monthly: null } });
+
+    const fromQuery = request({ query: { apikey: key } });
+    expect(await identify(fromQuery)).toBeUndefined();
+    expect(fromQuery.apiKey.id).toBe(record.id);
+    expect(fromHeader.apiKey).not.toHaveProperty("hash");
+  });
+
+  test("rejects unknown keys, after the rate limiter", async () => {
+    for (const key of ["ak_unknown", "not-a-key"]) {
+      const req = request({ key });
+      expect(await run(identifyApiKey, req)).toBeUndefined();
+      expect(req.apiKey).toBeUndefined();
+      expect(await run(rejectInvalidApiKey, req)).toMatchObject({ status: 401, code: "INVALID_API_KEY" });
+    }
+  });
+
+  test("rejects revoked keys", async () => {
+    const { key, record } = await apiKeys.issueKey({ name: "old", tier: "pro" });
+    await apiKeys.revokeKey(record.id);
+    expect(await identify(request({ key }))).toMatchObject({ status: 401, code: "API_KEY_REVOKED" });
+  });
+
+  test("rejects keys whose tier was removed", async () => {
+    const { key } = await apiKeys.issueKey({ name: "partner", tier: "pro" });
+    fs.writeFileSync(path.join(process.env.CONFIG_DIR, "api-tiers.json"), JSON.stringify({ free: TIERS.free }));
+    apiKeys.reloadTiers();
+    try {
+      expect(await identify(request({ key }))).toMatchObject({ status: 403, code: "TIER_NOT_FOUND" });
+    } finally {
+      fs.writeFileSync(path.join(process.env.CONFIG_DIR, "api-tiers.json"), JSON.stringify(TIERS));
+      apiKeys.reloadTiers();
+    }
+  });
+});
+
+describe("createApiKeyAccess", () => {
+  test("requires a key only when asked to", async () => {
+    expect(await access(request(), { category: "Canvas" })).toBeUndefined();
+    expect(await access(request(), { category: "Canvas" }, { required: true })).toMatchObject({
+      status: 401,
+      code: "API_KEY_REQUIRED",
+    });
+  });
+
+  test("limits a key to the categories of its tier", async () => {
+    const { key } = await apiKeys.issueKey({ name: "free-bot", tier: "free" });
+    const { key: proKey } = await apiKeys.issueKey({ name: "pro-bot", tier: "pro" });
+
+    expect(await access(request({ key }), { category: "AI" })).toMatchObject({
+      status: 403,
+      code: "CATEGORY_NOT_ALLOWED",
+      details: { tier: "free", category: "AI" },
+    });
+    expect(await access(request({ key: proKey }), { category: "AI" })).toBeUndefined();
+  });
+
+  test("refuses requests once the daily quota is used up", async () => {
+    const { key } = await apiKeys.issueKey({ name: "quota-bot", tier: "free" });
+    const info = { category: "canvas" };
+
+    expect(await access(request({ key }), info)).toBeUndefined();
+    expect(await access(request({ key }), info)).toBeUndefined();
+
+    const err = await access(request({ key }), info);
+    expect(err).toMatchObject({ status: 429, code: "QUOTA_EXCEEDED", details: { quota: "daily", limit: 2 } });
+    expect(Number(err.headers["Retry-After"])).toBeGreaterThan(0);
+    expect(Number(err.headers["Retry-After"])).toBeLessThanOrEqual(24 * 60 * 60);
+  });
+});
+
+describe("auth functions", () => {
+  /**
+   * Serves an endpoint through its composed handlers and requests it
+   * @returns {Promise<number|Array<number>>} Status of the response, or of each
+   * response when `count` requests are sent
+   */
+  async function call(module, { key, count } = {}) {
+    const app = express();
+    const info = { name: "test", category: "AI", route: "/test", paramsSchema: {}, responses: {} };
+    app.get("/test", ...composeHandlers(module, info));
+    app.use(errorHandler);
+
+    const server = app.listen(0);
+    try {
+      const send = () => fetch(`http://127.0.0.1:${server.address().port}/test`, { headers: key ? { "X-API-Key": key } : {} });
+      if (!count) return (await send()).status;
+      const statuses = [];
+      for (let i = 0; i < count; i++) statuses.push((await send()).status);
+      return statuses;
+    } finally {
+      server.close();
+    }
+  }
+
+  const endpoint = (allowed) => ({
+    name: "test",
+    auth: () => allowed,
+    run: (req, res) => res.json({ ok: true }),
+  });
+
+  test("answer 401 when the function rejects the request", async () => {
+    expect(await call(endpoint(false))).toBe(401);
+  });
+
+  test("still hold a key that is sent to its tier", async () => {
+    const { key } = await apiKeys.issueKey({ name: "custom-free", tier: "free" });
+    const { key: proKey } = await apiKeys.issueKey({ name: "custom-pro", tier: "pro" });
+
+    expect(await call(endpoint(true))).toBe(200);
+    expect(await call(endpoint(true), { key })).toBe(403);
+    expect(await call(endpoint(true), { key: proKey })).toBe(200);
+  });
+
+  // Terakhir: IP 127.0.0.1 kena rate limit setelah tes ini
+  test("count invalid keys against the IP rate limit", async () => {
+    const statuses = await call(endpoint(true), { key: "ak_guess", count: MAX_REQUESTS + 5 });
+
+    expect(statuses.slice(0, MAX_REQUESTS - 10).every((status) => status === 401)).toBe(true);
+    expect(statuses[statuses.length - 1]).toBe(429);
+  });
+});
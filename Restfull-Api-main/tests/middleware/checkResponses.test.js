@@ -0,0 +1,75 @@
+import express from "express";
+import { afterAll, beforeAll, describe, expect, jest, test } from "@jest/globals";
+import createResponseChecker from "../../src/middleware/checkResponses.js";
+import validateSchema from "../../src/utils/jsonSchema.js";
+import logger from "../../src/utils/logger.js";
+
+let server;
+let base;
+let closed;
+
+// Tanpa response formatter: body yang dicek adalah body dari res.json()
+beforeAll(() => {
+  const app = express();
+  // close dipancarkan setelah finish, jadi setelah pengecekan
+  app.use((req, res, next) => {
+    closed = new Promise((resolve) => res.on("close", resolve));
+    next();
+  });
+  const route = (path, responses, send) => {
+    app.get(path, createResponseChecker({ route: path, responses }), send);
+  };
+
+  const results = { type: "object", properties: { results: { type: "string" } }, required: ["results"] };
+  route("/json", { 200: { contentType: "application/json", schema: results } }, (req, res) => {
+    res.json(req.query.value ? { results: req.query.value } : {});
+  });
+  route("/image", { 200: { contentType: "image/*" } }, (req, res) => {
+    if (req.query.json) return res.json({ results: "oops" });
+    res.type("image/png").send(Buffer.from([0x89]));
+  });
+  route("/undeclared", {}, (req, res) => res.status(req.query.status ? Number(req.query.status) : 200).json({}));
+
+  server = app.listen(0);
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => server.close());
+
+/**
+ * Requests a route and returns the mismatches logged for it
+ * @returns {Promise<Array<string>>}
+ */
+async function mismatches(route) {
+  const warn = jest.spyOn(logger, "warn").mockImplementation(() => {});
+  await (await fetch(base + route)).arrayBuffer();
+  await closed;
+  const messages = warn.mock.calls.map(([message]) => message);
+  warn.mockRestore();
+  return messages;
+}
+
+describe("createResponseChecker", () => {
+  test("accepts responses matching their declaration", async () => {
+    expect(await mismatches("/json?value=ok")).toEqual([]);
+    expect(await mismatches("/image")).toEqual([]);
+    expect(await mismatches("/undeclared?status=404")).toEqual([]);
+  });
+
+  test("warns about bodies, content types and 2xx statuses that were not declared", async () => {
+    expect(await mismatches("/json")).toEqual(["Response mismatch GET /json [200]: $.results: is required"]);
+    expect(await mismatches("/image?json=1")).toEqual([
+      "Response mismatch GET /image [200]: expected image/*, got application/json; charset=utf-8",
+    ]);
+    expect(await mismatches("/undeclared")).toEqual(["Response mismatch GET /undeclared [200]: status 200 is not declared"]);
+  });
+});
+
+describe("validateSchema", () => {
+  test("reports the path of each problem", () => {
+    expect(validateSchema({ results: 1 }, { type: "object", properties: { results: { type: "string" } } })).toEqual([
+      "$.results: expected string, got integer",
+    ]);
+    expect(validateSchema([1, "a"], { type: "array", items: { type: "integer" } })).toEqual(["$[1]: expected integer, got string"]);
+  });
+});
@@ -0,0 +1,109 @@
+import express from "express";
+import { afterAll, beforeAll, describe, expect, jest, test } from "@jest/globals";
+import setupResponseFormatter from "../../src/app/responseFormatter.js";
+import errorHandler, { notFoundHandler } from "../../src/middleware/errorHandler.js";
+import { HttpError, UpstreamError, ValidationError, toHttpError } from "../../src/utils/errors.js";
+import logger from "../../src/utils/logger.js";
+
+let server;
+let base;
+
+beforeAll(() => {
+  const app = express();
+  setupResponseFormatter(app);
+  app.use(express.json());
+
+  app.get("/http", () => {
+    throw new HttpError(429, "Slow down", { code: "RATE_LIMITED", details: { limit: 25 }, headers: { "Retry-After": "10" } });
+  });
+  app.get("/validation", (req, res, next) => next(new ValidationError([{ param: "text", message: "Teks terlalu panjang" }])));
+  app.get("/upstream", () => {
+    throw UpstreamError.from(Object.assign(new Error("socket hang up"), { response: { status: 503 } }), "GPT");
+  });
+  app.get("/crash", () => {
+    throw new Error("database password is hunter2");
+  });
+  app.post("/body", (req, res) => res.json(req.body));
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  server = app.listen(0);
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => server.close());
+
+/**
+ * Requests a route and returns its status, headers and body
+ * @returns {Promise<{status: number, requestId: string, headers: Headers, body: Object}>}
+ */
+async function call(route, init) {
+  const res = await fetch(base + route, init);
+  return { status: res.status, requestId: res.headers.get("x-request-id"), headers: res.headers, body: await res.json() };
+}
+
+describe("errorHandler", () => {
+  test("answers HttpErrors in the envelope with their status, code, details and headers", async () => {
+    const { status, requestId, headers, body } = await call("/http");
+    expect(status).toBe(429);
+    expect(headers.get("retry-after")).toBe("10");
+    expect(body).toMatchObject({
+      statusCode: 429,
+      success: false,
+      error: "Slow down",
+      code: "RATE_LIMITED",
+      requestId,
+      details: { limit: 25 },
+    });
+    expect(requestId).toMatch(/^[\w-]{8,}$/);
+  });
+
+  test("lists the failing params of validation errors", async () => {
+    expect(await call("/validation")).toMatchObject({
+      status: 400,
+      body: { code: "VALIDATION_ERROR", error: "Invalid request parameters", errors: [{ param: "text", message: "Teks terlalu panjang" }] },
+    });
+  });
+
+  test("reports the failing service of upstream errors", async () => {
+    const error = jest.spyOn(logger, "error").mockImplementation(() => {});
+    const { status, body } = await call("/upstream");
+    error.mockRestore();
+
+    expect(status).toBe(502);
+    expect(body).toMatchObject({ code: "UPSTREAM_ERROR", error: "GPT request failed", details: { service: "GPT", status: 503 } });
+  });
+
+  test("hides the message of unexpected errors but logs it without the query", async () => {
+    const error = jest.spyOn(logger, "error").mockImplementation(() => {});
+    const { status, body } = await call("/crash?apikey=ak_secret");
+    const [message] = error.mock.calls[0];
+    error.mockRestore();
+
+    expect(status).toBe(500);
+    expect(body).toMatchObject({ success: false, error: "Internal server error", code: "INTERNAL_ERROR" });
+    expect(body.stack).toContain("database password is hunter2");
+    expect(message).toMatch(/^GET \/crash \[500\] INTERNAL_ERROR: Error: database password is hunter2/);
+    expect(message).not.toContain("ak_secret");
+  });
+
+  test("answers malformed bodies and unknown routes with 4xx codes", async () => {
+    const malformed = await call("/body", { method: "POST", headers: { "Content-Type": "application/json" }, body: "{" });
+    expect(malformed).toMatchObject({ status: 400, body: { code: "INVALID_BODY", error: "Malformed request body" } });
+
+    expect(await call("/missing")).toMatchObject({ status: 404, body: { code: "ROUTE_NOT_FOUND", error: "Cannot GET /missing" } });
+  });
+});
+
+describe("toHttpError", () => {
+  test("keeps client errors and wraps the rest in a 500", () => {
+    const conflict = toHttpError(Object.assign(new Error("Already exists"), { status: 409 }));
+    expect(conflict).toMatchObject({ status: 409, code: "CONFLICT" });
+    expect(conflict.message).toBe("Already exists");
+    expect(toHttpError("boom")).toMatchObject({ status: 500, code: "INTERNAL_ERROR", cause: new Error("boom") });
+    expect(UpstreamError.from(Object.assign(new Error("timeout"), { code: "ECONNABORTED" }), "GPT")).toMatchObject({
+      status: 504,
+      code: "UPSTREAM_TIMEOUT",
+    });
+  });
+});
@@ -0,0 +1,245 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterAll, beforeAll, beforeEach, describe, expect, jest, test } from "@jest/globals";
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const T0 = Date.UTC(2025, 0, 1);
+
+const cwd = process.cwd();
+let dir;
+let rateLimiter;
+let DEFAULT_POLICY;
+let BAN_DURATIONS_MS;
+
+// Modul rate limiter menulis data/ dan logs/ di cwd saat di-import, jadi
+// di-import dari direktori sementara dengan memory store
+beforeAll(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "rate-limiter-"));
+  process.chdir(dir);
+  delete process.env.RATE_LIMIT_STORE;
+  jest.useFakeTimers({ now: T0, doNotFake: ["nextTick", "setImmediate", "queueMicrotask"] });
+  ({ default: rateLimiter, DEFAULT_POLICY, BAN_DURATIONS_MS } = await import("../../src/middleware/rateLimiter.js"));
+});
+
+afterAll(() => {
+  jest.useRealTimers();
+  process.chdir(cwd);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Sends `count` concurrent requests from `ip` through the shared budget
+ * @returns {Promise<Array<Error|undefined>>} What each request passed to `next`
+ */
+function send(ip, count) {
+  const middleware = rateLimiter.limit();
+  const res = { set() {} };
+  return Promise.all(
+    Array.from({ length: count }, (_, i) => {
+      const req = { ip, method: "GET", baseUrl: "", path: "/api/test", id: `req-${i}`, socket: {} };
+      return new Promise((resolve) => middleware(req, res, resolve));
+    })
+  );
+}
+
+/**
+ * Sends requests until the IP crosses the ban threshold (twice the limit)
+ * @returns {Promise<Object>} The ban stored for the IP
+ */
+async function abuse(ip) {
+  await send(ip, 2 * DEFAULT_POLICY.limit + 1);
+  return rateLimiter.store.getBan(ip);
+}
+
+/**
+ * Length of a ban in milliseconds, null when permanent
+ */
+function duration(ban) {
+  return ban.expiresAt === null ? null : Date.parse(ban.expiresAt) - Date.parse(ban.bannedAt);
+}
+
+describe("escalating bans", () => {
+  beforeEach(() => {
+    // Jendela rate limit sebelumnya sudah lewat
+    jest.setSystemTime(Date.now() + MINUTE);
+  });
+
+  test("bans exactly once when concurrent requests cross the threshold", async () => {
+    const { limit } = DEFAULT_POLICY;
+    const results = await send("198.51.100.1", 3 * limit);
+
+    expect(results.filter((err) => err === undefined)).toHaveLength(limit);
+    expect(results.filter((err) => err?.status === 429)).toHaveLength(2 * limit);
+    expect(results.filter((err) => /has been blocked/.test(err?.message))).toHaveLength(1);
+
+    const bans = await rateLimiter.getBannedList();
+    expect(Object.keys(bans)).toEqual(["198.51.100.1"]);
+    expect(bans["198.51.100.1"]).toMatchObject({ strikes: 1, by: "rateLimiter" });
+    expect(duration(bans["198.51.100.1"])).toBe(BAN_DURATIONS_MS[0]);
+  });
+
+  test("only warns below the threshold", async () => {
+    const { limit } = DEFAULT_POLICY;
+    const results = await send("198.51.100.2", 2 * limit);
+
+    expect(results.filter((err) => err?.status === 429)).toHaveLength(limit);
+    expect(await rateLimiter.store.getBan("198.51.100.2")).toBeNull();
+  });
+
+  test("bans longer for every strike, up to a permanent ban", async () => {
+    const ip = "198.51.100.3";
+    const durations = [];
+    for (let i = 0; i < BAN_DURATIONS_MS.length + 1; i++) {
+      const ban = await abuse(ip);
+      durations.push(duration(ban));
+      jest.setSystemTime(Date.now() + MINUTE);
+    }
+
+    expect(durations).toEqual([...BAN_DURATIONS_MS, null]);
+  });
+
+  test("forgives one strike per 7 days without offense", async () => {
+    const ip = "198.51.100.4";
+    await abuse(ip);
+    jest.setSystemTime(Date.now() + MINUTE);
+    expect(await abuse(ip)).toMatchObject({ strikes: 2 });
+
+    jest.setSystemTime(Date.now() + 8 * DAY);
+    const ban = await abuse(ip);
+    expect(ban).toMatchObject({ strikes: 2 });
+    expect(duration(ban)).toBe(BAN_DURATIONS_MS[1]);
+
+    jest.setSystemTime(Date.now() + 15 * DAY);
+    const forgiven = await abuse(ip);
+    expect(forgiven).toMatchObject({ strikes: 1 });
+    expect(duration(forgiven)).toBe(BAN_DURATIONS_MS[0]);
+  });
+
+  test("never bans requests made with an API key", async () => {
+    const middleware = rateLimiter.limit();
+    const apiTier = { rateLimit: { algorithm: "sliding-window", windowMs: 10 * 1000, limit: 2 } };
+    const req = { ip: "198.51.100.5", method: "GET", baseUrl: "", path: "/api/test", id: "k", socket: {}, apiKey: { id: "abc" }, apiTier };
+    const results = await Promise.all(
+      Array.from({ length: 10 }, () => new Promise((resolve) => middleware(req, { set() {} }, resolve)))
+    );
+
+    expect(results.filter((err) => err?.status === 429)).toHaveLength(8);
+    expect(await rateLimiter.store.getBan("198.51.100.5")).toBeNull();
+  });
+});
+
+/**
+ * Sends one request from `ip` through a limiter middleware
+ * @returns {Promise<{error: (Error|undefined), headers: Object}>} What the request passed to
+ * `next` and the headers set on its response
+ */
+function request(middleware, ip) {
+  const headers = {};
+  const res = { set: (values) => Object.assign(headers, values) };
+  const req = { ip, method: "GET", baseUrl: "", path: "/api/test", id: "req", socket: {} };
+  return new Promise((resolve) => middleware(req, res, (error) => resolve({ error, headers })));
+}
+
+describe("endpoint policies", () => {
+  beforeEach(() => {
+    jest.setSystemTime(Date.now() + MINUTE);
+  });
+
+  test("weigh requests by their cost in the shared budget", async () => {
+    const heavy = rateLimiter.limit({ cost: 5 });
+    const ip = "203.0.113.1";
+    const results = [];
+    for (let i = 0; i < DEFAULT_POLICY.limit / 5 + 1; i++) results.push((await request(heavy, ip)).error);
+
+    expect(results.slice(0, -1)).toEqual(Array(DEFAULT_POLICY.limit / 5).fill(undefined));
+    expect(results.at(-1)).toMatchObject({ status: 429, code: "RATE_LIMITED" });
+    // Budget bersama yang sama dipakai oleh endpoint lain
+    expect((await request(rateLimiter.limit(), ip)).error).toMatchObject({ status: 429 });
+  });
+
+  test("limit a route on its own budget without touching the shared one", async () => {
+    const render = rateLimiter.limit({ cost: 0, limit: 2, windowMs: MINUTE, key: "/api/canvas/attp" });
+    const ip = "203.0.113.2";
+
+    expect((await request(render, ip)).error).toBeUndefined();
+    expect((await request(render, ip)).error).toBeUndefined();
+    expect((await request(render, ip)).error).toMatchObject({ status: 429, code: "ROUTE_RATE_LIMITED" });
+    expect((await request(rateLimiter.limit({ limit: 2, key: "/api/other" }), ip)).error).toBeUndefined();
+    expect(await rateLimiter.store.getBan(ip)).toBeNull();
+  });
+
+  test("refill token buckets over time", async () => {
+    const bucket = rateLimiter.limit({ cost: 0, limit: 2, windowMs: MINUTE, algorithm: "token-bucket", key: "/api/bucket" });
+    const ip = "203.0.113.3";
+
+    await request(bucket, ip);
+    await request(bucket, ip);
+    expect((await request(bucket, ip)).error).toMatchObject({ code: "ROUTE_RATE_LIMITED", details: { retryAfter: 30 } });
+
+    jest.setSystemTime(Date.now() + MINUTE / 2);
+    expect((await request(bucket, ip)).error).toBeUndefined();
+  });
+});
+
+describe("RateLimit headers", () => {
+  beforeEach(() => {
+    jest.setSystemTime(Date.now() + MINUTE);
+  });
+
+  test("describe every budget and the one closest to running out", async () => {
+    const middleware = rateLimiter.limit({ cost: 2, limit: 3, windowMs: MINUTE, key: "/api/headers" });
+    const { error, headers } = await request(middleware, "203.0.113.10");
+
+    expect(error).toBeUndefined();
+    expect(headers).toEqual({
+      "RateLimit-Policy": `${DEFAULT_POLICY.limit};w=${DEFAULT_POLICY.windowMs / 1000}, 3;w=60`,
+      "RateLimit-Limit": "3",
+      "RateLimit-Remaining": "2",
+      "RateLimit-Reset": "60",
+    });
+  });
+
+  test("come with Retry-After on a 429", async () => {
+    const ip = "203.0.113.11";
+    await send(ip, DEFAULT_POLICY.limit);
+    const { error, headers } = await request(rateLimiter.limit(), ip);
+
+    expect(headers["RateLimit-Remaining"]).toBe("0");
+    expect(error).toMatchObject({ status: 429, headers: { "Retry-After": String(DEFAULT_POLICY.windowMs / 1000) } });
+    expect(error.details).toEqual({ limit: DEFAULT_POLICY.limit, windowMs: DEFAULT_POLICY.windowMs, retryAfter: DEFAULT_POLICY.windowMs / 1000 });
+  });
+
+  test("are not sent for uncounted requests", async () => {
+    const { headers } = await request(rateLimiter.limit({ cost: 0 }), "203.0.113.12");
+    expect(headers).toEqual({});
+  });
+});
+
+describe("admin key", () => {
+  beforeAll(() => {
+    process.env.ADMIN_KEY = "secret";
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_KEY;
+  });
+
+  /**
+   * Runs the ban check for a request from `ip`
+   * @returns {Promise<Error|undefined>}
+   */
+  function check(ip, headers = {}) {
+    const req = { ip, method: "GET", path: "/admin/unban", id: "admin", socket: {}, headers };
+    return new Promise((resolve) => rateLimiter.blockBanned(req, {}, resolve));
+  }
+
+  test("lets an admin through a ban of their IP", async () => {
+    await rateLimiter.banIp("198.51.100.6", "test");
+
+    expect(await check("198.51.100.6")).toMatchObject({ status: 403, code: "IP_BANNED" });
+    expect(await check("198.51.100.6", { "x-admin-key": "wrong" })).toMatchObject({ status: 403 });
+    expect(await check("198.51.100.6", { "x-admin-key": "secret" })).toBeUndefined();
+  });
+});
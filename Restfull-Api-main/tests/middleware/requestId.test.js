@@ -0,0 +1,74 @@
+import axios from "axios";
+import express from "express";
+import { afterAll, beforeAll, describe, expect, jest, test } from "@jest/globals";
+import requestId from "../../src/middleware/requestId.js";
+import setupResponseFormatter from "../../src/app/responseFormatter.js";
+import logger from "../../src/utils/logger.js";
+
+let upstream;
+let server;
+let base;
+
+// Upstream mengembalikan X-Request-Id yang diterimanya
+beforeAll(() => {
+  const upstreamApp = express();
+  upstreamApp.get("/echo", (req, res) => res.json({ received: req.get("X-Request-Id") || null }));
+  upstream = upstreamApp.listen(0);
+  const upstreamURL = `http://127.0.0.1:${upstream.address().port}/echo`;
+
+  const app = express();
+  app.use(requestId);
+  setupResponseFormatter(app);
+  app.get("/api/proxy", async (req, res) => {
+    logger.info("calling upstream");
+    const { data } = await axios.get(upstreamURL);
+    res.json({ upstream: data.received });
+  });
+
+  server = app.listen(0);
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => {
+  server.close();
+  upstream.close();
+});
+
+/**
+ * Calls the proxy route and returns its id header, body and log lines
+ * @returns {Promise<{header: string, body: Object, logs: Array<string>}>}
+ */
+async function proxy(headers) {
+  const log = jest.spyOn(console, "log").mockImplementation(() => {});
+  const res = await fetch(`${base}/api/proxy`, { headers });
+  const body = await res.json();
+  const logs = log.mock.calls.map(([line]) => line);
+  log.mockRestore();
+  return { header: res.headers.get("x-request-id"), body, logs };
+}
+
+describe("requestId", () => {
+  test("keeps a valid incoming id everywhere", async () => {
+    const { header, body, logs } = await proxy({ "X-Request-Id": "support-1234" });
+    expect(header).toBe("support-1234");
+    expect(body).toMatchObject({ requestId: "support-1234", upstream: "support-1234" });
+    expect(logs.find((line) => line.includes("calling upstream"))).toContain("[support-1234] ");
+  });
+
+  test("replaces missing or unsafe ids with a UUID", async () => {
+    const { header, body } = await proxy({ "X-Request-Id": "bad id; rm -rf" });
+    expect(header).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(body).toMatchObject({ requestId: header, upstream: header });
+
+    const other = await proxy();
+    expect(other.header).not.toBe(header);
+  });
+
+  test("leaves log lines written outside a request unprefixed", () => {
+    const log = jest.spyOn(console, "log").mockImplementation(() => {});
+    logger.info("startup");
+    const [line] = log.mock.calls[0];
+    log.mockRestore();
+    expect(line).toMatch(/info {2}- \S*startup$/);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, expect, test } from "@jest/globals";
+import createParamsValidator, { compileSchema, validate } from "../../src/middleware/validateParams.js";
+
+/**
+ * Runs the validator of a schema on a GET request
+ * @returns {{error: (Error|undefined), req: Object}}
+ */
+function run(schema, query) {
+  const req = { method: "GET", query: { ...query }, params: {} };
+  let error;
+  createParamsValidator(schema)(req, {}, (err) => {
+    error = err;
+  });
+  return { error, req };
+}
+
+describe("number params", () => {
+  const schema = { size: { type: "number", min: 0, required: true } };
+
+  test("coerces numeric strings", () => {
+    const { error, req } = run(schema, { size: " 12 " });
+    expect(error).toBeUndefined();
+    expect(req.validated).toEqual({ size: 12 });
+  });
+
+  test("rejects whitespace instead of reading it as 0", () => {
+    const { error } = run(schema, { size: "   " });
+    expect(error).toMatchObject({ status: 400, errors: [{ param: "size", message: 'Parameter "size" must be a number' }] });
+  });
+
+  test("accepts only finite decimal numbers", () => {
+    for (const size of ["Infinity", "-Infinity", "0x10", "1e3", "0b1", "1_000", "12abc", "."]) {
+      expect(run(schema, { size }).error).toMatchObject({ errors: [{ param: "size", message: 'Parameter "size" must be a number' }] });
+    }
+    for (const [size, value] of [["1.5", 1.5], ["+3", 3], [".5", 0.5], ["7.", 7]]) {
+      expect(run(schema, { size }).req.validated).toEqual({ size: value });
+    }
+    expect(validate({ method: "POST", body: { size: Infinity } }, schema).errors).toHaveLength(1);
+  });
+
+  test("treats an empty string as missing", () => {
+    expect(run(schema, { size: "" }).error).toMatchObject({ errors: [{ param: "size", message: 'Parameter "size" is required' }] });
+    expect(run({ size: { type: "integer", default: 5 } }, { size: "" }).req.validated).toEqual({ size: 5 });
+  });
+});
+
+describe("pattern params", () => {
+  test("compiles patterns once, when the validator is built", () => {
+    const compiled = compileSchema({ code: { pattern: "^[a-z]{3}$" }, name: { type: "string" } });
+    expect(compiled.code.pattern).toBeInstanceOf(RegExp);
+    expect(compiled.name).toEqual({ type: "string" });
+
+    expect(() => createParamsValidator({ code: { pattern: "([" } })).toThrow(SyntaxError);
+  });
+
+  test("checks values against the pattern", () => {
+    const schema = { code: { pattern: "^[a-z]{3}$" } };
+    expect(run(schema, { code: "abc" }).error).toBeUndefined();
+    expect(run(schema, { code: "abcd" }).error).toMatchObject({
+      errors: [{ param: "code", message: 'Parameter "code" has an invalid format' }],
+    });
+    expect(validate({ method: "GET", query: { code: "xyz" } }, schema).errors).toEqual([]);
+  });
+});
+
+describe("defaults", () => {
+  test("are checked against their rule when the validator is built", () => {
+    expect(() => createParamsValidator({ size: { type: "number", default: "big" } })).toThrow(
+      'Invalid default of param "size": Parameter "size" must be a number'
+    );
+    expect(() => createParamsValidator({ size: { type: "integer", max: 10, default: 50 } })).toThrow("must be at most 10");
+    expect(() => createParamsValidator({ mode: { type: "enum", enum: ["a", "b"], default: "c" } })).toThrow("must be one of: a, b");
+    expect(() => createParamsValidator({ code: { pattern: "^[a-z]+$", default: "ABC" } })).toThrow("has an invalid format");
+  });
+
+  test("that are valid are used for missing params", () => {
+    const schema = { size: { type: "integer", min: 1, default: 5 }, text: { type: "string", default: "" } };
+    expect(run(schema, {}).req.validated).toEqual({ size: 5, text: "" });
+  });
+});
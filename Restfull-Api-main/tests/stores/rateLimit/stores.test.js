@@ -0,0 +1,211 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, expect, test } from "@jest/globals";
+import MemoryStore from "../../../src/stores/rateLimit/memory.js";
+import FileStore from "../../../src/stores/rateLimit/file.js";
+
+const SECOND = 1000;
+const T0 = Date.UTC(2025, 0, 1);
+
+// Memory dan file store harus berperilaku sama (kontrak RateLimitStore)
+describe.each([
+  ["memory", (dir) => new MemoryStore({ bansFile: path.join(dir, "banned-ips.json") })],
+  ["file", (dir) => new FileStore({ dir })],
+])("%s store", (name, createStore) => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), `rate-limit-${name}-`));
+    store = createStore(dir);
+  });
+
+  afterEach(async () => {
+    await store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("hit", () => {
+    test("counts the weight of the requests within the window", async () => {
+      expect(await store.hit("ip:a", 10 * SECOND, 1, T0)).toBe(1);
+      expect(await store.hit("ip:a", 10 * SECOND, 3, T0 + SECOND)).toBe(4);
+      expect(await store.hit("ip:b", 10 * SECOND, 1, T0 + SECOND)).toBe(1);
+    });
+
+    test("forgets requests older than the window", async () => {
+      await store.hit("ip:a", 10 * SECOND, 2, T0);
+      expect(await store.hit("ip:a", 10 * SECOND, 1, T0 + 5 * SECOND)).toBe(3);
+      expect(await store.hit("ip:a", 10 * SECOND, 1, T0 + 11 * SECOND)).toBe(2);
+    });
+
+    test("keeps concurrent hits", async () => {
+      const counts = await Promise.all(Array.from({ length: 10 }, () => store.hit("ip:a", 10 * SECOND, 1, T0)));
+      expect(counts.sort((a, b) => a - b)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    });
+
+    test("reports active and top keys", async () => {
+      await store.hit("ip:a", 10 * SECOND, 3, T0);
+      await store.hit("ip:b", 10 * SECOND, 1, T0);
+      await store.hit("route:/x:a", 10 * SECOND, 5, T0);
+
+      expect(await store.activeKeys("ip:")).toBe(2);
+      expect(await store.topKeys("ip:", 1, 10 * SECOND, T0)).toEqual([{ key: "ip:a", weight: 3 }]);
+    });
+  });
+
+  describe("takeTokens", () => {
+    test("starts full and refuses a request without enough tokens", async () => {
+      expect(await store.takeTokens("a", 3, 3 * SECOND, 2, T0)).toEqual({ allowed: true, remaining: 1, resetMs: 2 * SECOND });
+      expect(await store.takeTokens("a", 3, 3 * SECOND, 2, T0)).toEqual({ allowed: false, remaining: 1, resetMs: 2 * SECOND });
+      expect(await store.takeTokens("a", 3, 3 * SECOND, 1, T0)).toEqual({ allowed: true, remaining: 0, resetMs: 3 * SECOND });
+    });
+
+    test("refills over time, up to the capacity", async () => {
+      await store.takeTokens("a", 3, 3 * SECOND, 3, T0);
+      expect(await store.takeTokens("a", 3, 3 * SECOND, 1, T0 + SECOND)).toMatchObject({ allowed: true, remaining: 0 });
+      expect(await store.takeTokens("a", 3, 3 * SECOND, 1, T0 + 60 * SECOND)).toMatchObject({ allowed: true, remaining: 2 });
+    });
+  });
+
+  describe("addStrike", () => {
+    test("counts strikes and forgives one per decay period", async () => {
+      expect(await store.addStrike("1.2.3.4", 100 * SECOND, T0)).toBe(1);
+      expect(await store.addStrike("1.2.3.4", 100 * SECOND, T0 + SECOND)).toBe(2);
+      expect(await store.addStrike("1.2.3.4", 100 * SECOND, T0 + 101 * SECOND)).toBe(2);
+      expect(await store.addStrike("5.6.7.8", 100 * SECOND, T0)).toBe(1);
+    });
+  });
+
+  describe("increment and incrementMany", () => {
+    test("adds to counters and returns their values", async () => {
+      expect(await store.increment("quota:daily:2025-01-01:k", 1, T0 + 60 * SECOND, T0)).toBe(1);
+      expect(
+        await store.incrementMany(
+          [
+            { key: "quota:daily:2025-01-01:k", amount: 2, expiresAt: T0 + 60 * SECOND },
+            { key: "usage|anonymous|2025-01-01|/api/x|requests", amount: 5, expiresAt: T0 + 60 * SECOND },
+          ],
+          T0
+        )
+      ).toEqual([3, 5]);
+      expect(await store.increment("quota:daily:2025-01-01:k", 0, T0 + 60 * SECOND, T0)).toBe(3);
+    });
+
+    test("restarts expired counters from 0", async () => {
+      await store.increment("quota:daily:2025-01-01:k", 4, T0 + SECOND, T0);
+      expect(await store.increment("quota:daily:2025-01-01:k", 1, T0 + 60 * SECOND, T0 + 2 * SECOND)).toBe(1);
+    });
+
+    test("keeps concurrent increments", async () => {
+      const entry = { key: "usage|anonymous|2025-01-01|/api/x|requests", amount: 1, expiresAt: T0 + 60 * SECOND };
+      await Promise.all(Array.from({ length: 10 }, () => store.incrementMany([entry], T0)));
+      expect(await store.listCounters("usage|", T0)).toEqual({ [entry.key]: 10 });
+    });
+
+    test("lists the unexpired counters starting with a prefix", async () => {
+      await store.incrementMany(
+        [
+          { key: "usage|key:a|2025-01-01|/api/x|requests", amount: 2, expiresAt: T0 + 60 * SECOND },
+          { key: "usage|key:b|2025-01-01|/api/x|requests", amount: 1, expiresAt: T0 + 60 * SECOND },
+          { key: "usage|key:a|2024-12-31|/api/x|requests", amount: 7, expiresAt: T0 - SECOND },
+          { key: "quota:daily:2025-01-01:a", amount: 1, expiresAt: T0 + 60 * SECOND },
+        ],
+        T0 - 2 * SECOND
+      );
+
+      expect(await store.listCounters("usage|key:a|", T0)).toEqual({ "usage|key:a|2025-01-01|/api/x|requests": 2 });
+      expect(Object.keys(await store.listCounters("", T0)).sort()).toEqual([
+        "quota:daily:2025-01-01:a",
+        "usage|key:a|2025-01-01|/api/x|requests",
+        "usage|key:b|2025-01-01|/api/x|requests",
+      ]);
+    });
+  });
+
+  describe("bans", () => {
+    const ban = { bannedAt: new Date(T0).toISOString(), expiresAt: null, reason: "test", by: "admin" };
+
+    test("sets, lists and deletes bans", async () => {
+      expect(await store.getBan("1.2.3.4")).toBeNull();
+
+      await store.setBan("1.2.3.4", ban);
+      expect(await store.getBan("1.2.3.4")).toEqual(ban);
+      expect(await store.listBans()).toEqual({ "1.2.3.4": ban });
+
+      expect(await store.deleteBan("1.2.3.4")).toBe(true);
+      expect(await store.deleteBan("1.2.3.4")).toBe(false);
+      expect(await store.listBans()).toEqual({});
+    });
+
+    test("persists bans for the next instance", async () => {
+      await store.setBan("2001:db8:1:2::/64", ban);
+      expect(await createStore(dir).getBan("2001:db8:1:2::/64")).toEqual(ban);
+    });
+  });
+
+  describe("cleanup", () => {
+    test("drops old timestamps, full buckets, decayed strikes and expired counters", async () => {
+      await store.hit("ip:a", 10 * SECOND, 1, T0);
+      await store.takeTokens("b", 2, 10 * SECOND, 1, T0);
+      await store.addStrike("1.2.3.4", 10 * SECOND, T0);
+      await store.increment("quota:daily:2025-01-01:k", 1, T0 + 5 * SECOND, T0);
+
+      await store.cleanup(10 * SECOND, T0 + 20 * SECOND);
+
+      expect(await store.activeKeys()).toBe(0);
+      expect(await store.takeTokens("b", 2, 10 * SECOND, 2, T0 + 20 * SECOND)).toMatchObject({ allowed: true });
+      expect(await store.addStrike("1.2.3.4", 10 * SECOND, T0 + 20 * SECOND)).toBe(1);
+      expect(await store.listCounters("", T0)).toEqual({});
+    });
+  });
+});
+
+describe("file store counter files", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "rate-limit-counters-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("keeps each namespace in its own file", async () => {
+    const store = new FileStore({ dir });
+    await store.incrementMany([{ key: "usage:2025-01|anonymous|2025-01-01|/api/x|requests", amount: 1, expiresAt: T0 + 60 * SECOND }], T0);
+    const usage = fs.readFileSync(path.join(dir, "counters", "usage.2025-01.json"), "utf8");
+
+    await store.increment("quota:daily:2025-01-01:k", 1, T0 + 60 * SECOND, T0);
+
+    expect(fs.readFileSync(path.join(dir, "counters", "usage.2025-01.json"), "utf8")).toBe(usage);
+    expect(JSON.parse(fs.readFileSync(path.join(dir, "counters", "quota.json"), "utf8"))).toEqual({
+      "quota:daily:2025-01-01:k": { value: 1, expiresAt: T0 + 60 * SECOND },
+    });
+    expect(fs.existsSync(path.join(dir, "rate-limits.json"))).toBe(false);
+  });
+
+  test("keeps each month of usage in its own file and deletes it once expired", async () => {
+    const store = new FileStore({ dir });
+    await store.incrementMany(
+      [
+        { key: "usage:2024-12|key:a|2024-12-31|/api/x|requests", amount: 3, expiresAt: T0 + 10 * SECOND },
+        { key: "usage:2025-01|key:a|2025-01-01|/api/x|requests", amount: 2, expiresAt: T0 + 60 * SECOND },
+        { key: "usage:2025-01|key:b|2025-01-01|/api/x|requests", amount: 1, expiresAt: T0 + 60 * SECOND },
+      ],
+      T0
+    );
+
+    expect(fs.readdirSync(path.join(dir, "counters")).filter((name) => name.endsWith(".json")).sort()).toEqual([
+      "usage.2024-12.json",
+      "usage.2025-01.json",
+    ]);
+    expect(await store.listCounters("usage:2025-01|key:a|", T0)).toEqual({ "usage:2025-01|key:a|2025-01-01|/api/x|requests": 2 });
+    expect(Object.keys(await store.listCounters("usage:", T0))).toHaveLength(3);
+
+    await store.cleanup(10 * SECOND, T0 + 20 * SECOND);
+    expect(fs.existsSync(path.join(dir, "counters", "usage.2024-12.json"))).toBe(false);
+    expect(Object.keys(await store.listCounters("usage:", T0 + 20 * SECOND))).toHaveLength(2);
+  });
+});
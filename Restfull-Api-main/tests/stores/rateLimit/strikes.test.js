@@ -0,0 +1,27 @@
+import { describe, expect, test } from "@jest/globals";
+import { addStrike } from "../../../src/stores/rateLimit/strikes.js";
+
+const HOUR = 60 * 60 * 1000;
+const DECAY = 24 * HOUR;
+const T0 = Date.UTC(2025, 0, 1);
+
+describe("addStrike", () => {
+  test("starts a first offense at one strike", () => {
+    expect(addStrike(undefined, DECAY, T0)).toEqual({ count: 1, updatedAt: T0, expiresAt: T0 + DECAY });
+  });
+
+  test("adds to the strikes that did not decay", () => {
+    const record = { count: 2, updatedAt: T0 };
+    expect(addStrike(record, DECAY, T0 + HOUR)).toEqual({ count: 3, updatedAt: T0 + HOUR, expiresAt: T0 + HOUR + 3 * DECAY });
+  });
+
+  test("forgives one strike per full decay period", () => {
+    const record = { count: 3, updatedAt: T0 };
+    expect(addStrike(record, DECAY, T0 + 25 * HOUR).count).toBe(3);
+    expect(addStrike(record, DECAY, T0 + 49 * HOUR).count).toBe(2);
+  });
+
+  test("never goes below a first offense", () => {
+    expect(addStrike({ count: 2, updatedAt: T0 }, DECAY, T0 + 30 * DECAY).count).toBe(1);
+  });
+});
@@ -0,0 +1,22 @@
+import { describe, expect, test } from "@jest/globals";
+import { refill } from "../../../src/stores/rateLimit/tokenBucket.js";
+
+const T0 = Date.UTC(2025, 0, 1);
+
+describe("refill", () => {
+  test("gives a new client a full bucket", () => {
+    expect(refill(undefined, 10, 1000, T0)).toEqual({ tokens: 10, updatedAt: T0 });
+  });
+
+  test("adds capacity tokens per window, fractions included", () => {
+    expect(refill({ tokens: 0, updatedAt: T0 }, 10, 1000, T0 + 250)).toEqual({ tokens: 2.5, updatedAt: T0 + 250 });
+  });
+
+  test("never goes over the capacity", () => {
+    expect(refill({ tokens: 8, updatedAt: T0 }, 10, 1000, T0 + 5000).tokens).toBe(10);
+  });
+
+  test("ignores a clock going backwards", () => {
+    expect(refill({ tokens: 3, updatedAt: T0 }, 10, 1000, T0 - 500)).toEqual({ tokens: 3, updatedAt: T0 - 500 });
+  });
+});
@@ -0,0 +1,99 @@
+import express from "express";
+import { afterAll, beforeAll, describe, expect, test } from "@jest/globals";
+import { EndpointRegistry, compareRoutes } from "../../src/utils/endpointRegistry.js";
+
+const registry = new EndpointRegistry();
+let server;
+let base;
+
+beforeAll(() => {
+  const app = express();
+  app.use(registry.middleware());
+  app.use((req, res) => res.status(404).send("not found"));
+  server = app.listen(0);
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => server.close());
+
+/**
+ * Builds a registry entry answering `text`
+ * @returns {{info: Object, handlers: Array<Function>}}
+ */
+function entry(route, text, info = {}) {
+  return { info: { route, methods: ["GET"], version: null, ...info }, handlers: [(req, res) => res.send(text)] };
+}
+
+/**
+ * Requests a route of the registry
+ * @returns {Promise<string>} Body of the response
+ */
+async function get(route) {
+  return (await fetch(base + route)).text();
+}
+
+describe("EndpointRegistry", () => {
+  test("serves the entries of the last rebuild", async () => {
+    registry.set("/api/ping.js", entry("/api/ping", "v1"));
+    expect(await get("/api/ping")).toBe("not found");
+
+    registry.rebuild();
+    expect(await get("/api/ping")).toBe("v1");
+
+    registry.set("/api/ping.js", entry("/api/ping", "v2"));
+    registry.rebuild();
+    expect(await get("/api/ping")).toBe("v2");
+
+    expect(registry.delete("/api/ping.js")).toBe(true);
+    registry.rebuild();
+    expect(await get("/api/ping")).toBe("not found");
+    expect(registry.delete("/api/ping.js")).toBe(false);
+  });
+
+  test("matches static routes before params, whatever the load order", async () => {
+    registry.set("/api/random/[...rest].js", entry("/api/random/:rest(.+)", "rest"));
+    registry.set("/api/random/[collection].js", entry("/api/random/:collection", "collection"));
+    registry.set("/api/random/loli.js", entry("/api/random/loli", "loli"));
+    registry.rebuild();
+
+    expect(await get("/api/random/loli")).toBe("loli");
+    expect(await get("/api/random/waifu")).toBe("collection");
+    expect(await get("/api/random/a/b")).toBe("rest");
+    expect(["/api/x/:id(.+)", "/api/x/:id", "/api/x/y"].sort(compareRoutes)).toEqual(["/api/x/y", "/api/x/:id", "/api/x/:id(.+)"]);
+  });
+
+  test("keeps failures and warnings until they are cleared", () => {
+    registry.recordFailure("/api/broken.js", Object.assign(new Error("Invalid endpoint module: missing run"), { issues: ["missing run"] }));
+    registry.recordWarnings("/api/random/loli.js", ["missing description"]);
+
+    expect(registry.diagnostics()).toMatchObject({
+      loaded: 3,
+      failed: 1,
+      failures: [{ file: "/api/broken.js", issues: ["missing run"] }],
+      warnings: [{ file: "/api/random/loli.js", route: "/api/random/loli", warnings: ["missing description"] }],
+    });
+
+    registry.clearDiagnostics("/api/broken.js");
+    registry.recordWarnings("/api/random/loli.js", []);
+    expect(registry.diagnostics()).toMatchObject({ failed: 0, failures: [], warnings: [] });
+  });
+});
+
+describe("versions", () => {
+  test("serve the latest version at the unversioned route and link older ones to it", async () => {
+    const versioned = new EndpointRegistry();
+    const v1 = entry("/api/v1/ai/gpt", "gpt v1", { version: "v1", unversionedRoute: "/api/ai/gpt" });
+    const v2 = entry("/api/v2/ai/gpt", "gpt v2", { version: "v2", unversionedRoute: "/api/ai/gpt" });
+    versioned.set("/api/v2/ai/gpt.js", v2);
+    versioned.set("/api/v1/ai/gpt.js", v1);
+    versioned.rebuild();
+
+    expect(v2.info).toMatchObject({ alias: "/api/ai/gpt", successor: null });
+    expect(v1.info).toMatchObject({ alias: null, successor: "/api/v2/ai/gpt" });
+
+    // File tanpa versi tetap melayani route-nya sendiri
+    versioned.set("/api/ai/gpt.js", entry("/api/ai/gpt", "gpt"));
+    versioned.resolveVersions();
+    expect(v2.info.alias).toBeNull();
+  });
+});
@@ -0,0 +1,92 @@
+import express from "express";
+import { afterAll, beforeAll, describe, expect, test } from "@jest/globals";
+import setupResponseFormatter from "../../src/app/responseFormatter.js";
+import errorHandler from "../../src/middleware/errorHandler.js";
+import { DEFAULT_ENVELOPE, envelopeSchema, resolveEnvelope, wrapBody } from "../../src/utils/envelope.js";
+import { HttpError } from "../../src/utils/errors.js";
+
+describe("resolveEnvelope", () => {
+  test("merges fields, meta and field names over the base", () => {
+    const options = resolveEnvelope({ attribution: null, meta: { processingTime: true }, fields: { statusCode: "status" } }, DEFAULT_ENVELOPE);
+    expect(options).toMatchObject({
+      statusCode: true,
+      attribution: null,
+      meta: { version: false, processingTime: true },
+      fields: { statusCode: "status", success: "success" },
+    });
+    expect(resolveEnvelope(false)).toBe(false);
+    expect(resolveEnvelope(true, DEFAULT_ENVELOPE)).toBe(DEFAULT_ENVELOPE);
+  });
+});
+
+describe("wrapBody", () => {
+  test("puts status and success first and the configured fields after the data", () => {
+    const body = wrapBody({ results: "ok" }, DEFAULT_ENVELOPE, { statusCode: 201, requestId: "req-1" });
+    expect(Object.keys(body)).toEqual(["statusCode", "success", "results", "requestId", "timestamp", "attribution"]);
+    expect(body).toMatchObject({ statusCode: 201, success: true, requestId: "req-1", attribution: "@synshin9" });
+  });
+
+  test("lets the handler's success win and renames or drops fields", () => {
+    const options = resolveEnvelope(
+      { timestamp: false, attribution: "My Company", meta: { version: "9.9.9" }, fields: { success: "ok", meta: "_meta" } },
+      DEFAULT_ENVELOPE
+    );
+    expect(wrapBody({ ok: false }, options, { statusCode: 200 })).toEqual({
+      statusCode: 200,
+      ok: false,
+      attribution: "My Company",
+      _meta: { version: "9.9.9" },
+    });
+  });
+
+  test("is described by envelopeSchema", () => {
+    const schema = envelopeSchema(resolveEnvelope({ timestamp: false, attribution: null }, DEFAULT_ENVELOPE), false);
+    expect(schema.required).toEqual(["statusCode", "success", "requestId"]);
+    expect(schema.properties.success).toEqual({ const: false });
+  });
+});
+
+describe("response formatter", () => {
+  let server;
+  let base;
+
+  // res.locals.envelope diisi oleh composeHandlers dari opsi `envelope` endpoint
+  beforeAll(() => {
+    const app = express();
+    setupResponseFormatter(app);
+    const route = (path, envelope, handler) =>
+      app.get(path, (req, res, next) => {
+        res.locals.envelope = envelope;
+        next();
+      }, handler);
+
+    route("/default", undefined, (req, res) => res.json({ results: 1 }));
+    route("/custom", resolveEnvelope({ attribution: null, timestamp: false, fields: { statusCode: "status" } }), (req, res) =>
+      res.json({ results: 1 })
+    );
+    route("/raw", false, (req, res) => {
+      if (req.query.fail) throw new HttpError(404, "Not here");
+      res.json({ results: 1 });
+    });
+    app.use(errorHandler);
+
+    server = app.listen(0);
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => server.close());
+
+  const get = async (route) => (await fetch(base + route)).json();
+
+  test("wraps JSON in the envelope of the route", async () => {
+    expect(await get("/default")).toMatchObject({ statusCode: 200, success: true, results: 1, attribution: "@synshin9" });
+
+    const custom = await get("/custom");
+    expect(Object.keys(custom)).toEqual(["status", "success", "results", "requestId"]);
+  });
+
+  test("sends raw routes as-is but keeps the envelope of their errors", async () => {
+    expect(await get("/raw")).toEqual({ results: 1 });
+    expect(await get("/raw?fail=1")).toMatchObject({ statusCode: 404, success: false, error: "Not here", code: "NOT_FOUND" });
+  });
+});
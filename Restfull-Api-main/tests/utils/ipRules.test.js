@@ -0,0 +1,94 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterAll, beforeAll, beforeEach, describe, expect, test } from "@jest/globals";
+
+let dir;
+let ipRules;
+
+// config/ip-rules.json ditulis ke direktori sementara (CONFIG_DIR dibaca saat import)
+beforeAll(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "ip-rules-"));
+  process.env.CONFIG_DIR = dir;
+  ipRules = await import("../../src/utils/ipRules.js");
+});
+
+afterAll(() => {
+  delete process.env.CONFIG_DIR;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  fs.rmSync(path.join(dir, "ip-rules.json"), { force: true });
+  ipRules.reloadRules();
+});
+
+describe("parseCidr", () => {
+  test("clears the host bits of IPv4 ranges", () => {
+    expect(ipRules.parseCidr("10.0.0.5/8")).toEqual({ cidr: "10.0.0.0/8", address: "10.0.0.0", prefix: 8, type: "ipv4" });
+    expect(ipRules.parseCidr("203.0.113.77/26").cidr).toBe("203.0.113.64/26");
+    expect(ipRules.parseCidr("198.51.100.23").cidr).toBe("198.51.100.23/32");
+    expect(ipRules.parseCidr("255.255.255.255/0").cidr).toBe("0.0.0.0/0");
+  });
+
+  test("clears the host bits of IPv6 ranges", () => {
+    expect(ipRules.parseCidr("2001:DB8:1:2:a:b:c:d/64").cidr).toBe("2001:db8:1:2::/64");
+    expect(ipRules.parseCidr("2001:db8:abcd::1/36").cidr).toBe("2001:db8:a000::/36");
+    expect(ipRules.parseCidr("::1").cidr).toBe("::1/128");
+  });
+
+  test("rejects invalid ranges", () => {
+    for (const value of ["10.0.0.0/33", "10.0.0.0/", "10.0.0.0/8/1", "nope", "2001:db8::/129"]) {
+      expect(() => ipRules.parseCidr(value)).toThrow("Invalid IP or CIDR range");
+    }
+  });
+});
+
+describe("rules", () => {
+  test("treats a range given with host bits as its network", () => {
+    ipRules.addRule("deny", "10.0.0.5/8", { note: "first" });
+    ipRules.addRule("deny", "10.0.0.0/8", { note: "second" });
+
+    expect(ipRules.listRules().deny).toEqual([expect.objectContaining({ cidr: "10.0.0.0/8", note: "second" })]);
+    expect(ipRules.matchIp("10.200.3.4")).toBe("deny");
+    expect(ipRules.matchIp("11.0.0.1")).toBeNull();
+
+    expect(ipRules.removeRule("deny", "10.0.0.0/8")).toBe(true);
+    expect(ipRules.listRules().deny).toEqual([]);
+    expect(ipRules.matchIp("10.200.3.4")).toBeNull();
+  });
+
+  test("removes a rule added as its network with an address of the network", () => {
+    ipRules.addRule("allow", "2001:db8:42::/48");
+
+    expect(ipRules.matchIp("2001:db8:42:ffff::1")).toBe("allow");
+    expect(ipRules.removeRule("allow", "2001:db8:42:1::9/48")).toBe(true);
+    expect(ipRules.removeRule("allow", "2001:db8:42::/48")).toBe(false);
+  });
+
+  test("saves canonical rules and merges duplicates of the config file", () => {
+    fs.writeFileSync(path.join(dir, "ip-rules.json"), JSON.stringify({ deny: ["10.0.0.5/8", "10.1.2.3/8"] }));
+    ipRules.reloadRules();
+    expect(ipRules.listRules().deny.map((rule) => rule.cidr)).toEqual(["10.0.0.0/8"]);
+
+    ipRules.addRule("deny", "192.0.2.9/24");
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, "ip-rules.json"), "utf8"));
+    expect(saved.deny.map((rule) => rule.cidr)).toEqual(["10.0.0.0/8", "192.0.2.0/24"]);
+  });
+
+  test("lets deny rules win over allow rules", () => {
+    ipRules.addRule("allow", "203.0.113.0/24");
+    ipRules.addRule("deny", "203.0.113.7");
+
+    expect(ipRules.matchIp("203.0.113.7")).toBe("deny");
+    expect(ipRules.matchIp("::ffff:203.0.113.8")).toBe("allow");
+  });
+});
+
+describe("clientKey", () => {
+  test("groups IPv6 clients by network and keeps IPv4 addresses", () => {
+    expect(ipRules.clientKey("2001:db8:1:2:a:b:c:d")).toBe("2001:db8:1:2::/64");
+    expect(ipRules.clientKey("::ffff:203.0.113.7")).toBe("203.0.113.7");
+    expect(ipRules.clientKey("key:abc")).toBe("key:abc");
+  });
+});
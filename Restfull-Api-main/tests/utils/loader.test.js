@@ -0,0 +1,239 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterAll, beforeAll, describe, expect, jest, test } from "@jest/globals";
+
+const cwd = process.cwd();
+let dir;
+let buildEndpoint;
+let loadEndpoints;
+let watchEndpoints;
+let EndpointRegistry;
+let express;
+
+// data/ dan logs/ rate limiter ditulis ke direktori sementara
+beforeAll(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "loader-"));
+  process.chdir(dir);
+  delete process.env.RATE_LIMIT_STORE;
+  // File endpoint di direktori sementara adalah ES module, seperti di api/
+  fs.writeFileSync(path.join(dir, "package.json"), JSON.stringify({ type: "module" }));
+  ({ default: loadEndpoints, buildEndpoint, watchEndpoints } = await import("../../src/utils/loader.js"));
+  ({ EndpointRegistry } = await import("../../src/utils/endpointRegistry.js"));
+  ({ default: express } = await import("express"));
+});
+
+afterAll(() => {
+  process.chdir(cwd);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const run = (req, res) => res.json({ ok: true });
+
+/**
+ * Builds an endpoint and returns the issues it was rejected with
+ * @returns {Array<string>} Empty when the endpoint was built
+ */
+function issues(module) {
+  try {
+    buildEndpoint({ name: "test", description: "test", run, ...module }, "tools/test.js");
+    return [];
+  } catch (err) {
+    return err.issues;
+  }
+}
+
+describe("deprecation fields", () => {
+  test("accept booleans, ISO dates and Date objects", () => {
+    expect(issues({ deprecated: true, sunset: "2025-12-31" })).toEqual([]);
+    expect(issues({ deprecated: "2025-06-01T00:00:00Z", sunset: new Date("2025-12-31") })).toEqual([]);
+    expect(issues({ deprecated: false, sunset: null })).toEqual([]);
+  });
+
+  test("reject values that are not dates", () => {
+    expect(issues({ deprecated: "2025-13-45" })).toEqual(["deprecated must be true, false or an ISO date"]);
+    expect(issues({ deprecated: "yes" })).toEqual(["deprecated must be true, false or an ISO date"]);
+    expect(issues({ sunset: "31/12/2025" })).toEqual(["sunset must be an ISO date"]);
+    expect(issues({ sunset: new Date("nope") })).toEqual(["sunset must be an ISO date"]);
+  });
+
+  test("send the headers of valid dates", () => {
+    const { handlers } = buildEndpoint({ run, deprecated: "2025-06-01", sunset: "2025-12-31" }, "tools/test.js");
+    const headers = {};
+    const res = { set: (name, value) => (headers[name] = value), append() {} };
+    handlers[0]({}, res, () => {});
+
+    expect(headers).toEqual({ Deprecation: "@1748736000", Sunset: "Wed, 31 Dec 2025 00:00:00 GMT" });
+  });
+});
+
+/**
+ * Writes an endpoint file answering `text` in plain text
+ * @param {string} file - Path relative to the api directory
+ */
+function writeEndpoint(apiDir, file, text, fields = "") {
+  // Jest menyimpan isi file per path; tanpa ini reload membaca versi lama
+  jest.resetModules();
+  fs.mkdirSync(path.dirname(path.join(apiDir, file)), { recursive: true });
+  fs.writeFileSync(
+    path.join(apiDir, file),
+    `export default { name: "${text}", description: "test", rateLimit: false, ${fields} run: (req, res) => res.send("${text}") };\n`
+  );
+}
+
+/**
+ * Serves a registry on a random port
+ * @returns {{get: function(string): Promise<{status: number, text: string}>, close: Function}}
+ */
+function serve(registry) {
+  const app = express();
+  app.use(registry.middleware());
+  app.use((req, res) => res.status(404).send("not found"));
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    get: async (route) => {
+      const res = await fetch(base + route);
+      return { status: res.status, text: await res.text() };
+    },
+    close: () => server.close(),
+  };
+}
+
+/**
+ * Waits until a condition holds, for up to two seconds
+ * @returns {Promise<void>}
+ */
+async function until(condition) {
+  for (let i = 0; i < 40 && !(await condition()); i++) await new Promise((resolve) => setTimeout(resolve, 50));
+  expect(await condition()).toBe(true);
+}
+
+describe("versions", () => {
+  test("come from the version directory or the version field", () => {
+    expect(buildEndpoint({ run }, "v2/ai/gpt.js").info).toMatchObject({ route: "/api/v2/ai/gpt", unversionedRoute: "/api/ai/gpt", version: "v2" });
+    expect(buildEndpoint({ run, version: 3 }, "ai/gpt.js").info).toMatchObject({ route: "/api/v3/ai/gpt", version: "v3" });
+    expect(buildEndpoint({ run, version: "v3" }, "v2/ai/gpt.js").info.version).toBe("v2");
+    expect(() => buildEndpoint({ run, version: "beta" }, "ai/gpt.js")).toThrow("Invalid endpoint version: beta");
+  });
+
+  test("send the version and the successor set by the registry", () => {
+    const registry = new EndpointRegistry();
+    const v1 = buildEndpoint({ run }, "v1/ai/gpt.js");
+    registry.set("v1", v1);
+    registry.set("v2", buildEndpoint({ run }, "v2/ai/gpt.js"));
+    registry.rebuild();
+
+    const headers = {};
+    const res = { set: (name, value) => (headers[name] = value), append: (name, value) => (headers[name] = value) };
+    v1.handlers[0]({}, res, () => {});
+    expect(headers).toEqual({ "X-API-Version": "v1", Link: '</api/v2/ai/gpt>; rel="successor-version"' });
+  });
+});
+
+describe("loadEndpoints", () => {
+  test("registers every endpoint file and reports the broken ones", async () => {
+    const apiDir = fs.mkdtempSync(path.join(dir, "api-"));
+    writeEndpoint(apiDir, "tools/ping.js", "pong");
+    writeEndpoint(apiDir, "random/[collection].js", "collection");
+    writeEndpoint(apiDir, "random/loli.js", "loli");
+    writeEndpoint(apiDir, "tools/broken.js", "broken", 'methods: ["FETCH"],');
+    fs.writeFileSync(path.join(apiDir, "tools/throws.js"), 'throw new Error("boom");\n');
+    fs.writeFileSync(path.join(apiDir, "tools/helper.js"), "export const helper = 1;\n");
+
+    const registry = new EndpointRegistry();
+    const endpoints = await loadEndpoints(apiDir, null, { registry });
+    expect(endpoints.map((info) => info.route).sort()).toEqual(["/api/random/:collection", "/api/random/loli", "/api/tools/ping"]);
+
+    const { loaded, failed, failures } = registry.diagnostics();
+    expect({ loaded, failed }).toEqual({ loaded: 3, failed: 2 });
+    expect(failures.find((failure) => failure.file.endsWith("broken.js")).issues).toEqual(['unknown method "FETCH" in methods']);
+
+    const server = serve(registry);
+    try {
+      expect(await server.get("/api/tools/ping")).toEqual({ status: 200, text: "pong" });
+      expect(await server.get("/api/random/loli")).toEqual({ status: 200, text: "loli" });
+      expect(await server.get("/api/random/other")).toEqual({ status: 200, text: "collection" });
+    } finally {
+      server.close();
+    }
+
+    await expect(loadEndpoints(apiDir, null, { registry: new EndpointRegistry(), strict: true })).rejects.toThrow(
+      "Strict mode: 2 endpoint file(s) failed to load"
+    );
+  });
+});
+
+describe("plugins", () => {
+  test("mount package and directory endpoints under their prefix, after the api directory", async () => {
+    const apiDir = fs.mkdtempSync(path.join(dir, "api-"));
+    writeEndpoint(apiDir, "tools/ping.js", "local ping");
+
+    const pluginDir = fs.mkdtempSync(path.join(dir, "plugin-dir-"));
+    writeEndpoint(pluginDir, "random/[collection].js", "dir plugin");
+    writeEndpoint(pluginDir, "tools/ping.js", "plugin ping");
+
+    const pkg = path.join(fs.mkdtempSync(path.join(dir, "plugin-pkg-")), "index.js");
+    fs.writeFileSync(
+      pkg,
+      `const endpoint = (text) => ({ name: text, description: "test", rateLimit: false, run: (req, res) => res.send(text) });
+export default { name: "canvas", prefix: "/canvas", endpoints: { ttp: endpoint("ttp") } };\n`
+    );
+
+    const registry = new EndpointRegistry();
+    const plugins = [{ package: pkg }, { dir: path.relative(dir, pluginDir), name: "extra" }, { dir: "./missing" }];
+    const endpoints = await loadEndpoints(apiDir, null, { registry, plugins });
+
+    expect(endpoints.map(({ route, plugin }) => ({ route, plugin }))).toEqual(
+      expect.arrayContaining([
+        { route: "/api/canvas/ttp", plugin: "canvas" },
+        { route: "/api/random/:collection", plugin: "extra" },
+      ])
+    );
+    const { failures, collisions } = registry.diagnostics();
+    expect(failures).toMatchObject([{ file: "plugin:./missing", error: expect.stringContaining("does not exist") }]);
+    expect(collisions).toMatchObject([{ route: "/api/tools/ping", servedBy: path.join(apiDir, "tools/ping.js"), shadowed: [path.join(pluginDir, "tools/ping.js")] }]);
+
+    const server = serve(registry);
+    try {
+      expect(await server.get("/api/canvas/ttp")).toEqual({ status: 200, text: "ttp" });
+      expect(await server.get("/api/random/cats")).toEqual({ status: 200, text: "dir plugin" });
+      expect(await server.get("/api/tools/ping")).toEqual({ status: 200, text: "local ping" });
+    } finally {
+      server.close();
+    }
+  });
+});
+
+describe("watchEndpoints", () => {
+  test("adds, replaces and removes endpoints as their files change", async () => {
+    const apiDir = fs.mkdtempSync(path.join(dir, "api-"));
+    writeEndpoint(apiDir, "tools/ping.js", "v1");
+
+    const registry = new EndpointRegistry();
+    await loadEndpoints(apiDir, null, { registry });
+    const server = serve(registry);
+    const stop = watchEndpoints(apiDir, { registry });
+
+    try {
+      writeEndpoint(apiDir, "tools/ping.js", "v2");
+      await until(async () => (await server.get("/api/tools/ping")).text === "v2");
+
+      // Versi baru yang rusak tidak menggantikan versi lama
+      jest.resetModules();
+      fs.writeFileSync(path.join(apiDir, "tools/ping.js"), 'throw new Error("boom");\n');
+      await until(() => registry.diagnostics().failed === 1);
+      expect(await server.get("/api/tools/ping")).toEqual({ status: 200, text: "v2" });
+
+      writeEndpoint(apiDir, "extra/echo.js", "echo");
+      await until(async () => (await server.get("/api/extra/echo")).status === 200);
+
+      fs.rmSync(path.join(apiDir, "tools"), { recursive: true });
+      await until(async () => (await server.get("/api/tools/ping")).status === 404);
+      expect(registry.diagnostics()).toMatchObject({ loaded: 1, failed: 0 });
+    } finally {
+      stop();
+      server.close();
+    }
+  });
+});
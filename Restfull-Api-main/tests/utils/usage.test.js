@@ -0,0 +1,95 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterAll, beforeAll, describe, expect, test } from "@jest/globals";
+
+const cwd = process.cwd();
+let dir;
+let usage;
+let server;
+let base;
+
+// Hari terakhir bulan lalu dan hari pertama bulan ini, masih dalam masa simpan
+const now = new Date();
+const lastMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 0)).toISOString().slice(0, 10);
+const thisMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString().slice(0, 10);
+
+// File store di direktori sementara, supaya usage dibaca lagi dari data/counters/
+beforeAll(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "usage-"));
+  process.chdir(dir);
+  process.env.RATE_LIMIT_STORE = "file";
+  process.env.ADMIN_KEY = "secret";
+
+  usage = await import("../../src/utils/usage.js");
+  const { default: express } = await import("express");
+  const { default: createAdminRouter } = await import("../../src/app/admin.js");
+  const { default: endpointRegistry } = await import("../../src/utils/endpointRegistry.js");
+  const { default: errorHandler } = await import("../../src/middleware/errorHandler.js");
+
+  const app = express();
+  app.use("/admin", createAdminRouter(endpointRegistry));
+  app.use(errorHandler);
+  server = app.listen(0);
+  base = `http://127.0.0.1:${server.address().port}`;
+
+  const at = (day) => Date.parse(`${day}T12:00:00Z`);
+  usage.recordUsage({ consumer: "key:a", route: "/api/x", status: 200, bytes: 100, at: at(lastMonth) });
+  usage.recordUsage({ consumer: "key:a", route: "/api/x", status: 500, bytes: 20, at: at(lastMonth) });
+  usage.recordUsage({ consumer: "key:a", route: "/api/y", status: 200, renderMs: 1500, at: at(thisMonth) });
+  usage.recordUsage({ consumer: "anonymous", route: "/api/x", status: 404, at: at(thisMonth) });
+  await usage.flushUsage();
+});
+
+afterAll(() => {
+  server.close();
+  delete process.env.RATE_LIMIT_STORE;
+  delete process.env.ADMIN_KEY;
+  process.chdir(cwd);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("readUsage", () => {
+  test("sums the metrics per consumer, day and endpoint", async () => {
+    expect(await usage.readUsage({ from: lastMonth, to: thisMonth })).toEqual([
+      { date: lastMonth, consumer: "key:a", route: "/api/x", requests: 2, errors: 1, bytes: 120, renderSeconds: 0 },
+      { date: thisMonth, consumer: "anonymous", route: "/api/x", requests: 1, errors: 1, bytes: 0, renderSeconds: 0 },
+      { date: thisMonth, consumer: "key:a", route: "/api/y", requests: 1, errors: 0, bytes: 0, renderSeconds: 1.5 },
+    ]);
+  });
+
+  test("filters by consumer and range", async () => {
+    const rows = await usage.readUsage({ consumer: "key:a", from: thisMonth, to: thisMonth });
+    expect(rows.map((row) => row.route)).toEqual(["/api/y"]);
+    expect(await usage.readUsage({ consumer: "key:a" })).toHaveLength(2);
+  });
+
+  test("stores each month in its own file", () => {
+    expect(fs.readdirSync(path.join(dir, "data", "counters")).filter((name) => name.endsWith(".json")).sort()).toEqual([
+      `usage.${lastMonth.slice(0, 7)}.json`,
+      `usage.${thisMonth.slice(0, 7)}.json`,
+    ]);
+  });
+});
+
+describe("GET /admin/usage", () => {
+  test("exports the usage as CSV", async () => {
+    const res = await fetch(`${base}/admin/usage?from=${lastMonth}&to=${lastMonth}&format=csv`, { headers: { "X-Admin-Key": "secret" } });
+
+    expect(res.status).toBe(200);
+    expect(res.headers.get("content-disposition")).toContain(`usage-${lastMonth}-${lastMonth}.csv`);
+    expect(res.headers.get("warning")).toBeNull();
+    expect(await res.text()).toBe(
+      `date,consumer,keyName,tier,route,requests,errors,bytes,renderSeconds\n${lastMonth},key:a,,,/api/x,2,1,120,0\n`
+    );
+  });
+
+  test("filters by key and rejects invalid ranges", async () => {
+    const headers = { "X-Admin-Key": "secret" };
+    const res = await fetch(`${base}/admin/usage?from=${lastMonth}&to=${thisMonth}&key=anonymous`, { headers });
+    expect(await res.json()).toMatchObject({ total: 1, rows: [{ consumer: "anonymous", date: thisMonth }] });
+
+    const invalid = await fetch(`${base}/admin/usage?from=${thisMonth}&to=${lastMonth}`, { headers });
+    expect(invalid.status).toBe(400);
+  });
+});